@@ -0,0 +1,64 @@
+/**
+ * Backfill posts.sector / posts.industry
+ *
+ * Sets the sector of posts created before sectors were stored (or after a
+ * symbol was added to src/utils/sectorMaster.js). Safe to re-run.
+ *
+ * Usage: node scripts/backfill_post_sectors.js
+ */
+
+const { pool } = require('../src/config/database');
+const { getSectorForSymbol } = require('../src/utils/sectorMaster');
+
+async function backfillSectors() {
+  console.log(`\n========================================`);
+  console.log(`Backfilling post sectors`);
+  console.log(`========================================\n`);
+
+  const symbolsResult = await pool.query(
+    `SELECT DISTINCT stock_symbol
+     FROM posts
+     WHERE stock_symbol IS NOT NULL
+     AND sector IS NULL`
+  );
+
+  const symbols = [];
+  const sectors = [];
+  const industries = [];
+  const unknown = [];
+
+  symbolsResult.rows.forEach(({ stock_symbol: symbol }) => {
+    const info = getSectorForSymbol(symbol);
+    if (info) {
+      symbols.push(symbol);
+      sectors.push(info.sector);
+      industries.push(info.industry);
+    } else {
+      unknown.push(symbol);
+    }
+  });
+
+  const result = await pool.query(
+    `UPDATE posts p
+     SET sector = mapped.sector,
+         industry = mapped.industry
+     FROM UNNEST($1::text[], $2::text[], $3::text[]) as mapped(stock_symbol, sector, industry)
+     WHERE p.stock_symbol = mapped.stock_symbol
+     AND p.sector IS NULL`,
+    [symbols, sectors, industries]
+  );
+
+  console.log(`✅ ${result.rowCount} posts updated (${symbols.length} symbols)`);
+  if (unknown.length > 0) {
+    console.log(`⚠️  No sector for: ${unknown.join(', ')}`);
+  }
+}
+
+backfillSectors()
+  .then(() => {
+    process.exit(0);
+  })
+  .catch((error) => {
+    console.error('❌ Backfill failed:', error);
+    process.exit(1);
+  });
@@ -0,0 +1,37 @@
+/**
+ * Backfill analyst_performance
+ *
+ * Builds the verified track record of every analyst with closed calls
+ * (calls closed before the track record was stored). Same rebuild as the
+ * nightly refresh; safe to re-run.
+ *
+ * Usage: node scripts/backfill_track_records.js
+ */
+
+const { refreshTrackRecords } = require('../src/services/trackRecordService');
+
+async function backfillTrackRecords() {
+  console.log(`\n========================================`);
+  console.log(`Backfilling analyst track records`);
+  console.log(`========================================\n`);
+
+  const summary = await refreshTrackRecords();
+
+  if (summary.error) {
+    throw new Error(summary.error);
+  }
+
+  console.log(`✅ ${summary.rebuilt}/${summary.analysts} analysts rebuilt`);
+  if (summary.rebuilt < summary.analysts) {
+    console.log(`⚠️  ${summary.analysts - summary.rebuilt} analysts failed (see errors above)`);
+  }
+}
+
+backfillTrackRecords()
+  .then(() => {
+    process.exit(0);
+  })
+  .catch((error) => {
+    console.error('❌ Backfill failed:', error);
+    process.exit(1);
+  });
@@ -2,7 +2,7 @@
  * Cloudinary Configuration
  *
  * Manages file upload and storage using Cloudinary service
- * Used for analyst profile images, verification documents, and post media
+ * Used for analyst profile images, verification documents, post media and attachments
  */
 
 const cloudinary = require('cloudinary').v2;
@@ -104,6 +104,58 @@ const uploadPostMedia = async (filePath, postId) => {
   });
 };
 
+/**
+ * Upload post attachment (chart image or PDF research note)
+ * Stored as 'authenticated' assets: they are only reachable through signed URLs,
+ * so paid content cannot be shared by copying the original URL.
+ * PDFs are stored as image resources so a first-page preview can be rendered.
+ *
+ * @param {string} filePath - Path to image/PDF file
+ * @param {string} analystId - Analyst ID for folder organization
+ * @returns {Promise<Object>} - Upload result
+ */
+const uploadPostAttachment = async (filePath, analystId) => {
+  return uploadFile(filePath, {
+    folder: `analyst-platform/posts/${analystId}`,
+    resource_type: 'image',
+    type: 'authenticated'
+  });
+};
+
+/**
+ * Generate a signed URL for an authenticated asset
+ * The signature covers the transformation, so a signed preview
+ * (e.g. blurred) cannot be turned into the original by editing the URL.
+ *
+ * @param {string} publicId - Cloudinary public ID
+ * @param {Object} options - Delivery options (transformation, format, ...)
+ * @returns {string} - Signed URL
+ */
+const getSignedUrl = (publicId, options = {}) => {
+  return cloudinary.url(publicId, {
+    type: 'authenticated',
+    sign_url: true,
+    secure: true,
+    ...options
+  });
+};
+
+/**
+ * Generate a time-limited download URL for an authenticated asset
+ *
+ * @param {string} publicId - Cloudinary public ID
+ * @param {string} format - File format (e.g. 'pdf')
+ * @param {number} expiresInSeconds - URL lifetime
+ * @returns {string} - Download URL
+ */
+const getPrivateDownloadUrl = (publicId, format, expiresInSeconds = 3600) => {
+  return cloudinary.utils.private_download_url(publicId, format, {
+    type: 'authenticated',
+    resource_type: 'image',
+    expires_at: Math.floor(Date.now() / 1000) + expiresInSeconds
+  });
+};
+
 /**
  * Delete file from Cloudinary
  *
@@ -132,12 +184,14 @@ const deleteFile = async (publicId, resourceType = 'image') => {
  *
  * @param {Array<string>} publicIds - Array of Cloudinary public IDs
  * @param {string} resourceType - Type of resource (image, video, raw)
+ * @param {string} deliveryType - Delivery type (upload, authenticated, private)
  * @returns {Promise<Object>} - Deletion result
  */
-const deleteMultipleFiles = async (publicIds, resourceType = 'image') => {
+const deleteMultipleFiles = async (publicIds, resourceType = 'image', deliveryType = 'upload') => {
   try {
     const result = await cloudinary.api.delete_resources(publicIds, {
-      resource_type: resourceType
+      resource_type: resourceType,
+      type: deliveryType
     });
 
     return {
@@ -214,6 +268,9 @@ module.exports = {
   uploadProfileImage,
   uploadVerificationDocument,
   uploadPostMedia,
+  uploadPostAttachment,
+  getSignedUrl,
+  getPrivateDownloadUrl,
   deleteFile,
   deleteMultipleFiles,
   getFileDetails,
@@ -127,7 +127,33 @@ const config = {
   cron: {
     enabled: process.env.ENABLE_CRON_JOBS === 'true',
     paymentRetry: process.env.PAYMENT_RETRY_CRON || '0 9 * * *',
-    emailDigest: process.env.EMAIL_DIGEST_CRON || '0 8 * * *'
+    emailDigest: process.env.EMAIL_DIGEST_CRON || '0 8 * * *',
+    callOutcome: process.env.CALL_OUTCOME_CRON || '* * * * *',
+    postPublisher: process.env.POST_PUBLISHER_CRON || '* * * * *',
+    callExpiry: process.env.CALL_EXPIRY_CRON || '*/5 * * * *',
+    trackRecord: process.env.TRACK_RECORD_CRON || '30 0 * * *'
+  },
+
+  // Market Hours (NSE/BSE, IST) and automatic call expiry
+  market: {
+    openTime: process.env.MARKET_OPEN_TIME || '09:15',
+    closeTime: process.env.MARKET_CLOSE_TIME || '15:30',
+    holidays: (process.env.MARKET_HOLIDAYS || '').split(',').map(day => day.trim()).filter(Boolean),
+    swingExpirySessions: parseInt(process.env.SWING_EXPIRY_SESSIONS, 10) || 10,
+    overnightExpirySessions: parseInt(process.env.OVERNIGHT_EXPIRY_SESSIONS, 10) || 2
+  },
+
+  // Market Price Feed (automatic call outcome tracking)
+  priceFeed: {
+    provider: process.env.PRICE_FEED_PROVIDER || 'csv_replay',
+    filePath: process.env.PRICE_FEED_CSV_PATH,
+    batchSize: parseInt(process.env.PRICE_FEED_REPLAY_BATCH_SIZE, 10) || 50,
+    loop: process.env.PRICE_FEED_REPLAY_LOOP === 'true'
+  },
+
+  // Shareable performance cards (signed verification tokens)
+  performanceCards: {
+    secret: process.env.PERFORMANCE_CARD_SECRET || process.env.JWT_SECRET
   },
 
   // Logging
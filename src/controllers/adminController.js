@@ -7,6 +7,7 @@
  * - View analyst documents
  * - Platform analytics
  * - User management
+ * - Contradictory call (hedge) report
  *
  * SECURITY:
  * - All endpoints require admin role authentication
@@ -16,6 +17,7 @@
 
 const AnalystProfile = require('../models/AnalystProfile');
 const User = require('../models/User');
+const CallConflictModel = require('../models/CallConflict');
 const { asyncHandler, AppError } = require('../middleware/errorHandler');
 const { sendEmail, getEmailTemplate } = require('../services/emailService');
 const { query } = require('../config/database');
@@ -520,6 +522,65 @@ const getAnalytics = asyncHandler(async (req, res) => {
   }
 });
 
+/**
+ * GET /api/admin/call-conflicts
+ * Report of hedged calls: BUY and SELL calls by one analyst on the same symbol
+ * that were open at the same time
+ *
+ * @access Private (Admin only)
+ * @query {string} status - pending (default), dismissed, actioned, all
+ * @query {string} analyst_id - Filter by analyst (user UUID)
+ * @query {number} page - Page number (default: 1)
+ * @query {number} limit - Results per page (default: 20)
+ */
+const getCallConflicts = asyncHandler(async (req, res) => {
+  const { status = 'pending', analyst_id = null, page = 1, limit = 20 } = req.query;
+
+  if (!['pending', 'dismissed', 'actioned', 'all'].includes(status)) {
+    throw new AppError('Invalid status filter', 400);
+  }
+
+  const result = await CallConflictModel.getConflicts({ status, analyst_id, page, limit });
+
+  res.status(200).json({
+    success: true,
+    data: result
+  });
+});
+
+/**
+ * PUT /api/admin/call-conflicts/:id
+ * Review a flagged conflict
+ *
+ * @access Private (Admin only)
+ * @param {string} id - Conflict UUID
+ * @body {string} status - 'dismissed' (legitimate hedge) or 'actioned'
+ * @body {string} admin_notes - Optional notes
+ */
+const reviewCallConflict = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { status, admin_notes = null } = req.body;
+  const adminUserId = req.user.id;
+
+  const conflict = await CallConflictModel.reviewConflict(id, adminUserId, status, admin_notes);
+
+  // Log admin action
+  console.log('Admin Action:', {
+    action: 'REVIEW_CALL_CONFLICT',
+    admin_user_id: adminUserId,
+    call_conflict_id: id,
+    analyst_id: conflict.analyst_id,
+    status,
+    timestamp: new Date().toISOString()
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Call conflict reviewed successfully',
+    data: { conflict }
+  });
+});
+
 /**
  * Helper: Send verification approved email
  */
@@ -600,5 +661,7 @@ module.exports = {
   approveAnalyst,
   rejectAnalyst,
   updateAnalystStatus,
-  getAnalytics
+  getAnalytics,
+  getCallConflicts,
+  reviewCallConflict
 };
@@ -7,6 +7,8 @@
  * - Document upload (SEBI cert, PAN, bank statement)
  * - Profile setup wizard
  * - Discovery page (public listing)
+ * - Public RSS / Atom / JSON feeds of analysts' posts
+ * - Verified track record (performance over closed calls)
  * - Private dashboard
  *
  * SECURITY:
@@ -21,7 +23,12 @@ const User = require('../models/User');
 const { asyncHandler, AppError } = require('../middleware/errorHandler');
 const { uploadProfileImage, uploadVerificationDocument } = require('../config/cloudinary');
 const { isValidSebiNumber, isValidPanNumber } = require('../utils/validators');
+const { isValidSector } = require('../utils/sectorMaster');
 const { sendEmail, getEmailTemplate } = require('../services/emailService');
+const { getAnalystFeed } = require('../services/analystFeedService');
+const { getPerformanceSummary, getAnalystPerformance } = require('../services/trackRecordService');
+const { isValidDbStrategyType } = require('../utils/callTypeValidator');
+const { ANALYST_FEEDS, TRACK_RECORD } = require('../utils/constants');
 const config = require('../config/env');
 
 /**
@@ -210,15 +217,12 @@ const uploadDocument = asyncHandler(async (req, res) => {
 });
 
 /**
- * GET /api/analysts/profile/:id
- * Get public analyst profile
+ * Load an approved analyst profile for a public endpoint
  *
- * @access Public
  * @param {string} id - Analyst profile ID
+ * @returns {Promise<Object>} - Analyst profile
  */
-const getPublicProfile = asyncHandler(async (req, res) => {
-  const { id } = req.params;
-
+const getApprovedProfile = async (id) => {
   const profile = await AnalystProfile.findById(id);
 
   if (!profile) {
@@ -230,6 +234,23 @@ const getPublicProfile = asyncHandler(async (req, res) => {
     throw new AppError('This analyst profile is not yet verified', 403);
   }
 
+  return profile;
+};
+
+/**
+ * GET /api/analysts/:id
+ * GET /api/analysts/profile/:id
+ * Get public analyst profile with the verified track record summary
+ *
+ * @access Public
+ * @param {string} id - Analyst profile ID
+ */
+const getPublicProfile = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const profile = await getApprovedProfile(id);
+  const performance = await getPerformanceSummary(profile.user_id);
+
   // Return public data only (exclude sensitive info)
   res.status(200).json({
     success: true,
@@ -251,7 +272,55 @@ const getPublicProfile = asyncHandler(async (req, res) => {
         verified_at: profile.verified_at,
         created_at: profile.created_at,
         last_post_at: profile.last_post_at
-      }
+      },
+      performance
+    }
+  });
+});
+
+/**
+ * GET /api/analysts/:id/performance
+ * Verified track record of an analyst: win rate, average return, R-multiple,
+ * drawdown, expectancy, holding time and risk-adjusted score over closed calls,
+ * for all time and rolling 30/90/365 days, by strategy and by month
+ * (self-reported imports excluded; analyst-entered exits count, tallied in
+ * unverified_calls_count)
+ *
+ * @access Public
+ * @param {string} id - Analyst profile ID
+ * @query {string} strategy - Only this strategy (intraday, swing, positional, long_term, options)
+ * @query {number} months - Monthly rows, newest first (default: 12, max: 36)
+ */
+const getPerformance = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { strategy } = req.query;
+
+  if (strategy !== undefined && !isValidDbStrategyType(strategy)) {
+    throw new AppError('Invalid strategy. Use intraday, swing, positional, long_term or options', 400);
+  }
+
+  const months = req.query.months !== undefined
+    ? parseInt(req.query.months, 10)
+    : TRACK_RECORD.DEFAULT_MONTHS;
+  if (isNaN(months) || months < 1 || months > TRACK_RECORD.MAX_MONTHS) {
+    throw new AppError(`months must be between 1 and ${TRACK_RECORD.MAX_MONTHS}`, 400);
+  }
+
+  const profile = await getApprovedProfile(id);
+  const performance = await getAnalystPerformance(profile.user_id, {
+    strategy: strategy ? strategy.toLowerCase() : null,
+    months
+  });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      analyst: {
+        id: profile.id,
+        user_id: profile.user_id,
+        display_name: profile.display_name
+      },
+      performance
     }
   });
 });
@@ -434,6 +503,7 @@ const getDashboard = asyncHandler(async (req, res) => {
  * @query {number} minRating - Minimum rating (1-5)
  * @query {number} maxPrice - Maximum monthly price
  * @query {string} search - Search by name
+ * @query {string} sector - Sector key (GET /api/posts/sectors); only analysts with published calls in it
  * @query {string} sortBy - Sort option (popular, rating, newest, price)
  * @query {number} page - Page number (default: 1)
  * @query {number} limit - Results per page (default: 20, max: 100)
@@ -445,6 +515,7 @@ const getDiscoveryList = asyncHandler(async (req, res) => {
     minRating,
     maxPrice,
     search,
+    sector,
     sortBy = 'popular',
     page = 1,
     limit = 20
@@ -457,6 +528,7 @@ const getDiscoveryList = asyncHandler(async (req, res) => {
     minRating: minRating ? parseFloat(minRating) : 0,
     maxPrice: maxPrice ? parseInt(maxPrice, 10) : null,
     search: search || '',
+    sector: sector ? sector.toLowerCase() : null,
     sortBy,
     page: parseInt(page, 10),
     limit: Math.min(parseInt(limit, 10), 100) // Cap at 100
@@ -467,6 +539,10 @@ const getDiscoveryList = asyncHandler(async (req, res) => {
     throw new AppError('Invalid minRating. Must be between 0 and 5', 400);
   }
 
+  if (filters.sector && !isValidSector(filters.sector)) {
+    throw new AppError('Invalid sector', 400);
+  }
+
   const validSortOptions = ['popular', 'rating', 'newest', 'price'];
   if (!validSortOptions.includes(filters.sortBy)) {
     throw new AppError(`Invalid sortBy. Allowed: ${validSortOptions.join(', ')}`, 400);
@@ -484,12 +560,54 @@ const getDiscoveryList = asyncHandler(async (req, res) => {
         specializations: filters.specializations,
         languages: filters.languages,
         minRating: filters.minRating,
+        sector: filters.sector,
         sortBy: filters.sortBy
       }
     }
   });
 });
 
+/**
+ * GET /api/analysts/:id/feed.:format
+ * Public RSS / Atom / JSON feed of an analyst's posts
+ * Free posts in full; paid posts as teasers without price levels
+ *
+ * @access Public
+ * @param {string} id - Analyst profile ID
+ * @param {string} format - rss, atom or json
+ * @query {number} page - Page number (default: 1)
+ * @query {number} limit - Entries per page (default: 20, max: 50)
+ */
+const getFeed = asyncHandler(async (req, res) => {
+  const { id, format } = req.params;
+
+  const feed = await getAnalystFeed(id, {
+    format,
+    page: req.query.page,
+    limit: req.query.limit,
+    feedUrl: `${req.protocol}://${req.get('host')}${req.baseUrl}/${id}/feed.${format}`
+  });
+
+  const linkHeader = ['first', 'next', 'previous']
+    .filter(rel => feed.links[rel])
+    .map(rel => `<${feed.links[rel]}>; rel="${rel}"`);
+
+  res.set('Content-Type', feed.contentType);
+  res.set('Cache-Control', `public, max-age=${ANALYST_FEEDS.CACHE_MAX_AGE}`);
+  res.set('ETag', feed.etag);
+  res.set('Last-Modified', feed.lastModified);
+  if (linkHeader.length > 0) {
+    res.set('Link', linkHeader.join(', '));
+  }
+
+  // Conditional GET (If-None-Match / If-Modified-Since)
+  if (req.fresh) {
+    return res.status(304).end();
+  }
+
+  res.status(200).send(feed.body);
+});
+
 /**
  * POST /api/analysts/profile/setup
  * Complete profile setup wizard (4-screen onboarding)
@@ -979,10 +1097,12 @@ module.exports = {
   applyForVerification,
   uploadDocument,
   getPublicProfile,
+  getPerformance,
   updateProfile,
   uploadProfilePhoto,
   getDashboard,
   getDiscoveryList,
+  getFeed,
   completeProfileSetup,
   getMyProfile
 };
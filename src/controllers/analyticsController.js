@@ -18,6 +18,7 @@
 
 const { query } = require('../config/database');
 const { AppError } = require('../middleware/errorHandler');
+const TeaserEventModel = require('../models/TeaserEvent');
 
 /**
  * Get revenue metrics
@@ -792,6 +793,7 @@ const getChurnAnalysis = async (req, res, next) => {
  * GET /api/analytics/calls
  *
  * Trading call performance and accuracy metrics
+ * (self-reported imported calls are not counted)
  *
  * @access Private (Analyst only)
  */
@@ -825,6 +827,7 @@ const getCallAnalytics = async (req, res, next) => {
       FROM posts
       WHERE analyst_id = $1
       AND post_type = 'call'
+      AND is_self_reported = false
       AND created_at >= CURRENT_DATE - INTERVAL '${daysBack} days'
       AND deleted_at IS NULL`,
       [analystId]
@@ -846,6 +849,7 @@ const getCallAnalytics = async (req, res, next) => {
       FROM posts
       WHERE analyst_id = $1
       AND post_type = 'call'
+      AND is_self_reported = false
       AND strategy_type IS NOT NULL
       AND created_at >= CURRENT_DATE - INTERVAL '${daysBack} days'
       AND deleted_at IS NULL
@@ -864,6 +868,7 @@ const getCallAnalytics = async (req, res, next) => {
       FROM posts
       WHERE analyst_id = $1
       AND post_type = 'call'
+      AND is_self_reported = false
       AND stock_symbol IS NOT NULL
       AND call_status = 'target_hit'
       AND created_at >= CURRENT_DATE - INTERVAL '${daysBack} days'
@@ -889,6 +894,43 @@ const getCallAnalytics = async (req, res, next) => {
   }
 };
 
+/**
+ * Get teaser conversion analytics
+ * GET /api/analytics/teasers
+ *
+ * Funnel of paid-post teasers shown to non-subscribers:
+ * impressions -> unlock clicks -> subscriptions (attributed to the last teaser
+ * seen within TEASER_SETTINGS.ATTRIBUTION_DAYS)
+ *
+ * @access Private (Analyst only)
+ */
+const getTeaserAnalytics = async (req, res, next) => {
+  try {
+    const analystId = req.user.id;
+    const { date_range = '30' } = req.query;
+
+    // Verify user is an analyst
+    if (req.user.role !== 'analyst') {
+      throw new AppError('Only analysts can view analytics', 403);
+    }
+
+    const daysBack = parseInt(date_range);
+    if (isNaN(daysBack) || daysBack < 1 || daysBack > 365) {
+      throw new AppError('date_range must be between 1 and 365 days', 400);
+    }
+
+    const stats = await TeaserEventModel.getConversionStats(analystId, daysBack);
+
+    res.status(200).json({
+      success: true,
+      message: 'Teaser analytics fetched successfully',
+      data: stats
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Get dashboard overview (all metrics summary)
  * GET /api/analytics/overview
@@ -1222,6 +1264,7 @@ module.exports = {
   getReviewMetrics,
   getChurnAnalysis,
   getCallAnalytics,
+  getTeaserAnalytics,
   getDashboardOverview,
   getDashboardAnalytics,
   getRevenueAnalytics
@@ -0,0 +1,91 @@
+/**
+ * Card Controller
+ *
+ * Handles shareable performance card endpoints:
+ * - Call card for a closed call (analyst only)
+ * - Track record card for a period (analyst only)
+ * - Public card verification
+ *
+ * Cards are SVG by default; ?format=json returns the SVG with its token and
+ * verification URL (see services/performanceCardService).
+ */
+
+const { AppError, asyncHandler } = require('../middleware/errorHandler');
+const performanceCardService = require('../services/performanceCardService');
+const { PERFORMANCE_CARDS } = require('../utils/constants');
+
+/**
+ * Send a card as SVG or JSON
+ *
+ * @param {Object} req - Express request (query.format)
+ * @param {Object} res - Express response
+ * @param {Object} result - Issued card
+ * @param {string} filename - Download name (without extension)
+ */
+const sendCard = (req, res, result, filename) => {
+  const format = req.query.format || 'svg';
+
+  if (!['svg', 'json'].includes(format)) {
+    throw new AppError('format must be svg or json', 400);
+  }
+
+  if (format === 'json') {
+    return res.status(200).json({
+      success: true,
+      message: 'Performance card generated successfully',
+      data: result
+    });
+  }
+
+  res.set('Content-Type', 'image/svg+xml; charset=utf-8');
+  res.set('Content-Disposition', `inline; filename="${filename}.svg"`);
+  res.set('Cache-Control', 'private, no-store');
+  return res.status(200).send(result.svg);
+};
+
+/**
+ * Get the performance card of a closed call
+ * @route   GET /api/cards/calls/:postId
+ * @access  Private (Analyst only, own calls)
+ */
+const getCallCard = asyncHandler(async (req, res) => {
+  const result = await performanceCardService.createCallCard(req.params.postId, req.user.id);
+
+  sendCard(req, res, result, `call-${result.card.stock_symbol}-${result.card.post_id.slice(0, 8)}`);
+});
+
+/**
+ * Get the track record card of the analyst
+ * @route   GET /api/cards/track-record
+ * @access  Private (Analyst only)
+ */
+const getTrackRecordCard = asyncHandler(async (req, res) => {
+  const period = req.query.period ? parseInt(req.query.period) : PERFORMANCE_CARDS.DEFAULT_PERIOD;
+
+  const result = await performanceCardService.createTrackRecordCard(req.user.id, period);
+
+  sendCard(req, res, result, `track-record-${period}d`);
+});
+
+/**
+ * Verify a shared card
+ * @route   GET /api/cards/verify/:token
+ * @access  Public
+ */
+const verifyCard = asyncHandler(async (req, res) => {
+  const verification = await performanceCardService.verifyCard(req.params.token);
+
+  res.status(200).json({
+    success: true,
+    message: verification.verified
+      ? 'Card verified: the numbers match platform records'
+      : 'Card was issued by the platform but no longer matches its records',
+    data: verification
+  });
+});
+
+module.exports = {
+  getCallCard,
+  getTrackRecordCard,
+  verifyCard
+};
@@ -158,6 +158,9 @@ const deleteChannel = asyncHandler(async (req, res) => {
  * @route   GET /api/chat/messages/:channelId
  * @desc    Get message history for a channel (paginated)
  * @access  Private (requires channel access)
+ *
+ * Query: limit, cursor (pagination.next_cursor = older, prev_cursor = newer)
+ * Legacy: offset, before (message ID)
  */
 const getChannelMessages = asyncHandler(async (req, res) => {
   const { channelId } = req.params;
@@ -168,6 +171,7 @@ const getChannelMessages = asyncHandler(async (req, res) => {
   const limit = parseInt(req.query.limit, 10) || PAGINATION.DEFAULT_LIMIT;
   const offset = parseInt(req.query.offset, 10) || 0;
   const beforeMessageId = req.query.before || null;
+  const cursor = req.query.cursor || null;
 
   // Check user access
   const access = await ChatChannel.checkUserAccess(channelId, userId, userRole);
@@ -181,7 +185,8 @@ const getChannelMessages = asyncHandler(async (req, res) => {
     channelId,
     Math.min(limit, PAGINATION.MAX_LIMIT),
     offset,
-    beforeMessageId
+    beforeMessageId,
+    cursor
   );
 
   res.status(200).json({
@@ -659,6 +664,9 @@ const getCommunityChannelById = asyncHandler(async (req, res) => {
  * @route   GET /api/chat/community/:channelId/messages
  * @desc    Get message history for a community channel (paginated)
  * @access  Private (authenticated users only)
+ *
+ * Query: limit, cursor (pagination.next_cursor = older, prev_cursor = newer)
+ * Legacy: offset, before (message ID)
  */
 const getCommunityChannelMessages = asyncHandler(async (req, res) => {
   const { channelId } = req.params;
@@ -668,6 +676,7 @@ const getCommunityChannelMessages = asyncHandler(async (req, res) => {
   const limit = parseInt(req.query.limit, 10) || PAGINATION.DEFAULT_LIMIT;
   const offset = parseInt(req.query.offset, 10) || 0;
   const beforeMessageId = req.query.before || null;
+  const cursor = req.query.cursor || null;
 
   // Check user access to community channel
   const access = await ChatChannel.checkCommunityChannelAccess(channelId, userId);
@@ -681,7 +690,8 @@ const getCommunityChannelMessages = asyncHandler(async (req, res) => {
     channelId,
     Math.min(limit, PAGINATION.MAX_LIMIT),
     offset,
-    beforeMessageId
+    beforeMessageId,
+    cursor
   );
 
   res.status(200).json({
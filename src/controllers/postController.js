@@ -6,28 +6,147 @@
  *
  * ENDPOINTS:
  * - POST   /api/posts/create - Create post with AI formatting
+ * - POST   /api/posts/import - Import historical calls (CSV/JSON) as self-reported
  * - POST   /api/posts/:id/format-ai - Re-format with AI
- * - GET    /api/posts/feed - User's personalized feed
- * - GET    /api/posts/:id - Get single post
+ * - POST   /api/posts/drafts - Create draft
+ * - GET    /api/posts/drafts - Analyst's drafts
+ * - GET    /api/posts/drafts/:draftId - Get draft
+ * - PATCH  /api/posts/drafts/:draftId - Autosave draft
+ * - DELETE /api/posts/drafts/:draftId - Delete draft
+ * - POST   /api/posts/drafts/:draftId/promote - Publish (or schedule) a draft as a post
+ * - GET    /api/posts/feed - User's personalized feed (paged, cursor paginated with pagination=cursor, or ranked with sort=ranked)
+ * - GET    /api/posts/feed/new-count - Number of feed posts newer than a cursor
+ * - GET    /api/posts/:id - Get single post (teaser for paid posts without subscription)
+ * - POST   /api/posts/:id/teaser-click - Record a "subscribe to unlock" click on a teaser
+ * - GET    /api/posts/:id/history - Edit history with diffs
  * - PUT    /api/posts/:id - Update post
  * - DELETE /api/posts/:id - Delete post (soft delete)
- * - POST   /api/posts/:id/bookmark - Bookmark post
+ * - GET    /api/posts/scheduled - Analyst's scheduled posts
+ * - PUT    /api/posts/:id/schedule - Reschedule a scheduled post
+ * - DELETE /api/posts/:id/schedule - Cancel a scheduled post
+ * - POST   /api/posts/:id/bookmark - Bookmark post (optionally into a collection, with tags)
+ * - PATCH  /api/posts/:id/bookmark - Update bookmark notes, collection or tags
  * - DELETE /api/posts/:id/bookmark - Remove bookmark
- * - GET    /api/posts/bookmarks - User's bookmarks
+ * - GET    /api/posts/bookmarks - User's bookmarks (filter by collection, tag, call status, notes)
+ * - GET    /api/posts/bookmarks/tags - Tags used on the user's bookmarks
+ * - GET    /api/posts/bookmarks/collections - User's bookmark collections
+ * - POST   /api/posts/bookmarks/collections - Create collection
+ * - PATCH  /api/posts/bookmarks/collections/:collectionId - Rename collection
+ * - DELETE /api/posts/bookmarks/collections/:collectionId - Delete collection (bookmarks kept)
+ * - GET    /api/posts/bookmarks/collections/:collectionId/export - CSV/JSON export with levels and outcomes
+ * - GET    /api/posts/:id/comments - Threaded comments
+ * - POST   /api/posts/:id/comments - Comment or reply
+ * - DELETE /api/posts/:id/comments/:commentId - Delete comment (author, post analyst, admin)
+ * - PUT    /api/posts/:id/comments/:commentId/pin - Pin comment (post analyst)
+ * - DELETE /api/posts/:id/comments/:commentId/pin - Unpin comment (post analyst)
  * - POST   /api/posts/:id/mark-outcome - Mark call outcome (analyst only)
+ * - POST   /api/posts/:id/updates - Post a structured call update (analyst only)
  * - GET    /api/posts/analytics/:id - Post analytics (analyst only)
  * - GET    /api/posts/analyst/:analystId - Analyst's posts (public sample)
- * - GET    /api/posts/stock/:symbol - Posts by stock symbol
+ * - GET    /api/posts/stock/:symbol - Posts by stock symbol (or its sector with scope=sector)
+ * - GET    /api/posts/sectors - Sector taxonomy for the sector filters
+ * - GET    /api/posts/search - Full-text search (ranked, highlighted)
  */
 
+const fs = require('fs');
+const path = require('path');
 const { asyncHandler, AppError } = require('../middleware/errorHandler');
 const PostModel = require('../models/Post');
+const PostVersionModel = require('../models/PostVersion');
+const CallUpdateModel = require('../models/CallUpdate');
+const AnalystProfile = require('../models/AnalystProfile');
 const BookmarkModel = require('../models/Bookmark');
+const BookmarkCollectionModel = require('../models/BookmarkCollection');
+const PostCommentModel = require('../models/PostComment');
+const PostAttachmentModel = require('../models/PostAttachment');
+const PostDraftModel = require('../models/PostDraft');
 const SubscriptionModel = require('../models/Subscription');
+const TeaserEventModel = require('../models/TeaserEvent');
 const { formatAnalystCall, formatTradingCall, getFallbackFormat, CALL_TYPES } = require('../services/aiService');
-const { sendUrgentCallNotification } = require('../services/emailService');
+const { notifyUrgentPost, notifyWatchlistCall, notifyNewComment } = require('../services/postNotificationService');
+const { postCallUpdate } = require('../services/callUpdateService');
+const { publishPostEvent } = require('../services/postEventService');
+const { recordClosedCall } = require('../services/trackRecordService');
+const {
+  uploadAttachments,
+  removeAttachmentFiles,
+  attachMedia,
+  removePostAttachments
+} = require('../services/postMediaService');
+const { getRankedFeed } = require('../services/feedRankingService');
 const { query } = require('../config/database');
+const config = require('../config/env');
 const { normalizeStockSymbol, isValidSymbol } = require('../utils/stockSymbolMapper');
+const { getSectorForSymbol, isValidSector, getSectors } = require('../utils/sectorMaster');
+const { parseImportFile, validateImportRows } = require('../utils/callImport');
+const { DB_STRATEGY_TYPES } = require('../utils/callTypeValidator');
+const { buildExportRecord, renderCsv, renderJson } = require('../utils/bookmarkExport');
+const { DRAFT_SETTINGS, CALL_IMPORT, SOCKET_EVENTS, BOOKMARK_SETTINGS, TEASER_SOURCES } = require('../utils/constants');
+
+const DAILY_POST_LIMIT = 20;
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const CALL_STATUSES = ['open', 'target_hit', 'stop_loss_hit', 'closed', 'expired'];
+
+/**
+ * Record impressions for the teasers among served posts (non-blocking)
+ *
+ * @param {string|null} userId - Viewer
+ * @param {Array<Object>} posts - Served posts
+ * @param {string} source - 'feed', 'analyst_page' or 'post'
+ */
+const trackTeaserImpressions = (userId, posts, source) => {
+  const teasers = posts.filter(post => post.is_teaser);
+  if (!userId || teasers.length === 0) {
+    return;
+  }
+
+  TeaserEventModel.recordEvents(userId, teasers, 'impression', source).catch(err => {
+    console.error('Failed to record teaser impressions:', err);
+  });
+};
+
+/**
+ * Enforce the analyst's daily post limit
+ *
+ * @param {string} analystId - Analyst UUID
+ */
+const assertDailyPostLimit = async (analystId) => {
+  const todayPostCount = await query(
+    `SELECT COUNT(*) as count
+     FROM posts
+     WHERE analyst_id = $1
+     AND created_at >= CURRENT_DATE
+     AND deleted_at IS NULL`,
+    [analystId]
+  );
+
+  if (parseInt(todayPostCount.rows[0].count) >= DAILY_POST_LIMIT) {
+    throw new AppError(`Daily post limit reached (${DAILY_POST_LIMIT} posts per day)`, 429);
+  }
+};
+
+/**
+ * Generate a title for a call without one
+ *
+ * @param {string} postType - Post type
+ * @param {string|null} stockSymbol - Symbol
+ * @param {string|null} action - BUY/SELL/HOLD
+ * @param {Array|null} legs - Options legs
+ * @returns {string|null}
+ */
+const generateCallTitle = (postType, stockSymbol, action, legs) => {
+  if (postType !== 'call') {
+    return null;
+  }
+  if (stockSymbol && action) {
+    return `${stockSymbol} ${action} Call`;
+  }
+  if (legs && legs.length > 0) {
+    return `${stockSymbol || legs[0].underlying} Options Strategy`;
+  }
+  return null;
+};
 
 /**
  * POST /api/posts/create
@@ -40,11 +159,29 @@ const { normalizeStockSymbol, isValidSymbol } = require('../utils/stockSymbolMap
  * - audience: string (required) - 'free', 'paid', 'both'
  * - is_urgent: boolean (optional)
  * - use_ai: boolean (optional, default: true) - Whether to use AI formatting
+ * - call_type: string (optional) - Call type from format-call (CALL_TYPES); sets the
+ *   call's expiry (e.g. overnight calls are stored as swing but expire on their own schedule)
+ * - targets: array (optional) - Staged targets [{ price, allocation_percent }] (T1, T2, T3);
+ *   win over AI-extracted targets, 400 unless above entry (BUY) / below entry (SELL)
+ * - legs: array (optional) - Options strategy legs
+ *   [{ underlying, expiry, strike, option_type: CE|PE, side: BUY|SELL, lots, lot_size, premium }]
+ * - publish_at: ISO datetime (optional) - Schedule the post to go live later (400 if in the past)
+ * - is_hedge: boolean (optional) - Allow a BUY/SELL call while an opposite call on the
+ *   same symbol is still open (flagged for admin review)
+ * - free_after: object (optional) - { on_close: boolean, after_hours: number } release a paid
+ *   post to the free audience once the call closes and/or after N hours
+ *   (default: the analyst's free_after preference)
+ * - disclosure: object (required for calls) - { holds_position: boolean, position_details,
+ *   financial_interest, received_compensation, conflict_details }; the post gets the SEBI
+ *   disclaimer block built from it and the analyst profile (utils/disclosureBlock)
+ * - attachments: files (optional, multipart) - Chart images (max 5) and/or one PDF research note
+ *   (with multipart, targets/legs/content_formatted/disclosure are sent as JSON strings)
  *
  * Response:
- * - 201: Post created successfully
- * - 400: Validation error
+ * - 201: Post created (or scheduled) successfully
+ * - 400: Validation error (incl. missing disclosure)
  * - 401: Unauthorized
+ * - 409: Opposite call on the same symbol still open (close it or send is_hedge)
  * - 500: Server error
  */
 const createPost = asyncHandler(async (req, res) => {
@@ -61,10 +198,17 @@ const createPost = asyncHandler(async (req, res) => {
     action: providedAction,
     entry_price: providedEntryPrice,
     target_price: providedTargetPrice,
+    targets: providedTargets,
+    legs: providedLegs,
     stop_loss: providedStopLoss,
     strategy_type: providedStrategyType,
+    call_type: providedCallType,
     content_formatted: providedContentFormatted,
-    title: providedTitle
+    title: providedTitle,
+    publish_at: publishAt,
+    is_hedge: isHedge = false,
+    free_after: freeAfter = null,
+    disclosure = null
   } = req.body;
 
   // Debug logging
@@ -93,18 +237,7 @@ const createPost = asyncHandler(async (req, res) => {
   }
 
   // Rate limiting: Check if analyst has exceeded daily post limit (20 posts per day)
-  const todayPostCount = await query(
-    `SELECT COUNT(*) as count
-     FROM posts
-     WHERE analyst_id = $1
-     AND created_at >= CURRENT_DATE
-     AND deleted_at IS NULL`,
-    [analystId]
-  );
-
-  if (parseInt(todayPostCount.rows[0].count) >= 20) {
-    throw new AppError('Daily post limit reached (20 posts per day)', 429);
-  }
+  await assertDailyPostLimit(analystId);
 
   let formattedData = null;
   let aiFormatSuccess = false;
@@ -135,15 +268,23 @@ const createPost = asyncHandler(async (req, res) => {
   const action = formattedData?.action || providedAction || null;
   const entryPrice = formattedData?.entry_price || providedEntryPrice || null;
   const targetPrice = formattedData?.target_price || providedTargetPrice || null;
+  // Targets and legs completed by the analyst (allocations, lot size, expiry) win over AI-extracted ones
+  const targets = providedTargets || (formattedData?.targets?.length > 0 ? formattedData.targets : null);
+  const legs = providedLegs || (formattedData?.legs?.length > 0 ? formattedData.legs : null);
   const stopLoss = formattedData?.stop_loss || providedStopLoss || null;
   const strategyType = formattedData?.strategy_type || providedStrategyType || null;
+  const callType = providedCallType || formattedData?.call_type || null;
 
-  // Generate auto title for calls
-  let title = providedTitle;
-  if (!title && post_type === 'call' && stockSymbol && action) {
-    title = `${stockSymbol} ${action} Call`;
+  if (callType && !Object.keys(CALL_TYPES).includes(callType)) {
+    throw new AppError(
+      `Invalid call_type. Must be one of: ${Object.keys(CALL_TYPES).join(', ')}`,
+      400
+    );
   }
 
+  // Generate auto title for calls
+  const title = providedTitle || generateCallTitle(post_type, stockSymbol, action, legs);
+
   // Prepare post data
   const postData = {
     analyst_id: analystId,
@@ -152,76 +293,48 @@ const createPost = asyncHandler(async (req, res) => {
     content_formatted: formattedData,
     post_type: post_type,
     strategy_type: strategyType?.toLowerCase() || null,
+    call_type: callType,
     audience: audience,
     stock_symbol: stockSymbol,
     action: action,
     entry_price: entryPrice,
     target_price: targetPrice,
+    targets: targets,
+    legs: legs,
     stop_loss: stopLoss,
     risk_reward_ratio: formattedData?.risk_reward_ratio || null,
     confidence_level: formattedData?.confidence || null,
     is_urgent: is_urgent,
-    is_pinned: is_pinned
+    is_pinned: is_pinned,
+    publish_at: publishAt || null,
+    is_hedge: isHedge === true,
+    free_after: freeAfter,
+    disclosure: disclosure
   };
 
+  // Upload attachments first; the post and its attachment rows are saved together
+  postData.attachments = await uploadAttachments(analystId, req.files || []);
+
   // Create post
-  const post = await PostModel.createPost(postData);
+  let post;
+  try {
+    post = await PostModel.createPost(postData);
+  } catch (error) {
+    await removeAttachmentFiles(postData.attachments);
+    throw error;
+  }
+  await attachMedia([post], analystId);
 
-  // Send email notifications to subscribers if urgent
-  if (is_urgent && (audience === 'paid' || audience === 'both')) {
-    try {
-      // Get all active paid subscribers
-      const subscribers = await query(
-        `SELECT
-          u.id,
-          u.email,
-          u.full_name as name
-         FROM subscriptions s
-         INNER JOIN users u ON s.user_id = u.id
-         WHERE s.analyst_id = $1
-         AND s.status = 'active'
-         AND s.expires_at > NOW()
-         AND s.deleted_at IS NULL`,
-        [analystId]
-      );
-
-      // Get analyst info
-      const analystInfo = await query(
-        `SELECT full_name as name, email
-         FROM users
-         WHERE id = $1`,
-        [analystId]
-      );
-
-      const analyst = analystInfo.rows[0];
-
-      // Send email to each subscriber (non-blocking)
-      subscribers.rows.forEach(subscriber => {
-        sendUrgentCallNotification(subscriber, analyst, {
-          id: post.id,
-          stock: post.stock_symbol,
-          action: post.action,
-          strategy_type: post.strategy_type,
-          entry_price: post.entry_price,
-          target_price: post.target_price,
-          stop_loss: post.stop_loss,
-          risk_reward_ratio: post.risk_reward_ratio,
-          reasoning: formattedData?.reasoning || raw_content.substring(0, 200)
-        }).catch(error => {
-          console.error(`Failed to send urgent notification to ${subscriber.email}:`, error);
-        });
-      });
-
-      console.log(`Urgent post notifications sent to ${subscribers.rows.length} subscribers`);
-    } catch (error) {
-      console.error('Error sending urgent notifications:', error);
-      // Don't throw error, post creation succeeded
-    }
+  // Scheduled posts notify subscribers when the publisher releases them
+  if (post.published_at) {
+    notifyUrgentPost(post);
+    notifyWatchlistCall(post);
+    publishPostEvent(SOCKET_EVENTS.POST_CREATED, post.id);
   }
 
   res.status(201).json({
     success: true,
-    message: 'Post created successfully',
+    message: post.published_at ? 'Post created successfully' : 'Post scheduled successfully',
     data: {
       post,
       ai_formatted: aiFormatSuccess
@@ -229,6 +342,394 @@ const createPost = asyncHandler(async (req, res) => {
   });
 });
 
+// posts.post_type values (CHECK constraint)
+const DRAFT_POST_TYPES = ['call', 'update', 'analysis', 'commentary', 'educational'];
+
+/**
+ * Pick and validate draft fields from a request body
+ * Drafts may be incomplete; full validation happens on promotion (Post.createPost)
+ *
+ * @param {Object} body - Request body
+ * @returns {Object} - Draft fields present in the body
+ */
+const parseDraftFields = (body) => {
+  const fields = {};
+  PostDraftModel.DRAFT_FIELDS.forEach((field) => {
+    if (body[field] !== undefined) {
+      fields[field] = body[field];
+    }
+  });
+
+  const errors = [];
+
+  if (fields.raw_content !== undefined && fields.raw_content !== null) {
+    if (typeof fields.raw_content !== 'string') {
+      errors.push('raw_content must be a string');
+    } else if (fields.raw_content.length > DRAFT_SETTINGS.MAX_CONTENT_LENGTH) {
+      errors.push(`raw_content cannot exceed ${DRAFT_SETTINGS.MAX_CONTENT_LENGTH} characters`);
+    }
+  }
+
+  if (fields.audience && !['free', 'paid', 'both'].includes(fields.audience)) {
+    errors.push('audience must be free, paid, or both');
+  }
+
+  if (fields.is_urgent !== undefined && typeof fields.is_urgent !== 'boolean') {
+    errors.push('is_urgent must be a boolean');
+  }
+
+  if (fields.post_type !== undefined && fields.post_type !== null && !DRAFT_POST_TYPES.includes(fields.post_type)) {
+    errors.push(`post_type must be one of ${DRAFT_POST_TYPES.join(', ')}`);
+  }
+
+  if (fields.strategy_type !== undefined && fields.strategy_type !== null && !DB_STRATEGY_TYPES.includes(fields.strategy_type)) {
+    errors.push(`strategy_type must be one of ${DB_STRATEGY_TYPES.join(', ')}`);
+  }
+
+  ['entry_price', 'target_price', 'stop_loss'].forEach((field) => {
+    const value = fields[field];
+    if (value !== undefined && value !== null &&
+        (typeof value !== 'number' || !isFinite(value) || value < 0 || value > DRAFT_SETTINGS.MAX_PRICE)) {
+      errors.push(`${field} must be a number between 0 and ${DRAFT_SETTINGS.MAX_PRICE}, or null`);
+    }
+  });
+
+  ['targets', 'legs'].forEach((field) => {
+    if (fields[field] !== undefined && fields[field] !== null && !Array.isArray(fields[field])) {
+      errors.push(`${field} must be an array`);
+    }
+  });
+
+  if (fields.ai_result !== undefined && fields.ai_result !== null &&
+      (typeof fields.ai_result !== 'object' || Array.isArray(fields.ai_result))) {
+    errors.push('ai_result must be an object');
+  }
+
+  if (fields.publish_at && isNaN(new Date(fields.publish_at).getTime())) {
+    errors.push('publish_at must be a valid ISO datetime');
+  }
+
+  if (errors.length > 0) {
+    throw new AppError(errors.join('. '), 400);
+  }
+
+  if (fields.stock_symbol) {
+    fields.stock_symbol = normalizeStockSymbol(fields.stock_symbol) || String(fields.stock_symbol).trim().toUpperCase();
+  }
+
+  return fields;
+};
+
+/**
+ * POST /api/posts/import
+ * Import historical calls (e.g. from Telegram) from a CSV or JSON file
+ *
+ * Rows are validated one by one (utils/callImport, callTypeValidator.validateTradingCall);
+ * valid rows are saved as closed, self-reported calls ("Self-reported, unverified") that
+ * are excluded from verified performance metrics. Invalid rows are listed with their
+ * row number and do not block the others. Rows matching an existing call are skipped.
+ *
+ * Request body (multipart/form-data or JSON):
+ * - file: CSV or JSON file (multipart) - Columns: symbol, action, entry, targets, stop_loss,
+ *   call_type, posted_at, exit, exited_at, notes
+ * - calls: array (JSON body, instead of a file) - Same fields per call
+ * - default_call_type: string (optional) - For rows without call_type
+ * - audience: string (optional, default: 'free') - 'free', 'paid', 'both'
+ * - dry_run: boolean (optional) - Validate and preview only, nothing is saved
+ *
+ * Response:
+ * - 201: Calls imported, with the row-level report
+ * - 200: Dry run, or no row imported, with the row-level report
+ * - 400: No file/rows, unreadable file, or more than CALL_IMPORT.MAX_ROWS rows
+ * - 403: Not an analyst
+ */
+const importCalls = asyncHandler(async (req, res) => {
+  const analystId = req.user.id;
+  const {
+    default_call_type: defaultCallType = null,
+    audience = 'free',
+    dry_run: dryRun = false
+  } = req.body;
+
+  if (!['free', 'paid', 'both'].includes(audience)) {
+    throw new AppError('audience must be free, paid, or both', 400);
+  }
+
+  let parsed;
+  if (req.file) {
+    const format = path.extname(req.file.originalname).toLowerCase() === '.json' ? 'json' : 'csv';
+    parsed = parseImportFile(await fs.promises.readFile(req.file.path, 'utf8'), format);
+  } else if (req.body.calls !== undefined) {
+    parsed = parseImportFile(req.body.calls, 'json');
+  } else {
+    throw new AppError('Upload a CSV or JSON file (field "file") or send a "calls" array', 400);
+  }
+
+  if (!parsed.valid) {
+    throw new AppError(parsed.errors.join(', '), 400);
+  }
+
+  if (parsed.records.length === 0) {
+    throw new AppError('The import has no rows', 400);
+  }
+
+  if (parsed.records.length > CALL_IMPORT.MAX_ROWS) {
+    throw new AppError(`An import can have at most ${CALL_IMPORT.MAX_ROWS} rows`, 400);
+  }
+
+  const { calls, errors } = validateImportRows(parsed.records, {
+    firstRow: parsed.firstRow,
+    defaultCallType
+  });
+
+  const result = dryRun === true || calls.length === 0
+    ? { imported: [], duplicates: [] }
+    : await PostModel.importHistoricalCalls(analystId, calls, { audience });
+
+  const report = {
+    dry_run: dryRun === true,
+    label: CALL_IMPORT.LABEL,
+    total_rows: parsed.records.length,
+    valid_rows: calls.length,
+    imported_count: result.imported.length,
+    duplicate_count: result.duplicates.length,
+    error_count: errors.length,
+    imported: result.imported,
+    duplicates: result.duplicates,
+    errors
+  };
+
+  if (dryRun === true) {
+    report.preview = calls.map(call => ({
+      row: call.row,
+      stock_symbol: call.stock_symbol,
+      action: call.action,
+      call_status: call.call_status,
+      profit_percent: call.profit_percent
+    }));
+  }
+
+  res.status(result.imported.length > 0 ? 201 : 200).json({
+    success: true,
+    message: dryRun === true
+      ? `${calls.length} of ${parsed.records.length} rows are valid (dry run, nothing saved)`
+      : `${result.imported.length} of ${parsed.records.length} calls imported`,
+    data: report
+  });
+});
+
+/**
+ * POST /api/posts/drafts
+ * Create a draft
+ *
+ * Request body (all optional):
+ * - raw_content, language, post_type, audience, is_urgent, title, stock_symbol, action,
+ *   entry_price, target_price, stop_loss, strategy_type, targets, legs, publish_at
+ *   (prices: number or null; post_type and strategy_type: posts enums)
+ * - ai_result: object - Last /format-call result
+ *
+ * Response:
+ * - 201: Draft created
+ * - 400: Invalid draft fields
+ */
+const createDraft = asyncHandler(async (req, res) => {
+  const draft = await PostDraftModel.createDraft(req.user.id, parseDraftFields(req.body));
+
+  res.status(201).json({
+    success: true,
+    message: 'Draft created successfully',
+    data: { draft }
+  });
+});
+
+/**
+ * GET /api/posts/drafts
+ * Get analyst's drafts (most recently saved first)
+ *
+ * Query params:
+ * - include_promoted: boolean (default: false) - Include drafts already published as posts
+ *
+ * Response:
+ * - 200: Drafts
+ */
+const getDrafts = asyncHandler(async (req, res) => {
+  const drafts = await PostDraftModel.getAnalystDrafts(req.user.id, {
+    includePromoted: req.query.include_promoted === 'true'
+  });
+
+  res.json({
+    success: true,
+    message: 'Drafts fetched successfully',
+    data: { drafts }
+  });
+});
+
+/**
+ * GET /api/posts/drafts/:draftId
+ * Get a draft
+ *
+ * Response:
+ * - 200: Draft
+ * - 404: Draft not found
+ */
+const getDraftById = asyncHandler(async (req, res) => {
+  const draft = await PostDraftModel.findDraftById(req.params.draftId, req.user.id);
+
+  if (!draft) {
+    throw new AppError('Draft not found', 404);
+  }
+
+  res.json({
+    success: true,
+    message: 'Draft fetched successfully',
+    data: { draft }
+  });
+});
+
+/**
+ * PATCH /api/posts/drafts/:draftId
+ * Autosave a draft (only the fields sent are changed)
+ *
+ * Request body:
+ * - Any draft field (see POST /api/posts/drafts)
+ * - version: number (optional) - Version being edited; a newer saved version returns 409
+ *
+ * Response:
+ * - 200: Draft saved (version incremented)
+ * - 400: Invalid draft fields
+ * - 404: Draft not found
+ * - 409: Draft changed elsewhere or already published
+ */
+const autosaveDraft = asyncHandler(async (req, res) => {
+  const { version } = req.body;
+
+  if (version !== undefined && version !== null && !Number.isInteger(version)) {
+    throw new AppError('version must be an integer', 400);
+  }
+
+  const draft = await PostDraftModel.updateDraft(
+    req.params.draftId,
+    req.user.id,
+    parseDraftFields(req.body),
+    version
+  );
+
+  res.json({
+    success: true,
+    message: 'Draft saved',
+    data: { draft }
+  });
+});
+
+/**
+ * DELETE /api/posts/drafts/:draftId
+ * Delete a draft (published drafts are kept for auditing)
+ *
+ * Response:
+ * - 200: Draft deleted
+ * - 404: Draft not found or already published
+ */
+const deleteDraft = asyncHandler(async (req, res) => {
+  await PostDraftModel.deleteDraft(req.params.draftId, req.user.id);
+
+  res.json({
+    success: true,
+    message: 'Draft deleted successfully'
+  });
+});
+
+/**
+ * POST /api/posts/drafts/:draftId/promote
+ * Publish (or schedule, with publish_at) a draft as a post
+ * Uses the draft's fields, falling back to its last AI result; the post goes
+ * through the same validation as POST /api/posts/create and the draft keeps
+ * a link to it (promoted_post_id).
+ *
+ * Request body:
+ * - is_hedge: boolean (optional) - See POST /api/posts/create
+ * - free_after: object (optional) - See POST /api/posts/create
+ * - disclosure: object (required for calls) - See POST /api/posts/create
+ *
+ * Response:
+ * - 201: Post created (or scheduled)
+ * - 400: Validation error
+ * - 404: Draft not found
+ * - 409: Draft already published, or opposite call on the same symbol still open
+ */
+const promoteDraft = asyncHandler(async (req, res) => {
+  const analystId = req.user.id;
+  const draft = await PostDraftModel.findDraftById(req.params.draftId, analystId);
+
+  if (!draft) {
+    throw new AppError('Draft not found', 404);
+  }
+
+  if (draft.promoted_post_id) {
+    throw new AppError('Draft has already been published', 409);
+  }
+
+  if (!draft.raw_content || !draft.raw_content.trim()) {
+    throw new AppError('Content is required', 400);
+  }
+
+  if (!draft.audience || !['free', 'paid', 'both'].includes(draft.audience)) {
+    throw new AppError('Valid audience is required (free, paid, or both)', 400);
+  }
+
+  await assertDailyPostLimit(analystId);
+
+  const postType = draft.post_type || 'call';
+  const ai = draft.ai_result || {};
+
+  // The analyst's edits on the draft win over the AI result
+  const stockSymbol = draft.stock_symbol || ai.stock_symbol || null;
+  const action = draft.action || ai.action || null;
+  const targets = draft.targets || (ai.targets?.length > 0 ? ai.targets : null);
+  const legs = draft.legs || (ai.legs?.length > 0 ? ai.legs : null);
+
+  const postData = {
+    analyst_id: analystId,
+    title: draft.title || generateCallTitle(postType, stockSymbol, action, legs),
+    content: draft.raw_content,
+    content_formatted: draft.ai_result || null,
+    post_type: postType,
+    strategy_type: (draft.strategy_type || ai.db_strategy_type || null)?.toLowerCase() || null,
+    audience: draft.audience,
+    stock_symbol: stockSymbol,
+    action: action,
+    entry_price: draft.entry_price || ai.entry_price || null,
+    target_price: draft.target_price || ai.target_price || null,
+    targets: targets,
+    legs: legs,
+    stop_loss: draft.stop_loss || ai.stop_loss || null,
+    risk_reward_ratio: ai.risk_reward_ratio || null,
+    is_urgent: draft.is_urgent || false,
+    publish_at: draft.publish_at || null,
+    is_hedge: req.body.is_hedge === true,
+    free_after: req.body.free_after ?? null,
+    disclosure: req.body.disclosure ?? null,
+    draft_id: draft.id
+  };
+
+  const post = await PostModel.createPost(postData);
+  await attachMedia([post], analystId);
+
+  if (post.published_at) {
+    notifyUrgentPost(post);
+    notifyWatchlistCall(post);
+    publishPostEvent(SOCKET_EVENTS.POST_CREATED, post.id);
+  }
+
+  res.status(201).json({
+    success: true,
+    message: post.published_at ? 'Draft published successfully' : 'Draft scheduled successfully',
+    data: {
+      post,
+      draft_id: draft.id
+    }
+  });
+});
+
 /**
  * POST /api/posts/:id/format-ai
  * Re-format existing post with AI
@@ -281,6 +782,8 @@ const reformatWithAI = asyncHandler(async (req, res) => {
     strategy_type: aiResult.data.strategy_type?.toLowerCase() || post.strategy_type
   });
 
+  publishPostEvent(SOCKET_EVENTS.POST_UPDATED, id);
+
   res.json({
     success: true,
     message: 'Post formatted successfully',
@@ -299,9 +802,10 @@ const reformatWithAI = asyncHandler(async (req, res) => {
  * - raw_input: string (required) - Raw text/voice input
  * - call_type: string (optional) - Suggested call type (longterm, positional, swing, intraday, overnight, quant)
  * - stock_symbol: string (optional) - Stock symbol hint (will be validated and normalized)
+ * - draft_id: UUID (optional) - Save the result on this draft (ai_result)
  *
  * Response:
- * - 200: Call formatted successfully
+ * - 200: Call formatted successfully (with `draft: { id, version }` when draft_id is given)
  * - 400: Validation error
  * - 401: Unauthorized
  * - 500: AI formatting failed
@@ -315,7 +819,7 @@ const reformatWithAI = asyncHandler(async (req, res) => {
  * }
  */
 const formatCallWithAI = asyncHandler(async (req, res) => {
-  const { raw_input, call_type, stock_symbol } = req.body;
+  const { raw_input, call_type, stock_symbol, draft_id } = req.body;
 
   // Validation
   if (!raw_input || typeof raw_input !== 'string' || !raw_input.trim()) {
@@ -330,6 +834,11 @@ const formatCallWithAI = asyncHandler(async (req, res) => {
     );
   }
 
+  // Checked before the AI call, so a bad draft_id does not cost a formatting run
+  if (draft_id && (typeof draft_id !== 'string' || !UUID_PATTERN.test(draft_id))) {
+    throw new AppError('draft_id must be a valid UUID', 400);
+  }
+
   // Normalize and validate stock symbol if provided
   let normalizedSymbol = null;
   if (stock_symbol) {
@@ -386,32 +895,45 @@ const formatCallWithAI = asyncHandler(async (req, res) => {
 
   const dbStrategyType = strategyTypeMapping[formattedCall.call_type] || formattedCall.call_type;
 
+  const result = {
+    call_type: formattedCall.call_type,
+    call_type_description: CALL_TYPES[formattedCall.call_type],
+    stock_symbol: formattedCall.stock_symbol,
+    action: formattedCall.action,
+    entry_price: formattedCall.entry_price,
+    target_price: formattedCall.target_price,
+    targets: formattedCall.targets || [],
+    legs: formattedCall.legs || [],
+    payoff: formattedCall.payoff || null,
+    leg_warnings: formattedCall.leg_warnings || [],
+    stop_loss: formattedCall.stop_loss,
+    quantity_suggestion: formattedCall.quantity_suggestion,
+    strategy: formattedCall.strategy,
+    risk_reward_ratio: formattedCall.risk_reward_ratio,
+    time_frame: formattedCall.time_frame,
+    reasoning: formattedCall.reasoning,
+    formatted_text: formattedCall.formatted_text,
+    // Database-compatible fields
+    db_strategy_type: dbStrategyType,
+    // Metadata
+    metadata: {
+      ...aiResult.metadata,
+      price_validation: priceValidation,
+      stock_symbol_validated: formattedCall.stock_symbol ? isValidSymbol(formattedCall.stock_symbol) : false
+    }
+  };
+
+  // Keep the last AI result on the draft being composed
+  if (draft_id) {
+    const { metadata, ...formatted } = result;
+    const draft = await PostDraftModel.updateDraft(draft_id, req.user.id, { ai_result: formatted });
+    result.draft = { id: draft.id, version: draft.version };
+  }
+
   res.json({
     success: true,
     message: 'Trading call formatted successfully',
-    data: {
-      call_type: formattedCall.call_type,
-      call_type_description: CALL_TYPES[formattedCall.call_type],
-      stock_symbol: formattedCall.stock_symbol,
-      action: formattedCall.action,
-      entry_price: formattedCall.entry_price,
-      target_price: formattedCall.target_price,
-      stop_loss: formattedCall.stop_loss,
-      quantity_suggestion: formattedCall.quantity_suggestion,
-      strategy: formattedCall.strategy,
-      risk_reward_ratio: formattedCall.risk_reward_ratio,
-      time_frame: formattedCall.time_frame,
-      reasoning: formattedCall.reasoning,
-      formatted_text: formattedCall.formatted_text,
-      // Database-compatible fields
-      db_strategy_type: dbStrategyType,
-      // Metadata
-      metadata: {
-        ...aiResult.metadata,
-        price_validation: priceValidation,
-        stock_symbol_validated: formattedCall.stock_symbol ? isValidSymbol(formattedCall.stock_symbol) : false
-      }
-    }
+    data: result
   });
 });
 
@@ -451,33 +973,121 @@ const validatePriceLogic = (call) => {
 };
 
 /**
- * GET /api/posts/feed
- * Get user's personalized feed with filters
- *
- * Query params:
- * - page: number (default: 1)
- * - limit: number (default: 20, max: 100)
- * - date_filter: string (all, today, this_week, this_month)
- * - urgency_filter: string (all, urgent_only)
- * - strategy_filter: string (all, intraday, swing, positional, long_term, options)
- * - analyst_id: UUID (optional, filter by specific analyst)
+ * Read pagination from the query string
+ * Offset pages unless the client opts in to cursors (`cursor` or `pagination=cursor`)
  *
- * Response:
- * - 200: Feed data
+ * @param {Object} queryParams - req.query
+ * @returns {Object} - { page, cursor, pagination }
  */
-const getUserFeed = asyncHandler(async (req, res) => {
-  const userId = req.user.id;
+const getPagination = (queryParams) => {
+  const pagination = queryParams.pagination || 'offset';
+  if (!['offset', 'cursor'].includes(pagination)) {
+    throw new AppError('pagination must be offset or cursor', 400);
+  }
 
-  const filters = {
-    page: parseInt(req.query.page) || 1,
-    limit: Math.min(parseInt(req.query.limit) || 20, 100),
-    date_filter: req.query.date_filter || 'all',
-    urgency_filter: req.query.urgency_filter || 'all',
-    strategy_filter: req.query.strategy_filter || 'all',
-    analyst_id: req.query.analyst_id || null
+  return {
+    page: parseInt(queryParams.page) || 1,
+    cursor: queryParams.cursor || null,
+    pagination
   };
+};
 
-  const feed = await PostModel.getFeedForUser(userId, filters);
+/**
+ * Reject an analyst_id filter that is not a UUID (null/undefined pass)
+ *
+ * @param {*} analystId - From the query string
+ */
+const checkAnalystId = (analystId) => {
+  if (analystId && (typeof analystId !== 'string' || !UUID_PATTERN.test(analystId))) {
+    throw new AppError('analyst_id must be a valid UUID', 400);
+  }
+};
+
+/**
+ * Read feed filters from the query string
+ *
+ * @param {Object} queryParams - req.query
+ * @returns {Object} - { date_filter, urgency_filter, strategy_filter, sector, analyst_id, watchlist_only, include_teasers }
+ */
+const getFeedFilters = (queryParams) => {
+  const sector = queryParams.sector ? String(queryParams.sector).toLowerCase() : null;
+  if (sector && !isValidSector(sector)) {
+    throw new AppError('Invalid sector', 400);
+  }
+  checkAnalystId(queryParams.analyst_id);
+
+  return {
+    date_filter: queryParams.date_filter || 'all',
+    urgency_filter: queryParams.urgency_filter || 'all',
+    strategy_filter: queryParams.strategy_filter || 'all',
+    sector,
+    analyst_id: queryParams.analyst_id || null,
+    watchlist_only: queryParams.watchlist_only === 'true',
+    include_teasers: queryParams.include_teasers === 'true'
+  };
+};
+
+/**
+ * GET /api/posts/feed
+ * Get user's personalized feed with filters
+ *
+ * Query params:
+ * - sort: string (chronological, ranked) (default: chronological)
+ *   ranked scores recent posts on the trader profile (style, risk, interests),
+ *   urgency, recency and analyst track record; each post carries
+ *   `ranking: { score, reasons }` and pages with `page`
+ * - page: number (default: 1) - Offset page, urgent and pinned posts first
+ * - pagination: string (offset, cursor) (default: offset) - cursor pages newest first and
+ *   returns next_cursor / prev_cursor instead of page / totalPages
+ * - cursor: string (optional) - next_cursor (older) or prev_cursor (newer) from a previous
+ *   page; implies pagination=cursor
+ * - limit: number (default: 20, max: 100)
+ * - date_filter: string (all, today, this_week, this_month)
+ * - urgency_filter: string (all, urgent_only)
+ * - strategy_filter: string (all, intraday, swing, positional, long_term, options)
+ * - sector: string (optional) - Sector key from GET /api/posts/sectors (e.g. banking, it)
+ * - analyst_id: UUID (optional, filter by specific analyst)
+ * - watchlist_only: boolean (default: false) - Only posts on symbols in the user's watchlist
+ * - include_teasers: boolean (default: false) - Also return paid posts of analysts the user
+ *   is not subscribed to, as teasers (symbol, direction, strategy, time; levels redacted;
+ *   `is_teaser: true` and an `unlock` CTA to the analyst's tiers)
+ *
+ * Response:
+ * - 200: Feed data
+ */
+const getUserFeed = asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+  const sort = req.query.sort || 'chronological';
+
+  if (!['chronological', 'ranked'].includes(sort)) {
+    throw new AppError('sort must be chronological or ranked', 400);
+  }
+
+  if (sort === 'ranked') {
+    const feed = await getRankedFeed(userId, {
+      ...getFeedFilters(req.query),
+      page: parseInt(req.query.page) || 1,
+      limit: Math.min(parseInt(req.query.limit) || 20, 100)
+    });
+    await attachMedia(feed.posts, userId);
+    trackTeaserImpressions(userId, feed.posts, 'feed');
+
+    return res.json({
+      success: true,
+      message: 'Feed fetched successfully',
+      data: feed
+    });
+  }
+
+  const filters = {
+    ...getFeedFilters(req.query),
+    ...getPagination(req.query),
+    limit: Math.min(parseInt(req.query.limit) || 20, 100)
+  };
+
+  const feed = await PostModel.getFeedForUser(userId, filters);
+  await attachMedia(feed.posts, userId);
+  trackTeaserImpressions(userId, feed.posts, 'feed');
 
   res.json({
     success: true,
@@ -486,6 +1096,30 @@ const getUserFeed = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * GET /api/posts/feed/new-count
+ * Count feed posts newer than a cursor (for a "N new posts" banner)
+ *
+ * Query params:
+ * - cursor: string (required) - prev_cursor of the first feed page
+ * - date_filter, urgency_filter, strategy_filter, sector, analyst_id, watchlist_only: same as the feed
+ *
+ * Response:
+ * - 200: { count }
+ * - 400: Missing or invalid cursor
+ */
+const getNewFeedPostsCount = asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+
+  const count = await PostModel.countFeedPostsSince(userId, req.query.cursor, getFeedFilters(req.query));
+
+  res.json({
+    success: true,
+    message: 'New post count fetched successfully',
+    data: { count }
+  });
+});
+
 /**
  * GET /api/posts/:id
  * Get single post by ID
@@ -494,7 +1128,7 @@ const getUserFeed = asyncHandler(async (req, res) => {
  * - id: Post UUID
  *
  * Response:
- * - 200: Post data
+ * - 200: Post data (calls include `updates`, the call update timeline)
  * - 404: Post not found
  * - 403: Access denied (subscription required)
  */
@@ -509,8 +1143,13 @@ const getPostById = asyncHandler(async (req, res) => {
     throw new AppError(accessCheck.reason, 404);
   }
 
+  // Non-subscribers get blurred attachment previews
+  await attachMedia([accessCheck.post], userId);
+
   // If user doesn't have full access, inform them
   if (!accessCheck.showFullContent) {
+    trackTeaserImpressions(userId, [accessCheck.post], 'post');
+
     return res.json({
       success: true,
       message: 'Post preview available',
@@ -529,16 +1168,107 @@ const getPostById = asyncHandler(async (req, res) => {
     });
   }
 
+  const post = accessCheck.post;
+  if (post.post_type === 'call') {
+    post.updates = await CallUpdateModel.getUpdatesByPostId(id);
+  }
+
   res.json({
     success: true,
     message: 'Post fetched successfully',
     data: {
-      post: accessCheck.post,
+      post,
       fullAccessAvailable: true
     }
   });
 });
 
+/**
+ * POST /api/posts/:id/teaser-click
+ * Record a "subscribe to unlock" click on a teaser
+ * Clicks feed the teaser funnel in GET /api/analytics/teasers.
+ *
+ * Request body:
+ * - source: string (optional) - TEASER_SOURCES ('feed', 'analyst_page', 'post');
+ *   anything else is recorded as 'post'
+ *
+ * Response:
+ * - 200: { unlock } - Where to send the user (analyst's tiers)
+ * - 400: Post is not a teaser for this user
+ * - 404: Post not found
+ */
+const recordTeaserClick = asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+  const accessCheck = await PostModel.checkPostAccess(req.params.id, userId);
+
+  if (!accessCheck.hasAccess) {
+    throw new AppError(accessCheck.reason, 404);
+  }
+
+  if (accessCheck.showFullContent) {
+    throw new AppError('You already have access to this post', 400);
+  }
+
+  const source = TEASER_SOURCES.includes(req.body.source) ? req.body.source : 'post';
+  await TeaserEventModel.recordEvents(userId, [accessCheck.post], 'click', source);
+
+  res.json({
+    success: true,
+    message: 'Teaser click recorded',
+    data: { unlock: accessCheck.post.unlock }
+  });
+});
+
+/**
+ * GET /api/posts/:id/history
+ * Get post edit history
+ *
+ * Request params:
+ * - id: Post UUID
+ *
+ * Response:
+ * - 200: { edit_count, chain_valid, versions: [{ version_number, snapshot, changes, content_hash, ... }] }
+ * - 403: Subscription required
+ * - 404: Post not found
+ */
+const getPostHistory = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const userId = req.user?.id;
+
+  const accessCheck = await PostModel.checkPostAccess(id, userId);
+
+  if (!accessCheck.hasAccess) {
+    throw new AppError(accessCheck.reason, 404);
+  }
+
+  const isAuthor = userId && accessCheck.post.analyst_id === userId;
+  if (!accessCheck.showFullContent && !isAuthor) {
+    throw new AppError('Subscription required to view edit history', 403);
+  }
+
+  const versions = await PostVersionModel.getVersionHistory(id);
+  const chain = PostVersionModel.verifyChain(versions);
+
+  const history = versions.map((version, index) => ({
+    ...version,
+    changes: index === 0
+      ? {}
+      : PostVersionModel.diffSnapshots(versions[index - 1].snapshot, version.snapshot)
+  }));
+
+  res.json({
+    success: true,
+    message: 'Post history fetched successfully',
+    data: {
+      post_id: id,
+      edit_count: accessCheck.post.edit_count || 0,
+      chain_valid: chain.valid,
+      chain_broken_at: chain.broken_at,
+      versions: history
+    }
+  });
+});
+
 /**
  * PUT /api/posts/:id
  * Update post
@@ -553,8 +1283,16 @@ const getPostById = asyncHandler(async (req, res) => {
  * - audience: string (optional)
  * - is_urgent: boolean (optional)
  * - is_pinned: boolean (optional)
+ * - free_after: object|null (optional) - Free release policy (null = analyst default)
  * - ... other post fields
  *
+ * - attachments: files (optional, multipart) - Additional chart images / PDF note
+ * - remove_attachment_ids: array (optional) - Attachments to delete
+ *
+ * Edits append a version to the post's history and increment edit_count.
+ * Attachment changes alone are not counted as edits.
+ * Staged targets and option legs are frozen once published (400 if `targets` or `legs` is sent).
+ *
  * Response:
  * - 200: Post updated
  * - 404: Post not found
@@ -575,11 +1313,14 @@ const updatePost = asyncHandler(async (req, res) => {
     'action',
     'entry_price',
     'target_price',
+    'targets',
+    'legs',
     'stop_loss',
     'risk_reward_ratio',
     'confidence_level',
     'is_urgent',
-    'is_pinned'
+    'is_pinned',
+    'free_after'
   ];
 
   allowedFields.forEach(field => {
@@ -588,11 +1329,44 @@ const updatePost = asyncHandler(async (req, res) => {
     }
   });
 
-  if (Object.keys(updates).length === 0) {
+  const files = req.files || [];
+  const removeIds = Array.isArray(req.body.remove_attachment_ids) ? req.body.remove_attachment_ids : [];
+  const changesAttachments = files.length > 0 || removeIds.length > 0;
+
+  if (Object.keys(updates).length === 0 && !changesAttachments) {
     throw new AppError('No valid fields to update', 400);
   }
 
-  const updatedPost = await PostModel.updatePost(id, analystId, updates);
+  let updatedPost;
+  if (Object.keys(updates).length > 0) {
+    updatedPost = await PostModel.updatePost(id, analystId, updates);
+  } else {
+    updatedPost = await PostModel.findPostById(id);
+    if (!updatedPost || updatedPost.analyst_id !== analystId) {
+      throw new AppError('Post not found or you do not have permission to update it', 404);
+    }
+  }
+
+  if (changesAttachments) {
+    if (removeIds.length > 0) {
+      const removed = await PostAttachmentModel.deleteAttachments(id, removeIds);
+      await removeAttachmentFiles(removed);
+    }
+
+    const existing = await PostAttachmentModel.getAttachmentsByPostId(id);
+    const uploaded = await uploadAttachments(analystId, files, existing);
+    try {
+      await PostAttachmentModel.createAttachments(id, uploaded);
+    } catch (error) {
+      await removeAttachmentFiles(uploaded);
+      throw error;
+    }
+  }
+
+  await attachMedia([updatedPost], analystId);
+
+  // Live push to the analyst's room (scheduled posts are skipped until released)
+  publishPostEvent(SOCKET_EVENTS.POST_UPDATED, id);
 
   res.json({
     success: true,
@@ -618,6 +1392,7 @@ const deletePost = asyncHandler(async (req, res) => {
   const analystId = req.user.id;
 
   await PostModel.deletePost(id, analystId);
+  await removePostAttachments(id);
 
   res.json({
     success: true,
@@ -625,6 +1400,122 @@ const deletePost = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * GET /api/posts/scheduled
+ * Get analyst's scheduled (not yet published) posts
+ *
+ * Response:
+ * - 200: Scheduled posts, soonest first
+ */
+const getScheduledPosts = asyncHandler(async (req, res) => {
+  const analystId = req.user.id;
+
+  const posts = await PostModel.getScheduledPosts(analystId);
+
+  res.json({
+    success: true,
+    message: 'Scheduled posts fetched successfully',
+    data: { posts }
+  });
+});
+
+/**
+ * PUT /api/posts/:id/schedule
+ * Reschedule a post that has not been published yet
+ *
+ * Request params:
+ * - id: Post UUID
+ *
+ * Request body:
+ * - publish_at: ISO datetime (required, in the future)
+ *
+ * Response:
+ * - 200: Post rescheduled
+ * - 400: Invalid or past publish_at
+ * - 404: Scheduled post not found or already published
+ */
+const reschedulePost = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const analystId = req.user.id;
+  const { publish_at } = req.body;
+
+  if (!publish_at) {
+    throw new AppError('publish_at is required', 400);
+  }
+
+  const post = await PostModel.reschedulePost(id, analystId, publish_at);
+
+  res.json({
+    success: true,
+    message: 'Post rescheduled successfully',
+    data: { post }
+  });
+});
+
+/**
+ * DELETE /api/posts/:id/schedule
+ * Cancel a scheduled post before it goes live
+ *
+ * Request params:
+ * - id: Post UUID
+ *
+ * Response:
+ * - 200: Scheduled post cancelled
+ * - 404: Scheduled post not found or already published
+ */
+const cancelScheduledPost = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const analystId = req.user.id;
+
+  await PostModel.cancelScheduledPost(id, analystId);
+  await removePostAttachments(id);
+
+  res.json({
+    success: true,
+    message: 'Scheduled post cancelled successfully'
+  });
+});
+
+/**
+ * Reject a collection_id that is not a UUID (null/undefined pass)
+ *
+ * @param {*} collectionId - From the request
+ */
+const checkCollectionId = (collectionId) => {
+  if (collectionId && (typeof collectionId !== 'string' || !UUID_PATTERN.test(collectionId))) {
+    throw new AppError('collection_id must be a valid UUID', 400);
+  }
+};
+
+/**
+ * Parse bookmark list/export filters from the query string
+ *
+ * @param {Object} queryParams - req.query (tag, call_status, q)
+ * @param {string|null} collectionId - Collection UUID, 'none' or null (all)
+ * @returns {Object} - { collectionId, tag, callStatus, search }
+ */
+const getBookmarkFilters = (queryParams, collectionId) => {
+  if (collectionId !== 'none') {
+    checkCollectionId(collectionId);
+  }
+
+  if (queryParams.call_status && !CALL_STATUSES.includes(queryParams.call_status)) {
+    throw new AppError(`Invalid call_status. Must be one of: ${CALL_STATUSES.join(', ')}`, 400);
+  }
+
+  const search = String(queryParams.q || '').trim();
+  if (search.length > 100) {
+    throw new AppError('Search text must be at most 100 characters', 400);
+  }
+
+  return {
+    collectionId: collectionId || null,
+    tag: queryParams.tag ? String(queryParams.tag) : null,
+    callStatus: queryParams.call_status || null,
+    search: search || null
+  };
+};
+
 /**
  * POST /api/posts/:id/bookmark
  * Bookmark a post
@@ -634,18 +1525,22 @@ const deletePost = asyncHandler(async (req, res) => {
  *
  * Request body:
  * - notes: string (optional) - User notes
+ * - collection_id: UUID (optional) - One of the user's collections
+ * - tags: string[] (optional) - e.g. ["breakout", "earnings"]
  *
  * Response:
  * - 201: Bookmarked successfully
  * - 409: Already bookmarked
- * - 404: Post not found
+ * - 404: Post or collection not found
  */
 const bookmarkPost = asyncHandler(async (req, res) => {
   const { id } = req.params;
-  const { notes = null } = req.body;
+  const { notes = null, collection_id = null, tags = [] } = req.body;
   const userId = req.user.id;
 
-  const bookmark = await BookmarkModel.createBookmark(userId, id, notes);
+  checkCollectionId(collection_id);
+
+  const bookmark = await BookmarkModel.createBookmark(userId, id, notes, { collection_id, tags });
 
   res.status(201).json({
     success: true,
@@ -654,6 +1549,41 @@ const bookmarkPost = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * PATCH /api/posts/:id/bookmark
+ * Update a bookmark's notes, collection or tags
+ *
+ * Request params:
+ * - id: Post UUID
+ *
+ * Request body (all optional):
+ * - notes: string | null
+ * - collection_id: UUID | null - null moves the bookmark out of its collection
+ * - tags: string[] - Replaces the bookmark's tags
+ *
+ * Response:
+ * - 200: Bookmark updated
+ * - 404: Bookmark or collection not found
+ */
+const updateBookmark = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const userId = req.user.id;
+
+  checkCollectionId(req.body.collection_id);
+
+  const bookmark = await BookmarkModel.updateBookmark(userId, id, {
+    notes: req.body.notes,
+    collection_id: req.body.collection_id,
+    tags: req.body.tags
+  });
+
+  res.json({
+    success: true,
+    message: 'Bookmark updated successfully',
+    data: { bookmark }
+  });
+});
+
 /**
  * DELETE /api/posts/:id/bookmark
  * Remove bookmark
@@ -683,17 +1613,27 @@ const removeBookmark = asyncHandler(async (req, res) => {
  *
  * Query params:
  * - page: number (default: 1)
+ * - pagination: string (offset, cursor) (default: offset) - cursor returns
+ *   next_cursor / prev_cursor instead of page / totalPages
+ * - cursor: string (optional) - next_cursor / prev_cursor from a previous page;
+ *   implies pagination=cursor
  * - limit: number (default: 20)
+ * - collection_id: UUID | 'none' (optional) - One collection, or uncategorized bookmarks
+ * - tag: string (optional)
+ * - call_status: string (optional) - 'open', 'target_hit', 'stop_loss_hit', 'closed', 'expired'
+ * - q: string (optional) - Search the bookmark notes
  *
  * Response:
  * - 200: Bookmarks data
+ * - 400: Invalid filters
  */
 const getUserBookmarks = asyncHandler(async (req, res) => {
   const userId = req.user.id;
 
   const options = {
-    page: parseInt(req.query.page) || 1,
-    limit: Math.min(parseInt(req.query.limit) || 20, 100)
+    ...getPagination(req.query),
+    limit: Math.min(parseInt(req.query.limit) || 20, 100),
+    ...getBookmarkFilters(req.query, req.query.collection_id)
   };
 
   const bookmarks = await BookmarkModel.getUserBookmarks(userId, options);
@@ -705,6 +1645,329 @@ const getUserBookmarks = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * GET /api/posts/bookmarks/tags
+ * Tags used on the user's bookmarks (for the tag filter)
+ *
+ * Response:
+ * - 200: { tags: [{ tag, bookmarks_count }] }
+ */
+const getBookmarkTags = asyncHandler(async (req, res) => {
+  const tags = await BookmarkModel.getUserBookmarkTags(req.user.id);
+
+  res.json({
+    success: true,
+    message: 'Bookmark tags fetched successfully',
+    data: { tags }
+  });
+});
+
+/**
+ * GET /api/posts/bookmarks/collections
+ * User's bookmark collections
+ *
+ * Response:
+ * - 200: { collections: [{ id, name, description, bookmarks_count, ... }] }
+ */
+const getBookmarkCollections = asyncHandler(async (req, res) => {
+  const collections = await BookmarkCollectionModel.getUserCollections(req.user.id);
+
+  res.json({
+    success: true,
+    message: 'Collections fetched successfully',
+    data: { collections }
+  });
+});
+
+/**
+ * POST /api/posts/bookmarks/collections
+ * Create a bookmark collection
+ *
+ * Request body:
+ * - name: string (required, unique per user)
+ * - description: string (optional)
+ *
+ * Response:
+ * - 201: Collection created
+ * - 400: Invalid name or collection limit reached
+ * - 409: Name already used
+ */
+const createBookmarkCollection = asyncHandler(async (req, res) => {
+  const collection = await BookmarkCollectionModel.createCollection(req.user.id, {
+    name: req.body.name,
+    description: req.body.description
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Collection created successfully',
+    data: { collection }
+  });
+});
+
+/**
+ * PATCH /api/posts/bookmarks/collections/:collectionId
+ * Rename a collection or change its description
+ *
+ * Request body:
+ * - name: string (optional)
+ * - description: string | null (optional)
+ *
+ * Response:
+ * - 200: Collection updated
+ * - 404: Collection not found
+ * - 409: Name already used
+ */
+const updateBookmarkCollection = asyncHandler(async (req, res) => {
+  const collection = await BookmarkCollectionModel.updateCollection(req.user.id, req.params.collectionId, {
+    name: req.body.name,
+    description: req.body.description
+  });
+
+  res.json({
+    success: true,
+    message: 'Collection updated successfully',
+    data: { collection }
+  });
+});
+
+/**
+ * DELETE /api/posts/bookmarks/collections/:collectionId
+ * Delete a collection; its bookmarks are kept, uncategorized
+ *
+ * Response:
+ * - 200: Collection deleted
+ * - 404: Collection not found
+ */
+const deleteBookmarkCollection = asyncHandler(async (req, res) => {
+  await BookmarkCollectionModel.deleteCollection(req.user.id, req.params.collectionId);
+
+  res.json({
+    success: true,
+    message: 'Collection deleted successfully'
+  });
+});
+
+/**
+ * GET /api/posts/bookmarks/collections/:collectionId/export
+ * Download a collection with call levels and outcomes
+ * Paid posts the user cannot read in full are exported without levels (levels_redacted).
+ *
+ * Request params:
+ * - collectionId: UUID, 'none' (uncategorized) or 'all'
+ *
+ * Query params:
+ * - format: 'csv' (default) or 'json'
+ * - tag, call_status, q: Same filters as GET /api/posts/bookmarks
+ *
+ * Response:
+ * - 200: File download (newest bookmarks first, at most BOOKMARK_SETTINGS.EXPORT_MAX_ROWS;
+ *   `X-Export-Truncated: true` when there were more)
+ * - 404: Collection not found
+ */
+const exportBookmarkCollection = asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+  const { collectionId } = req.params;
+  const format = req.query.format || 'csv';
+
+  if (!BOOKMARK_SETTINGS.EXPORT_FORMATS.includes(format)) {
+    throw new AppError(`format must be one of: ${BOOKMARK_SETTINGS.EXPORT_FORMATS.join(', ')}`, 400);
+  }
+
+  const filters = getBookmarkFilters(req.query, collectionId === 'all' ? null : collectionId);
+
+  let collection = null;
+  if (filters.collectionId && filters.collectionId !== 'none') {
+    collection = await BookmarkCollectionModel.findCollection(userId, filters.collectionId);
+    if (!collection) {
+      throw new AppError('Collection not found', 404);
+    }
+  }
+
+  const { bookmarks, truncated } = await BookmarkModel.getBookmarksForExport(userId, filters);
+  const records = bookmarks.map(bookmark => buildExportRecord(bookmark, {
+    postUrl: postId => `${config.frontend.url}/post/${postId}`
+  }));
+
+  const exportedAt = new Date();
+  const slug = collection
+    ? collection.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'collection'
+    : (filters.collectionId === 'none' ? 'uncategorized' : 'all');
+  const filename = `bookmarks-${slug}-${exportedAt.toISOString().slice(0, 10)}.${format}`;
+
+  res.set('Content-Disposition', `attachment; filename="${filename}"`);
+  res.set('Cache-Control', 'private, no-store');
+  res.set('X-Export-Truncated', String(truncated));
+
+  if (format === 'json') {
+    return res.status(200).json(renderJson(records, {
+      collection: collection ? { id: collection.id, name: collection.name } : null,
+      exported_at: exportedAt.toISOString(),
+      truncated
+    }));
+  }
+
+  res.set('Content-Type', 'text/csv; charset=utf-8');
+  return res.status(200).send(renderCsv(records));
+});
+
+/**
+ * Check that a user can take part in a post's discussion
+ * Same gating as the post itself: subscribers (or free posts) and the author
+ *
+ * @param {string} postId - Post UUID
+ * @param {string} userId - Current user ID (optional)
+ * @returns {Promise<Object>} - Post
+ */
+const getDiscussablePost = async (postId, userId) => {
+  const accessCheck = await PostModel.checkPostAccess(postId, userId);
+
+  if (!accessCheck.hasAccess) {
+    throw new AppError(accessCheck.reason, 404);
+  }
+
+  const isAuthor = userId && accessCheck.post.analyst_id === userId;
+  if (!accessCheck.showFullContent && !isAuthor) {
+    throw new AppError('Subscription required to view the discussion', 403);
+  }
+
+  return accessCheck.post;
+};
+
+/**
+ * GET /api/posts/:id/comments
+ * Get threaded comments of a post
+ *
+ * Query params:
+ * - page: number (default: 1) - Page of top-level comments
+ * - limit: number (default: 20)
+ *
+ * Response:
+ * - 200: { comments: [{ ..., is_analyst_reply, is_pinned, replies: [...] }], total, page, ... }
+ * - 403: Subscription required
+ * - 404: Post not found
+ */
+const getPostComments = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  await getDiscussablePost(id, req.user?.id);
+
+  const options = {
+    page: parseInt(req.query.page) || 1,
+    limit: Math.min(parseInt(req.query.limit) || 20, 100)
+  };
+
+  const comments = await PostCommentModel.getCommentsByPostId(id, options);
+
+  res.json({
+    success: true,
+    message: 'Comments fetched successfully',
+    data: comments
+  });
+});
+
+/**
+ * POST /api/posts/:id/comments
+ * Comment on a post or reply to a comment
+ *
+ * Request body:
+ * - content: string (required, max 1000 chars)
+ * - parent_comment_id: UUID (optional) - Comment being replied to
+ *
+ * Response:
+ * - 201: Comment created
+ * - 403: Subscription required
+ * - 404: Post or parent comment not found
+ */
+const addPostComment = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { content, parent_comment_id = null } = req.body;
+  const userId = req.user.id;
+
+  const post = await getDiscussablePost(id, userId);
+
+  const comment = await PostCommentModel.createComment({
+    post_id: id,
+    user_id: userId,
+    content,
+    parent_comment_id
+  });
+
+  // Notify the post author (non-blocking)
+  notifyNewComment(post, comment);
+
+  res.status(201).json({
+    success: true,
+    message: 'Comment posted successfully',
+    data: { comment }
+  });
+});
+
+/**
+ * DELETE /api/posts/:id/comments/:commentId
+ * Delete a comment
+ * Allowed for the comment author, the post's analyst (moderation) and admins
+ *
+ * Response:
+ * - 200: Comment deleted
+ * - 403: Not allowed
+ * - 404: Comment not found
+ */
+const deletePostComment = asyncHandler(async (req, res) => {
+  const { id, commentId } = req.params;
+  const userId = req.user.id;
+
+  const comment = await PostCommentModel.findCommentById(commentId);
+
+  if (!comment || comment.post_id !== id || comment.is_deleted) {
+    throw new AppError('Comment not found', 404);
+  }
+
+  const canModerate = comment.post_analyst_id === userId || req.user.role === 'admin';
+  if (comment.user_id !== userId && !canModerate) {
+    throw new AppError('You can only delete your own comments', 403);
+  }
+
+  await PostCommentModel.deleteComment(commentId, userId);
+
+  res.json({
+    success: true,
+    message: 'Comment deleted successfully'
+  });
+});
+
+/**
+ * PUT /api/posts/:id/comments/:commentId/pin
+ * DELETE /api/posts/:id/comments/:commentId/pin
+ * Pin or unpin a top-level comment (post analyst only)
+ * Pinning replaces the previously pinned comment
+ *
+ * Response:
+ * - 200: Updated comment
+ * - 404: Post or comment not found
+ */
+const setCommentPinned = (pinned) => asyncHandler(async (req, res) => {
+  const { id, commentId } = req.params;
+  const analystId = req.user.id;
+
+  const post = await PostModel.findPostById(id);
+
+  if (!post || post.analyst_id !== analystId) {
+    throw new AppError('Post not found or you do not have permission to moderate it', 404);
+  }
+
+  const comment = await PostCommentModel.setPinned(commentId, id, pinned);
+
+  res.json({
+    success: true,
+    message: pinned ? 'Comment pinned successfully' : 'Comment unpinned successfully',
+    data: { comment }
+  });
+});
+
+const pinPostComment = setCommentPinned(true);
+const unpinPostComment = setCommentPinned(false);
+
 /**
  * POST /api/posts/:id/mark-outcome
  * Mark call outcome (analyst only)
@@ -714,31 +1977,56 @@ const getUserBookmarks = asyncHandler(async (req, res) => {
  *
  * Request body:
  * - call_status: string (required) - 'target_hit', 'stop_loss_hit', 'closed', 'expired'
- * - actual_exit_price: number (optional)
- * - actual_profit_percent: number (optional)
+ *   ('open' only records target_outcomes on an open call)
+ * - actual_exit_price: number (required to close a call with targets still open)
+ * - actual_profit_percent: number (optional, only used without actual_exit_price;
+ *   calculated from the published entry, blended across targets, otherwise)
+ * - target_outcomes: array (optional) - Targets booked [{ target_order, exit_price }]
  *
  * Response:
  * - 200: Outcome marked
  * - 404: Post not found
  * - 403: Not authorized
+ * - 409: Call already closed by the price feed or expiry, or 'open' sent for a closed call
  */
 const markCallOutcome = asyncHandler(async (req, res) => {
   const { id } = req.params;
-  const { call_status, actual_exit_price, actual_profit_percent } = req.body;
+  const { call_status, actual_exit_price, actual_profit_percent, target_outcomes } = req.body;
   const analystId = req.user.id;
 
   if (!call_status) {
     throw new AppError('Call status is required', 400);
   }
 
+  if (target_outcomes !== undefined && !Array.isArray(target_outcomes)) {
+    throw new AppError('target_outcomes must be an array', 400);
+  }
+
   const outcomeData = {
     call_status,
-    actual_exit_price: actual_exit_price || null,
-    actual_profit_percent: actual_profit_percent || null
+    actual_exit_price: actual_exit_price ?? null,
+    actual_profit_percent: actual_profit_percent ?? null,
+    target_outcomes: target_outcomes || []
   };
 
   const updatedPost = await PostModel.markCallOutcome(id, analystId, outcomeData);
 
+  if (updatedPost.previous_status !== updatedPost.call_status) {
+    publishPostEvent(SOCKET_EVENTS.CALL_STATUS_CHANGED, id, {
+      previous_status: updatedPost.previous_status,
+      call_status: updatedPost.call_status,
+      outcome_source: 'analyst'
+    });
+  } else {
+    publishPostEvent(SOCKET_EVENTS.POST_UPDATED, id);
+  }
+
+  // Refresh win rate / average return (non-blocking)
+  AnalystProfile.recalculateCallStats(analystId).catch(error => {
+    console.error('Failed to refresh analyst call stats:', error);
+  });
+  recordClosedCall(analystId, updatedPost);
+
   res.json({
     success: true,
     message: 'Call outcome marked successfully',
@@ -746,6 +2034,44 @@ const markCallOutcome = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * POST /api/posts/:id/updates
+ * Post a structured follow-up on an open call (analyst only)
+ *
+ * Request params:
+ * - id: Post UUID
+ *
+ * Request body:
+ * - update_type: string (required) - trail_stop_loss, revise_target, partial_book, full_exit, add_more
+ * - new_stop_loss: number (trail_stop_loss)
+ * - new_target_price: number (revise_target)
+ * - price: number (partial_book, add_more; full_exit defaults to last traded price)
+ * - quantity_percent: number (partial_book, add_more) - % of the original position
+ * - note: string (optional)
+ *
+ * Response:
+ * - 201: Update posted, live levels changed, subscribers notified
+ * - 400: Invalid update for this call
+ * - 404: Post not found
+ */
+const createCallUpdate = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const analystId = req.user.id;
+  const { update_type } = req.body;
+
+  if (!update_type) {
+    throw new AppError('update_type is required', 400);
+  }
+
+  const { update, post } = await postCallUpdate(id, analystId, req.body);
+
+  res.status(201).json({
+    success: true,
+    message: 'Call update posted successfully',
+    data: { update, post }
+  });
+});
+
 /**
  * GET /api/posts/analytics/:id
  * Get post analytics (analyst only)
@@ -780,8 +2106,13 @@ const getPostAnalytics = asyncHandler(async (req, res) => {
  *
  * Query params:
  * - page: number (default: 1)
+ * - pagination: string (offset, cursor) (default: offset) - cursor returns
+ *   next_cursor / prev_cursor instead of page / totalPages
+ * - cursor: string (optional) - next_cursor / prev_cursor from a previous page;
+ *   implies pagination=cursor
  * - limit: number (default: 20)
  * - sample_only: boolean (default: false) - Get only 3 most recent posts
+ * - include_teasers: boolean (default: false) - Non-subscribers also get paid posts as teasers
  *
  * Response:
  * - 200: Analyst's posts
@@ -791,12 +2122,15 @@ const getAnalystPosts = asyncHandler(async (req, res) => {
   const userId = req.user?.id;
 
   const options = {
-    page: parseInt(req.query.page) || 1,
+    ...getPagination(req.query),
     limit: Math.min(parseInt(req.query.limit) || 20, 100),
-    sampleOnly: req.query.sample_only === 'true'
+    sampleOnly: req.query.sample_only === 'true',
+    includeTeasers: req.query.include_teasers === 'true'
   };
 
   const posts = await PostModel.getAnalystPosts(analystId, userId, options);
+  await attachMedia(posts.posts, userId);
+  trackTeaserImpressions(userId, posts.posts, 'analyst_page');
 
   res.json({
     success: true,
@@ -815,24 +2149,119 @@ const getAnalystPosts = asyncHandler(async (req, res) => {
  * Query params:
  * - page: number (default: 1)
  * - limit: number (default: 20)
+ * - scope: string (symbol, sector) (default: symbol) - sector lists posts on every
+ *   symbol in the stock's sector
  *
  * Response:
- * - 200: Posts for stock
+ * - 200: Posts for stock (+ sector: { sector, sector_name, industry } or null)
+ * - 400: Invalid scope, or scope=sector for a symbol without a sector
  */
 const getPostsByStock = asyncHandler(async (req, res) => {
   const { symbol } = req.params;
+  const scope = req.query.scope || 'symbol';
+
+  if (!['symbol', 'sector'].includes(scope)) {
+    throw new AppError('scope must be symbol or sector', 400);
+  }
+
+  const sectorInfo = getSectorForSymbol(symbol);
+  if (scope === 'sector' && !sectorInfo) {
+    throw new AppError(`No sector is known for ${symbol.toUpperCase()}`, 400);
+  }
 
   const options = {
     page: parseInt(req.query.page) || 1,
-    limit: Math.min(parseInt(req.query.limit) || 20, 100)
+    limit: Math.min(parseInt(req.query.limit) || 20, 100),
+    sector: scope === 'sector' ? sectorInfo.sector : null
   };
 
   const posts = await PostModel.getPostsByStock(symbol, options);
+  await attachMedia(posts.posts, req.user?.id);
 
   res.json({
     success: true,
     message: 'Posts fetched successfully',
-    data: posts
+    data: {
+      ...posts,
+      scope,
+      sector: sectorInfo
+    }
+  });
+});
+
+/**
+ * GET /api/posts/sectors
+ * Sector taxonomy (keys for the `sector` filters)
+ *
+ * Response:
+ * - 200: [{ sector, name, industries, symbols }]
+ */
+const getSectorList = asyncHandler(async (req, res) => {
+  res.json({
+    success: true,
+    message: 'Sectors fetched successfully',
+    data: getSectors()
+  });
+});
+
+/**
+ * GET /api/posts/search
+ * Full-text search over post titles, content and formatted call data
+ *
+ * Query params:
+ * - q: string (required, 2-200 chars) - e.g. "HDFC results", "budget impact", -crypto
+ * - analyst_id: UUID (optional)
+ * - strategy_type: string (optional) - intraday, swing, positional, long_term, options
+ * - call_status: string (optional) - open, target_hit, stop_loss_hit, closed, expired
+ * - from / to: YYYY-MM-DD (optional) - Published date range (inclusive)
+ * - page, limit: pagination
+ *
+ * Paid posts only appear for active subscribers (same gating as the feed).
+ *
+ * Response:
+ * - 200: { posts: [{ ..., rank, title_highlight, content_highlight }], total, ... }
+ * - 400: Invalid query or filters
+ */
+const searchPosts = asyncHandler(async (req, res) => {
+  const searchText = String(req.query.q || '').trim();
+
+  if (searchText.length < 2 || searchText.length > 200) {
+    throw new AppError('Search query must be between 2 and 200 characters', 400);
+  }
+
+  if (req.query.call_status && !CALL_STATUSES.includes(req.query.call_status)) {
+    throw new AppError(`Invalid call_status. Must be one of: ${CALL_STATUSES.join(', ')}`, 400);
+  }
+
+  ['from', 'to'].forEach((field) => {
+    const value = req.query[field];
+    if (value && (!/^\d{4}-\d{2}-\d{2}$/.test(value) || isNaN(new Date(value).getTime()))) {
+      throw new AppError(`${field} must be a date (YYYY-MM-DD)`, 400);
+    }
+  });
+
+  checkAnalystId(req.query.analyst_id);
+
+  const filters = {
+    analyst_id: req.query.analyst_id || null,
+    strategy_type: req.query.strategy_type || null,
+    call_status: req.query.call_status || null,
+    date_from: req.query.from || null,
+    date_to: req.query.to || null,
+    page: parseInt(req.query.page) || 1,
+    limit: Math.min(parseInt(req.query.limit) || 20, 100)
+  };
+
+  const results = await PostModel.searchPosts(searchText, req.user?.id || null, filters);
+  await attachMedia(results.posts, req.user?.id);
+
+  res.json({
+    success: true,
+    message: 'Search results fetched successfully',
+    data: {
+      query: searchText,
+      ...results
+    }
   });
 });
 
@@ -874,6 +2303,7 @@ const getAllPosts = asyncHandler(async (req, res) => {
   console.log('[getAllPosts] Options:', options);
 
   const posts = await PostModel.getAllPosts(filters, userId, options);
+  await attachMedia(posts.posts, userId);
 
   console.log('[getAllPosts] Found posts:', posts.posts.length);
 
@@ -886,18 +2316,46 @@ const getAllPosts = asyncHandler(async (req, res) => {
 
 module.exports = {
   createPost,
+  importCalls,
+  recordTeaserClick,
+  createDraft,
+  getDrafts,
+  getDraftById,
+  autosaveDraft,
+  deleteDraft,
+  promoteDraft,
   reformatWithAI,
   formatCallWithAI,
   getUserFeed,
+  getNewFeedPostsCount,
   getPostById,
+  getPostHistory,
   updatePost,
   deletePost,
+  getScheduledPosts,
+  reschedulePost,
+  cancelScheduledPost,
   bookmarkPost,
+  updateBookmark,
   removeBookmark,
   getUserBookmarks,
+  getBookmarkTags,
+  getBookmarkCollections,
+  createBookmarkCollection,
+  updateBookmarkCollection,
+  deleteBookmarkCollection,
+  exportBookmarkCollection,
+  getPostComments,
+  addPostComment,
+  deletePostComment,
+  pinPostComment,
+  unpinPostComment,
   markCallOutcome,
+  createCallUpdate,
   getPostAnalytics,
   getAnalystPosts,
   getPostsByStock,
+  getSectorList,
+  searchPosts,
   getAllPosts
 };
@@ -4,7 +4,7 @@
  * Handles analyst settings including:
  * - Profile settings (display name, bio, photo, etc.)
  * - Pricing tiers management (create, update, delete)
- * - Preferences (notifications, privacy, etc.)
+ * - Preferences (notifications, privacy, free release of paid posts, etc.)
  *
  * SECURITY:
  * - Only analysts can access settings endpoints
@@ -15,6 +15,7 @@
 const { query } = require('../config/database');
 const { AppError, asyncHandler } = require('../middleware/errorHandler');
 const AnalystProfile = require('../models/AnalystProfile');
+const { normalizeFreeAfter } = require('../utils/freeAfterPolicy');
 
 /**
  * GET /api/settings/profile
@@ -454,18 +455,20 @@ const getPreferences = asyncHandler(async (req, res) => {
     throw new AppError('Only analysts can access preferences', 403);
   }
 
-  // Get user preferences
+  // Get user preferences (free_after default lives on the analyst profile)
   const prefsResult = await query(
     `SELECT
-      email_notifications,
-      push_notifications,
-      sms_notifications,
-      marketing_emails,
-      privacy_settings,
-      created_at,
-      updated_at
-    FROM users
-    WHERE id = $1`,
+      u.email_notifications,
+      u.push_notifications,
+      u.sms_notifications,
+      u.marketing_emails,
+      u.privacy_settings,
+      ap.free_after,
+      u.created_at,
+      u.updated_at
+    FROM users u
+    LEFT JOIN analyst_profiles ap ON ap.user_id = u.id
+    WHERE u.id = $1`,
     [userId]
   );
 
@@ -486,6 +489,10 @@ const getPreferences = asyncHandler(async (req, res) => {
  * PUT /api/settings/preferences
  * Update analyst preferences
  *
+ * free_after: default release policy of the analyst's paid posts
+ * ({ on_close, after_hours }, see utils/freeAfterPolicy); null = never.
+ * Applies to every paid post without its own free_after, including past ones.
+ *
  * @access Private (Analyst only)
  */
 const updatePreferences = asyncHandler(async (req, res) => {
@@ -502,7 +509,8 @@ const updatePreferences = asyncHandler(async (req, res) => {
     push_notifications,
     sms_notifications,
     marketing_emails,
-    privacy_settings
+    privacy_settings,
+    free_after
   } = req.body;
 
   // Build update query
@@ -536,10 +544,34 @@ const updatePreferences = asyncHandler(async (req, res) => {
     paramCount++;
   }
 
-  if (updates.length === 0) {
+  let freeAfterCheck = null;
+  if (free_after !== undefined) {
+    freeAfterCheck = normalizeFreeAfter(free_after);
+    if (!freeAfterCheck.valid) {
+      throw new AppError(`Invalid free_after: ${freeAfterCheck.errors.join(', ')}`, 400);
+    }
+  }
+
+  if (updates.length === 0 && !freeAfterCheck) {
     throw new AppError('No valid preferences provided for update', 400);
   }
 
+  let freeAfterPolicy;
+  if (freeAfterCheck) {
+    const profileResult = await query(
+      `UPDATE analyst_profiles
+       SET free_after = $1, updated_at = NOW()
+       WHERE user_id = $2
+       RETURNING free_after`,
+      [freeAfterCheck.policy ? JSON.stringify(freeAfterCheck.policy) : null, userId]
+    );
+
+    if (profileResult.rows.length === 0) {
+      throw new AppError('Analyst profile not found', 404);
+    }
+    freeAfterPolicy = profileResult.rows[0].free_after;
+  }
+
   // Add updated_at
   updates.push(`updated_at = NOW()`);
   params.push(userId);
@@ -553,11 +585,16 @@ const updatePreferences = asyncHandler(async (req, res) => {
 
   const result = await query(sql, params);
 
+  const preferences = result.rows[0];
+  if (freeAfterPolicy !== undefined) {
+    preferences.free_after = freeAfterPolicy;
+  }
+
   res.status(200).json({
     success: true,
     message: 'Preferences updated successfully',
     data: {
-      preferences: result.rows[0]
+      preferences
     }
   });
 });
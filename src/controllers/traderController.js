@@ -6,6 +6,7 @@
  * - Profile management (CRUD)
  * - Preferences and settings
  * - Trading interests and preferences
+ * - Stock watchlist (symbols followed independently of analysts, with call alerts)
  *
  * SECURITY:
  * - Only authenticated traders can manage their own profile
@@ -13,8 +14,11 @@
  */
 
 const User = require('../models/User');
+const WatchlistModel = require('../models/Watchlist');
 const { asyncHandler, AppError } = require('../middleware/errorHandler');
 const { pool } = require('../config/database');
+const { normalizeStockSymbol, isValidSymbol } = require('../utils/stockSymbolMapper');
+const { WATCHLIST_SETTINGS } = require('../utils/constants');
 
 /**
  * POST /api/traders/onboard
@@ -425,9 +429,135 @@ const getDashboard = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * Normalize and validate a watchlist symbol
+ *
+ * @param {string} input - Symbol or stock name (e.g. 'hdfc bank')
+ * @returns {string} - NSE symbol (e.g. 'HDFCBANK')
+ */
+const parseWatchlistSymbol = (input) => {
+  const symbol = normalizeStockSymbol(input);
+
+  if (!symbol || !isValidSymbol(symbol)) {
+    throw new AppError('Invalid stock symbol', 400);
+  }
+
+  return symbol;
+};
+
+/**
+ * Validate watchlist item fields
+ *
+ * @param {Object} body - { notes, alerts_enabled }
+ */
+const validateWatchlistFields = ({ notes, alerts_enabled }) => {
+  if (notes !== undefined && notes !== null) {
+    if (typeof notes !== 'string' || notes.length > WATCHLIST_SETTINGS.MAX_NOTES_LENGTH) {
+      throw new AppError(`notes must be a string of at most ${WATCHLIST_SETTINGS.MAX_NOTES_LENGTH} characters`, 400);
+    }
+  }
+
+  if (alerts_enabled !== undefined && typeof alerts_enabled !== 'boolean') {
+    throw new AppError('alerts_enabled must be a boolean', 400);
+  }
+};
+
+/**
+ * GET /api/traders/watchlist
+ * Get own watchlist (with open call count per symbol)
+ *
+ * @access Private (Traders only)
+ */
+const getWatchlist = asyncHandler(async (req, res) => {
+  const watchlist = await WatchlistModel.getUserWatchlist(req.user.id);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      watchlist,
+      count: watchlist.length,
+      max_symbols: WATCHLIST_SETTINGS.MAX_SYMBOLS
+    }
+  });
+});
+
+/**
+ * POST /api/traders/watchlist
+ * Add a symbol to the watchlist
+ *
+ * @access Private (Traders only)
+ * @body {string} symbol - NSE symbol or stock name (normalized, e.g. 'hdfc bank' -> 'HDFCBANK')
+ * @body {string} notes - Optional note
+ * @body {boolean} alerts_enabled - Alert on new calls (default: true)
+ */
+const addWatchlistSymbol = asyncHandler(async (req, res) => {
+  const { symbol, notes, alerts_enabled } = req.body;
+
+  const stockSymbol = parseWatchlistSymbol(symbol);
+  validateWatchlistFields({ notes, alerts_enabled });
+
+  const item = await WatchlistModel.addSymbol(req.user.id, stockSymbol, {
+    notes: notes ? notes.trim() : null,
+    alerts_enabled: alerts_enabled !== undefined ? alerts_enabled : true
+  });
+
+  res.status(201).json({
+    success: true,
+    message: `${stockSymbol} added to your watchlist`,
+    data: { item }
+  });
+});
+
+/**
+ * PUT /api/traders/watchlist/:symbol
+ * Update a watchlist symbol (notes, alerts)
+ *
+ * @access Private (Traders only)
+ * @body {string} notes - Note (null clears it)
+ * @body {boolean} alerts_enabled - Alert on new calls
+ */
+const updateWatchlistSymbol = asyncHandler(async (req, res) => {
+  const { notes, alerts_enabled } = req.body;
+
+  const stockSymbol = parseWatchlistSymbol(req.params.symbol);
+  validateWatchlistFields({ notes, alerts_enabled });
+
+  const item = await WatchlistModel.updateSymbol(req.user.id, stockSymbol, {
+    notes: typeof notes === 'string' ? notes.trim() : notes,
+    alerts_enabled
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Watchlist updated successfully',
+    data: { item }
+  });
+});
+
+/**
+ * DELETE /api/traders/watchlist/:symbol
+ * Remove a symbol from the watchlist
+ *
+ * @access Private (Traders only)
+ */
+const removeWatchlistSymbol = asyncHandler(async (req, res) => {
+  const stockSymbol = parseWatchlistSymbol(req.params.symbol);
+
+  await WatchlistModel.removeSymbol(req.user.id, stockSymbol);
+
+  res.status(200).json({
+    success: true,
+    message: `${stockSymbol} removed from your watchlist`
+  });
+});
+
 module.exports = {
   completeOnboarding,
   getMyProfile,
   updateProfile,
-  getDashboard
+  getDashboard,
+  getWatchlist,
+  addWatchlistSymbol,
+  updateWatchlistSymbol,
+  removeWatchlistSymbol
 };
@@ -139,6 +139,25 @@ const chatLimiter = rateLimit({
   }
 });
 
+/**
+ * Rate limiter for draft autosave
+ * 30 saves per minute per user
+ * Allows frequent autosaves while composing without opening the write path
+ */
+const autosaveLimiter = rateLimit({
+  windowMs: 60 * 1000, // 1 minute
+  max: 30, // 30 saves per minute
+  skipSuccessfulRequests: false,
+  keyGenerator: (req) => {
+    return req.user?.id || req.ip;
+  },
+  message: {
+    success: false,
+    message: 'Too many draft saves. Please slow down.',
+    retryAfter: '1 minute'
+  }
+});
+
 /**
  * Rate limiter for payment endpoints
  * 5 payment attempts per hour per user
@@ -228,6 +247,7 @@ module.exports = {
   otpLimiter,
   uploadLimiter,
   chatLimiter,
+  autosaveLimiter,
   paymentLimiter,
   searchLimiter,
   adminLimiter,
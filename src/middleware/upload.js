@@ -5,6 +5,7 @@
  * - Profile photos
  * - Verification documents (SEBI cert, PAN, bank statement)
  * - Post media (images)
+ * - Post attachments (chart images, PDF research notes)
  *
  * SECURITY:
  * - File type validation (MIME type and extension)
@@ -12,9 +13,11 @@
  * - Temporary storage (files uploaded to /tmp, then moved to Cloudinary)
  */
 
+const fs = require('fs');
 const multer = require('multer');
 const path = require('path');
 const { AppError } = require('./errorHandler');
+const { FILE_LIMITS, CALL_IMPORT } = require('../utils/constants');
 
 /**
  * Configure multer storage
@@ -112,18 +115,131 @@ const uploadPostMedia = multer({
   }
 }).single('media'); // Field name: 'media'
 
+/**
+ * File filter for post attachments
+ * Allow chart images (JPG, PNG, WebP) and PDF research notes
+ */
+const postAttachmentFileFilter = (req, file, cb) => {
+  const allowedMimeTypes = [...FILE_LIMITS.ALLOWED_IMAGE_TYPES, 'application/pdf'];
+  const allowedExtensions = ['.jpg', '.jpeg', '.png', '.webp', '.pdf'];
+
+  const ext = path.extname(file.originalname).toLowerCase();
+
+  if (allowedMimeTypes.includes(file.mimetype) && allowedExtensions.includes(ext)) {
+    cb(null, true);
+  } else {
+    cb(new AppError('Invalid file type. Only JPG, PNG, WebP images and PDF files are allowed', 400), false);
+  }
+};
+
+/**
+ * Multer instance for post attachments (on post create/update)
+ * Max size: 10MB per file, images + one PDF per request
+ */
+const uploadPostAttachments = multer({
+  storage: storage,
+  fileFilter: postAttachmentFileFilter,
+  limits: {
+    fileSize: FILE_LIMITS.MAX_FILE_SIZE,
+    files: FILE_LIMITS.MAX_POST_IMAGES + FILE_LIMITS.MAX_POST_PDFS
+  }
+}).array('attachments'); // Field name: 'attachments'
+
+/**
+ * File filter for historical call imports
+ * Allow CSV and JSON (browsers report CSV under several MIME types)
+ */
+const callImportFileFilter = (req, file, cb) => {
+  const allowedMimeTypes = ['text/csv', 'application/csv', 'application/vnd.ms-excel', 'text/plain', 'application/json'];
+  const allowedExtensions = ['.csv', '.json'];
+
+  const ext = path.extname(file.originalname).toLowerCase();
+
+  if (allowedMimeTypes.includes(file.mimetype) && allowedExtensions.includes(ext)) {
+    cb(null, true);
+  } else {
+    cb(new AppError('Invalid file type. Only CSV and JSON files are allowed', 400), false);
+  }
+};
+
+/**
+ * Multer instance for historical call imports
+ * Max size: 2MB, one file
+ */
+const uploadCallImport = multer({
+  storage: storage,
+  fileFilter: callImportFileFilter,
+  limits: {
+    fileSize: CALL_IMPORT.MAX_FILE_SIZE,
+    files: 1
+  }
+}).single('file'); // Field name: 'file'
+
+/**
+ * Parse JSON and boolean fields sent as multipart form fields
+ * Multipart bodies only carry strings, so arrays/objects (targets, legs, ...)
+ * arrive JSON-encoded. JSON requests pass through untouched.
+ *
+ * @param {...string} fields - Field names to parse
+ * @returns {Function} - Express middleware
+ */
+const parseMultipartFields = (...fields) => {
+  return (req, res, next) => {
+    if (!req.is('multipart/form-data') || !req.body) {
+      return next();
+    }
+
+    for (const field of fields) {
+      const value = req.body[field];
+      if (typeof value !== 'string') continue;
+
+      if (value === 'true' || value === 'false') {
+        req.body[field] = value === 'true';
+        continue;
+      }
+
+      if (/^\s*[[{]/.test(value)) {
+        try {
+          req.body[field] = JSON.parse(value);
+        } catch (error) {
+          return next(new AppError(`${field} must be valid JSON`, 400));
+        }
+      }
+    }
+
+    next();
+  };
+};
+
+/**
+ * Remove temp files once the response is sent
+ * Covers every exit path (validation errors, failed Cloudinary uploads, success)
+ */
+const cleanupTempFiles = (req, res) => {
+  res.on('finish', () => {
+    const files = [...(req.files || []), ...(req.file ? [req.file] : [])];
+    files.forEach((file) => {
+      fs.promises.unlink(file.path).catch(() => {});
+    });
+  });
+};
+
 /**
  * Error handler for multer errors
  * Wrap multer middleware to catch and format errors
  */
 const handleMulterError = (uploadMiddleware) => {
   return (req, res, next) => {
+    cleanupTempFiles(req, res);
     uploadMiddleware(req, res, (err) => {
       if (err instanceof multer.MulterError) {
         // Multer-specific errors
         if (err.code === 'LIMIT_FILE_SIZE') {
           return next(new AppError('File size exceeds the maximum limit', 400));
         }
+        if (err.code === 'LIMIT_FILE_COUNT') {
+          return next(new AppError('Too many files in upload', 400));
+        }
         if (err.code === 'LIMIT_UNEXPECTED_FILE') {
           return next(new AppError('Unexpected field in file upload', 400));
         }
@@ -144,5 +260,8 @@ const handleMulterError = (uploadMiddleware) => {
 module.exports = {
   uploadProfileImage: handleMulterError(uploadProfileImage),
   uploadDocument: handleMulterError(uploadDocument),
-  uploadPostMedia: handleMulterError(uploadPostMedia)
+  uploadPostMedia: handleMulterError(uploadPostMedia),
+  uploadPostAttachments: handleMulterError(uploadPostAttachments),
+  uploadCallImport: handleMulterError(uploadCallImport),
+  parseMultipartFields
 };
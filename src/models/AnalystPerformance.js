@@ -0,0 +1,247 @@
+/**
+ * Analyst Performance Model
+ *
+ * Database operations for analyst_performance table
+ * Persisted track record of an analyst (utils/trackRecord), one row per
+ * strategy_type ('all' or a strategy) and period ('all_time', '30d', '90d',
+ * '365d' or an IST month 'YYYY-MM')
+ *
+ * FEATURES:
+ * - Every closed platform call with a return counts (self-reported imports and
+ *   deleted calls excepted), including outcomes the analyst entered
+ *   (mark-outcome, full_exit, priced partial bookings): closing a losing call by
+ *   hand must not drop it from the record. Those exits are not verified by the
+ *   platform and are counted in unverified_calls_count.
+ * - Returns and R-multiples use the published (never edited) entry and stop loss
+ * - Slices are upserted one by one, so a closed call only rewrites the slices
+ *   it falls in (services/trackRecordService); empty slices are removed
+ */
+
+const { query, getClient } = require('../config/database');
+const { AppError } = require('../middleware/errorHandler');
+
+// Calls that count towards the track record (also the call stats on the
+// analyst profile and the track record card; one definition for all of them)
+const TRACKED_CALL_CONDITIONS = `
+  post_type = 'call'
+  AND call_status IN ('target_hit', 'stop_loss_hit', 'closed', 'expired')
+  AND actual_profit_percent IS NOT NULL
+  AND is_self_reported = false
+  AND published_at IS NOT NULL
+  AND deleted_at IS NULL`;
+
+// Exit recorded by the platform (price feed or expiry, no analyst-priced exits)
+const VERIFIED_OUTCOME_CONDITION = `COALESCE(outcome_source IN ('price_feed', 'expiry') AND analyst_priced_exits = false, false)`;
+
+const METRIC_COLUMNS = [
+  'calls_count',
+  'wins',
+  'losses',
+  'win_rate',
+  'avg_return_percent',
+  'avg_win_percent',
+  'avg_loss_percent',
+  'expectancy_percent',
+  'total_return_percent',
+  'avg_r_multiple',
+  'r_calls_count',
+  'max_drawdown_percent',
+  'avg_holding_hours',
+  'return_stddev',
+  'risk_adjusted_score',
+  'unverified_calls_count',
+  'last_closed_at'
+];
+
+const DECIMAL_COLUMNS = METRIC_COLUMNS.filter(column =>
+  !['calls_count', 'wins', 'losses', 'r_calls_count', 'unverified_calls_count', 'last_closed_at'].includes(column)
+);
+
+/**
+ * Decimal columns come back from pg as strings
+ *
+ * @param {Object} row - analyst_performance row
+ * @returns {Object}
+ */
+const formatRow = (row) => {
+  const formatted = { ...row };
+  DECIMAL_COLUMNS.forEach((column) => {
+    formatted[column] = row[column] === null ? null : parseFloat(row[column]);
+  });
+  return formatted;
+};
+
+/**
+ * Closed calls of an analyst that count towards the track record, in closing order
+ *
+ * @param {string} analystId - Analyst user UUID
+ * @returns {Promise<Array>} - Calls (strategy_type, actual_profit_percent,
+ *   entry_price, stop_loss, published_at, closed_at, is_verified)
+ */
+const getTrackedClosedCalls = async (analystId) => {
+  try {
+    const result = await query(
+      `SELECT
+        id,
+        strategy_type,
+        actual_profit_percent,
+        COALESCE(published_entry_price, entry_price) as entry_price,
+        COALESCE(published_stop_loss, stop_loss) as stop_loss,
+        COALESCE(published_at, created_at) as published_at,
+        COALESCE(closed_at, updated_at) as closed_at,
+        ${VERIFIED_OUTCOME_CONDITION} as is_verified
+      FROM posts
+      WHERE analyst_id = $1
+        AND ${TRACKED_CALL_CONDITIONS}
+      ORDER BY COALESCE(closed_at, updated_at) ASC, id ASC`,
+      [analystId]
+    );
+
+    return result.rows;
+  } catch (error) {
+    console.error('Error getting tracked closed calls:', error);
+    throw new AppError('Failed to load closed calls', 500);
+  }
+};
+
+/**
+ * Save computed slices
+ *
+ * @param {string} analystId - Analyst user UUID
+ * @param {Array<Object>} slices - From trackRecord.computeSlices
+ * @param {Object} options - { replaceAll: true drops slices not in `slices` }
+ * @returns {Promise<number>} - Number of slices stored
+ */
+const saveSlices = async (analystId, slices, options = {}) => {
+  let client;
+
+  try {
+    client = await getClient();
+    await client.query('BEGIN');
+
+    if (options.replaceAll) {
+      await client.query(
+        `DELETE FROM analyst_performance WHERE analyst_id = $1`,
+        [analystId]
+      );
+    }
+
+    let stored = 0;
+
+    for (const slice of slices) {
+      if (slice.calls_count === 0) {
+        await client.query(
+          `DELETE FROM analyst_performance
+           WHERE analyst_id = $1 AND strategy_type = $2 AND period = $3`,
+          [analystId, slice.strategy_type, slice.period]
+        );
+        continue;
+      }
+
+      const values = METRIC_COLUMNS.map(column => slice[column]);
+      const placeholders = values.map((value, index) => `$${index + 4}`);
+
+      await client.query(
+        `INSERT INTO analyst_performance (
+          analyst_id,
+          strategy_type,
+          period,
+          ${METRIC_COLUMNS.join(',\n          ')},
+          computed_at
+        ) VALUES ($1, $2, $3, ${placeholders.join(', ')}, NOW())
+        ON CONFLICT (analyst_id, strategy_type, period) DO UPDATE SET
+          ${METRIC_COLUMNS.map(column => `${column} = EXCLUDED.${column}`).join(',\n          ')},
+          computed_at = NOW()`,
+        [analystId, slice.strategy_type, slice.period, ...values]
+      );
+      stored++;
+    }
+
+    await client.query('COMMIT');
+
+    return stored;
+  } catch (error) {
+    if (client) {
+      await client.query('ROLLBACK');
+    }
+    console.error('Error saving analyst performance:', error);
+    throw new AppError('Failed to save analyst performance', 500);
+  } finally {
+    if (client) {
+      client.release();
+    }
+  }
+};
+
+/**
+ * Stored slices of an analyst
+ *
+ * @param {string} analystId - Analyst user UUID
+ * @param {Object} filters - { strategyType, periods: Array<string> }
+ * @returns {Promise<Array>} - Slices (strategy_type, then period)
+ */
+const getPerformance = async (analystId, filters = {}) => {
+  try {
+    const conditions = ['analyst_id = $1'];
+    const params = [analystId];
+
+    if (filters.strategyType) {
+      params.push(filters.strategyType);
+      conditions.push(`strategy_type = $${params.length}`);
+    }
+    if (filters.periods) {
+      params.push(filters.periods);
+      conditions.push(`period = ANY($${params.length})`);
+    }
+
+    const result = await query(
+      `SELECT
+        strategy_type,
+        period,
+        ${METRIC_COLUMNS.join(',\n        ')},
+        computed_at
+      FROM analyst_performance
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY strategy_type ASC, period ASC`,
+      params
+    );
+
+    return result.rows.map(formatRow);
+  } catch (error) {
+    console.error('Error getting analyst performance:', error);
+    throw new AppError('Failed to fetch analyst performance', 500);
+  }
+};
+
+/**
+ * Analysts whose track record needs a refresh: every analyst with tracked
+ * closed calls or stored slices (rolling periods move every day; slices of
+ * analysts whose calls were all deleted are cleared)
+ *
+ * @returns {Promise<Array<string>>} - Analyst user UUIDs
+ */
+const getAnalystIdsToRefresh = async () => {
+  try {
+    const result = await query(
+      `SELECT analyst_id
+      FROM posts
+      WHERE ${TRACKED_CALL_CONDITIONS}
+      UNION
+      SELECT analyst_id FROM analyst_performance`
+    );
+
+    return result.rows.map(row => row.analyst_id);
+  } catch (error) {
+    console.error('Error getting analysts to refresh:', error);
+    throw new AppError('Failed to load analysts to refresh', 500);
+  }
+};
+
+module.exports = {
+  TRACKED_CALL_CONDITIONS,
+  VERIFIED_OUTCOME_CONDITION,
+  getTrackedClosedCalls,
+  saveSlices,
+  getPerformance,
+  getAnalystIdsToRefresh
+};
@@ -16,6 +16,7 @@
 
 const { query, getClient } = require('../config/database');
 const { AppError } = require('../middleware/errorHandler');
+const { TRACKED_CALL_CONDITIONS } = require('./AnalystPerformance');
 
 /**
  * Create new analyst profile
@@ -131,10 +132,12 @@ const findById = async (profileId, includeDeleted = false) => {
  *
  * @param {string} userId - User UUID
  * @param {boolean} includeDeleted - Include soft-deleted profiles (default: false)
+ * @param {Object} client - Transaction client (optional)
  * @returns {Promise<Object|null>} - Analyst profile or null if not found
  */
-const findByUserId = async (userId, includeDeleted = false) => {
+const findByUserId = async (userId, includeDeleted = false, client = null) => {
   try {
+    const db = client || { query };
     const sql = `
       SELECT
         ap.*,
@@ -147,7 +150,7 @@ const findByUserId = async (userId, includeDeleted = false) => {
         ${includeDeleted ? '' : 'AND ap.deleted_at IS NULL'}
     `;
 
-    const result = await query(sql, [userId]);
+    const result = await db.query(sql, [userId]);
     return result.rows[0] || null;
   } catch (error) {
     console.error('Error fetching analyst profile by user ID:', error.message);
@@ -358,10 +361,12 @@ const reject = async (profileId, rejectionReason) => {
  * @param {number} filters.minRating - Minimum rating filter
  * @param {number} filters.maxPrice - Maximum price filter (monthly)
  * @param {string} filters.search - Search by name
+ * @param {string} filters.sector - Only analysts with published calls in this sector (sectorMaster key)
  * @param {string} filters.sortBy - Sort option (popular, rating, newest, price)
  * @param {number} filters.page - Page number (default: 1)
  * @param {number} filters.limit - Results per page (default: 20)
- * @returns {Promise<Object>} - Paginated analyst list with metadata
+ * @returns {Promise<Object>} - Paginated analyst list with metadata (each analyst with
+ *   top_sectors: their 3 most covered sectors by published posts)
  */
 const findForDiscovery = async (filters = {}) => {
   try {
@@ -371,6 +376,7 @@ const findForDiscovery = async (filters = {}) => {
       minRating = 0,
       maxPrice = null,
       search = '',
+      sector = null,
       sortBy = 'popular',
       page = 1,
       limit = 20
@@ -409,6 +415,19 @@ const findForDiscovery = async (filters = {}) => {
       paramCount++;
     }
 
+    // Sector filter (sectors the analyst actually posts on)
+    if (sector) {
+      conditions.push(`EXISTS (
+        SELECT 1 FROM posts p
+        WHERE p.analyst_id = ap.user_id
+        AND p.sector = $${paramCount}
+        AND p.published_at IS NOT NULL
+        AND p.deleted_at IS NULL
+      )`);
+      params.push(sector);
+      paramCount++;
+    }
+
     // Build ORDER BY clause
     let orderBy;
     switch (sortBy) {
@@ -456,7 +475,21 @@ const findForDiscovery = async (filters = {}) => {
         ap.total_posts,
         ap.is_featured,
         ap.created_at,
-        ap.last_post_at
+        ap.last_post_at,
+        (
+          SELECT COALESCE(json_agg(json_build_object('sector', covered.sector, 'posts', covered.posts)), '[]'::json)
+          FROM (
+            SELECT p.sector, COUNT(*)::int as posts
+            FROM posts p
+            WHERE p.analyst_id = ap.user_id
+            AND p.sector IS NOT NULL
+            AND p.published_at IS NOT NULL
+            AND p.deleted_at IS NULL
+            GROUP BY p.sector
+            ORDER BY posts DESC, p.sector
+            LIMIT 3
+          ) covered
+        ) as top_sectors
       FROM analyst_profiles ap
       WHERE ${conditions.join(' AND ')}
       ORDER BY ${orderBy}
@@ -559,6 +592,9 @@ const getVerificationQueue = async (status = null, page = 1, limit = 20) => {
  * @param {number} stats.active_subscribers - Active subscribers
  * @param {number} stats.total_posts - Total posts
  * @param {number} stats.monthly_revenue - Monthly revenue (in paise)
+ * @param {number} stats.closed_calls - Closed calls with a realized return
+ * @param {number} stats.win_rate - % of closed calls with a positive blended return
+ * @param {number} stats.avg_return_percent - Average blended return per closed call
  * @returns {Promise<Object>} - Updated analyst profile
  */
 const updateStats = async (profileId, stats) => {
@@ -573,7 +609,10 @@ const updateStats = async (profileId, stats) => {
       'total_subscribers',
       'active_subscribers',
       'total_posts',
-      'monthly_revenue'
+      'monthly_revenue',
+      'closed_calls',
+      'win_rate',
+      'avg_return_percent'
     ];
 
     for (const [key, value] of Object.entries(stats)) {
@@ -611,6 +650,49 @@ const updateStats = async (profileId, stats) => {
   }
 };
 
+/**
+ * Recalculate call performance stats from closed calls
+ * Uses actual_profit_percent, which holds the blended return for multi-target calls
+ * Counts the same calls as the track record (AnalystPerformance.TRACKED_CALL_CONDITIONS):
+ * analyst-entered outcomes included, self-reported (imported) calls never
+ *
+ * @param {string} userId - Analyst user UUID (posts.analyst_id)
+ * @returns {Promise<Object|null>} - Updated analyst profile or null if no profile
+ */
+const recalculateCallStats = async (userId) => {
+  try {
+    const profile = await findByUserId(userId);
+    if (!profile) {
+      return null;
+    }
+
+    const sql = `
+      SELECT
+        COUNT(*) as closed_calls,
+        COUNT(*) FILTER (WHERE actual_profit_percent > 0) as winning_calls,
+        COALESCE(AVG(actual_profit_percent), 0) as avg_return_percent
+      FROM posts
+      WHERE analyst_id = $1
+        AND ${TRACKED_CALL_CONDITIONS}
+    `;
+
+    const result = await query(sql, [userId]);
+    const row = result.rows[0];
+    const closedCalls = parseInt(row.closed_calls, 10);
+
+    return await updateStats(profile.id, {
+      closed_calls: closedCalls,
+      win_rate: closedCalls > 0
+        ? parseFloat(((parseInt(row.winning_calls, 10) / closedCalls) * 100).toFixed(2))
+        : 0,
+      avg_return_percent: parseFloat(parseFloat(row.avg_return_percent).toFixed(2))
+    });
+  } catch (error) {
+    console.error('Error recalculating analyst call stats:', error.message);
+    throw error;
+  }
+};
+
 /**
  * Update last post timestamp
  *
@@ -823,6 +905,7 @@ module.exports = {
   findForDiscovery,
   getVerificationQueue,
   updateStats,
+  recalculateCallStats,
   updateLastPostAt,
   softDelete,
   getDashboardData,
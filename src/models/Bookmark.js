@@ -9,10 +9,104 @@
  * - Get user's bookmarked posts
  * - Check if post is bookmarked
  * - Optional user notes for bookmarks
+ * - Named collections (models/BookmarkCollection) and tags (utils/bookmarkTags)
+ * - Filters by collection, tag, call status and a search across notes
+ * - Export of a collection with call levels and outcomes (utils/bookmarkExport);
+ *   levels of paid posts the user cannot read in full are redacted
  */
 
 const { query } = require('../config/database');
 const { AppError } = require('../middleware/errorHandler');
+const BookmarkCollectionModel = require('./BookmarkCollection');
+const PostTargetModel = require('./PostTarget');
+const { FREE_RELEASE_CONDITION } = require('./Post');
+const { decodeCursor, keysetClause, buildCursorPage } = require('../utils/cursor');
+const { normalizeTags, normalizeTag } = require('../utils/bookmarkTags');
+const { BOOKMARK_SETTINGS } = require('../utils/constants');
+const { needsTeaser } = require('../utils/postTeaser');
+
+const BOOKMARK_COLUMNS = `
+  id,
+  user_id,
+  post_id,
+  collection_id,
+  tags,
+  notes,
+  created_at`;
+
+/**
+ * Validate the organizing fields of a bookmark
+ *
+ * @param {string} userId - User UUID
+ * @param {Object} fields - Any of { notes, collection_id, tags }
+ * @returns {Promise<Object>} - Same fields, tags normalized
+ */
+const resolveBookmarkFields = async (userId, fields) => {
+  const resolved = {};
+
+  if (fields.notes !== undefined) {
+    if (fields.notes !== null && typeof fields.notes !== 'string') {
+      throw new AppError('notes must be a string', 400);
+    }
+    if (fields.notes && fields.notes.length > BOOKMARK_SETTINGS.MAX_NOTES_LENGTH) {
+      throw new AppError(`Notes must be at most ${BOOKMARK_SETTINGS.MAX_NOTES_LENGTH} characters`, 400);
+    }
+    resolved.notes = fields.notes || null;
+  }
+
+  if (fields.collection_id !== undefined) {
+    if (fields.collection_id && !(await BookmarkCollectionModel.findCollection(userId, fields.collection_id))) {
+      throw new AppError('Collection not found', 404);
+    }
+    resolved.collection_id = fields.collection_id || null;
+  }
+
+  if (fields.tags !== undefined) {
+    const tagCheck = normalizeTags(fields.tags);
+    if (!tagCheck.valid) {
+      throw new AppError(`Invalid tags: ${tagCheck.errors.join(', ')}`, 400);
+    }
+    resolved.tags = tagCheck.tags;
+  }
+
+  return resolved;
+};
+
+/**
+ * Build WHERE conditions for a user's bookmarks
+ *
+ * @param {string} userId - User UUID
+ * @param {Object} filters - { collectionId ('none' = uncategorized), tag, search, callStatus }
+ * @returns {Object} - { conditions, params }
+ */
+const buildBookmarkConditions = (userId, filters = {}) => {
+  const conditions = ['b.user_id = $1', 'p.deleted_at IS NULL'];
+  const params = [userId];
+
+  if (filters.collectionId === 'none') {
+    conditions.push('b.collection_id IS NULL');
+  } else if (filters.collectionId) {
+    params.push(filters.collectionId);
+    conditions.push(`b.collection_id = $${params.length}`);
+  }
+
+  if (filters.tag) {
+    params.push(normalizeTag(filters.tag));
+    conditions.push(`$${params.length} = ANY(b.tags)`);
+  }
+
+  if (filters.search) {
+    params.push(`%${filters.search.replace(/[\\%_]/g, '\\$&')}%`);
+    conditions.push(`b.notes ILIKE $${params.length}`);
+  }
+
+  if (filters.callStatus) {
+    params.push(filters.callStatus);
+    conditions.push(`p.call_status = $${params.length}`);
+  }
+
+  return { conditions, params };
+};
 
 /**
  * Create bookmark (user saves a post)
@@ -20,10 +114,17 @@ const { AppError } = require('../middleware/errorHandler');
  * @param {string} userId - User UUID
  * @param {string} postId - Post UUID
  * @param {string} notes - Optional user notes
+ * @param {Object} options - { collection_id, tags } (optional)
  * @returns {Promise<Object>} - Created bookmark
  */
-const createBookmark = async (userId, postId, notes = null) => {
+const createBookmark = async (userId, postId, notes = null, options = {}) => {
   try {
+    const fields = await resolveBookmarkFields(userId, {
+      notes,
+      collection_id: options.collection_id || null,
+      tags: options.tags || []
+    });
+
     // Check if already bookmarked
     const existingBookmark = await query(
       `SELECT id FROM bookmarks
@@ -47,15 +148,10 @@ const createBookmark = async (userId, postId, notes = null) => {
 
     // Create bookmark
     const result = await query(
-      `INSERT INTO bookmarks (user_id, post_id, notes, created_at)
-       VALUES ($1, $2, $3, NOW())
-       RETURNING
-         id,
-         user_id,
-         post_id,
-         notes,
-         created_at`,
-      [userId, postId, notes]
+      `INSERT INTO bookmarks (user_id, post_id, collection_id, tags, notes, created_at)
+       VALUES ($1, $2, $3, $4, $5, NOW())
+       RETURNING ${BOOKMARK_COLUMNS}`,
+      [userId, postId, fields.collection_id, fields.tags, fields.notes]
     );
 
     // Increment bookmark count on post
@@ -115,31 +211,59 @@ const removeBookmark = async (userId, postId) => {
 /**
  * Get user's bookmarked posts
  *
+ * Newest first. Offset pages by default (page 1); cursor mode when `cursor` is
+ * given or `pagination` is 'cursor' (see utils/cursor).
+ *
  * @param {string} userId - User UUID
- * @param {Object} options - { page, limit }
- * @returns {Promise<Object>} - { bookmarks: Array, total: number, page: number, limit: number }
+ * @param {Object} options - { page, cursor, pagination, limit, collectionId, tag, search, callStatus }
+ *   collectionId: collection UUID, or 'none' for uncategorized bookmarks
+ *   search: text to find in the notes (case-insensitive)
+ * @returns {Promise<Object>} - { bookmarks, total, page, limit, totalPages, hasMore }
+ *   or { bookmarks, total, limit, next_cursor, prev_cursor, hasMore } in cursor mode
  */
 const getUserBookmarks = async (userId, options = {}) => {
   try {
-    const { page = 1, limit = 20 } = options;
-    const offset = (page - 1) * limit;
+    const { page = 1, cursor = null, pagination = null, limit = 20 } = options;
+    const useCursor = Boolean(cursor) || pagination === 'cursor';
+    const decoded = useCursor ? decodeCursor(cursor) : null;
+    const offset = useCursor ? 0 : (page - 1) * limit;
+
+    const { conditions, params } = buildBookmarkConditions(userId, options);
 
     // Get total count
     const countResult = await query(
       `SELECT COUNT(*) as total
        FROM bookmarks b
        INNER JOIN posts p ON b.post_id = p.id
-       WHERE b.user_id = $1 AND p.deleted_at IS NULL`,
-      [userId]
+       WHERE ${conditions.join(' AND ')}`,
+      params
     );
 
     const total = parseInt(countResult.rows[0].total);
 
+    let orderBy = 'b.created_at DESC';
+
+    if (useCursor) {
+      const keyset = keysetClause(decoded, 'b.created_at', 'b.id', params.length + 1);
+      if (keyset.condition) {
+        conditions.push(keyset.condition);
+        params.push(...keyset.params);
+      }
+      orderBy = keyset.orderBy;
+    }
+
+    params.push(useCursor ? limit + 1 : limit, offset);
+
     // Get bookmarks with post details
     const result = await query(
       `SELECT
         b.id as bookmark_id,
+        b.created_at::text as cursor_created_at,
+        b.id as cursor_id,
         b.notes,
+        b.tags,
+        b.collection_id,
+        bc.name as collection_name,
         b.created_at as bookmarked_at,
         p.id as post_id,
         p.analyst_id,
@@ -150,6 +274,7 @@ const getUserBookmarks = async (userId, options = {}) => {
         p.strategy_type,
         p.audience,
         p.stock_symbol,
+        p.sector,
         p.action,
         p.entry_price,
         p.target_price,
@@ -164,25 +289,41 @@ const getUserBookmarks = async (userId, options = {}) => {
         p.created_at as post_created_at,
         u.full_name as analyst_name,
         ap.profile_photo as analyst_photo,
-        ap.sebi_registration_number
+        ap.sebi_number as sebi_registration_number
       FROM bookmarks b
       INNER JOIN posts p ON b.post_id = p.id
       INNER JOIN users u ON p.analyst_id = u.id
       LEFT JOIN analyst_profiles ap ON u.id = ap.user_id
-      WHERE b.user_id = $1 AND p.deleted_at IS NULL
-      ORDER BY b.created_at DESC
-      LIMIT $2 OFFSET $3`,
-      [userId, limit, offset]
+      LEFT JOIN bookmark_collections bc ON b.collection_id = bc.id
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY ${orderBy}
+      LIMIT $${params.length - 1} OFFSET $${params.length}`,
+      params
     );
 
+    const cursorPage = useCursor
+      ? buildCursorPage(result.rows, limit, decoded)
+      : { items: result.rows.map(({ cursor_created_at, cursor_id, ...bookmark }) => bookmark) };
+
     // Parse content_formatted for each bookmark
-    const bookmarks = result.rows.map(bookmark => {
+    const bookmarks = cursorPage.items.map(bookmark => {
       if (bookmark.content_formatted && typeof bookmark.content_formatted === 'string') {
         bookmark.content_formatted = JSON.parse(bookmark.content_formatted);
       }
       return bookmark;
     });
 
+    if (useCursor) {
+      return {
+        bookmarks,
+        total,
+        limit: parseInt(limit),
+        next_cursor: cursorPage.next_cursor,
+        prev_cursor: cursorPage.prev_cursor,
+        hasMore: cursorPage.has_more
+      };
+    }
+
     return {
       bookmarks,
       total,
@@ -192,6 +333,9 @@ const getUserBookmarks = async (userId, options = {}) => {
       hasMore: offset + bookmarks.length < total
     };
   } catch (error) {
+    if (error instanceof AppError) {
+      throw error;
+    }
     console.error('Error getting user bookmarks:', error);
     throw new AppError('Failed to fetch bookmarks', 500);
   }
@@ -221,26 +365,36 @@ const isPostBookmarked = async (userId, postId) => {
 };
 
 /**
- * Update bookmark notes
+ * Update a bookmark's notes, collection or tags
  *
  * @param {string} userId - User UUID
  * @param {string} postId - Post UUID
- * @param {string} notes - New notes
+ * @param {Object} updates - Any of { notes, collection_id (null = uncategorized), tags (replaces) }
  * @returns {Promise<Object>} - Updated bookmark
  */
-const updateBookmarkNotes = async (userId, postId, notes) => {
+const updateBookmark = async (userId, postId, updates) => {
   try {
+    const resolved = await resolveBookmarkFields(userId, updates);
+    const fields = [];
+    const params = [userId, postId];
+
+    ['notes', 'collection_id', 'tags'].forEach((field) => {
+      if (resolved[field] !== undefined) {
+        params.push(resolved[field]);
+        fields.push(`${field} = $${params.length}`);
+      }
+    });
+
+    if (fields.length === 0) {
+      throw new AppError('No valid fields provided for update', 400);
+    }
+
     const result = await query(
       `UPDATE bookmarks
-       SET notes = $1
-       WHERE user_id = $2 AND post_id = $3
-       RETURNING
-         id,
-         user_id,
-         post_id,
-         notes,
-         created_at`,
-      [notes, userId, postId]
+       SET ${fields.join(', ')}
+       WHERE user_id = $1 AND post_id = $2
+       RETURNING ${BOOKMARK_COLUMNS}`,
+      params
     );
 
     if (result.rows.length === 0) {
@@ -252,11 +406,155 @@ const updateBookmarkNotes = async (userId, postId, notes) => {
     if (error instanceof AppError) {
       throw error;
     }
-    console.error('Error updating bookmark notes:', error);
+    console.error('Error updating bookmark:', error);
     throw new AppError('Failed to update bookmark', 500);
   }
 };
 
+/**
+ * Update bookmark notes
+ *
+ * @param {string} userId - User UUID
+ * @param {string} postId - Post UUID
+ * @param {string} notes - New notes
+ * @returns {Promise<Object>} - Updated bookmark
+ */
+const updateBookmarkNotes = async (userId, postId, notes) => updateBookmark(userId, postId, { notes });
+
+/**
+ * Tags a user has used, most used first
+ *
+ * @param {string} userId - User UUID
+ * @returns {Promise<Array>} - [{ tag, bookmarks_count }]
+ */
+const getUserBookmarkTags = async (userId) => {
+  try {
+    const result = await query(
+      `SELECT
+        tag,
+        COUNT(*)::INTEGER as bookmarks_count
+      FROM bookmarks b
+      INNER JOIN posts p ON b.post_id = p.id
+      CROSS JOIN LATERAL UNNEST(b.tags) as tag
+      WHERE b.user_id = $1 AND p.deleted_at IS NULL
+      GROUP BY tag
+      ORDER BY bookmarks_count DESC, tag ASC`,
+      [userId]
+    );
+
+    return result.rows;
+  } catch (error) {
+    console.error('Error getting bookmark tags:', error);
+    throw new AppError('Failed to fetch bookmark tags', 500);
+  }
+};
+
+/**
+ * Drop the levels of a bookmarked call the user cannot read in full
+ * (same rule as feed teasers, utils/postTeaser.needsTeaser)
+ *
+ * @param {Object} bookmark - Export row with `targets`
+ * @returns {Object} - Row with entry, targets, stop loss and exit prices removed
+ */
+const redactLevels = (bookmark) => ({
+  ...bookmark,
+  entry_price: null,
+  target_price: null,
+  stop_loss: null,
+  actual_exit_price: null,
+  targets: bookmark.targets.map(target => ({
+    ...target,
+    target_price: null,
+    exit_price: null
+  })),
+  levels_redacted: true
+});
+
+/**
+ * Bookmarks with call levels and outcomes for export, newest first
+ * Same filters as getUserBookmarks; at most BOOKMARK_SETTINGS.EXPORT_MAX_ROWS rows.
+ * Paid posts the user cannot read in full (no active subscription, not released
+ * by free_after) are exported without levels (`levels_redacted`).
+ *
+ * @param {string} userId - User UUID
+ * @param {Object} filters - { collectionId, tag, search, callStatus }
+ * @returns {Promise<Object>} - { bookmarks (with `targets`), truncated }
+ */
+const getBookmarksForExport = async (userId, filters = {}) => {
+  try {
+    const { conditions, params } = buildBookmarkConditions(userId, filters);
+    params.push(BOOKMARK_SETTINGS.EXPORT_MAX_ROWS + 1);
+
+    const result = await query(
+      `SELECT
+        b.id as bookmark_id,
+        b.notes,
+        b.tags,
+        bc.name as collection_name,
+        b.created_at as bookmarked_at,
+        p.id as post_id,
+        p.analyst_id,
+        p.audience,
+        p.title,
+        p.post_type,
+        p.strategy_type,
+        p.stock_symbol,
+        p.sector,
+        p.action,
+        p.entry_price,
+        p.target_price,
+        p.stop_loss,
+        p.call_status,
+        p.actual_exit_price,
+        p.actual_profit_percent,
+        p.closed_at,
+        p.outcome_source,
+        p.is_self_reported,
+        COALESCE(p.published_at, p.created_at) as published_at,
+        u.full_name as analyst_name,
+        ap.sebi_number as sebi_registration_number,
+        ${FREE_RELEASE_CONDITION} as is_free_released,
+        EXISTS(
+          SELECT 1 FROM subscriptions s
+          WHERE s.user_id = $1
+          AND s.analyst_id = p.analyst_id
+          AND s.status = 'active'
+          AND s.expires_at > NOW()
+          AND s.deleted_at IS NULL
+        ) as has_subscription
+      FROM bookmarks b
+      INNER JOIN posts p ON b.post_id = p.id
+      INNER JOIN users u ON p.analyst_id = u.id
+      LEFT JOIN analyst_profiles ap ON u.id = ap.user_id
+      LEFT JOIN bookmark_collections bc ON b.collection_id = bc.id
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY b.created_at DESC, b.id DESC
+      LIMIT $${params.length}`,
+      params
+    );
+
+    const rows = result.rows.slice(0, BOOKMARK_SETTINGS.EXPORT_MAX_ROWS);
+    const targetsByPost = await PostTargetModel.getTargetsByPostIds(
+      rows.filter(bookmark => bookmark.post_type === 'call').map(bookmark => bookmark.post_id)
+    );
+    const bookmarks = rows.map((bookmark) => {
+      const withTargets = { ...bookmark, targets: targetsByPost[bookmark.post_id] || [] };
+      return needsTeaser(withTargets, userId) ? redactLevels(withTargets) : withTargets;
+    });
+
+    return {
+      bookmarks,
+      truncated: result.rows.length > BOOKMARK_SETTINGS.EXPORT_MAX_ROWS
+    };
+  } catch (error) {
+    if (error instanceof AppError) {
+      throw error;
+    }
+    console.error('Error getting bookmarks for export:', error);
+    throw new AppError('Failed to export bookmarks', 500);
+  }
+};
+
 /**
  * Get bookmark count for user
  *
@@ -351,7 +649,10 @@ module.exports = {
   removeBookmark,
   getUserBookmarks,
   isPostBookmarked,
+  updateBookmark,
   updateBookmarkNotes,
+  getUserBookmarkTags,
+  getBookmarksForExport,
   getUserBookmarkCount,
   getTrendingPosts,
   deletePostBookmarks
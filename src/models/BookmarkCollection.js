@@ -0,0 +1,236 @@
+/**
+ * Bookmark Collection Model
+ *
+ * Database operations for bookmark_collections table
+ * Named folders a trader files bookmarks into ("Swing ideas", "Banking")
+ *
+ * FEATURES:
+ * - Up to BOOKMARK_SETTINGS.MAX_COLLECTIONS collections per user
+ * - Names are unique per user (case-insensitive)
+ * - A bookmark is in at most one collection (bookmarks.collection_id);
+ *   deleting a collection keeps its bookmarks, uncategorized
+ */
+
+const { query } = require('../config/database');
+const { AppError } = require('../middleware/errorHandler');
+const { BOOKMARK_SETTINGS } = require('../utils/constants');
+
+const COLLECTION_COLUMNS = `
+  id,
+  user_id,
+  name,
+  description,
+  created_at,
+  updated_at`;
+
+/**
+ * Validate a collection name
+ *
+ * @param {*} name - Raw name
+ * @returns {string} - Trimmed name
+ */
+const normalizeName = (name) => {
+  const trimmed = typeof name === 'string' ? name.trim() : '';
+  if (!trimmed) {
+    throw new AppError('Collection name is required', 400);
+  }
+  if (trimmed.length > BOOKMARK_SETTINGS.MAX_COLLECTION_NAME_LENGTH) {
+    throw new AppError(`Collection name must be at most ${BOOKMARK_SETTINGS.MAX_COLLECTION_NAME_LENGTH} characters`, 400);
+  }
+  return trimmed;
+};
+
+/**
+ * Get a user's collections
+ *
+ * @param {string} userId - User UUID
+ * @returns {Promise<Array>} - Collections (alphabetical) with bookmarks_count
+ */
+const getUserCollections = async (userId) => {
+  try {
+    const result = await query(
+      `SELECT
+        c.id,
+        c.name,
+        c.description,
+        c.created_at,
+        c.updated_at,
+        (
+          SELECT COUNT(*)
+          FROM bookmarks b
+          INNER JOIN posts p ON b.post_id = p.id
+          WHERE b.collection_id = c.id
+          AND p.deleted_at IS NULL
+        )::INTEGER as bookmarks_count
+      FROM bookmark_collections c
+      WHERE c.user_id = $1
+      ORDER BY LOWER(c.name) ASC`,
+      [userId]
+    );
+
+    return result.rows;
+  } catch (error) {
+    console.error('Error getting bookmark collections:', error);
+    throw new AppError('Failed to fetch collections', 500);
+  }
+};
+
+/**
+ * Find one of a user's collections
+ *
+ * @param {string} userId - User UUID
+ * @param {string} collectionId - Collection UUID
+ * @returns {Promise<Object|null>} - Collection or null
+ */
+const findCollection = async (userId, collectionId) => {
+  try {
+    const result = await query(
+      `SELECT ${COLLECTION_COLUMNS}
+       FROM bookmark_collections
+       WHERE id = $1 AND user_id = $2`,
+      [collectionId, userId]
+    );
+
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Error finding bookmark collection:', error);
+    throw new AppError('Failed to fetch collection', 500);
+  }
+};
+
+/**
+ * Create a collection
+ *
+ * @param {string} userId - User UUID
+ * @param {Object} collectionData - { name, description }
+ * @returns {Promise<Object>} - Created collection
+ */
+const createCollection = async (userId, collectionData) => {
+  try {
+    const name = normalizeName(collectionData.name);
+    const description = collectionData.description || null;
+
+    const countResult = await query(
+      `SELECT COUNT(*) as total FROM bookmark_collections WHERE user_id = $1`,
+      [userId]
+    );
+
+    if (parseInt(countResult.rows[0].total) >= BOOKMARK_SETTINGS.MAX_COLLECTIONS) {
+      throw new AppError(`You can have at most ${BOOKMARK_SETTINGS.MAX_COLLECTIONS} collections`, 400);
+    }
+
+    const result = await query(
+      `INSERT INTO bookmark_collections (
+        user_id,
+        name,
+        description,
+        created_at,
+        updated_at
+      ) VALUES ($1, $2, $3, NOW(), NOW())
+      ON CONFLICT (user_id, LOWER(name)) DO NOTHING
+      RETURNING ${COLLECTION_COLUMNS}`,
+      [userId, name, description]
+    );
+
+    if (result.rows.length === 0) {
+      throw new AppError(`You already have a collection named "${name}"`, 409);
+    }
+
+    return result.rows[0];
+  } catch (error) {
+    if (error instanceof AppError) {
+      throw error;
+    }
+    console.error('Error creating bookmark collection:', error);
+    throw new AppError('Failed to create collection', 500);
+  }
+};
+
+/**
+ * Rename a collection or change its description
+ *
+ * @param {string} userId - User UUID
+ * @param {string} collectionId - Collection UUID
+ * @param {Object} updates - { name, description }
+ * @returns {Promise<Object>} - Updated collection
+ */
+const updateCollection = async (userId, collectionId, updates) => {
+  try {
+    const fields = [];
+    const params = [collectionId, userId];
+
+    if (updates.name !== undefined) {
+      params.push(normalizeName(updates.name));
+      fields.push(`name = $${params.length}`);
+    }
+    if (updates.description !== undefined) {
+      params.push(updates.description || null);
+      fields.push(`description = $${params.length}`);
+    }
+
+    if (fields.length === 0) {
+      throw new AppError('No valid fields provided for update', 400);
+    }
+
+    const result = await query(
+      `UPDATE bookmark_collections
+       SET ${fields.join(', ')}, updated_at = NOW()
+       WHERE id = $1 AND user_id = $2
+       RETURNING ${COLLECTION_COLUMNS}`,
+      params
+    );
+
+    if (result.rows.length === 0) {
+      throw new AppError('Collection not found', 404);
+    }
+
+    return result.rows[0];
+  } catch (error) {
+    if (error instanceof AppError) {
+      throw error;
+    }
+    if (error.code === '23505') {
+      throw new AppError(`You already have a collection named "${updates.name.trim()}"`, 409);
+    }
+    console.error('Error updating bookmark collection:', error);
+    throw new AppError('Failed to update collection', 500);
+  }
+};
+
+/**
+ * Delete a collection (its bookmarks are kept, uncategorized)
+ *
+ * @param {string} userId - User UUID
+ * @param {string} collectionId - Collection UUID
+ * @returns {Promise<boolean>} - True if deleted
+ */
+const deleteCollection = async (userId, collectionId) => {
+  try {
+    const result = await query(
+      `DELETE FROM bookmark_collections
+       WHERE id = $1 AND user_id = $2
+       RETURNING id`,
+      [collectionId, userId]
+    );
+
+    if (result.rows.length === 0) {
+      throw new AppError('Collection not found', 404);
+    }
+
+    return true;
+  } catch (error) {
+    if (error instanceof AppError) {
+      throw error;
+    }
+    console.error('Error deleting bookmark collection:', error);
+    throw new AppError('Failed to delete collection', 500);
+  }
+};
+
+module.exports = {
+  getUserCollections,
+  findCollection,
+  createCollection,
+  updateCollection,
+  deleteCollection
+};
@@ -0,0 +1,300 @@
+/**
+ * Call Conflict Model
+ *
+ * Database operations for call_conflicts table
+ * Open BUY and SELL calls by the same analyst on the same symbol
+ *
+ * WHY:
+ * - With both sides open, an analyst can later point to whichever side won
+ *
+ * RULES (enforced by Post.createPost / Post.updatePost, re-checked when
+ * Post.publishDuePosts releases a scheduled call):
+ * - A BUY/SELL call is rejected (409) while the analyst has an open call on the
+ *   same stock_symbol in the opposite direction, unless it is marked is_hedge
+ * - Hedges are allowed but every opposing open call is recorded here for the
+ *   admin report (status 'pending' until an admin reviews it)
+ * - HOLD calls and multi-leg options calls (no single direction) are not checked
+ * - Symbols are compared normalized ('hdfc bank', 'hdfcbank' -> 'HDFCBANK';
+ *   utils/stockSymbolMapper), so spelling variants cannot dodge the check
+ */
+
+const { query } = require('../config/database');
+const { AppError } = require('../middleware/errorHandler');
+const { normalizeStockSymbol } = require('../utils/stockSymbolMapper');
+
+const OPPOSITE_ACTIONS = {
+  BUY: 'SELL',
+  SELL: 'BUY'
+};
+
+const REVIEW_STATUSES = ['dismissed', 'actioned'];
+
+/**
+ * Normalize a symbol for conflict checks
+ * Unknown names fall back to the trimmed, upper-cased input
+ *
+ * @param {string} stockSymbol - Symbol or stock name
+ * @returns {string}
+ */
+const normalizeConflictSymbol = (stockSymbol) => {
+  return normalizeStockSymbol(stockSymbol) || String(stockSymbol).trim().toUpperCase();
+};
+
+/**
+ * Serialize conflict checks for one analyst and symbol until the transaction ends,
+ * so opposite calls created or released concurrently cannot both pass the check
+ *
+ * @param {Object} client - Transaction client
+ * @param {string} analystId - Analyst UUID
+ * @param {string} stockSymbol - Symbol
+ * @returns {Promise<void>}
+ */
+const lockSymbol = async (client, analystId, stockSymbol) => {
+  const symbol = normalizeConflictSymbol(stockSymbol);
+  await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [`call_conflict:${analystId}:${symbol}`]);
+};
+
+/**
+ * Find the analyst's open calls on a symbol in the opposite direction
+ * Scheduled calls count too: they go live as open calls.
+ *
+ * @param {string} analystId - Analyst UUID
+ * @param {string} stockSymbol - Symbol of the new call
+ * @param {string} action - BUY or SELL (anything else never conflicts)
+ * @param {Object} options - { excludePostId, client }
+ * @returns {Promise<Array>} - [{ id, title, action, entry_price, published_at, publish_at, created_at }]
+ */
+const findOpposingOpenCalls = async (analystId, stockSymbol, action, options = {}) => {
+  const { excludePostId = null, client = null } = options;
+  const opposite = OPPOSITE_ACTIONS[String(action || '').toUpperCase()];
+
+  if (!stockSymbol || !opposite) {
+    return [];
+  }
+
+  const db = client || { query };
+  const result = await db.query(
+    `SELECT
+      id,
+      title,
+      action,
+      COALESCE(published_entry_price, entry_price) as entry_price,
+      published_at,
+      publish_at,
+      created_at
+    FROM posts
+    WHERE analyst_id = $1
+    AND UPPER(TRIM(stock_symbol)) = $2
+    AND UPPER(action) = $3
+    AND post_type = 'call'
+    AND call_status = 'open'
+    AND deleted_at IS NULL
+    AND ($4::uuid IS NULL OR id != $4::uuid)
+    ORDER BY created_at ASC`,
+    [analystId, normalizeConflictSymbol(stockSymbol), opposite, excludePostId]
+  );
+
+  return result.rows;
+};
+
+/**
+ * Describe the opposing open calls for a rejection message
+ *
+ * @param {string} stockSymbol - Symbol
+ * @param {Array} opposingCalls - From findOpposingOpenCalls
+ * @returns {string}
+ */
+const describeConflict = (stockSymbol, opposingCalls) => {
+  const side = String(opposingCalls[0].action).toUpperCase();
+  const since = new Date(opposingCalls[0].created_at).toLocaleDateString('en-IN', {
+    day: '2-digit',
+    month: 'short',
+    year: 'numeric',
+    timeZone: 'Asia/Kolkata'
+  });
+  const calls = opposingCalls.length === 1
+    ? `an open ${side} call on ${stockSymbol} (posted ${since})`
+    : `${opposingCalls.length} open ${side} calls on ${stockSymbol} (oldest posted ${since})`;
+
+  return `You already have ${calls}`;
+};
+
+/**
+ * Record a hedge against each opposing open call
+ *
+ * @param {string} postId - New (hedge) call UUID
+ * @param {string} analystId - Analyst UUID
+ * @param {string} stockSymbol - Symbol
+ * @param {Array<string>} conflictingPostIds - Opposing open call UUIDs
+ * @param {Object} client - Transaction client
+ * @returns {Promise<Array>} - Created conflicts
+ */
+const recordConflicts = async (postId, analystId, stockSymbol, conflictingPostIds, client) => {
+  const result = await client.query(
+    `INSERT INTO call_conflicts (
+      post_id,
+      conflicting_post_id,
+      analyst_id,
+      stock_symbol,
+      status,
+      created_at
+    )
+    SELECT $1, conflicting_id, $2, $3, 'pending', NOW()
+    FROM UNNEST($4::uuid[]) as conflicting_id
+    ON CONFLICT (post_id, conflicting_post_id) DO NOTHING
+    RETURNING id, post_id, conflicting_post_id, analyst_id, stock_symbol, status, created_at`,
+    [postId, analystId, stockSymbol, conflictingPostIds]
+  );
+
+  return result.rows;
+};
+
+/**
+ * Admin report of flagged conflicts, with both calls side by side
+ *
+ * @param {Object} filters - { status (pending|dismissed|actioned|all), analyst_id, page, limit }
+ * @returns {Promise<Object>} - { conflicts, pagination }
+ */
+const getConflicts = async (filters = {}) => {
+  try {
+    const { status = 'pending', analyst_id = null } = filters;
+    const page = parseInt(filters.page) || 1;
+    const limit = Math.min(parseInt(filters.limit) || 20, 100);
+
+    const conditions = [];
+    const params = [];
+
+    if (status !== 'all') {
+      params.push(status);
+      conditions.push(`cc.status = $${params.length}`);
+    }
+
+    if (analyst_id) {
+      params.push(analyst_id);
+      conditions.push(`cc.analyst_id = $${params.length}`);
+    }
+
+    const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const countResult = await query(
+      `SELECT COUNT(*) as total FROM call_conflicts cc ${whereClause}`,
+      params
+    );
+
+    params.push(limit, (page - 1) * limit);
+
+    const result = await query(
+      `SELECT
+        cc.id,
+        cc.stock_symbol,
+        cc.status,
+        cc.admin_notes,
+        cc.reviewed_by,
+        cc.reviewed_at,
+        cc.created_at,
+        cc.analyst_id,
+        ap.display_name as analyst_name,
+        ap.sebi_number as sebi_registration_number,
+        json_build_object(
+          'id', hedge.id,
+          'title', hedge.title,
+          'action', hedge.action,
+          'entry_price', COALESCE(hedge.published_entry_price, hedge.entry_price),
+          'call_status', hedge.call_status,
+          'actual_profit_percent', hedge.actual_profit_percent,
+          'created_at', hedge.created_at,
+          'closed_at', hedge.closed_at,
+          'deleted_at', hedge.deleted_at
+        ) as hedge_call,
+        json_build_object(
+          'id', earlier.id,
+          'title', earlier.title,
+          'action', earlier.action,
+          'entry_price', COALESCE(earlier.published_entry_price, earlier.entry_price),
+          'call_status', earlier.call_status,
+          'actual_profit_percent', earlier.actual_profit_percent,
+          'created_at', earlier.created_at,
+          'closed_at', earlier.closed_at,
+          'deleted_at', earlier.deleted_at
+        ) as conflicting_call,
+        (
+          SELECT COUNT(*)
+          FROM call_conflicts other
+          WHERE other.analyst_id = cc.analyst_id
+        )::INTEGER as analyst_conflicts_count
+      FROM call_conflicts cc
+      INNER JOIN posts hedge ON cc.post_id = hedge.id
+      INNER JOIN posts earlier ON cc.conflicting_post_id = earlier.id
+      LEFT JOIN analyst_profiles ap ON cc.analyst_id = ap.user_id
+      ${whereClause}
+      ORDER BY cc.created_at DESC
+      LIMIT $${params.length - 1} OFFSET $${params.length}`,
+      params
+    );
+
+    const total = parseInt(countResult.rows[0].total);
+
+    return {
+      conflicts: result.rows,
+      pagination: {
+        total,
+        page,
+        limit,
+        totalPages: Math.ceil(total / limit)
+      }
+    };
+  } catch (error) {
+    console.error('Error getting call conflicts:', error);
+    throw new AppError('Failed to fetch call conflicts', 500);
+  }
+};
+
+/**
+ * Mark a flagged conflict as reviewed
+ *
+ * @param {string} conflictId - Conflict UUID
+ * @param {string} adminId - Reviewing admin UUID
+ * @param {string} status - 'dismissed' (legitimate hedge) or 'actioned'
+ * @param {string|null} adminNotes - Optional notes
+ * @returns {Promise<Object>} - Updated conflict
+ */
+const reviewConflict = async (conflictId, adminId, status, adminNotes = null) => {
+  try {
+    if (!REVIEW_STATUSES.includes(status)) {
+      throw new AppError(`status must be one of: ${REVIEW_STATUSES.join(', ')}`, 400);
+    }
+
+    const result = await query(
+      `UPDATE call_conflicts
+       SET status = $2,
+           admin_notes = $3,
+           reviewed_by = $4,
+           reviewed_at = NOW()
+       WHERE id = $1
+       RETURNING id, post_id, conflicting_post_id, analyst_id, stock_symbol, status,
+                 admin_notes, reviewed_by, reviewed_at, created_at`,
+      [conflictId, status, adminNotes, adminId]
+    );
+
+    if (result.rows.length === 0) {
+      throw new AppError('Call conflict not found', 404);
+    }
+
+    return result.rows[0];
+  } catch (error) {
+    if (error instanceof AppError) {
+      throw error;
+    }
+    console.error('Error reviewing call conflict:', error);
+    throw new AppError('Failed to review call conflict', 500);
+  }
+};
+
+module.exports = {
+  lockSymbol,
+  findOpposingOpenCalls,
+  describeConflict,
+  recordConflicts,
+  getConflicts,
+  reviewConflict
+};
@@ -0,0 +1,156 @@
+/**
+ * Call Update Model
+ *
+ * Database operations for call_updates table
+ * Structured follow-ups an analyst posts on a live call
+ *
+ * UPDATE TYPES:
+ * - trail_stop_loss: Move the stop loss in the call's favour (new_stop_loss)
+ * - revise_target: Change the target of a single-target call (new_target_price)
+ * - partial_book: Book quantity_percent of the original position at price
+ * - full_exit: Exit the remaining position at price (closes the call)
+ * - add_more: Add quantity_percent of the original position at price (averages entry)
+ *
+ * Each row keeps the levels before the update, so the timeline shows what changed.
+ */
+
+const { query } = require('../config/database');
+const { AppError } = require('../middleware/errorHandler');
+
+const UPDATE_TYPES = ['trail_stop_loss', 'revise_target', 'partial_book', 'full_exit', 'add_more'];
+
+/**
+ * Create a call update
+ *
+ * @param {Object} updateData - Update data
+ * @param {Object} client - Optional transaction client
+ * @returns {Promise<Object>} - Created update
+ */
+const createUpdate = async (updateData, client = null) => {
+  try {
+    const {
+      post_id,
+      analyst_id,
+      update_type,
+      price = null,
+      quantity_percent = null,
+      new_stop_loss = null,
+      new_target_price = null,
+      previous_stop_loss = null,
+      previous_target_price = null,
+      previous_entry_price = null,
+      realized_percent = null,
+      note = null
+    } = updateData;
+
+    const db = client || { query };
+    const result = await db.query(
+      `INSERT INTO call_updates (
+        post_id,
+        analyst_id,
+        update_type,
+        price,
+        quantity_percent,
+        new_stop_loss,
+        new_target_price,
+        previous_stop_loss,
+        previous_target_price,
+        previous_entry_price,
+        realized_percent,
+        note,
+        created_at
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, NOW())
+      RETURNING *`,
+      [
+        post_id,
+        analyst_id,
+        update_type,
+        price,
+        quantity_percent,
+        new_stop_loss,
+        new_target_price,
+        previous_stop_loss,
+        previous_target_price,
+        previous_entry_price,
+        realized_percent,
+        note
+      ]
+    );
+
+    return result.rows[0];
+  } catch (error) {
+    console.error('Error creating call update:', error);
+    throw new AppError('Failed to save call update', 500);
+  }
+};
+
+/**
+ * Get the update timeline of a call (oldest first)
+ *
+ * @param {string} postId - Post UUID
+ * @param {Object} client - Transaction client (optional)
+ * @returns {Promise<Array>} - Updates
+ */
+const getUpdatesByPostId = async (postId, client = null) => {
+  try {
+    const db = client || { query };
+    const result = await db.query(
+      `SELECT
+        id,
+        post_id,
+        update_type,
+        price,
+        quantity_percent,
+        new_stop_loss,
+        new_target_price,
+        previous_stop_loss,
+        previous_target_price,
+        previous_entry_price,
+        realized_percent,
+        note,
+        created_at
+      FROM call_updates
+      WHERE post_id = $1
+      ORDER BY created_at ASC`,
+      [postId]
+    );
+
+    return result.rows;
+  } catch (error) {
+    console.error('Error getting call updates:', error);
+    throw new AppError('Failed to fetch call updates', 500);
+  }
+};
+
+/**
+ * Get partial bookings of a call as exits for blended return calculation
+ *
+ * @param {string} postId - Post UUID
+ * @returns {Promise<Array>} - [{ allocation_percent, exit_price }]
+ */
+const getPartialBookings = async (postId) => {
+  try {
+    const result = await query(
+      `SELECT
+        quantity_percent as allocation_percent,
+        price as exit_price
+      FROM call_updates
+      WHERE post_id = $1
+      AND update_type = 'partial_book'
+      ORDER BY created_at ASC`,
+      [postId]
+    );
+
+    return result.rows;
+  } catch (error) {
+    console.error('Error getting partial bookings:', error);
+    throw new AppError('Failed to fetch call updates', 500);
+  }
+};
+
+module.exports = {
+  UPDATE_TYPES,
+  createUpdate,
+  getUpdatesByPostId,
+  getPartialBookings
+};
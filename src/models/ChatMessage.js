@@ -14,6 +14,7 @@
 
 const { query, getClient } = require('../config/database');
 const { AppError } = require('../middleware/errorHandler');
+const { decodeCursor, keysetClause, buildCursorPage } = require('../utils/cursor');
 
 /**
  * Create a new chat message
@@ -152,10 +153,15 @@ const getMessageById = async (messageId) => {
  * @param {number} limit - Max messages to return
  * @param {number} offset - Pagination offset
  * @param {string} beforeMessageId - Get messages before this ID (for infinite scroll)
- * @returns {Promise<Object>} - Messages and pagination info
+ * @param {string} cursor - Keyset cursor (utils/cursor); used unless offset/beforeMessageId is given
+ * @returns {Promise<Object>} - Messages (oldest first) and pagination info
+ *   (cursor mode adds next_cursor for older and prev_cursor for newer messages)
  */
-const getChannelMessages = async (channelId, limit = 100, offset = 0, beforeMessageId = null) => {
+const getChannelMessages = async (channelId, limit = 100, offset = 0, beforeMessageId = null, cursor = null) => {
   try {
+    const useCursor = !offset && !beforeMessageId;
+    const decoded = useCursor ? decodeCursor(cursor) : null;
+
     let queryText = `
       SELECT
         m.id,
@@ -172,6 +178,8 @@ const getChannelMessages = async (channelId, limit = 100, offset = 0, beforeMess
         m.pinned_at,
         m.created_at,
         m.updated_at,
+        m.created_at::text as cursor_created_at,
+        m.id as cursor_id,
         u.full_name as user_name,
         u.profile_image_url as user_image,
         u.role as user_role,
@@ -203,12 +211,24 @@ const getChannelMessages = async (channelId, limit = 100, offset = 0, beforeMess
       valueIndex++;
     }
 
+    let orderBy = 'm.created_at DESC';
+
+    if (useCursor) {
+      const keyset = keysetClause(decoded, 'm.created_at', 'm.id', valueIndex);
+      if (keyset.condition) {
+        queryText += ` AND ${keyset.condition}`;
+        values.push(...keyset.params);
+        valueIndex += keyset.params.length;
+      }
+      orderBy = keyset.orderBy;
+    }
+
     queryText += `
-      ORDER BY m.created_at DESC
+      ORDER BY ${orderBy}
       LIMIT $${valueIndex} OFFSET $${valueIndex + 1}
     `;
 
-    values.push(limit, offset);
+    values.push(useCursor ? limit + 1 : limit, offset);
 
     const result = await query(queryText, values);
 
@@ -220,17 +240,36 @@ const getChannelMessages = async (channelId, limit = 100, offset = 0, beforeMess
         AND is_deleted = FALSE
     `;
     const countResult = await query(countQuery, [channelId]);
+    const total = parseInt(countResult.rows[0].total, 10);
+
+    if (useCursor) {
+      const page = buildCursorPage(result.rows, limit, decoded);
+
+      return {
+        messages: page.items.reverse(), // Reverse to show oldest first
+        pagination: {
+          total,
+          limit,
+          next_cursor: page.next_cursor,
+          prev_cursor: page.prev_cursor,
+          has_more: page.has_more
+        }
+      };
+    }
+
+    const messages = result.rows.map(({ cursor_created_at, cursor_id, ...message }) => message);
 
     return {
-      messages: result.rows.reverse(), // Reverse to show oldest first
+      messages: messages.reverse(), // Reverse to show oldest first
       pagination: {
-        total: parseInt(countResult.rows[0].total, 10),
+        total,
         limit,
         offset,
         has_more: result.rows.length === limit
       }
     };
   } catch (error) {
+    if (error instanceof AppError) throw error;
     console.error('Error fetching channel messages:', error);
     throw new AppError('Failed to fetch messages', 500);
   }
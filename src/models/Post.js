@@ -10,19 +10,192 @@
  * - Feed queries with filters (date, urgency, strategy, analyst)
  * - Post analytics (views, bookmarks, comments)
  * - Call outcome tracking for performance metrics
+ * - Multi-target calls (T1/T2/T3) with per-target outcomes
+ * - Append-only, hash-chained edit history (post_versions)
+ * - Scheduled publishing (publish_at / published_at)
+ * - Strategy-based automatic call expiry (expires_at)
  * - Soft delete support
  */
 
 const { query, getClient } = require('../config/database');
 const { AppError } = require('../middleware/errorHandler');
+const PostTargetModel = require('./PostTarget');
+const PostLegModel = require('./PostLeg');
+const PostAttachmentModel = require('./PostAttachment');
+const AnalystProfile = require('./AnalystProfile');
+const PostVersionModel = require('./PostVersion');
+const PostDraftModel = require('./PostDraft');
+const CallUpdateModel = require('./CallUpdate');
+const CallConflictModel = require('./CallConflict');
+const { TRACKED_CALL_CONDITIONS, VERIFIED_OUTCOME_CONDITION } = require('./AnalystPerformance');
+const {
+  normalizeTargets,
+  calculateProfitPercent,
+  calculateBlendedReturn,
+  withRemainingExit
+} = require('../utils/callTargets');
+const { normalizeLegs, calculatePayoff } = require('../utils/optionsStrategy');
+const { getCallExpiry, isValidCallType } = require('../utils/callTypeValidator');
+const { decodeCursor, keysetClause, buildCursorPage } = require('../utils/cursor');
+const { toTeaser, applyTeasers } = require('../utils/postTeaser');
+const { normalizeFreeAfter } = require('../utils/freeAfterPolicy');
+const { getSectorForSymbol } = require('../utils/sectorMaster');
+const { normalizeStockSymbol } = require('../utils/stockSymbolMapper');
+const { getRegistration, normalizeCallDisclosure, buildDisclosureBlock } = require('../utils/disclosureBlock');
+const { CALL_IMPORT, SCHEDULED_POSTS } = require('../utils/constants');
+
+/**
+ * Attach ordered targets (T1/T2/T3) and option legs to a list of posts
+ * Multi-leg options calls also get their expiry `payoff` (max profit/loss, breakevens)
+ *
+ * @param {Array<Object>} posts - Posts
+ * @returns {Promise<Array<Object>>} - Same posts with `targets`, `legs` and `payoff`
+ */
+const attachCallDetails = async (posts) => {
+  const callIds = posts.filter(post => post.post_type === 'call').map(post => post.id);
+  const [targetsByPost, legsByPost] = await Promise.all([
+    PostTargetModel.getTargetsByPostIds(callIds),
+    PostLegModel.getLegsByPostIds(callIds)
+  ]);
+
+  posts.forEach((post) => {
+    post.targets = targetsByPost[post.id] || [];
+    post.legs = legsByPost[post.id] || [];
+    post.payoff = calculatePayoff(post.legs);
+  });
+
+  return posts;
+};
+
+/**
+ * Drop database-only columns from a row selected with p.* / RETURNING *
+ * (search_vector is the full-text index, never part of an API payload)
+ *
+ * @param {Object} row - posts row
+ * @returns {Object} - Post without search_vector
+ */
+const omitInternalColumns = ({ search_vector, ...post }) => post;
+
+/**
+ * Parse a scheduled publish time
+ * A time in the past is rejected, except within SCHEDULED_POSTS.CLOCK_SKEW_SECONDS
+ * (the client's clock running slightly ahead), which publishes immediately.
+ *
+ * @param {string|Date|null} publishAt - Requested publish time
+ * @returns {Date|null} - Future publish time, or null to publish immediately
+ */
+const parsePublishAt = (publishAt) => {
+  if (!publishAt) {
+    return null;
+  }
+
+  const date = new Date(publishAt);
+  if (isNaN(date.getTime())) {
+    throw new AppError('Invalid publish_at date', 400);
+  }
+
+  const now = Date.now();
+  if (date.getTime() > now) {
+    return date;
+  }
+  if (date.getTime() < now - SCHEDULED_POSTS.CLOCK_SKEW_SECONDS * 1000) {
+    throw new AppError('publish_at is in the past', 400);
+  }
+
+  return null;
+};
+
+/**
+ * SQL condition: paid post already released to the free audience
+ * by its free_after policy (utils/freeAfterPolicy): closed call with
+ * on_close, or after_hours elapsed since it went live.
+ * posts.free_after wins; NULL falls back to analyst_profiles.free_after.
+ */
+const FREE_RELEASE_CONDITION = `(
+      p.audience = 'paid'
+      AND p.published_at IS NOT NULL
+      AND EXISTS(
+        SELECT 1
+        FROM (
+          SELECT COALESCE(
+            p.free_after,
+            (SELECT release_ap.free_after FROM analyst_profiles release_ap WHERE release_ap.user_id = p.analyst_id)
+          ) as policy
+        ) free_release
+        WHERE (
+          (free_release.policy->>'on_close')::boolean IS TRUE
+          AND p.post_type = 'call'
+          AND p.call_status != 'open'
+        ) OR (
+          free_release.policy->>'after_hours' IS NOT NULL
+          AND p.published_at + make_interval(hours => (free_release.policy->>'after_hours')::int) <= NOW()
+        )
+      )
+    )`;
+
+/**
+ * SQL condition: post is visible in full to a user
+ * (active subscription to the analyst, a free/both post, or a paid post
+ * released by its free_after policy)
+ * Shared by the feed and search so both gate paid posts the same way.
+ *
+ * @param {string} userParam - Placeholder holding the user ID (e.g. '$1'); NULL user = free posts only
+ * @returns {string} - SQL condition on alias `p`
+ */
+const feedAccessCondition = (userParam) => `(
+      EXISTS(
+        SELECT 1 FROM subscriptions s
+        WHERE s.user_id = ${userParam}
+        AND s.analyst_id = p.analyst_id
+        AND s.status = 'active'
+        AND s.expires_at > NOW()
+        AND s.deleted_at IS NULL
+      )
+      OR p.audience IN ('free', 'both')
+      OR ${FREE_RELEASE_CONDITION}
+    )`;
 
 /**
  * Create new post
+ * Calls with `targets` ([{ price, allocation_percent }]) store T1..Tn in post_targets
+ * Options calls with `legs` store each leg in post_legs; action and entry_price
+ * are optional for them and stock_symbol defaults to the legs' underlying
+ * `attachments` are already-uploaded files (services/postMediaService.uploadAttachments)
+ * Published levels are frozen in published_* columns and recorded as version 1
+ * `draft_id` marks that draft as promoted to this post (PostDraft.markPromoted)
+ * `call_type` keeps the original call type (utils/callTypeValidator.CALL_TYPES) so
+ * call types sharing a strategy_type (overnight -> swing) keep their own expiry
+ * `free_after` ({ on_close, after_hours }) releases a paid post to the free
+ * audience later; NULL uses the analyst's default (utils/freeAfterPolicy)
+ *
+ * DISCLOSURES (utils/disclosureBlock):
+ * - Calls get a versioned SEBI disclaimer block in `disclosure`: analyst name,
+ *   registration type and number from the analyst profile, plus the analyst's
+ *   per-call `disclosure` ({ holds_position, position_details, financial_interest,
+ *   received_compensation, conflict_details })
+ * - Calls are rejected (400) without holds_position, without the details of a
+ *   declared position or conflict, or when the profile has no registration number
+ *
+ * CONTRADICTORY CALLS (models/CallConflict):
+ * - A BUY/SELL call is rejected (409) while the analyst has an open call on the
+ *   same symbol in the opposite direction, unless `is_hedge` is set
+ * - Call symbols are stored normalized (utils/stockSymbolMapper), e.g. 'hdfc bank' -> 'HDFCBANK'
+ * - Hedges are recorded against every opposing open call for the admin report
+ *
+ * SCHEDULING:
+ * - `publish_at` in the future stores the post with published_at = NULL
+ *   (hidden from feeds until the publisher releases it); a past one is a 400
+ *   (beyond SCHEDULED_POSTS.CLOCK_SKEW_SECONDS)
+ * - published_* levels are frozen on release, not at creation
+ * - created_at is reset to the release time (feeds and cursors order by go-live
+ *   time, even when the publisher runs late); expires_at is also set on release
  *
  * @param {Object} postData - Post data
  * @returns {Promise<Object>} - Created post
  */
 const createPost = async (postData) => {
+  let client = null;
+
   try {
     const {
       analyst_id,
@@ -30,9 +203,8 @@ const createPost = async (postData) => {
       content,
       content_formatted,
       post_type = 'call',
-      strategy_type,
+      call_type = null,
       audience = 'paid',
-      stock_symbol,
       action,
       entry_price,
       target_price,
@@ -40,8 +212,17 @@ const createPost = async (postData) => {
       risk_reward_ratio,
       confidence_level,
       is_urgent = false,
-      is_pinned = false
+      is_pinned = false,
+      targets = null,
+      legs = null,
+      attachments = [],
+      publish_at = null,
+      is_hedge = false,
+      free_after = null, // { on_close, after_hours }; NULL = analyst default
+      disclosure = null, // Per-call disclosures (calls only)
+      draft_id = null // Promoted draft (linked in the same transaction)
     } = postData;
+    let { stock_symbol, strategy_type } = postData;
 
     // Validate required fields
     if (!analyst_id) {
@@ -54,14 +235,88 @@ const createPost = async (postData) => {
       throw new AppError('Content is required', 400);
     }
 
+    // Multi-leg options calls: the legs carry the instrument details
+    const legCheck = normalizeLegs(post_type === 'call' ? legs : null);
+    if (!legCheck.valid) {
+      throw new AppError(`Invalid legs: ${legCheck.errors.join(', ')}`, 400);
+    }
+    const callLegs = legCheck.legs;
+
+    if (callLegs.length > 0) {
+      if (Array.isArray(targets) && targets.length > 0) {
+        throw new AppError('Options strategy calls cannot have staged targets', 400);
+      }
+      stock_symbol = stock_symbol || callLegs[0].underlying;
+      strategy_type = strategy_type || 'options';
+    }
+
+    // Store the canonical symbol so conflict checks and filters match it
+    if (post_type === 'call' && stock_symbol) {
+      stock_symbol = normalizeStockSymbol(stock_symbol) || String(stock_symbol).trim().toUpperCase();
+    }
+
     // For call type, validate required fields
-    if (post_type === 'call') {
+    if (post_type === 'call' && callLegs.length === 0) {
       if (!stock_symbol || !action || !entry_price) {
         throw new AppError('Stock symbol, action, and entry price are required for calls', 400);
       }
     }
 
-    const result = await query(
+    // Multi-target calls: T1 doubles as target_price for single-target consumers
+    const targetCheck = normalizeTargets(post_type === 'call' ? targets : null, action, entry_price);
+    if (!targetCheck.valid) {
+      throw new AppError(`Invalid targets: ${targetCheck.errors.join(', ')}`, 400);
+    }
+    const callTargets = targetCheck.targets;
+
+    const freeAfterCheck = normalizeFreeAfter(free_after);
+    if (!freeAfterCheck.valid) {
+      throw new AppError(`Invalid free_after: ${freeAfterCheck.errors.join(', ')}`, 400);
+    }
+
+    const disclosureCheck = post_type === 'call' ? normalizeCallDisclosure(disclosure) : null;
+    if (disclosureCheck && !disclosureCheck.valid) {
+      throw new AppError(`Missing or invalid disclosure: ${disclosureCheck.errors.join(', ')}`, 400);
+    }
+
+    const primaryTarget = callTargets.length > 0 ? callTargets[0].target_price : target_price;
+    const sectorInfo = getSectorForSymbol(stock_symbol);
+    const scheduledAt = parsePublishAt(publish_at);
+    const callType = post_type === 'call' && isValidCallType(call_type) ? call_type.toLowerCase() : null;
+    const expiresAt = post_type === 'call' && !scheduledAt
+      ? getCallExpiry(strategy_type, new Date(), callType)
+      : null;
+
+    client = await getClient();
+    await client.query('BEGIN');
+
+    // The disclaimer block is built from the profile as it is when the call is stored
+    let disclosureBlock = null;
+    if (disclosureCheck) {
+      const profile = await AnalystProfile.findByUserId(analyst_id, false, client);
+      if (!getRegistration(profile)) {
+        throw new AppError('A SEBI registration number on your analyst profile is required to publish calls', 400);
+      }
+      disclosureBlock = buildDisclosureBlock(profile, disclosureCheck.disclosure);
+    }
+
+    // Contradictory calls: lock analyst + symbol so opposite calls created
+    // concurrently cannot both pass the check
+    let opposingCalls = [];
+    if (post_type === 'call' && stock_symbol) {
+      await CallConflictModel.lockSymbol(client, analyst_id, stock_symbol);
+      opposingCalls = await CallConflictModel.findOpposingOpenCalls(analyst_id, stock_symbol, action, { client });
+
+      if (opposingCalls.length > 0 && !is_hedge) {
+        throw new AppError(
+          `${CallConflictModel.describeConflict(stock_symbol, opposingCalls)}. ` +
+            'Close it first, or mark this call as a hedge (is_hedge: true).',
+          409
+        );
+      }
+    }
+
+    const result = await client.query(
       `INSERT INTO posts (
         analyst_id,
         title,
@@ -80,9 +335,37 @@ const createPost = async (postData) => {
         is_urgent,
         is_pinned,
         call_status,
+        published_entry_price,
+        published_target_price,
+        published_stop_loss,
+        publish_at,
+        published_at,
+        expires_at,
+        is_hedge,
+        free_after,
+        sector,
+        industry,
+        disclosure,
+        call_type,
         created_at,
         updated_at
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, NOW(), NOW())
+      ) VALUES (
+        $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17,
+        CASE WHEN $18::timestamptz IS NULL THEN $10::decimal END,
+        CASE WHEN $18::timestamptz IS NULL THEN $11::decimal END,
+        CASE WHEN $18::timestamptz IS NULL THEN $12::decimal END,
+        $18,
+        CASE WHEN $18::timestamptz IS NULL THEN NOW() END,
+        $19,
+        $20,
+        $21,
+        $22,
+        $23,
+        $24,
+        $25,
+        NOW(),
+        NOW()
+      )
       RETURNING
         id,
         analyst_id,
@@ -91,8 +374,11 @@ const createPost = async (postData) => {
         content_formatted,
         post_type,
         strategy_type,
+        call_type,
         audience,
         stock_symbol,
+        sector,
+        industry,
         action,
         entry_price,
         target_price,
@@ -102,9 +388,16 @@ const createPost = async (postData) => {
         call_status,
         is_urgent,
         is_pinned,
+        is_hedge,
+        free_after,
+        disclosure,
         views_count,
         bookmarks_count,
         comments_count,
+        edit_count,
+        publish_at,
+        published_at,
+        expires_at,
         created_at,
         updated_at`,
       [
@@ -118,23 +411,199 @@ const createPost = async (postData) => {
         stock_symbol || null,
         action || null,
         entry_price || null,
-        target_price || null,
+        primaryTarget || null,
         stop_loss || null,
         risk_reward_ratio || null,
         confidence_level || null,
         is_urgent,
         is_pinned,
-        post_type === 'call' ? 'open' : null
+        post_type === 'call' ? 'open' : null,
+        scheduledAt,
+        expiresAt,
+        post_type === 'call' && Boolean(is_hedge),
+        freeAfterCheck.policy ? JSON.stringify(freeAfterCheck.policy) : null,
+        sectorInfo ? sectorInfo.sector : null,
+        sectorInfo ? sectorInfo.industry : null,
+        disclosureBlock ? JSON.stringify(disclosureBlock) : null,
+        callType
       ]
     );
 
-    return result.rows[0];
+    const post = result.rows[0];
+    post.targets = callTargets.length > 0
+      ? await PostTargetModel.createTargets(post.id, callTargets, client)
+      : [];
+    post.legs = callLegs.length > 0
+      ? await PostLegModel.createLegs(post.id, callLegs, client)
+      : [];
+    post.payoff = calculatePayoff(post.legs);
+
+    if (attachments.length > 0) {
+      await PostAttachmentModel.createAttachments(post.id, attachments, client);
+    }
+
+    await PostVersionModel.appendVersion(post.id, PostVersionModel.buildSnapshot(post), analyst_id, client);
+
+    if (opposingCalls.length > 0) {
+      post.hedges = await CallConflictModel.recordConflicts(
+        post.id,
+        analyst_id,
+        stock_symbol,
+        opposingCalls.map(call => call.id),
+        client
+      );
+    }
+
+    if (draft_id) {
+      await PostDraftModel.markPromoted(draft_id, post.id, analyst_id, client);
+    }
+
+    await client.query('COMMIT');
+
+    return post;
   } catch (error) {
+    if (client) {
+      await client.query('ROLLBACK');
+    }
     if (error instanceof AppError) {
       throw error;
     }
     console.error('Error creating post:', error);
     throw new AppError('Failed to create post', 500);
+  } finally {
+    if (client) {
+      client.release();
+    }
+  }
+};
+
+/**
+ * Import historical calls (already validated by utils/callImport)
+ *
+ * Imported calls are stored closed, with their original timestamps, as
+ * self-reported: is_self_reported = true, outcome_source = 'self_reported'.
+ * They show on the analyst's profile but are excluded from verified
+ * performance metrics (profile stats, ranking, performance cards).
+ * A row matching an existing call (symbol, action, entry, posted_at) is
+ * skipped as a duplicate. All rows are saved in one transaction.
+ *
+ * @param {string} analystId - Analyst UUID
+ * @param {Array<Object>} calls - Normalized calls (row, stock_symbol, action, strategy_type,
+ *   entry_price, stop_loss, targets, exit_price, posted_at, exited_at, notes, call_status, profit_percent)
+ * @param {Object} options - { audience }
+ * @returns {Promise<Object>} - { imported: [{ row, post_id }], duplicates: [{ row, post_id }] }
+ */
+const importHistoricalCalls = async (analystId, calls, options = {}) => {
+  let client = null;
+
+  try {
+    const { audience = 'free' } = options;
+    const imported = [];
+    const duplicates = [];
+
+    client = await getClient();
+    await client.query('BEGIN');
+
+    for (const call of calls) {
+      const existing = await client.query(
+        `SELECT id
+         FROM posts
+         WHERE analyst_id = $1
+         AND stock_symbol = $2
+         AND action = $3
+         AND COALESCE(published_entry_price, entry_price) = $4
+         AND published_at = $5
+         AND deleted_at IS NULL
+         LIMIT 1`,
+        [analystId, call.stock_symbol, call.action, call.entry_price, call.posted_at]
+      );
+
+      if (existing.rows.length > 0) {
+        duplicates.push({ row: call.row, post_id: existing.rows[0].id });
+        continue;
+      }
+
+      const targetPrice = call.targets.length > 0 ? call.targets[0].target_price : null;
+      const sectorInfo = getSectorForSymbol(call.stock_symbol);
+      const result = await client.query(
+        `INSERT INTO posts (
+          analyst_id,
+          title,
+          content,
+          post_type,
+          strategy_type,
+          audience,
+          stock_symbol,
+          action,
+          entry_price,
+          target_price,
+          stop_loss,
+          published_entry_price,
+          published_target_price,
+          published_stop_loss,
+          call_status,
+          actual_entry_price,
+          actual_exit_price,
+          actual_profit_percent,
+          outcome_source,
+          closed_at,
+          published_at,
+          is_self_reported,
+          imported_at,
+          sector,
+          industry,
+          created_at,
+          updated_at
+        ) VALUES (
+          $1, $2, $3, 'call', $4, $5, $6, $7, $8, $9, $10, $8, $9, $10, $11, $8, $12, $13,
+          'self_reported', $14, $15, true, NOW(), $16, $17, $15, NOW()
+        )
+        RETURNING id`,
+        [
+          analystId,
+          `${call.stock_symbol} ${call.action} Call`,
+          call.notes || `${CALL_IMPORT.LABEL} historical call, imported by the analyst.`,
+          call.strategy_type,
+          audience,
+          call.stock_symbol,
+          call.action,
+          call.entry_price,
+          targetPrice,
+          call.stop_loss,
+          call.call_status,
+          call.exit_price,
+          call.profit_percent,
+          call.exited_at,
+          call.posted_at,
+          sectorInfo ? sectorInfo.sector : null,
+          sectorInfo ? sectorInfo.industry : null
+        ]
+      );
+
+      const postId = result.rows[0].id;
+      if (call.targets.length > 1) {
+        await PostTargetModel.createTargets(postId, call.targets, client);
+      }
+
+      imported.push({ row: call.row, post_id: postId });
+    }
+
+    await client.query('COMMIT');
+
+    return { imported, duplicates };
+  } catch (error) {
+    if (client) {
+      await client.query('ROLLBACK');
+    }
+    if (error instanceof AppError) {
+      throw error;
+    }
+    console.error('Error importing historical calls:', error);
+    throw new AppError('Failed to import calls', 500);
+  } finally {
+    if (client) {
+      client.release();
+    }
   }
 };
 
@@ -173,11 +642,13 @@ const findPostById = async (postId, userId = null) => {
     }
 
     // Parse content_formatted if it's a string
-    const post = result.rows[0];
+    const post = omitInternalColumns(result.rows[0]);
     if (post.content_formatted && typeof post.content_formatted === 'string') {
       post.content_formatted = JSON.parse(post.content_formatted);
     }
 
+    await attachCallDetails([post]);
+
     return post;
   } catch (error) {
     console.error('Error finding post by ID:', error);
@@ -186,71 +657,153 @@ const findPostById = async (postId, userId = null) => {
 };
 
 /**
- * Get user's personalized feed with filters
+ * Columns for feed queries (alias p = posts, ap = analyst_profiles; $1 = viewer)
+ */
+const FEED_POST_COLUMNS = `
+  p.id,
+  p.analyst_id,
+  p.title,
+  p.content,
+  p.content_formatted,
+  p.post_type,
+  p.strategy_type,
+  p.audience,
+  p.stock_symbol,
+  p.sector,
+  p.industry,
+  p.action,
+  p.entry_price,
+  p.target_price,
+  p.stop_loss,
+  p.risk_reward_ratio,
+  p.confidence_level,
+  p.call_status,
+  p.expires_at,
+  p.is_urgent,
+  p.is_pinned,
+  p.is_hedge,
+  p.is_self_reported,
+  p.disclosure,
+  p.views_count,
+  p.bookmarks_count,
+  p.comments_count,
+  p.edit_count,
+  p.created_at,
+  p.updated_at,
+  ap.display_name as analyst_name,
+  ap.photo_url as analyst_photo,
+  ap.sebi_number as sebi_registration_number,
+  ${FREE_RELEASE_CONDITION} as is_free_released,
+  EXISTS(
+    SELECT 1 FROM bookmarks b
+    WHERE b.post_id = p.id AND b.user_id = $1
+  ) as is_bookmarked,
+  EXISTS(
+    SELECT 1 FROM subscriptions s
+    WHERE s.user_id = $1
+    AND s.analyst_id = p.analyst_id
+    AND s.status = 'active'
+    AND s.expires_at > NOW()
+    AND s.deleted_at IS NULL
+  ) as has_subscription`;
+
+/**
+ * Build the feed WHERE conditions shared by the feed and the new-posts count
+ * params[0] must be the user ID
  *
- * @param {string} userId - User ID
- * @param {Object} filters - Filter options
- * @returns {Promise<Object>} - { posts: Array, total: number, page: number, limit: number }
+ * With `include_teasers`, paid posts the user cannot read are kept too
+ * (callers redact them with utils/postTeaser.applyTeasers).
+ *
+ * @param {Object} filters - { date_filter, urgency_filter, strategy_filter, sector, analyst_id, watchlist_only, include_teasers }
+ * @param {Array} params - Query params (appended to)
+ * @returns {Array<string>} - SQL conditions on alias `p`
  */
-const getFeedForUser = async (userId, filters = {}) => {
-  try {
-    const {
-      page = 1,
-      limit = 20,
-      date_filter = 'all', // all, today, this_week, this_month
-      urgency_filter = 'all', // all, urgent_only
-      strategy_filter = 'all', // all, intraday, swing, positional, long_term, options
-      analyst_id = null
-    } = filters;
+const buildFeedConditions = (filters, params) => {
+  const {
+    date_filter = 'all', // all, today, this_week, this_month
+    urgency_filter = 'all', // all, urgent_only
+    strategy_filter = 'all', // all, intraday, swing, positional, long_term, options
+    sector = null, // sectorMaster key (e.g. 'banking')
+    analyst_id = null,
+    watchlist_only = false, // only posts on symbols in the user's watchlist
+    include_teasers = false // paid posts of other analysts as redacted teasers
+  } = filters;
+
+  const whereConditions = ['p.deleted_at IS NULL', 'p.published_at IS NOT NULL'];
+
+  // Filter: User must be subscribed to the analyst OR post is free/both
+  if (!include_teasers) {
+    whereConditions.push(feedAccessCondition('$1'));
+  }
 
-    const offset = (page - 1) * limit;
+  // Filter: Date
+  if (date_filter === 'today') {
+    whereConditions.push(`p.created_at >= CURRENT_DATE`);
+  } else if (date_filter === 'this_week') {
+    whereConditions.push(`p.created_at >= DATE_TRUNC('week', CURRENT_DATE)`);
+  } else if (date_filter === 'this_month') {
+    whereConditions.push(`p.created_at >= DATE_TRUNC('month', CURRENT_DATE)`);
+  }
 
-    // Build WHERE clause based on filters
-    let whereConditions = ['p.deleted_at IS NULL'];
-    let params = [userId, limit, offset];
-    let paramCount = 3;
+  // Filter: Urgency
+  if (urgency_filter === 'urgent_only') {
+    whereConditions.push(`p.is_urgent = true`);
+  }
 
-    // Filter: User must be subscribed to the analyst OR post is free/both
-    whereConditions.push(`(
-      EXISTS(
-        SELECT 1 FROM subscriptions s
-        WHERE s.user_id = $1
-        AND s.analyst_id = p.analyst_id
-        AND s.status = 'active'
-        AND s.expires_at > NOW()
-        AND s.deleted_at IS NULL
-      )
-      OR p.audience IN ('free', 'both')
-    )`);
+  // Filter: Strategy type
+  if (strategy_filter !== 'all') {
+    params.push(strategy_filter);
+    whereConditions.push(`p.strategy_type = $${params.length}`);
+  }
 
-    // Filter: Date
-    if (date_filter === 'today') {
-      whereConditions.push(`p.created_at >= CURRENT_DATE`);
-    } else if (date_filter === 'this_week') {
-      whereConditions.push(`p.created_at >= DATE_TRUNC('week', CURRENT_DATE)`);
-    } else if (date_filter === 'this_month') {
-      whereConditions.push(`p.created_at >= DATE_TRUNC('month', CURRENT_DATE)`);
-    }
+  // Filter: Sector
+  if (sector) {
+    params.push(sector);
+    whereConditions.push(`p.sector = $${params.length}`);
+  }
 
-    // Filter: Urgency
-    if (urgency_filter === 'urgent_only') {
-      whereConditions.push(`p.is_urgent = true`);
-    }
+  // Filter: Specific analyst
+  if (analyst_id) {
+    params.push(analyst_id);
+    whereConditions.push(`p.analyst_id = $${params.length}`);
+  }
 
-    // Filter: Strategy type
-    if (strategy_filter !== 'all') {
-      paramCount++;
-      params.push(strategy_filter);
-      whereConditions.push(`p.strategy_type = $${paramCount}`);
-    }
+  // Filter: Watchlist symbols
+  if (watchlist_only) {
+    whereConditions.push(`p.stock_symbol IN (
+      SELECT w.stock_symbol FROM watchlist_items w WHERE w.user_id = $1
+    )`);
+  }
 
-    // Filter: Specific analyst
-    if (analyst_id) {
-      paramCount++;
-      params.push(analyst_id);
-      whereConditions.push(`p.analyst_id = $${paramCount}`);
-    }
+  return whereConditions;
+};
+
+/**
+ * Get user's personalized feed with filters
+ *
+ * PAGINATION:
+ * - Offset (default, `page` defaults to 1): urgent and pinned posts first
+ * - Cursor (opt-in: `cursor` given or `pagination: 'cursor'`): keyset on
+ *   (created_at, id), newest first; pass `cursor` from next_cursor /
+ *   prev_cursor. Stable while new posts arrive.
+ *
+ * TEASERS: with `include_teasers`, paid posts the user cannot read are
+ * returned as teasers (utils/postTeaser: levels redacted, `is_teaser`, `unlock`)
+ *
+ * @param {string} userId - User ID
+ * @param {Object} filters - Filter options (+ page, or cursor / pagination, limit)
+ * @returns {Promise<Object>} - { posts, total, page, limit, totalPages, hasMore }
+ *   (cursor mode: next_cursor and prev_cursor instead of page and totalPages)
+ */
+const getFeedForUser = async (userId, filters = {}) => {
+  try {
+    const { page = 1, cursor = null, pagination = null, limit = 20 } = filters;
+    const useCursor = Boolean(cursor) || pagination === 'cursor';
+    const decoded = useCursor ? decodeCursor(cursor) : null;
+    const offset = useCursor ? 0 : (page - 1) * limit;
 
+    const params = [userId];
+    const whereConditions = buildFeedConditions(filters, params);
     const whereClause = whereConditions.join(' AND ');
 
     // Get total count
@@ -258,74 +811,71 @@ const getFeedForUser = async (userId, filters = {}) => {
       `SELECT COUNT(*) as total
        FROM posts p
        WHERE ${whereClause}`,
-      params.slice(0, paramCount)
+      params
     );
 
     const total = parseInt(countResult.rows[0].total);
 
+    let pageClause;
+    if (useCursor) {
+      const keyset = keysetClause(decoded, 'p.created_at', 'p.id', params.length + 1);
+      if (keyset.condition) {
+        whereConditions.push(keyset.condition);
+        params.push(...keyset.params);
+      }
+      params.push(limit + 1);
+      pageClause = `ORDER BY ${keyset.orderBy} LIMIT $${params.length}`;
+    } else {
+      params.push(limit, offset);
+      pageClause = `ORDER BY
+        p.is_urgent DESC,
+        p.is_pinned DESC,
+        p.created_at DESC
+      LIMIT $${params.length - 1} OFFSET $${params.length}`;
+    }
+
     // Get posts
     const result = await query(
-      `SELECT
-        p.id,
-        p.analyst_id,
-        p.title,
-        p.content,
-        p.content_formatted,
-        p.post_type,
-        p.strategy_type,
-        p.audience,
-        p.stock_symbol,
-        p.action,
-        p.entry_price,
-        p.target_price,
-        p.stop_loss,
-        p.risk_reward_ratio,
-        p.confidence_level,
-        p.call_status,
-        p.is_urgent,
-        p.is_pinned,
-        p.views_count,
-        p.bookmarks_count,
-        p.comments_count,
-        p.created_at,
-        p.updated_at,
-        ap.display_name as analyst_name,
-        ap.photo_url as analyst_photo,
-        ap.sebi_number as sebi_registration_number,
-        EXISTS(
-          SELECT 1 FROM bookmarks b
-          WHERE b.post_id = p.id AND b.user_id = $1
-        ) as is_bookmarked,
-        EXISTS(
-          SELECT 1 FROM subscriptions s
-          WHERE s.user_id = $1
-          AND s.analyst_id = p.analyst_id
-          AND s.status = 'active'
-          AND s.expires_at > NOW()
-          AND s.deleted_at IS NULL
-        ) as has_subscription
+      `SELECT ${FEED_POST_COLUMNS},
+        p.created_at::text as cursor_created_at,
+        p.id as cursor_id
       FROM posts p
       INNER JOIN users u ON p.analyst_id = u.id
       LEFT JOIN analyst_profiles ap ON u.id = ap.user_id
-      WHERE ${whereClause}
-      ORDER BY
-        p.is_urgent DESC,
-        p.is_pinned DESC,
-        p.created_at DESC
-      LIMIT $2 OFFSET $3`,
+      WHERE ${whereConditions.join(' AND ')}
+      ${pageClause}`,
       params
     );
 
+    const cursorPage = useCursor
+      ? buildCursorPage(result.rows, limit, decoded)
+      : { items: result.rows.map(({ cursor_created_at, cursor_id, ...post }) => post) };
+
     // Parse content_formatted for each post
-    const posts = result.rows.map(post => {
+    const posts = cursorPage.items.map(post => {
       if (post.content_formatted && typeof post.content_formatted === 'string') {
         post.content_formatted = JSON.parse(post.content_formatted);
       }
       return post;
     });
 
+    await attachCallDetails(posts);
+
+    const visiblePosts = filters.include_teasers ? applyTeasers(posts, userId) : posts;
+
+    if (useCursor) {
+      return {
+        posts: visiblePosts,
+        total,
+        limit: parseInt(limit),
+        next_cursor: cursorPage.next_cursor,
+        prev_cursor: cursorPage.prev_cursor,
+        hasMore: cursorPage.has_more
+      };
+    }
+
     return {
-      posts,
+      posts: visiblePosts,
       total,
       page: parseInt(page),
       limit: parseInt(limit),
@@ -333,104 +883,382 @@ const getFeedForUser = async (userId, filters = {}) => {
       hasMore: offset + posts.length < total
     };
   } catch (error) {
+    if (error instanceof AppError) {
+      throw error;
+    }
     console.error('Error getting user feed:', error);
     throw new AppError('Failed to fetch feed', 500);
   }
 };
 
 /**
- * Get analyst's posts (public sample or full for subscribers)
+ * Count feed posts newer than a cursor ("N new posts" banner)
+ * Uses the same filters and gating as getFeedForUser.
  *
- * @param {string} analystId - Analyst UUID
- * @param {string} userId - Current user ID (optional)
- * @param {Object} options - { page, limit, sampleOnly }
- * @returns {Promise<Object>} - { posts: Array, total: number, page: number, limit: number }
+ * @param {string} userId - User ID
+ * @param {string} cursor - Any feed cursor (usually prev_cursor of the first page)
+ * @param {Object} filters - Feed filters
+ * @returns {Promise<number>} - Number of newer posts
  */
-const getAnalystPosts = async (analystId, userId = null, options = {}) => {
+const countFeedPostsSince = async (userId, cursor, filters = {}) => {
   try {
-    const { page = 1, limit = 20, sampleOnly = false } = options;
-    const offset = (page - 1) * limit;
-
-    // Check if user has active subscription
-    let hasSubscription = false;
-    if (userId) {
-      const subCheck = await query(
-        `SELECT 1 FROM subscriptions
-         WHERE user_id = $1
-         AND analyst_id = $2
-         AND status = 'active'
-         AND expires_at > NOW()
-         AND deleted_at IS NULL
-         LIMIT 1`,
-        [userId, analystId]
-      );
-      hasSubscription = subCheck.rows.length > 0;
+    const decoded = decodeCursor(cursor);
+    if (!decoded) {
+      throw new AppError('cursor is required', 400);
     }
 
-    let whereClause = 'p.analyst_id = $1 AND p.deleted_at IS NULL';
-    let params = [analystId];
+    const params = [userId];
+    const whereConditions = buildFeedConditions(filters, params);
+    const keyset = keysetClause({ ...decoded, direction: 'prev' }, 'p.created_at', 'p.id', params.length + 1);
+    whereConditions.push(keyset.condition);
+    params.push(...keyset.params);
 
-    // If no subscription, only show free/both posts
-    if (!hasSubscription) {
-      whereClause += ` AND p.audience IN ('free', 'both')`;
-
-      // If sampleOnly, limit to 3 most recent posts
-      if (sampleOnly) {
-        params.push(3);
-        params.push(0);
-      } else {
-        params.push(limit);
-        params.push(offset);
-      }
-    } else {
-      params.push(limit);
-      params.push(offset);
-    }
-
-    // Get total count
-    const countResult = await query(
+    const result = await query(
       `SELECT COUNT(*) as total
        FROM posts p
-       WHERE ${whereClause.split(' LIMIT')[0].split(' OFFSET')[0]}`,
-      [analystId]
+       WHERE ${whereConditions.join(' AND ')}`,
+      params
     );
 
-    const total = parseInt(countResult.rows[0].total);
+    return parseInt(result.rows[0].total);
+  } catch (error) {
+    if (error instanceof AppError) {
+      throw error;
+    }
+    console.error('Error counting new feed posts:', error);
+    throw new AppError('Failed to count new posts', 500);
+  }
+};
 
-    // Get posts
-    const result = await query(
-      `SELECT
-        p.*,
-        ${userId ? `
-          EXISTS(
-            SELECT 1 FROM bookmarks b
-            WHERE b.post_id = p.id AND b.user_id = $${params.length + 1}
+/**
+ * Get recent feed posts as candidates for ranking (services/feedRankingService)
+ * Same filters and gating as getFeedForUser, newest first.
+ *
+ * @param {string} userId - User ID
+ * @param {Object} filters - Feed filters
+ * @param {Object} options - { days: candidate window, max: candidate cap }
+ * @returns {Promise<Array<Object>>} - Posts with targets/legs attached
+ */
+const getFeedCandidates = async (userId, filters = {}, options = {}) => {
+  try {
+    const { days = 14, max = 200 } = options;
+
+    const params = [userId];
+    const whereConditions = buildFeedConditions(filters, params);
+    params.push(days);
+    whereConditions.push(`p.created_at >= NOW() - make_interval(days => $${params.length}::int)`);
+    params.push(max);
+
+    const result = await query(
+      `SELECT ${FEED_POST_COLUMNS}
+      FROM posts p
+      INNER JOIN users u ON p.analyst_id = u.id
+      LEFT JOIN analyst_profiles ap ON u.id = ap.user_id
+      WHERE ${whereConditions.join(' AND ')}
+      ORDER BY p.created_at DESC, p.id DESC
+      LIMIT $${params.length}`,
+      params
+    );
+
+    const posts = result.rows.map(post => {
+      if (post.content_formatted && typeof post.content_formatted === 'string') {
+        post.content_formatted = JSON.parse(post.content_formatted);
+      }
+      return post;
+    });
+
+    await attachCallDetails(posts);
+
+    return filters.include_teasers ? applyTeasers(posts, userId) : posts;
+  } catch (error) {
+    console.error('Error getting feed candidates:', error);
+    throw new AppError('Failed to fetch feed', 500);
+  }
+};
+
+/**
+ * Win rate of analysts over recently closed calls (self-reported imports excluded)
+ *
+ * @param {Array<string>} analystIds - Analyst UUIDs
+ * @param {number} days - Look-back window (by call creation)
+ * @returns {Promise<Object>} - Map of analystId -> { closed_calls, wins, win_rate_percent }
+ */
+const getAnalystTrackRecords = async (analystIds, days = 90) => {
+  try {
+    const records = {};
+    if (!analystIds || analystIds.length === 0) {
+      return records;
+    }
+
+    const result = await query(
+      `SELECT
+        analyst_id,
+        COUNT(*) as closed_calls,
+        COUNT(*) FILTER (WHERE call_status = 'target_hit') as wins
+      FROM posts
+      WHERE analyst_id = ANY($1)
+      AND post_type = 'call'
+      AND call_status IN ('target_hit', 'stop_loss_hit')
+      AND is_self_reported = false
+      AND created_at >= NOW() - make_interval(days => $2::int)
+      AND deleted_at IS NULL
+      GROUP BY analyst_id`,
+      [analystIds, days]
+    );
+
+    result.rows.forEach((row) => {
+      const closedCalls = parseInt(row.closed_calls);
+      const wins = parseInt(row.wins);
+      records[row.analyst_id] = {
+        closed_calls: closedCalls,
+        wins,
+        win_rate_percent: closedCalls > 0 ? Math.round((wins / closedCalls) * 10000) / 100 : 0
+      };
+    });
+
+    return records;
+  } catch (error) {
+    console.error('Error getting analyst track records:', error);
+    throw new AppError('Failed to fetch analyst track records', 500);
+  }
+};
+
+/**
+ * Get a call with the numbers shown on its performance card
+ *
+ * @param {string} postId - Post UUID
+ * @returns {Promise<Object|null>} - Call (entry_price is the published entry) or null
+ */
+const getCallForCard = async (postId) => {
+  try {
+    const result = await query(
+      `SELECT
+        p.id,
+        p.analyst_id,
+        p.post_type,
+        p.stock_symbol,
+        p.action,
+        p.strategy_type,
+        p.call_status,
+        COALESCE(p.published_entry_price, p.entry_price) as entry_price,
+        p.actual_exit_price,
+        p.actual_profit_percent,
+        p.outcome_source,
+        p.analyst_priced_exits,
+        p.is_self_reported,
+        p.published_at,
+        p.closed_at,
+        ap.display_name as analyst_name,
+        ap.sebi_number as sebi_registration_number
+      FROM posts p
+      LEFT JOIN analyst_profiles ap ON p.analyst_id = ap.user_id
+      WHERE p.id = $1
+      AND p.published_at IS NOT NULL
+      AND p.deleted_at IS NULL`,
+      [postId]
+    );
+
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Error getting call for card:', error);
+    throw new AppError('Failed to fetch call', 500);
+  }
+};
+
+/**
+ * Summary of an analyst's calls closed within a period
+ * Counts the same calls as the track record (AnalystPerformance.TRACKED_CALL_CONDITIONS):
+ * self-reported imports are excluded; outcomes the analyst entered count and are
+ * tallied in unverified_calls (exit not recorded by the price feed or expiry).
+ *
+ * @param {string} analystId - Analyst UUID
+ * @param {Date|string} periodStart - Inclusive (by closed_at)
+ * @param {Date|string} periodEnd - Exclusive (by closed_at)
+ * @returns {Promise<Object>} - { closed_calls, wins, losses, other_closed, unverified_calls,
+ *   win_rate_percent, average_return_percent, total_return_percent, best_return_percent, best_call_symbol }
+ */
+const getTrackRecordSummary = async (analystId, periodStart, periodEnd) => {
+  try {
+    const result = await query(
+      `SELECT
+        COUNT(*) as closed_calls,
+        COUNT(*) FILTER (WHERE call_status = 'target_hit') as wins,
+        COUNT(*) FILTER (WHERE call_status = 'stop_loss_hit') as losses,
+        COUNT(*) FILTER (WHERE NOT ${VERIFIED_OUTCOME_CONDITION}) as unverified_calls,
+        ROUND(AVG(actual_profit_percent), 2) as average_return_percent,
+        ROUND(SUM(actual_profit_percent), 2) as total_return_percent,
+        (ARRAY_AGG(stock_symbol ORDER BY actual_profit_percent DESC NULLS LAST))[1] as best_call_symbol,
+        ROUND(MAX(actual_profit_percent), 2) as best_return_percent
+      FROM posts
+      WHERE analyst_id = $1
+      AND ${TRACKED_CALL_CONDITIONS}
+      AND closed_at >= $2
+      AND closed_at < $3`,
+      [analystId, periodStart, periodEnd]
+    );
+
+    const row = result.rows[0];
+    const closedCalls = parseInt(row.closed_calls);
+    const wins = parseInt(row.wins);
+    const losses = parseInt(row.losses);
+    const toNumber = value => (value === null ? null : parseFloat(value));
+
+    return {
+      closed_calls: closedCalls,
+      wins,
+      losses,
+      other_closed: closedCalls - wins - losses,
+      unverified_calls: parseInt(row.unverified_calls),
+      win_rate_percent: closedCalls > 0 ? Math.round((wins / closedCalls) * 10000) / 100 : 0,
+      average_return_percent: toNumber(row.average_return_percent),
+      total_return_percent: toNumber(row.total_return_percent),
+      best_return_percent: toNumber(row.best_return_percent),
+      best_call_symbol: closedCalls > 0 ? row.best_call_symbol : null
+    };
+  } catch (error) {
+    console.error('Error getting track record summary:', error);
+    throw new AppError('Failed to fetch track record', 500);
+  }
+};
+
+/**
+ * Get analyst's posts (public sample or full for subscribers)
+ * Offset pagination by default (`page` defaults to 1); cursor pagination (keyset
+ * on created_at, id) when `cursor` is given or `pagination` is 'cursor', except
+ * for samples
+ *
+ * @param {string} analystId - Analyst UUID
+ * @param {string} userId - Current user ID (optional)
+ * @param {Object} options - { page | cursor, pagination, limit, sampleOnly, includeTeasers }
+ *   includeTeasers: non-subscribers also get paid posts, as teasers (ignored for samples)
+ * @returns {Promise<Object>} - { posts, total, page, limit, totalPages, hasSubscription }
+ *   (cursor mode: next_cursor, prev_cursor and hasMore instead of page and totalPages)
+ */
+const getAnalystPosts = async (analystId, userId = null, options = {}) => {
+  try {
+    const { page = 1, cursor = null, pagination = null, limit = 20, sampleOnly = false, includeTeasers = false } = options;
+
+    // Check if user has active subscription
+    let hasSubscription = false;
+    if (userId) {
+      const subCheck = await query(
+        `SELECT 1 FROM subscriptions
+         WHERE user_id = $1
+         AND analyst_id = $2
+         AND status = 'active'
+         AND expires_at > NOW()
+         AND deleted_at IS NULL
+         LIMIT 1`,
+        [userId, analystId]
+      );
+      hasSubscription = subCheck.rows.length > 0;
+    }
+
+    // Non-subscribers asking for a sample get the 3 most recent free posts
+    const isSample = sampleOnly && !hasSubscription;
+    const useCursor = (Boolean(cursor) || pagination === 'cursor') && !isSample;
+    const decoded = useCursor ? decodeCursor(cursor) : null;
+    const pageSize = isSample ? 3 : parseInt(limit);
+    const offset = useCursor || isSample ? 0 : (page - 1) * limit;
+
+    const conditions = ['p.analyst_id = $1', 'p.deleted_at IS NULL', 'p.published_at IS NOT NULL'];
+    const params = [analystId];
+
+    // If no subscription, only show free/both posts and released paid posts
+    // (all paid ones with teasers)
+    const withTeasers = includeTeasers && !isSample && userId !== analystId;
+    if (!hasSubscription && !withTeasers) {
+      conditions.push(`(p.audience IN ('free', 'both') OR ${FREE_RELEASE_CONDITION})`);
+    }
+
+    // Get total count
+    const countResult = await query(
+      `SELECT COUNT(*) as total
+       FROM posts p
+       WHERE ${conditions.join(' AND ')}`,
+      params
+    );
+
+    const total = parseInt(countResult.rows[0].total);
+
+    let orderBy = 'p.created_at DESC';
+    if (useCursor) {
+      const keyset = keysetClause(decoded, 'p.created_at', 'p.id', params.length + 1);
+      if (keyset.condition) {
+        conditions.push(keyset.condition);
+        params.push(...keyset.params);
+      }
+      orderBy = keyset.orderBy;
+    }
+
+    params.push(useCursor ? pageSize + 1 : pageSize, offset);
+    const limitIndex = params.length - 1;
+
+    if (userId) {
+      params.push(userId);
+    }
+
+    // Get posts
+    const result = await query(
+      `SELECT
+        p.*,
+        p.created_at::text as cursor_created_at,
+        p.id as cursor_id,
+        ${FREE_RELEASE_CONDITION} as is_free_released,
+        ${userId ? `
+          EXISTS(
+            SELECT 1 FROM bookmarks b
+            WHERE b.post_id = p.id AND b.user_id = $${params.length}
           ) as is_bookmarked
         ` : 'false as is_bookmarked'}
       FROM posts p
-      WHERE ${whereClause}
-      ORDER BY p.created_at DESC
-      LIMIT $${params.length - 1} OFFSET $${params.length}`,
-      userId ? [...params, userId] : params
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY ${orderBy}
+      LIMIT $${limitIndex} OFFSET $${limitIndex + 1}`,
+      params
     );
 
+    const cursorPage = useCursor
+      ? buildCursorPage(result.rows, pageSize, decoded)
+      : { items: result.rows.map(({ cursor_created_at, cursor_id, ...post }) => post) };
+
     // Parse content_formatted for each post
-    const posts = result.rows.map(post => {
+    const fullPosts = cursorPage.items.map(omitInternalColumns).map(post => {
       if (post.content_formatted && typeof post.content_formatted === 'string') {
         post.content_formatted = JSON.parse(post.content_formatted);
       }
+      post.has_subscription = hasSubscription;
       return post;
     });
 
+    await attachCallDetails(fullPosts);
+
+    const posts = withTeasers ? applyTeasers(fullPosts, userId) : fullPosts;
+
+    if (useCursor) {
+      return {
+        posts,
+        total,
+        limit: pageSize,
+        next_cursor: cursorPage.next_cursor,
+        prev_cursor: cursorPage.prev_cursor,
+        hasMore: cursorPage.has_more,
+        hasSubscription
+      };
+    }
+
     return {
       posts,
       total,
-      page: parseInt(page),
-      limit: sampleOnly ? 3 : parseInt(limit),
-      totalPages: Math.ceil(total / (sampleOnly ? 3 : limit)),
+      page: isSample ? 1 : parseInt(page),
+      limit: pageSize,
+      totalPages: Math.ceil(total / pageSize),
       hasSubscription
     };
   } catch (error) {
+    if (error instanceof AppError) {
+      throw error;
+    }
     console.error('Error getting analyst posts:', error);
     throw new AppError('Failed to fetch analyst posts', 500);
   }
@@ -438,6 +1266,9 @@ const getAnalystPosts = async (analystId, userId = null, options = {}) => {
 
 /**
  * Update post
+ * Every change to a versioned field appends a hash-chained version and bumps
+ * edit_count. published_* levels are never touched, so track-record
+ * calculations keep using what subscribers originally saw.
  *
  * @param {string} postId - Post UUID
  * @param {string} analystId - Analyst UUID (for ownership verification)
@@ -445,6 +1276,8 @@ const getAnalystPosts = async (analystId, userId = null, options = {}) => {
  * @returns {Promise<Object>} - Updated post
  */
 const updatePost = async (postId, analystId, updates) => {
+  let client = null;
+
   try {
     const allowedFields = [
       'title',
@@ -460,9 +1293,26 @@ const updatePost = async (postId, analystId, updates) => {
       'risk_reward_ratio',
       'confidence_level',
       'is_urgent',
-      'is_pinned'
+      'is_pinned',
+      'free_after'
     ];
 
+    // Staged targets are frozen once published (per-target outcomes depend on them)
+    if (updates.targets !== undefined) {
+      throw new AppError('Targets cannot be changed after a call is published', 400);
+    }
+    if (updates.legs !== undefined) {
+      throw new AppError('Option legs cannot be changed after a call is published', 400);
+    }
+
+    if (updates.free_after !== undefined) {
+      const freeAfterCheck = normalizeFreeAfter(updates.free_after);
+      if (!freeAfterCheck.valid) {
+        throw new AppError(`Invalid free_after: ${freeAfterCheck.errors.join(', ')}`, 400);
+      }
+      updates = { ...updates, free_after: freeAfterCheck.policy };
+    }
+
     const fields = [];
     const values = [];
     let paramCount = 1;
@@ -471,7 +1321,7 @@ const updatePost = async (postId, analystId, updates) => {
       if (allowedFields.includes(key)) {
         fields.push(`${key} = $${paramCount}`);
         values.push(
-          key === 'content_formatted' && updates[key]
+          (key === 'content_formatted' || key === 'free_after') && updates[key]
             ? JSON.stringify(updates[key])
             : updates[key]
         );
@@ -483,50 +1333,758 @@ const updatePost = async (postId, analystId, updates) => {
       throw new AppError('No valid fields to update', 400);
     }
 
-    // Add updated_at
-    fields.push(`updated_at = NOW()`);
-
-    values.push(postId);
-    values.push(analystId);
-
+    // Sector follows the symbol (never taken from the request)
+    if (updates.stock_symbol !== undefined) {
+      const sectorInfo = getSectorForSymbol(updates.stock_symbol);
+      fields.push(`sector = $${paramCount}`, `industry = $${paramCount + 1}`);
+      values.push(sectorInfo ? sectorInfo.sector : null, sectorInfo ? sectorInfo.industry : null);
+      paramCount += 2;
+    }
+
+    // Add updated_at
+    fields.push(`updated_at = NOW()`);
+
+    // Live posts created before versioning: freeze the pre-edit levels (SET sees old values)
+    // Scheduled posts get their published_* levels on release instead
+    fields.push(`published_entry_price = CASE WHEN published_at IS NOT NULL THEN COALESCE(published_entry_price, entry_price) END`);
+    fields.push(`published_target_price = CASE WHEN published_at IS NOT NULL THEN COALESCE(published_target_price, target_price) END`);
+    fields.push(`published_stop_loss = CASE WHEN published_at IS NOT NULL THEN COALESCE(published_stop_loss, stop_loss) END`);
+
+    values.push(postId);
+    values.push(analystId);
+
+    client = await getClient();
+    await client.query('BEGIN');
+
+    // Posts created before versioning get their pre-edit state as version 1
+    const existing = await client.query(
+      `SELECT *
+       FROM posts
+       WHERE id = $1
+       AND analyst_id = $2
+       AND deleted_at IS NULL
+       FOR UPDATE`,
+      [postId, analystId]
+    );
+
+    // Flipping direction or symbol must not turn an open call into a contradictory one
+    const current = existing.rows[0];
+    const changesDirection = updates.action !== undefined || updates.stock_symbol !== undefined;
+    if (current && changesDirection && current.post_type === 'call' && current.call_status === 'open' && !current.is_hedge) {
+      const stockSymbol = updates.stock_symbol !== undefined ? updates.stock_symbol : current.stock_symbol;
+      if (stockSymbol) {
+        await CallConflictModel.lockSymbol(client, analystId, stockSymbol);
+      }
+      const opposingCalls = await CallConflictModel.findOpposingOpenCalls(
+        analystId,
+        stockSymbol,
+        updates.action !== undefined ? updates.action : current.action,
+        { excludePostId: postId, client }
+      );
+
+      if (opposingCalls.length > 0) {
+        throw new AppError(
+          `${CallConflictModel.describeConflict(stockSymbol, opposingCalls)}. Close it before changing this call.`,
+          409
+        );
+      }
+    }
+
+    if (existing.rows.length > 0 && !(await PostVersionModel.getLatestVersion(postId, client))) {
+      const original = existing.rows[0];
+      await attachCallDetails([original]);
+      await PostVersionModel.appendVersion(postId, PostVersionModel.buildSnapshot(original), analystId, client);
+    }
+
+    const result = await client.query(
+      `UPDATE posts
+       SET ${fields.join(', ')}
+       WHERE id = $${paramCount}
+       AND analyst_id = $${paramCount + 1}
+       AND deleted_at IS NULL
+       RETURNING *`,
+      values
+    );
+
+    if (result.rows.length === 0) {
+      throw new AppError('Post not found or you do not have permission to update it', 404);
+    }
+
+    // Parse content_formatted if it's a string
+    const post = omitInternalColumns(result.rows[0]);
+    if (post.content_formatted && typeof post.content_formatted === 'string') {
+      post.content_formatted = JSON.parse(post.content_formatted);
+    }
+
+    await attachCallDetails([post]);
+
+    // Only real changes count as an edit (pinning/urgency are not versioned);
+    // changes to a scheduled post before it goes live are versioned but not counted
+    const version = await PostVersionModel.appendVersion(
+      postId,
+      PostVersionModel.buildSnapshot(post),
+      analystId,
+      client
+    );
+
+    if (version && version.version_number > 1 && post.published_at) {
+      const counter = await client.query(
+        `UPDATE posts
+         SET edit_count = edit_count + 1,
+             last_edited_at = NOW()
+         WHERE id = $1
+         RETURNING edit_count, last_edited_at`,
+        [postId]
+      );
+      post.edit_count = counter.rows[0].edit_count;
+      post.last_edited_at = counter.rows[0].last_edited_at;
+    }
+
+    await client.query('COMMIT');
+
+    return post;
+  } catch (error) {
+    if (client) {
+      await client.query('ROLLBACK');
+    }
+    if (error instanceof AppError) {
+      throw error;
+    }
+    console.error('Error updating post:', error);
+    throw new AppError('Failed to update post', 500);
+  } finally {
+    if (client) {
+      client.release();
+    }
+  }
+};
+
+/**
+ * Change the live levels of an open call (from a structured call update)
+ * Recorded as a new version but not counted as an edit: the call update
+ * itself documents the change.
+ *
+ * @param {string} postId - Post UUID
+ * @param {Object} levels - { entry_price, target_price, stop_loss } (any subset)
+ * @param {string} editedBy - Analyst UUID
+ * @param {Object} client - Transaction client
+ * @returns {Promise<Object>} - Updated post
+ */
+const updateLiveLevels = async (postId, levels, editedBy, client) => {
+  try {
+    const fields = [];
+    const values = [];
+
+    ['entry_price', 'target_price', 'stop_loss'].forEach((key) => {
+      if (levels[key] !== undefined && levels[key] !== null) {
+        values.push(levels[key]);
+        fields.push(`${key} = $${values.length}`);
+      }
+    });
+
+    fields.push(`updated_at = NOW()`);
+    values.push(postId);
+
+    const result = await client.query(
+      `UPDATE posts
+       SET ${fields.join(', ')}
+       WHERE id = $${values.length}
+       AND post_type = 'call'
+       AND call_status = 'open'
+       AND deleted_at IS NULL
+       RETURNING *`,
+      values
+    );
+
+    if (result.rows.length === 0) {
+      throw new AppError('Call is no longer open', 400);
+    }
+
+    const post = omitInternalColumns(result.rows[0]);
+    if (post.content_formatted && typeof post.content_formatted === 'string') {
+      post.content_formatted = JSON.parse(post.content_formatted);
+    }
+
+    await attachCallDetails([post]);
+    await PostVersionModel.appendVersion(postId, PostVersionModel.buildSnapshot(post), editedBy, client);
+
+    return post;
+  } catch (error) {
+    if (error instanceof AppError) {
+      throw error;
+    }
+    console.error('Error updating live call levels:', error);
+    throw new AppError('Failed to update call levels', 500);
+  }
+};
+
+/**
+ * Soft delete post
+ *
+ * @param {string} postId - Post UUID
+ * @param {string} analystId - Analyst UUID (for ownership verification)
+ * @returns {Promise<void>}
+ */
+const deletePost = async (postId, analystId) => {
+  try {
+    const result = await query(
+      `UPDATE posts
+       SET deleted_at = NOW(),
+           updated_at = NOW()
+       WHERE id = $1
+       AND analyst_id = $2
+       AND deleted_at IS NULL
+       RETURNING id`,
+      [postId, analystId]
+    );
+
+    if (result.rows.length === 0) {
+      throw new AppError('Post not found or you do not have permission to delete it', 404);
+    }
+  } catch (error) {
+    if (error instanceof AppError) {
+      throw error;
+    }
+    console.error('Error deleting post:', error);
+    throw new AppError('Failed to delete post', 500);
+  }
+};
+
+/**
+ * Increment post views
+ *
+ * @param {string} postId - Post UUID
+ * @returns {Promise<void>}
+ */
+const incrementViews = async (postId) => {
+  try {
+    await query(
+      `UPDATE posts
+       SET views_count = views_count + 1
+       WHERE id = $1`,
+      [postId]
+    );
+  } catch (error) {
+    console.error('Error incrementing views:', error);
+    // Don't throw error, just log it (non-critical operation)
+  }
+};
+
+/**
+ * Mark call outcome (analyst only)
+ *
+ * For multi-target calls, `target_outcomes` records the targets that were hit
+ * ([{ target_order, exit_price }]). When the call is closed, targets still open
+ * exit at actual_exit_price (required while any target is still open) and
+ * actual_profit_percent is the blended return across all targets.
+ * Target hits, target exits and the call update run in one transaction.
+ *
+ * With an exit price, actual_profit_percent is always calculated from the
+ * published entry; a supplied value is only used when no exit price is given.
+ * Calls closed by the price feed or expiry cannot be re-marked (only open calls
+ * and the analyst's own outcomes). call_status 'open' only records target hits on
+ * an open call; a closed call is never re-opened (its outcome would be lost).
+ *
+ * @param {string} postId - Post UUID
+ * @param {string} analystId - Analyst UUID (for ownership verification)
+ * @param {Object} outcomeData - { call_status, actual_exit_price, actual_profit_percent, target_outcomes }
+ * @param {Object} options - { client: transaction client of the caller (it commits and releases) }
+ * @returns {Promise<Object>} - Updated post (+ previous_status)
+ */
+const markCallOutcome = async (postId, analystId, outcomeData, options = {}) => {
+  const ownsClient = !options.client;
+  let client = options.client || null;
+
+  try {
+    const {
+      call_status,
+      actual_exit_price = null,
+      target_outcomes = []
+    } = outcomeData;
+    let { actual_profit_percent = null } = outcomeData;
+
+    if (!call_status) {
+      throw new AppError('Call status is required', 400);
+    }
+
+    const validStatuses = ['open', 'target_hit', 'stop_loss_hit', 'closed', 'expired'];
+    if (!validStatuses.includes(call_status)) {
+      throw new AppError('Invalid call status', 400);
+    }
+
+    if (ownsClient) {
+      client = await getClient();
+      await client.query('BEGIN');
+    }
+
+    // Returns are measured from the originally published entry, not later edits
+    const existing = await client.query(
+      `SELECT
+        id,
+        action,
+        call_status,
+        outcome_source,
+        COALESCE(published_entry_price, entry_price) as entry_price
+       FROM posts
+       WHERE id = $1
+       AND analyst_id = $2
+       AND post_type = 'call'
+       AND deleted_at IS NULL
+       FOR UPDATE`,
+      [postId, analystId]
+    );
+
+    if (existing.rows.length === 0) {
+      throw new AppError('Post not found or you do not have permission to update it', 404);
+    }
+
+    const call = existing.rows[0];
+
+    // Price-feed and expiry outcomes are final
+    if (call.call_status !== 'open' && call.outcome_source && call.outcome_source !== 'analyst') {
+      throw new AppError(`This call was already closed automatically (${call.outcome_source}) and cannot be re-marked`, 409);
+    }
+
+    if (call_status === 'open' && call.call_status !== 'open') {
+      throw new AppError('A closed call cannot be re-opened', 409);
+    }
+
+    let targets = await PostTargetModel.getTargetsByPostId(postId, client);
+
+    if (targets.length > 0) {
+      // Closing exits whatever is still open, so the blend covers every target
+      if (call_status !== 'open' && actual_exit_price === null) {
+        const hitOrders = (target_outcomes || []).map(outcome => parseInt(outcome.target_order, 10));
+        if (targets.some(target => target.status === 'open' && !hitOrders.includes(target.target_order))) {
+          throw new AppError('actual_exit_price is required to close a call with targets still open', 400);
+        }
+      }
+
+      // Record individual target hits
+      for (const outcome of target_outcomes || []) {
+        const target = targets.find(t => t.target_order === parseInt(outcome.target_order, 10));
+        if (!target) {
+          throw new AppError(`Target T${outcome.target_order} does not exist on this call`, 400);
+        }
+
+        const exitPrice = outcome.exit_price || target.target_price;
+        await PostTargetModel.markTargetHit(
+          postId,
+          target.target_order,
+          exitPrice,
+          calculateProfitPercent(call.action, call.entry_price, exitPrice),
+          client
+        );
+      }
+
+      if (call_status !== 'open' && actual_exit_price !== null) {
+        await PostTargetModel.closeOpenTargets(
+          postId,
+          call_status === 'stop_loss_hit' ? 'stopped' : 'closed',
+          actual_exit_price,
+          calculateProfitPercent(call.action, call.entry_price, actual_exit_price),
+          client
+        );
+      }
+
+      targets = await PostTargetModel.getTargetsByPostId(postId, client);
+
+      if (call_status !== 'open' && (actual_exit_price !== null || actual_profit_percent === null)) {
+        actual_profit_percent = calculateBlendedReturn(call.action, call.entry_price, targets);
+      }
+    } else if (target_outcomes && target_outcomes.length > 0) {
+      throw new AppError('This call has no staged targets', 400);
+    } else if (call_status !== 'open' && actual_exit_price !== null) {
+      // Blend in partial bookings posted as call updates
+      const bookings = await CallUpdateModel.getPartialBookings(postId);
+      actual_profit_percent = calculateBlendedReturn(
+        call.action,
+        call.entry_price,
+        withRemainingExit(bookings, actual_exit_price)
+      );
+    }
+
+    const result = await client.query(
+      `UPDATE posts
+       SET call_status = $1,
+           actual_exit_price = $2,
+           actual_profit_percent = $3,
+           closed_at = CASE WHEN $1 != 'open' THEN NOW() ELSE closed_at END,
+           outcome_source = CASE WHEN $1 != 'open' THEN 'analyst' ELSE NULL END,
+           updated_at = NOW()
+       WHERE id = $4
+       AND analyst_id = $5
+       AND post_type = 'call'
+       AND deleted_at IS NULL
+       AND (call_status = 'open' OR outcome_source IS NULL OR outcome_source = 'analyst')
+       RETURNING *`,
+      [call_status, actual_exit_price, actual_profit_percent, postId, analystId]
+    );
+
+    if (result.rows.length === 0) {
+      throw new AppError('This call was closed automatically in the meantime and cannot be re-marked', 409);
+    }
+
+    if (ownsClient) {
+      await client.query('COMMIT');
+    }
+
+    const post = omitInternalColumns(result.rows[0]);
+    post.targets = targets;
+    post.previous_status = call.call_status;
+
+    return post;
+  } catch (error) {
+    if (client && ownsClient) {
+      await client.query('ROLLBACK');
+    }
+    if (error instanceof AppError) {
+      throw error;
+    }
+    console.error('Error marking call outcome:', error);
+    throw new AppError('Failed to mark call outcome', 500);
+  } finally {
+    if (client && ownsClient) {
+      client.release();
+    }
+  }
+};
+
+/**
+ * Lock a call row until the transaction ends and return its current levels
+ * Serializes call updates on one call (e.g. concurrent partial bookings)
+ *
+ * @param {string} postId - Post UUID
+ * @param {Object} client - Transaction client
+ * @returns {Promise<Object|null>} - { call_status, entry_price, published_entry_price, target_price, stop_loss, last_price }
+ */
+const lockCallForUpdate = async (postId, client) => {
+  try {
+    const result = await client.query(
+      `SELECT
+        call_status,
+        entry_price,
+        published_entry_price,
+        target_price,
+        stop_loss,
+        last_price
+       FROM posts
+       WHERE id = $1
+       AND deleted_at IS NULL
+       FOR UPDATE`,
+      [postId]
+    );
+
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Error locking call:', error);
+    throw new AppError('Failed to update call', 500);
+  }
+};
+
+/**
+ * Flag a call as having exits at analyst-entered prices (partial bookings,
+ * full exits with a price). Such returns are not checked against the price
+ * feed, so verified metrics and performance cards leave the call out.
+ *
+ * @param {string} postId - Post UUID
+ * @param {Object} client - Transaction client
+ * @returns {Promise<void>}
+ */
+const markAnalystPricedExit = async (postId, client) => {
+  try {
+    await client.query(
+      `UPDATE posts
+       SET analyst_priced_exits = true,
+           updated_at = NOW()
+       WHERE id = $1`,
+      [postId]
+    );
+  } catch (error) {
+    console.error('Error flagging analyst-priced exit:', error);
+    throw new AppError('Failed to record call exit', 500);
+  }
+};
+
+/**
+ * Get open calls that can be tracked against a price feed
+ * Only calls with a symbol, direction and at least one exit level qualify
+ * Levels are the originally published ones, so later edits cannot move them.
+ * Only explicit call updates (trail stop loss, revise target) change them.
+ *
+ * @returns {Promise<Array>} - Open calls
+ */
+const getOpenCallsForTracking = async () => {
+  try {
+    const result = await query(
+      `SELECT
+        id,
+        analyst_id,
+        stock_symbol,
+        action,
+        strategy_type,
+        COALESCE(published_entry_price, entry_price) as entry_price,
+        COALESCE(
+          (SELECT cu.new_target_price FROM call_updates cu
+           WHERE cu.post_id = posts.id AND cu.new_target_price IS NOT NULL
+           ORDER BY cu.created_at DESC LIMIT 1),
+          published_target_price,
+          target_price
+        ) as target_price,
+        COALESCE(
+          (SELECT cu.new_stop_loss FROM call_updates cu
+           WHERE cu.post_id = posts.id AND cu.new_stop_loss IS NOT NULL
+           ORDER BY cu.created_at DESC LIMIT 1),
+          published_stop_loss,
+          stop_loss
+        ) as stop_loss,
+        created_at,
+        published_at,
+        COALESCE(
+          (SELECT json_agg(json_build_object(
+              'target_order', pt.target_order,
+              'target_price', pt.target_price,
+              'allocation_percent', pt.allocation_percent,
+              'status', pt.status,
+              'exit_price', pt.exit_price
+            ) ORDER BY pt.target_order)
+           FROM post_targets pt
+           WHERE pt.post_id = posts.id),
+          '[]'
+        ) as targets
+      FROM posts
+      WHERE post_type = 'call'
+      AND call_status = 'open'
+      AND deleted_at IS NULL
+      AND published_at IS NOT NULL
+      AND (expires_at IS NULL OR expires_at > NOW())
+      AND stock_symbol IS NOT NULL
+      AND action IN ('BUY', 'SELL')
+      AND (
+        COALESCE(published_target_price, target_price) IS NOT NULL
+        OR COALESCE(published_stop_loss, stop_loss) IS NOT NULL
+      )
+      ORDER BY created_at ASC`
+    );
+
+    return result.rows;
+  } catch (error) {
+    console.error('Error getting open calls for tracking:', error);
+    throw new AppError('Failed to fetch open calls', 500);
+  }
+};
+
+/**
+ * Get open calls whose strategy-based expiry time has passed
+ * Levels are the originally published ones (see getOpenCallsForTracking)
+ *
+ * @returns {Promise<Array>} - Expired open calls with `targets`
+ */
+const getExpiredOpenCalls = async () => {
+  try {
+    const result = await query(
+      `SELECT
+        id,
+        analyst_id,
+        title,
+        audience,
+        stock_symbol,
+        action,
+        strategy_type,
+        COALESCE(published_entry_price, entry_price) as entry_price,
+        COALESCE(published_target_price, target_price) as target_price,
+        COALESCE(published_stop_loss, stop_loss) as stop_loss,
+        last_price,
+        last_price_at,
+        expires_at,
+        COALESCE(
+          (SELECT json_agg(json_build_object(
+              'target_order', pt.target_order,
+              'target_price', pt.target_price,
+              'allocation_percent', pt.allocation_percent,
+              'status', pt.status,
+              'exit_price', pt.exit_price
+            ) ORDER BY pt.target_order)
+           FROM post_targets pt
+           WHERE pt.post_id = posts.id),
+          '[]'
+        ) as targets
+      FROM posts
+      WHERE post_type = 'call'
+      AND call_status = 'open'
+      AND deleted_at IS NULL
+      AND published_at IS NOT NULL
+      AND expires_at <= NOW()
+      ORDER BY expires_at ASC`
+    );
+
+    return result.rows;
+  } catch (error) {
+    console.error('Error getting expired open calls:', error);
+    throw new AppError('Failed to fetch expired calls', 500);
+  }
+};
+
+/**
+ * Record a system-detected call outcome (price feed, expiry)
+ * Only applies while the call is still open, so an analyst closing the call
+ * manually in the meantime always wins.
+ *
+ * @param {string} postId - Post UUID
+ * @param {Object} outcomeData - { call_status, actual_exit_price, actual_profit_percent, outcome_source, closed_at }
+ *   closed_at: when the level was reached (e.g. the triggering tick's time); defaults to now
+ * @returns {Promise<Object|null>} - Updated post or null if the call was no longer open
+ */
+const recordAutomaticOutcome = async (postId, outcomeData) => {
+  try {
+    const {
+      call_status,
+      actual_exit_price = null,
+      actual_profit_percent = null,
+      outcome_source = 'price_feed',
+      closed_at = null
+    } = outcomeData;
+
+    const result = await query(
+      `UPDATE posts
+       SET call_status = $1,
+           actual_exit_price = $2,
+           actual_profit_percent = $3,
+           outcome_source = $4,
+           closed_at = COALESCE($6, NOW()),
+           updated_at = NOW()
+       WHERE id = $5
+       AND post_type = 'call'
+       AND call_status = 'open'
+       AND deleted_at IS NULL
+       RETURNING *`,
+      [call_status, actual_exit_price, actual_profit_percent, outcome_source, postId, closed_at]
+    );
+
+    return result.rows[0] ? omitInternalColumns(result.rows[0]) : null;
+  } catch (error) {
+    console.error('Error recording automatic call outcome:', error);
+    throw new AppError('Failed to record call outcome', 500);
+  }
+};
+
+/**
+ * Store the last traded price on open calls for each symbol
+ *
+ * @param {Array<Object>} quotes - [{ symbol, price, timestamp }]
+ * @returns {Promise<void>}
+ */
+const updateLastTradedPrices = async (quotes) => {
+  try {
+    for (const quote of quotes) {
+      await query(
+        `UPDATE posts
+         SET last_price = $1,
+             last_price_at = $2
+         WHERE stock_symbol = $3
+         AND post_type = 'call'
+         AND call_status = 'open'
+         AND deleted_at IS NULL`,
+        [quote.price, quote.timestamp, quote.symbol]
+      );
+    }
+  } catch (error) {
+    console.error('Error updating last traded prices:', error);
+    // Don't throw error, just log it (non-critical operation)
+  }
+};
+
+/**
+ * Get an analyst's scheduled (not yet published) posts, soonest first
+ *
+ * @param {string} analystId - Analyst UUID
+ * @returns {Promise<Array>} - Scheduled posts
+ */
+const getScheduledPosts = async (analystId) => {
+  try {
+    const result = await query(
+      `SELECT *
+       FROM posts
+       WHERE analyst_id = $1
+       AND published_at IS NULL
+       AND publish_at IS NOT NULL
+       AND deleted_at IS NULL
+       ORDER BY publish_at ASC`,
+      [analystId]
+    );
+
+    const posts = result.rows.map(omitInternalColumns).map(post => {
+      if (post.content_formatted && typeof post.content_formatted === 'string') {
+        post.content_formatted = JSON.parse(post.content_formatted);
+      }
+      return post;
+    });
+
+    await attachCallDetails(posts);
+
+    return posts;
+  } catch (error) {
+    console.error('Error getting scheduled posts:', error);
+    throw new AppError('Failed to fetch scheduled posts', 500);
+  }
+};
+
+/**
+ * Move a scheduled post to a new publish time
+ *
+ * @param {string} postId - Post UUID
+ * @param {string} analystId - Analyst UUID (for ownership verification)
+ * @param {string|Date} publishAt - New publish time (must be in the future)
+ * @returns {Promise<Object>} - Updated post
+ */
+const reschedulePost = async (postId, analystId, publishAt) => {
+  try {
+    const scheduledAt = parsePublishAt(publishAt);
+    if (!scheduledAt) {
+      throw new AppError('publish_at must be in the future', 400);
+    }
+
     const result = await query(
       `UPDATE posts
-       SET ${fields.join(', ')}
-       WHERE id = $${paramCount}
-       AND analyst_id = $${paramCount + 1}
+       SET publish_at = $1,
+           updated_at = NOW()
+       WHERE id = $2
+       AND analyst_id = $3
+       AND published_at IS NULL
        AND deleted_at IS NULL
        RETURNING *`,
-      values
+      [scheduledAt, postId, analystId]
     );
 
     if (result.rows.length === 0) {
-      throw new AppError('Post not found or you do not have permission to update it', 404);
+      throw new AppError('Scheduled post not found or already published', 404);
     }
 
-    // Parse content_formatted if it's a string
-    const post = result.rows[0];
+    const post = omitInternalColumns(result.rows[0]);
     if (post.content_formatted && typeof post.content_formatted === 'string') {
       post.content_formatted = JSON.parse(post.content_formatted);
     }
 
+    await attachCallDetails([post]);
+
     return post;
   } catch (error) {
     if (error instanceof AppError) {
       throw error;
     }
-    console.error('Error updating post:', error);
-    throw new AppError('Failed to update post', 500);
+    console.error('Error rescheduling post:', error);
+    throw new AppError('Failed to reschedule post', 500);
   }
 };
 
 /**
- * Soft delete post
+ * Cancel a scheduled post (soft delete before it goes live)
  *
  * @param {string} postId - Post UUID
  * @param {string} analystId - Analyst UUID (for ownership verification)
  * @returns {Promise<void>}
  */
-const deletePost = async (postId, analystId) => {
+const cancelScheduledPost = async (postId, analystId) => {
   try {
     const result = await query(
       `UPDATE posts
@@ -534,94 +2092,124 @@ const deletePost = async (postId, analystId) => {
            updated_at = NOW()
        WHERE id = $1
        AND analyst_id = $2
+       AND published_at IS NULL
        AND deleted_at IS NULL
        RETURNING id`,
       [postId, analystId]
     );
 
     if (result.rows.length === 0) {
-      throw new AppError('Post not found or you do not have permission to delete it', 404);
+      throw new AppError('Scheduled post not found or already published', 404);
     }
   } catch (error) {
     if (error instanceof AppError) {
       throw error;
     }
-    console.error('Error deleting post:', error);
-    throw new AppError('Failed to delete post', 500);
+    console.error('Error cancelling scheduled post:', error);
+    throw new AppError('Failed to cancel scheduled post', 500);
   }
 };
 
 /**
- * Increment post views
+ * Release scheduled posts whose publish time has passed
  *
- * @param {string} postId - Post UUID
- * @returns {Promise<void>}
+ * One transaction per run; due rows are locked (SKIP LOCKED), so each post is
+ * released (and returned) exactly once. On release:
+ * - published_at and created_at are the release time, published_* levels are
+ *   frozen and expires_at runs from the release time
+ * - BUY/SELL calls are checked for contradictory calls again (models/CallConflict):
+ *   a call with an opposing open call stays scheduled until that call closes;
+ *   hedges record the opposing calls for the admin report
+ *
+ * @returns {Promise<Array>} - Posts that just went live (with targets and legs)
  */
-const incrementViews = async (postId) => {
+const publishDuePosts = async () => {
+  let client = null;
+
   try {
-    await query(
-      `UPDATE posts
-       SET views_count = views_count + 1
-       WHERE id = $1`,
-      [postId]
+    client = await getClient();
+    await client.query('BEGIN');
+
+    const due = await client.query(
+      `SELECT id, analyst_id, post_type, strategy_type, call_type, stock_symbol, action, is_hedge
+       FROM posts
+       WHERE published_at IS NULL
+       AND publish_at <= NOW()
+       AND deleted_at IS NULL
+       ORDER BY publish_at ASC
+       FOR UPDATE SKIP LOCKED`
     );
-  } catch (error) {
-    console.error('Error incrementing views:', error);
-    // Don't throw error, just log it (non-critical operation)
-  }
-};
 
-/**
- * Mark call outcome (analyst only)
- *
- * @param {string} postId - Post UUID
- * @param {string} analystId - Analyst UUID (for ownership verification)
- * @param {Object} outcomeData - { call_status, actual_exit_price, actual_profit_percent }
- * @returns {Promise<Object>} - Updated post
- */
-const markCallOutcome = async (postId, analystId, outcomeData) => {
-  try {
-    const {
-      call_status,
-      actual_exit_price = null,
-      actual_profit_percent = null
-    } = outcomeData;
+    const posts = [];
+
+    for (const duePost of due.rows) {
+      let opposingCalls = [];
+      if (duePost.post_type === 'call' && duePost.stock_symbol) {
+        await CallConflictModel.lockSymbol(client, duePost.analyst_id, duePost.stock_symbol);
+        opposingCalls = await CallConflictModel.findOpposingOpenCalls(
+          duePost.analyst_id,
+          duePost.stock_symbol,
+          duePost.action,
+          { excludePostId: duePost.id, client }
+        );
 
-    if (!call_status) {
-      throw new AppError('Call status is required', 400);
-    }
+        if (opposingCalls.length > 0 && !duePost.is_hedge) {
+          console.warn(`[Post Model] Scheduled call ${duePost.id} held back: ${CallConflictModel.describeConflict(duePost.stock_symbol, opposingCalls)}`);
+          continue;
+        }
+      }
 
-    const validStatuses = ['open', 'target_hit', 'stop_loss_hit', 'closed', 'expired'];
-    if (!validStatuses.includes(call_status)) {
-      throw new AppError('Invalid call status', 400);
-    }
+      const releasedAt = new Date();
+      const expiresAt = duePost.post_type === 'call'
+        ? getCallExpiry(duePost.strategy_type, releasedAt, duePost.call_type)
+        : null;
+
+      const result = await client.query(
+        `UPDATE posts
+         SET published_at = $2,
+             created_at = $2,
+             published_entry_price = entry_price,
+             published_target_price = target_price,
+             published_stop_loss = stop_loss,
+             expires_at = $3,
+             updated_at = NOW()
+         WHERE id = $1
+         RETURNING *`,
+        [duePost.id, releasedAt, expiresAt]
+      );
 
-    const result = await query(
-      `UPDATE posts
-       SET call_status = $1,
-           actual_exit_price = $2,
-           actual_profit_percent = $3,
-           closed_at = CASE WHEN $1 != 'open' THEN NOW() ELSE closed_at END,
-           updated_at = NOW()
-       WHERE id = $4
-       AND analyst_id = $5
-       AND post_type = 'call'
-       AND deleted_at IS NULL
-       RETURNING *`,
-      [call_status, actual_exit_price, actual_profit_percent, postId, analystId]
-    );
+      if (opposingCalls.length > 0) {
+        await CallConflictModel.recordConflicts(
+          duePost.id,
+          duePost.analyst_id,
+          duePost.stock_symbol,
+          opposingCalls.map(call => call.id),
+          client
+        );
+      }
 
-    if (result.rows.length === 0) {
-      throw new AppError('Post not found or you do not have permission to update it', 404);
+      const post = omitInternalColumns(result.rows[0]);
+      if (post.content_formatted && typeof post.content_formatted === 'string') {
+        post.content_formatted = JSON.parse(post.content_formatted);
+      }
+      posts.push(post);
     }
 
-    return result.rows[0];
+    await attachCallDetails(posts);
+
+    await client.query('COMMIT');
+
+    return posts;
   } catch (error) {
-    if (error instanceof AppError) {
-      throw error;
+    if (client) {
+      await client.query('ROLLBACK');
+    }
+    console.error('Error publishing scheduled posts:', error);
+    throw new AppError('Failed to publish scheduled posts', 500);
+  } finally {
+    if (client) {
+      client.release();
     }
-    console.error('Error marking call outcome:', error);
-    throw new AppError('Failed to mark call outcome', 500);
   }
 };
 
@@ -645,6 +2233,8 @@ const getPostAnalytics = async (postId, analystId) => {
         p.bookmarks_count,
         p.comments_count,
         p.call_status,
+        COALESCE(p.published_entry_price, p.entry_price) as entry_price,
+        p.actual_exit_price,
         p.actual_profit_percent,
         p.created_at,
         p.closed_at,
@@ -672,7 +2262,22 @@ const getPostAnalytics = async (postId, analystId) => {
       throw new AppError('Post not found or you do not have permission to view analytics', 404);
     }
 
-    return result.rows[0];
+    const analytics = result.rows[0];
+
+    // Per-target outcomes and blended return for multi-target calls
+    const targets = await PostTargetModel.getTargetsByPostId(postId);
+    const booked = targets.filter(target => target.status !== 'open');
+
+    analytics.targets = targets;
+    analytics.targets_hit = targets.filter(target => target.status === 'hit').length;
+    analytics.realized_allocation_percent = booked.reduce(
+      (sum, target) => sum + parseFloat(target.allocation_percent), 0
+    );
+    analytics.blended_return_percent = analytics.actual_profit_percent !== null
+      ? parseFloat(analytics.actual_profit_percent)
+      : calculateBlendedReturn(analytics.action, analytics.entry_price, booked);
+
+    return analytics;
   } catch (error) {
     if (error instanceof AppError) {
       throw error;
@@ -682,8 +2287,66 @@ const getPostAnalytics = async (postId, analystId) => {
   }
 };
 
+/**
+ * Decide what a user may see of a loaded post (rules of checkPostAccess)
+ * Free/both posts, the author, active subscribers and posts released by
+ * free_after get the full post; everyone else gets a teaser.
+ *
+ * @param {Object} post - Published post (has_subscription, is_free_released, call details)
+ * @param {string|null} userId - Viewer
+ * @returns {Object} - { hasAccess, reason, post, showFullContent, requiresSubscription? }
+ */
+const resolvePostAccess = (post, userId) => {
+  if (post.audience === 'free' || post.audience === 'both') {
+    return {
+      hasAccess: true,
+      reason: 'Free or public post',
+      post,
+      showFullContent: true
+    };
+  }
+
+  if (userId && post.analyst_id === userId) {
+    return {
+      hasAccess: true,
+      reason: 'Post author',
+      post,
+      showFullContent: true
+    };
+  }
+
+  if (post.audience === 'paid' && post.has_subscription) {
+    return {
+      hasAccess: true,
+      reason: 'Active subscription',
+      post,
+      showFullContent: true
+    };
+  }
+
+  // Paid post released to the free audience by its free_after policy
+  if (post.is_free_released) {
+    return {
+      hasAccess: true,
+      reason: 'Released to free audience',
+      post,
+      showFullContent: true
+    };
+  }
+
+  // User can see post teaser but not full content (levels redacted)
+  return {
+    hasAccess: true,
+    reason: 'Subscription required for full access',
+    post: toTeaser(post),
+    showFullContent: false,
+    requiresSubscription: true
+  };
+};
+
 /**
  * Check if user has access to view post
+ * Paid posts released by their free_after policy are readable by everyone.
  *
  * @param {string} postId - Post UUID
  * @param {string} userId - User UUID
@@ -701,7 +2364,8 @@ const checkPostAccess = async (postId, userId) => {
           AND s.status = 'active'
           AND s.expires_at > NOW()
           AND s.deleted_at IS NULL
-        ) as has_subscription
+        ) as has_subscription,
+        ${FREE_RELEASE_CONDITION} as is_free_released
       FROM posts p
       WHERE p.id = $1 AND p.deleted_at IS NULL`,
       [postId, userId]
@@ -715,70 +2379,98 @@ const checkPostAccess = async (postId, userId) => {
       };
     }
 
-    const post = result.rows[0];
-
-    // Parse content_formatted if it's a string
-    if (post.content_formatted && typeof post.content_formatted === 'string') {
-      post.content_formatted = JSON.parse(post.content_formatted);
-    }
+    const post = omitInternalColumns(result.rows[0]);
 
-    // Check access based on audience and subscription
-    if (post.audience === 'free' || post.audience === 'both') {
+    // Scheduled posts are only visible to their author until released
+    if (!post.published_at && post.analyst_id !== userId) {
       return {
-        hasAccess: true,
-        reason: 'Free or public post',
-        post,
-        showFullContent: true
+        hasAccess: false,
+        reason: 'Post not found',
+        post: null
       };
     }
 
-    if (post.audience === 'paid' && post.has_subscription) {
-      return {
-        hasAccess: true,
-        reason: 'Active subscription',
-        post,
-        showFullContent: true
-      };
+    // Parse content_formatted if it's a string
+    if (post.content_formatted && typeof post.content_formatted === 'string') {
+      post.content_formatted = JSON.parse(post.content_formatted);
     }
 
-    // User can see post teaser but not full content
-    return {
-      hasAccess: true,
-      reason: 'Subscription required for full access',
-      post: {
-        ...post,
-        content: post.content.substring(0, 100) + '...',
-        content_formatted: null,
-        entry_price: null,
-        target_price: null,
-        stop_loss: null
-      },
-      showFullContent: false,
-      requiresSubscription: true
-    };
+    await attachCallDetails([post]);
+
+    return resolvePostAccess(post, userId);
   } catch (error) {
     console.error('Error checking post access:', error);
     throw new AppError('Failed to check post access', 500);
   }
 };
 
+/**
+ * Load published posts for real-time pushes (services/postEventService)
+ * Viewer-independent: callers set has_subscription per recipient and
+ * redact with resolvePostAccess.
+ *
+ * @param {Array<string>} postIds - Post UUIDs
+ * @returns {Promise<Array<Object>>} - Posts (with is_free_released, analyst details, call details)
+ */
+const findPostsForBroadcast = async (postIds) => {
+  try {
+    if (!postIds || postIds.length === 0) {
+      return [];
+    }
+
+    const result = await query(
+      `SELECT
+        p.*,
+        ap.display_name as analyst_name,
+        ap.photo_url as analyst_photo,
+        ap.sebi_number as sebi_registration_number,
+        ${FREE_RELEASE_CONDITION} as is_free_released
+      FROM posts p
+      LEFT JOIN analyst_profiles ap ON p.analyst_id = ap.user_id
+      WHERE p.id = ANY($1::uuid[])
+      AND p.deleted_at IS NULL
+      AND p.published_at IS NOT NULL`,
+      [postIds]
+    );
+
+    const posts = result.rows.map(omitInternalColumns).map(post => {
+      if (post.content_formatted && typeof post.content_formatted === 'string') {
+        post.content_formatted = JSON.parse(post.content_formatted);
+      }
+      return post;
+    });
+
+    await attachCallDetails(posts);
+
+    return posts;
+  } catch (error) {
+    console.error('Error loading posts for broadcast:', error);
+    throw new AppError('Failed to fetch posts', 500);
+  }
+};
+
 /**
  * Get posts by stock symbol
  *
+ * With `sector`, posts on every symbol of that sector are returned instead
+ * (the stock page's "same sector" tab).
+ *
  * @param {string} stockSymbol - Stock symbol (e.g., 'NIFTY', 'RELIANCE')
- * @param {Object} options - { page, limit }
+ * @param {Object} options - { page, limit, sector }
  * @returns {Promise<Object>} - { posts: Array, total: number }
  */
 const getPostsByStock = async (stockSymbol, options = {}) => {
   try {
-    const { page = 1, limit = 20 } = options;
+    const { page = 1, limit = 20, sector = null } = options;
     const offset = (page - 1) * limit;
+    const matchColumn = sector ? 'sector' : 'stock_symbol';
+    const matchValue = sector || stockSymbol.toUpperCase();
 
     const countResult = await query(
       `SELECT COUNT(*) as total
        FROM posts
-       WHERE stock_symbol = $1 AND deleted_at IS NULL`,
-      [stockSymbol.toUpperCase()]
+       WHERE ${matchColumn} = $1 AND deleted_at IS NULL AND published_at IS NOT NULL`,
+      [matchValue]
     );
 
     const total = parseInt(countResult.rows[0].total);
@@ -793,19 +2485,21 @@ const getPostsByStock = async (stockSymbol, options = {}) => {
       FROM posts p
       INNER JOIN users u ON p.analyst_id = u.id
       LEFT JOIN analyst_profiles ap ON u.id = ap.user_id
-      WHERE p.stock_symbol = $1 AND p.deleted_at IS NULL
+      WHERE p.${matchColumn} = $1 AND p.deleted_at IS NULL AND p.published_at IS NOT NULL
       ORDER BY p.created_at DESC
       LIMIT $2 OFFSET $3`,
-      [stockSymbol.toUpperCase(), limit, offset]
+      [matchValue, limit, offset]
     );
 
-    const posts = result.rows.map(post => {
+    const posts = result.rows.map(omitInternalColumns).map(post => {
       if (post.content_formatted && typeof post.content_formatted === 'string') {
         post.content_formatted = JSON.parse(post.content_formatted);
       }
       return post;
     });
 
+    await attachCallDetails(posts);
+
     return {
       posts,
       total,
@@ -819,6 +2513,137 @@ const getPostsByStock = async (stockSymbol, options = {}) => {
   }
 };
 
+/**
+ * Full-text search over post titles, content and AI-formatted JSON
+ * Uses the posts.search_vector generated column (GIN indexed):
+ * title/stock symbol weigh most, then content, then formatted call fields.
+ * Paid posts only match for active subscribers, as in getFeedForUser.
+ *
+ * Highlights wrap matches in <mark>; the source text is HTML-escaped first
+ * so highlights are safe to render.
+ *
+ * @param {string} searchText - Search text (websearch syntax: "exact phrase", -exclude, OR)
+ * @param {string|null} userId - Current user ID (optional; anonymous = free posts only)
+ * @param {Object} filters - { analyst_id, strategy_type, call_status, date_from, date_to, page, limit }
+ * @returns {Promise<Object>} - { posts, total, page, limit, totalPages, hasMore }
+ */
+const searchPosts = async (searchText, userId = null, filters = {}) => {
+  try {
+    const {
+      analyst_id = null,
+      strategy_type = null,
+      call_status = null,
+      date_from = null,
+      date_to = null,
+      page = 1,
+      limit = 20
+    } = filters;
+
+    const offset = (page - 1) * limit;
+    const params = [userId, searchText];
+    const conditions = [
+      'p.deleted_at IS NULL',
+      'p.published_at IS NOT NULL',
+      'p.search_vector @@ websearch_to_tsquery(\'english\', $2)',
+      feedAccessCondition('$1')
+    ];
+
+    const addFilter = (sql, value) => {
+      params.push(value);
+      conditions.push(sql.replace('?', `$${params.length}`));
+    };
+
+    if (analyst_id) addFilter('p.analyst_id = ?', analyst_id);
+    if (strategy_type) addFilter('p.strategy_type = ?', strategy_type);
+    if (call_status) addFilter('p.call_status = ?', call_status);
+    if (date_from) addFilter('p.created_at >= ?', date_from);
+    if (date_to) addFilter('p.created_at < (?::date + 1)', date_to);
+
+    const whereClause = conditions.join(' AND ');
+
+    const countResult = await query(
+      `SELECT COUNT(*) as total
+       FROM posts p
+       WHERE ${whereClause}`,
+      params
+    );
+
+    const total = parseInt(countResult.rows[0].total);
+
+    const escapeHtml = (column) =>
+      `replace(replace(replace(COALESCE(${column}, ''), '&', '&amp;'), '<', '&lt;'), '>', '&gt;')`;
+
+    const result = await query(
+      `SELECT
+        p.id,
+        p.analyst_id,
+        p.title,
+        p.content,
+        p.content_formatted,
+        p.post_type,
+        p.strategy_type,
+        p.audience,
+        p.stock_symbol,
+        p.action,
+        p.entry_price,
+        p.target_price,
+        p.stop_loss,
+        p.risk_reward_ratio,
+        p.call_status,
+        p.is_urgent,
+        p.is_self_reported,
+        p.disclosure,
+        p.views_count,
+        p.bookmarks_count,
+        p.comments_count,
+        p.edit_count,
+        p.created_at,
+        ap.display_name as analyst_name,
+        ap.photo_url as analyst_photo,
+        ap.sebi_number as sebi_registration_number,
+        ${FREE_RELEASE_CONDITION} as is_free_released,
+        ts_rank_cd(p.search_vector, q.query) as rank,
+        ts_headline('english', ${escapeHtml('p.title')}, q.query,
+          'StartSel=<mark>, StopSel=</mark>, HighlightAll=true') as title_highlight,
+        ts_headline('english', ${escapeHtml('p.content')}, q.query,
+          'StartSel=<mark>, StopSel=</mark>, MaxFragments=2, MaxWords=30, MinWords=10, FragmentDelimiter=" ... "') as content_highlight,
+        EXISTS(
+          SELECT 1 FROM bookmarks b
+          WHERE b.post_id = p.id AND b.user_id = $1
+        ) as is_bookmarked
+      FROM posts p
+      CROSS JOIN websearch_to_tsquery('english', $2) as q(query)
+      INNER JOIN users u ON p.analyst_id = u.id
+      LEFT JOIN analyst_profiles ap ON u.id = ap.user_id
+      WHERE ${whereClause}
+      ORDER BY rank DESC, p.created_at DESC
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, limit, offset]
+    );
+
+    const posts = result.rows.map(post => {
+      if (post.content_formatted && typeof post.content_formatted === 'string') {
+        post.content_formatted = JSON.parse(post.content_formatted);
+      }
+      return post;
+    });
+
+    await attachCallDetails(posts);
+
+    return {
+      posts,
+      total,
+      page: parseInt(page),
+      limit: parseInt(limit),
+      totalPages: Math.ceil(total / limit),
+      hasMore: offset + posts.length < total
+    };
+  } catch (error) {
+    console.error('Error searching posts:', error);
+    throw new AppError('Failed to search posts', 500);
+  }
+};
+
 /**
  * Get all posts with filters
  * @param {Object} filters - Filter criteria
@@ -832,7 +2657,7 @@ const getAllPosts = async (filters = {}, userId = null, options = {}) => {
     const offset = (page - 1) * limit;
 
     // Build WHERE clause dynamically
-    const conditions = ['p.deleted_at IS NULL'];
+    const conditions = ['p.deleted_at IS NULL', 'p.published_at IS NOT NULL'];
     const params = [];
     let paramIndex = 1;
 
@@ -910,13 +2735,15 @@ const getAllPosts = async (filters = {}, userId = null, options = {}) => {
       [...params, limit, offset]
     );
 
-    const posts = result.rows.map(post => {
+    const posts = result.rows.map(omitInternalColumns).map(post => {
       if (post.content_formatted && typeof post.content_formatted === 'string') {
         post.content_formatted = JSON.parse(post.content_formatted);
       }
       return post;
     });
 
+    await attachCallDetails(posts);
+
     return {
       posts,
       total,
@@ -931,16 +2758,37 @@ const getAllPosts = async (filters = {}, userId = null, options = {}) => {
 };
 
 module.exports = {
+  FREE_RELEASE_CONDITION,
   createPost,
+  importHistoricalCalls,
   findPostById,
   getFeedForUser,
+  countFeedPostsSince,
+  getFeedCandidates,
+  getAnalystTrackRecords,
+  getCallForCard,
+  getTrackRecordSummary,
   getAnalystPosts,
   updatePost,
+  updateLiveLevels,
+  lockCallForUpdate,
   deletePost,
   incrementViews,
   markCallOutcome,
+  markAnalystPricedExit,
+  getOpenCallsForTracking,
+  getExpiredOpenCalls,
+  recordAutomaticOutcome,
+  updateLastTradedPrices,
+  getScheduledPosts,
+  reschedulePost,
+  cancelScheduledPost,
+  publishDuePosts,
   getPostAnalytics,
   checkPostAccess,
+  resolvePostAccess,
+  findPostsForBroadcast,
   getPostsByStock,
+  searchPosts,
   getAllPosts
 };
@@ -0,0 +1,187 @@
+/**
+ * Post Attachment Model
+ *
+ * Database operations for post_attachments table
+ * Chart images and PDF research notes attached to posts
+ *
+ * FEATURES:
+ * - Several images and one PDF per post (FILE_LIMITS.MAX_POST_IMAGES / MAX_POST_PDFS)
+ * - Only Cloudinary public IDs are stored; URLs are signed per request
+ *   (services/postMediaService) so access follows the post's audience
+ * - Batch loading for feeds
+ *
+ * ATTACHMENT KIND:
+ * - image: Chart/screenshot (JPG, PNG, WebP)
+ * - pdf: Research note
+ */
+
+const { query } = require('../config/database');
+const { AppError } = require('../middleware/errorHandler');
+
+const ATTACHMENT_COLUMNS = `
+  id,
+  post_id,
+  kind,
+  public_id,
+  format,
+  original_name,
+  size_bytes,
+  width,
+  height,
+  display_order,
+  created_at`;
+
+/**
+ * Insert attachments for a post
+ *
+ * @param {string} postId - Post UUID
+ * @param {Array<Object>} attachments - [{ kind, public_id, format, original_name, size_bytes, width, height }]
+ * @param {Object} client - Optional transaction client
+ * @returns {Promise<Array>} - Created attachments
+ */
+const createAttachments = async (postId, attachments, client = null) => {
+  try {
+    const db = client || { query };
+    const created = [];
+
+    // Continue numbering after existing attachments (uploads on update)
+    const existing = await db.query(
+      `SELECT COALESCE(MAX(display_order), 0) as last_order
+       FROM post_attachments
+       WHERE post_id = $1`,
+      [postId]
+    );
+    let displayOrder = parseInt(existing.rows[0].last_order);
+
+    for (const attachment of attachments) {
+      displayOrder++;
+      const result = await db.query(
+        `INSERT INTO post_attachments (
+          post_id,
+          kind,
+          public_id,
+          format,
+          original_name,
+          size_bytes,
+          width,
+          height,
+          display_order,
+          created_at
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, NOW())
+        RETURNING ${ATTACHMENT_COLUMNS}`,
+        [
+          postId,
+          attachment.kind,
+          attachment.public_id,
+          attachment.format || null,
+          attachment.original_name || null,
+          attachment.size_bytes || null,
+          attachment.width || null,
+          attachment.height || null,
+          displayOrder
+        ]
+      );
+      created.push(result.rows[0]);
+    }
+
+    return created;
+  } catch (error) {
+    console.error('Error creating post attachments:', error);
+    throw new AppError('Failed to save post attachments', 500);
+  }
+};
+
+/**
+ * Get attachments for a post (in display order)
+ *
+ * @param {string} postId - Post UUID
+ * @returns {Promise<Array>} - Attachments
+ */
+const getAttachmentsByPostId = async (postId) => {
+  try {
+    const result = await query(
+      `SELECT ${ATTACHMENT_COLUMNS}
+       FROM post_attachments
+       WHERE post_id = $1
+       ORDER BY display_order ASC`,
+      [postId]
+    );
+
+    return result.rows;
+  } catch (error) {
+    console.error('Error getting post attachments:', error);
+    throw new AppError('Failed to fetch post attachments', 500);
+  }
+};
+
+/**
+ * Get attachments for many posts at once
+ *
+ * @param {Array<string>} postIds - Post UUIDs
+ * @returns {Promise<Object>} - Map of postId -> attachments
+ */
+const getAttachmentsByPostIds = async (postIds) => {
+  try {
+    const attachmentsByPost = {};
+    if (!postIds || postIds.length === 0) {
+      return attachmentsByPost;
+    }
+
+    const result = await query(
+      `SELECT ${ATTACHMENT_COLUMNS}
+       FROM post_attachments
+       WHERE post_id = ANY($1)
+       ORDER BY post_id, display_order ASC`,
+      [postIds]
+    );
+
+    result.rows.forEach((attachment) => {
+      if (!attachmentsByPost[attachment.post_id]) {
+        attachmentsByPost[attachment.post_id] = [];
+      }
+      attachmentsByPost[attachment.post_id].push(attachment);
+    });
+
+    return attachmentsByPost;
+  } catch (error) {
+    console.error('Error getting attachments for posts:', error);
+    throw new AppError('Failed to fetch post attachments', 500);
+  }
+};
+
+/**
+ * Delete attachments of a post
+ *
+ * @param {string} postId - Post UUID
+ * @param {Array<string>|null} attachmentIds - Attachments to delete (null = all)
+ * @returns {Promise<Array>} - Deleted attachments (for Cloudinary cleanup)
+ */
+const deleteAttachments = async (postId, attachmentIds = null) => {
+  try {
+    const result = attachmentIds
+      ? await query(
+        `DELETE FROM post_attachments
+         WHERE post_id = $1 AND id = ANY($2)
+         RETURNING ${ATTACHMENT_COLUMNS}`,
+        [postId, attachmentIds]
+      )
+      : await query(
+        `DELETE FROM post_attachments
+         WHERE post_id = $1
+         RETURNING ${ATTACHMENT_COLUMNS}`,
+        [postId]
+      );
+
+    return result.rows;
+  } catch (error) {
+    console.error('Error deleting post attachments:', error);
+    throw new AppError('Failed to delete post attachments', 500);
+  }
+};
+
+module.exports = {
+  createAttachments,
+  getAttachmentsByPostId,
+  getAttachmentsByPostIds,
+  deleteAttachments
+};
@@ -0,0 +1,391 @@
+/**
+ * Post Comment Model
+ *
+ * Database operations for post_comments table
+ * Threaded discussion under a post ("is this still valid?")
+ *
+ * FEATURES:
+ * - Replies nested up to COMMENT_SETTINGS.MAX_DEPTH levels
+ * - Analyst replies flagged (is_analyst_reply) for highlighting
+ * - One pinned top-level comment per post
+ * - Soft delete; deleted comments with live replies stay as placeholders
+ * - Keeps posts.comments_count in sync
+ *
+ * THREADING:
+ * - parent_comment_id: comment being replied to (NULL for top-level)
+ * - root_comment_id: top-level comment of the thread (NULL for top-level)
+ *   so a page of threads loads with one query
+ */
+
+const { query, getClient } = require('../config/database');
+const { AppError } = require('../middleware/errorHandler');
+const { COMMENT_SETTINGS } = require('../utils/constants');
+
+const COMMENT_COLUMNS = `
+  c.id,
+  c.post_id,
+  c.user_id,
+  c.parent_comment_id,
+  c.root_comment_id,
+  c.depth,
+  CASE WHEN c.deleted_at IS NULL THEN c.content END as content,
+  c.is_pinned,
+  c.pinned_at,
+  c.deleted_at IS NOT NULL as is_deleted,
+  c.created_at,
+  c.updated_at,
+  COALESCE(ap.display_name, u.full_name) as author_name,
+  ap.photo_url as author_photo,
+  c.user_id = p.analyst_id as is_analyst_reply`;
+
+const COMMENT_JOINS = `
+  INNER JOIN posts p ON c.post_id = p.id
+  INNER JOIN users u ON c.user_id = u.id
+  LEFT JOIN analyst_profiles ap ON u.id = ap.user_id`;
+
+/**
+ * Build reply trees and drop deleted comments that have no live replies
+ *
+ * @param {Array<Object>} roots - Top-level comments
+ * @param {Array<Object>} replies - All replies of those threads
+ * @returns {Array<Object>} - Top-level comments with nested `replies`
+ */
+const buildThreads = (roots, replies) => {
+  const byParent = {};
+  replies.forEach((reply) => {
+    if (!byParent[reply.parent_comment_id]) {
+      byParent[reply.parent_comment_id] = [];
+    }
+    byParent[reply.parent_comment_id].push(reply);
+  });
+
+  const attach = (comment) => {
+    comment.replies = (byParent[comment.id] || [])
+      .map(attach)
+      .filter(reply => !reply.is_deleted || reply.replies.length > 0);
+    return comment;
+  };
+
+  return roots
+    .map(attach)
+    .filter(comment => !comment.is_deleted || comment.replies.length > 0);
+};
+
+/**
+ * Create a comment or reply
+ *
+ * @param {Object} commentData - { post_id, user_id, content, parent_comment_id }
+ * @returns {Promise<Object>} - Created comment
+ */
+const createComment = async (commentData) => {
+  let client = null;
+
+  try {
+    const { post_id, user_id, parent_comment_id = null } = commentData;
+    const content = String(commentData.content || '').trim();
+
+    if (!content) {
+      throw new AppError('Comment cannot be empty', 400);
+    }
+    if (content.length > COMMENT_SETTINGS.MAX_LENGTH) {
+      throw new AppError(`Comment cannot exceed ${COMMENT_SETTINGS.MAX_LENGTH} characters`, 400);
+    }
+
+    client = await getClient();
+    await client.query('BEGIN');
+
+    let parentCommentId = null;
+    let rootCommentId = null;
+    let depth = 0;
+
+    if (parent_comment_id) {
+      const parent = await client.query(
+        `SELECT id, parent_comment_id, root_comment_id, depth
+         FROM post_comments
+         WHERE id = $1 AND post_id = $2 AND deleted_at IS NULL`,
+        [parent_comment_id, post_id]
+      );
+
+      if (parent.rows.length === 0) {
+        throw new AppError('Comment you are replying to was not found', 404);
+      }
+
+      // Replies to a comment at the max depth become its siblings, so
+      // parent_comment_id and depth stay consistent for buildThreads
+      const parentRow = parent.rows[0];
+      rootCommentId = parentRow.root_comment_id || parentRow.id;
+      if (parentRow.depth >= COMMENT_SETTINGS.MAX_DEPTH) {
+        parentCommentId = parentRow.parent_comment_id;
+        depth = parentRow.depth;
+      } else {
+        parentCommentId = parentRow.id;
+        depth = parentRow.depth + 1;
+      }
+    }
+
+    const result = await client.query(
+      `INSERT INTO post_comments (
+        post_id,
+        user_id,
+        parent_comment_id,
+        root_comment_id,
+        depth,
+        content,
+        created_at,
+        updated_at
+      ) VALUES ($1, $2, $3, $4, $5, $6, NOW(), NOW())
+      RETURNING id`,
+      [post_id, user_id, parentCommentId, rootCommentId, depth, content]
+    );
+
+    await client.query(
+      `UPDATE posts
+       SET comments_count = comments_count + 1
+       WHERE id = $1`,
+      [post_id]
+    );
+
+    await client.query('COMMIT');
+
+    return await findCommentById(result.rows[0].id);
+  } catch (error) {
+    if (client) {
+      await client.query('ROLLBACK');
+    }
+    if (error instanceof AppError) {
+      throw error;
+    }
+    console.error('Error creating comment:', error);
+    throw new AppError('Failed to post comment', 500);
+  } finally {
+    if (client) {
+      client.release();
+    }
+  }
+};
+
+/**
+ * Find a comment by ID (includes deleted placeholders)
+ *
+ * @param {string} commentId - Comment UUID
+ * @returns {Promise<Object|null>} - Comment or null
+ */
+const findCommentById = async (commentId) => {
+  try {
+    const result = await query(
+      `SELECT ${COMMENT_COLUMNS}, p.analyst_id as post_analyst_id
+       FROM post_comments c
+       ${COMMENT_JOINS}
+       WHERE c.id = $1`,
+      [commentId]
+    );
+
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Error finding comment:', error);
+    throw new AppError('Failed to fetch comment', 500);
+  }
+};
+
+/**
+ * Get threaded comments of a post
+ * Top-level comments are paginated (pinned first, then newest);
+ * each carries its full reply tree (oldest first).
+ *
+ * @param {string} postId - Post UUID
+ * @param {Object} options - { page, limit }
+ * @returns {Promise<Object>} - { comments, total, page, limit, totalPages }
+ */
+const getCommentsByPostId = async (postId, options = {}) => {
+  try {
+    const { page = 1, limit = COMMENT_SETTINGS.THREADS_PER_PAGE } = options;
+    const offset = (page - 1) * limit;
+
+    const countResult = await query(
+      `SELECT COUNT(*) as total
+       FROM post_comments c
+       WHERE c.post_id = $1
+       AND c.parent_comment_id IS NULL
+       AND (
+         c.deleted_at IS NULL
+         OR EXISTS(
+           SELECT 1 FROM post_comments r
+           WHERE r.root_comment_id = c.id AND r.deleted_at IS NULL
+         )
+       )`,
+      [postId]
+    );
+
+    const total = parseInt(countResult.rows[0].total);
+
+    const rootsResult = await query(
+      `SELECT ${COMMENT_COLUMNS}
+       FROM post_comments c
+       ${COMMENT_JOINS}
+       WHERE c.post_id = $1
+       AND c.parent_comment_id IS NULL
+       AND (
+         c.deleted_at IS NULL
+         OR EXISTS(
+           SELECT 1 FROM post_comments r
+           WHERE r.root_comment_id = c.id AND r.deleted_at IS NULL
+         )
+       )
+       ORDER BY c.is_pinned DESC, c.created_at DESC
+       LIMIT $2 OFFSET $3`,
+      [postId, limit, offset]
+    );
+
+    const rootIds = rootsResult.rows.map(comment => comment.id);
+    let replies = [];
+
+    if (rootIds.length > 0) {
+      const repliesResult = await query(
+        `SELECT ${COMMENT_COLUMNS}
+         FROM post_comments c
+         ${COMMENT_JOINS}
+         WHERE c.root_comment_id = ANY($1)
+         ORDER BY c.created_at ASC`,
+        [rootIds]
+      );
+      replies = repliesResult.rows;
+    }
+
+    return {
+      comments: buildThreads(rootsResult.rows, replies),
+      total,
+      page: parseInt(page),
+      limit: parseInt(limit),
+      totalPages: Math.ceil(total / limit)
+    };
+  } catch (error) {
+    console.error('Error getting post comments:', error);
+    throw new AppError('Failed to fetch comments', 500);
+  }
+};
+
+/**
+ * Soft delete a comment
+ * Authorization is checked by the caller (comment author, post analyst or admin)
+ *
+ * @param {string} commentId - Comment UUID
+ * @param {string} deletedBy - User UUID performing the delete
+ * @returns {Promise<Object>} - Deleted comment { id, post_id }
+ */
+const deleteComment = async (commentId, deletedBy) => {
+  let client = null;
+
+  try {
+    client = await getClient();
+    await client.query('BEGIN');
+
+    const result = await client.query(
+      `UPDATE post_comments
+       SET deleted_at = NOW(),
+           deleted_by = $2,
+           is_pinned = false,
+           pinned_at = NULL,
+           updated_at = NOW()
+       WHERE id = $1 AND deleted_at IS NULL
+       RETURNING id, post_id`,
+      [commentId, deletedBy]
+    );
+
+    if (result.rows.length === 0) {
+      throw new AppError('Comment not found', 404);
+    }
+
+    await client.query(
+      `UPDATE posts
+       SET comments_count = GREATEST(comments_count - 1, 0)
+       WHERE id = $1`,
+      [result.rows[0].post_id]
+    );
+
+    await client.query('COMMIT');
+
+    return result.rows[0];
+  } catch (error) {
+    if (client) {
+      await client.query('ROLLBACK');
+    }
+    if (error instanceof AppError) {
+      throw error;
+    }
+    console.error('Error deleting comment:', error);
+    throw new AppError('Failed to delete comment', 500);
+  } finally {
+    if (client) {
+      client.release();
+    }
+  }
+};
+
+/**
+ * Pin or unpin a top-level comment
+ * Pinning replaces the post's previously pinned comment
+ *
+ * @param {string} commentId - Comment UUID
+ * @param {string} postId - Post UUID
+ * @param {boolean} pinned - true to pin, false to unpin
+ * @returns {Promise<Object>} - Updated comment
+ */
+const setPinned = async (commentId, postId, pinned) => {
+  let client = null;
+
+  try {
+    client = await getClient();
+    await client.query('BEGIN');
+
+    if (pinned) {
+      await client.query(
+        `UPDATE post_comments
+         SET is_pinned = false, pinned_at = NULL, updated_at = NOW()
+         WHERE post_id = $1 AND is_pinned = true AND id != $2`,
+        [postId, commentId]
+      );
+    }
+
+    const result = await client.query(
+      `UPDATE post_comments
+       SET is_pinned = $3,
+           pinned_at = CASE WHEN $3 THEN NOW() END,
+           updated_at = NOW()
+       WHERE id = $1
+       AND post_id = $2
+       AND parent_comment_id IS NULL
+       AND deleted_at IS NULL
+       RETURNING id`,
+      [commentId, postId, pinned]
+    );
+
+    if (result.rows.length === 0) {
+      throw new AppError('Only top-level comments on this post can be pinned', 404);
+    }
+
+    await client.query('COMMIT');
+
+    return await findCommentById(commentId);
+  } catch (error) {
+    if (client) {
+      await client.query('ROLLBACK');
+    }
+    if (error instanceof AppError) {
+      throw error;
+    }
+    console.error('Error pinning comment:', error);
+    throw new AppError('Failed to update pinned comment', 500);
+  } finally {
+    if (client) {
+      client.release();
+    }
+  }
+};
+
+module.exports = {
+  createComment,
+  findCommentById,
+  getCommentsByPostId,
+  deleteComment,
+  setPinned
+};
@@ -0,0 +1,307 @@
+/**
+ * Post Draft Model
+ *
+ * Database operations for post_drafts table
+ * Calls being composed in the app, autosaved until the analyst publishes them
+ *
+ * FEATURES:
+ * - Raw text plus the fields the analyst edited (symbol, levels, targets, legs, ...)
+ * - Last formatCallWithAI result (ai_result) so a crash does not cost an AI call
+ * - Autosave with optimistic concurrency (version): a stale save gets a 409
+ * - Promotion to a post (Post.createPost with draft_id) records promoted_post_id
+ *   in the same transaction; promoted drafts stay read-only for auditing
+ * - Soft delete
+ */
+
+const { query } = require('../config/database');
+const { AppError } = require('../middleware/errorHandler');
+const { DRAFT_SETTINGS } = require('../utils/constants');
+
+// Fields an autosave may change
+const DRAFT_FIELDS = [
+  'raw_content',
+  'language',
+  'post_type',
+  'audience',
+  'is_urgent',
+  'title',
+  'stock_symbol',
+  'action',
+  'entry_price',
+  'target_price',
+  'stop_loss',
+  'strategy_type',
+  'targets',
+  'legs',
+  'publish_at',
+  'ai_result'
+];
+
+const JSON_FIELDS = ['targets', 'legs', 'ai_result'];
+
+const DRAFT_COLUMNS = `
+  id,
+  analyst_id,
+  ${DRAFT_FIELDS.join(',\n  ')},
+  ai_formatted_at,
+  version,
+  promoted_post_id,
+  promoted_at,
+  created_at,
+  updated_at`;
+
+/**
+ * Serialize a draft field for the query
+ *
+ * @param {string} field - Field name
+ * @param {*} value - Field value
+ * @returns {*}
+ */
+const toColumnValue = (field, value) => {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  return JSON_FIELDS.includes(field) ? JSON.stringify(value) : value;
+};
+
+/**
+ * Create a draft
+ *
+ * @param {string} analystId - Analyst UUID
+ * @param {Object} draftData - Any of DRAFT_FIELDS
+ * @returns {Promise<Object>} - Created draft
+ */
+const createDraft = async (analystId, draftData = {}) => {
+  try {
+    const countResult = await query(
+      `SELECT COUNT(*) as total
+       FROM post_drafts
+       WHERE analyst_id = $1
+       AND promoted_post_id IS NULL
+       AND deleted_at IS NULL`,
+      [analystId]
+    );
+
+    if (parseInt(countResult.rows[0].total) >= DRAFT_SETTINGS.MAX_DRAFTS) {
+      throw new AppError(`You can keep at most ${DRAFT_SETTINGS.MAX_DRAFTS} drafts. Delete or publish some first.`, 400);
+    }
+
+    const fields = DRAFT_FIELDS.filter(field => draftData[field] !== undefined);
+    const params = [analystId, ...fields.map(field => toColumnValue(field, draftData[field]))];
+    const columns = ['analyst_id', ...fields, 'ai_formatted_at', 'version', 'created_at', 'updated_at'];
+    const values = [
+      '$1',
+      ...fields.map((field, index) => `$${index + 2}`),
+      fields.includes('ai_result') ? 'NOW()' : 'NULL',
+      '1',
+      'NOW()',
+      'NOW()'
+    ];
+
+    const result = await query(
+      `INSERT INTO post_drafts (${columns.join(', ')})
+       VALUES (${values.join(', ')})
+       RETURNING ${DRAFT_COLUMNS}`,
+      params
+    );
+
+    return result.rows[0];
+  } catch (error) {
+    if (error instanceof AppError) {
+      throw error;
+    }
+    console.error('Error creating draft:', error);
+    throw new AppError('Failed to create draft', 500);
+  }
+};
+
+/**
+ * Find an analyst's draft
+ *
+ * @param {string} draftId - Draft UUID
+ * @param {string} analystId - Owner UUID
+ * @returns {Promise<Object|null>} - Draft or null
+ */
+const findDraftById = async (draftId, analystId) => {
+  try {
+    const result = await query(
+      `SELECT ${DRAFT_COLUMNS}
+       FROM post_drafts
+       WHERE id = $1 AND analyst_id = $2 AND deleted_at IS NULL`,
+      [draftId, analystId]
+    );
+
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Error finding draft:', error);
+    throw new AppError('Failed to fetch draft', 500);
+  }
+};
+
+/**
+ * List an analyst's drafts (most recently saved first)
+ *
+ * @param {string} analystId - Analyst UUID
+ * @param {Object} options - { includePromoted }
+ * @returns {Promise<Array>} - Drafts
+ */
+const getAnalystDrafts = async (analystId, options = {}) => {
+  try {
+    const { includePromoted = false } = options;
+
+    const result = await query(
+      `SELECT ${DRAFT_COLUMNS}
+       FROM post_drafts
+       WHERE analyst_id = $1
+       AND deleted_at IS NULL
+       ${includePromoted ? '' : 'AND promoted_post_id IS NULL'}
+       ORDER BY updated_at DESC`,
+      [analystId]
+    );
+
+    return result.rows;
+  } catch (error) {
+    console.error('Error listing drafts:', error);
+    throw new AppError('Failed to fetch drafts', 500);
+  }
+};
+
+/**
+ * Autosave changes to a draft
+ *
+ * @param {string} draftId - Draft UUID
+ * @param {string} analystId - Owner UUID
+ * @param {Object} changes - Any of DRAFT_FIELDS
+ * @param {number|null} expectedVersion - Version the client edited (null = last write wins)
+ * @returns {Promise<Object>} - Saved draft (version incremented)
+ */
+const updateDraft = async (draftId, analystId, changes, expectedVersion = null) => {
+  try {
+    const fields = DRAFT_FIELDS.filter(field => changes[field] !== undefined);
+    if (fields.length === 0) {
+      throw new AppError('No draft fields provided', 400);
+    }
+
+    const params = [draftId, analystId];
+    const sets = fields.map((field) => {
+      params.push(toColumnValue(field, changes[field]));
+      return `${field} = $${params.length}`;
+    });
+
+    if (fields.includes('ai_result')) {
+      sets.push('ai_formatted_at = NOW()');
+    }
+
+    let versionCondition = '';
+    if (expectedVersion !== null && expectedVersion !== undefined) {
+      params.push(expectedVersion);
+      versionCondition = `AND version = $${params.length}`;
+    }
+
+    const result = await query(
+      `UPDATE post_drafts
+       SET ${sets.join(', ')},
+           version = version + 1,
+           updated_at = NOW()
+       WHERE id = $1
+       AND analyst_id = $2
+       AND promoted_post_id IS NULL
+       AND deleted_at IS NULL
+       ${versionCondition}
+       RETURNING ${DRAFT_COLUMNS}`,
+      params
+    );
+
+    if (result.rows.length === 0) {
+      const draft = await findDraftById(draftId, analystId);
+      if (!draft) {
+        throw new AppError('Draft not found', 404);
+      }
+      if (draft.promoted_post_id) {
+        throw new AppError('Draft has already been published', 409);
+      }
+      throw new AppError(`Draft was saved from another device (current version ${draft.version})`, 409);
+    }
+
+    return result.rows[0];
+  } catch (error) {
+    if (error instanceof AppError) {
+      throw error;
+    }
+    console.error('Error saving draft:', error);
+    throw new AppError('Failed to save draft', 500);
+  }
+};
+
+/**
+ * Soft delete a draft
+ *
+ * @param {string} draftId - Draft UUID
+ * @param {string} analystId - Owner UUID
+ * @returns {Promise<boolean>} - True if deleted
+ */
+const deleteDraft = async (draftId, analystId) => {
+  try {
+    const result = await query(
+      `UPDATE post_drafts
+       SET deleted_at = NOW(), updated_at = NOW()
+       WHERE id = $1
+       AND analyst_id = $2
+       AND promoted_post_id IS NULL
+       AND deleted_at IS NULL
+       RETURNING id`,
+      [draftId, analystId]
+    );
+
+    if (result.rows.length === 0) {
+      throw new AppError('Draft not found or already published', 404);
+    }
+
+    return true;
+  } catch (error) {
+    if (error instanceof AppError) {
+      throw error;
+    }
+    console.error('Error deleting draft:', error);
+    throw new AppError('Failed to delete draft', 500);
+  }
+};
+
+/**
+ * Link a draft to the post created from it
+ * Runs inside Post.createPost's transaction so a draft is promoted at most once.
+ *
+ * @param {string} draftId - Draft UUID
+ * @param {string} postId - Created post UUID
+ * @param {string} analystId - Owner UUID
+ * @param {Object} client - Transaction client
+ * @returns {Promise<void>}
+ */
+const markPromoted = async (draftId, postId, analystId, client) => {
+  const result = await client.query(
+    `UPDATE post_drafts
+     SET promoted_post_id = $2,
+         promoted_at = NOW(),
+         updated_at = NOW()
+     WHERE id = $1
+     AND analyst_id = $3
+     AND promoted_post_id IS NULL
+     AND deleted_at IS NULL
+     RETURNING id`,
+    [draftId, postId, analystId]
+  );
+
+  if (result.rows.length === 0) {
+    throw new AppError('Draft not found or already published', 409);
+  }
+};
+
+module.exports = {
+  DRAFT_FIELDS,
+  createDraft,
+  findDraftById,
+  getAnalystDrafts,
+  updateDraft,
+  deleteDraft,
+  markPromoted
+};
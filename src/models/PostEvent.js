@@ -0,0 +1,114 @@
+/**
+ * Post Event Model
+ *
+ * Database operations for post_events table
+ * Log of real-time post pushes (post_created, post_updated,
+ * call_status_changed), replayed to sockets that reconnect
+ *
+ * Events hold references and the change (e.g. previous / new call status),
+ * not the post: replays load the current post and redact it for each
+ * recipient like a live push. Events older than POST_EVENTS.RETENTION_HOURS
+ * are not replayed and are pruned.
+ */
+
+const { query } = require('../config/database');
+const { AppError } = require('../middleware/errorHandler');
+const { POST_EVENTS } = require('../utils/constants');
+
+const EVENT_TYPES = ['post_created', 'post_updated', 'call_status_changed'];
+
+/**
+ * Record a post event
+ *
+ * @param {Object} event - { analystId, postId, eventType, data }
+ * @returns {Promise<Object>} - Event (id, analyst_id, post_id, event_type, data, created_at)
+ */
+const recordEvent = async ({ analystId, postId, eventType, data = {} }) => {
+  try {
+    if (!EVENT_TYPES.includes(eventType)) {
+      throw new AppError(`Invalid post event type: ${eventType}`, 400);
+    }
+
+    const result = await query(
+      `INSERT INTO post_events (
+        analyst_id,
+        post_id,
+        event_type,
+        data,
+        created_at
+      ) VALUES ($1, $2, $3, $4, NOW())
+      RETURNING id, analyst_id, post_id, event_type, data, created_at`,
+      [analystId, postId, eventType, JSON.stringify(data)]
+    );
+
+    return result.rows[0];
+  } catch (error) {
+    if (error instanceof AppError) {
+      throw error;
+    }
+    console.error('Error recording post event:', error);
+    throw new AppError('Failed to record post event', 500);
+  }
+};
+
+/**
+ * Events of some analysts after an event ID, oldest first
+ *
+ * @param {Array<string>} analystIds - Analyst UUIDs
+ * @param {number} sinceEventId - Last event ID the client received
+ * @param {number} limit - Max events (default: POST_EVENTS.REPLAY_LIMIT)
+ * @returns {Promise<Object>} - { events, truncated }
+ */
+const getEventsSince = async (analystIds, sinceEventId, limit = POST_EVENTS.REPLAY_LIMIT) => {
+  try {
+    if (!analystIds || analystIds.length === 0) {
+      return { events: [], truncated: false };
+    }
+
+    const result = await query(
+      `SELECT id, analyst_id, post_id, event_type, data, created_at
+       FROM post_events
+       WHERE analyst_id = ANY($1::uuid[])
+       AND id > $2
+       AND created_at >= NOW() - make_interval(hours => $3::int)
+       ORDER BY id ASC
+       LIMIT $4`,
+      [analystIds, sinceEventId, POST_EVENTS.RETENTION_HOURS, limit + 1]
+    );
+
+    return {
+      events: result.rows.slice(0, limit),
+      truncated: result.rows.length > limit
+    };
+  } catch (error) {
+    console.error('Error getting post events:', error);
+    throw new AppError('Failed to fetch post events', 500);
+  }
+};
+
+/**
+ * Delete events past the replay window
+ *
+ * @returns {Promise<number>} - Number of deleted events
+ */
+const pruneEvents = async () => {
+  try {
+    const result = await query(
+      `DELETE FROM post_events
+       WHERE created_at < NOW() - make_interval(hours => $1::int)`,
+      [POST_EVENTS.RETENTION_HOURS]
+    );
+
+    return result.rowCount;
+  } catch (error) {
+    console.error('Error pruning post events:', error);
+    throw new AppError('Failed to prune post events', 500);
+  }
+};
+
+module.exports = {
+  EVENT_TYPES,
+  recordEvent,
+  getEventsSince,
+  pruneEvents
+};
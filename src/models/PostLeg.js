@@ -0,0 +1,127 @@
+/**
+ * Post Leg Model
+ *
+ * Database operations for post_legs table
+ * Stores the legs of multi-leg options calls (spreads, straddles, strangles, iron condors)
+ *
+ * FEATURES:
+ * - Ordered legs with underlying, expiry, strike, CE/PE, BUY/SELL, lots, lot size and premium
+ * - Batch loading for feeds
+ *
+ * Legs are frozen once the call is created; payoff metrics are computed on read
+ * (utils/optionsStrategy.calculatePayoff) so they always match the stored legs.
+ */
+
+const { query } = require('../config/database');
+const { AppError } = require('../middleware/errorHandler');
+
+/**
+ * Insert legs for a post
+ *
+ * @param {string} postId - Post UUID
+ * @param {Array<Object>} legs - Normalized legs (utils/optionsStrategy.normalizeLegs)
+ * @param {Object} client - Optional transaction client
+ * @returns {Promise<Array>} - Created legs
+ */
+const createLegs = async (postId, legs, client = null) => {
+  try {
+    const db = client || { query };
+    const created = [];
+
+    for (const leg of legs) {
+      const result = await db.query(
+        `INSERT INTO post_legs (
+          post_id,
+          leg_order,
+          underlying,
+          expiry,
+          strike,
+          option_type,
+          side,
+          lots,
+          lot_size,
+          premium,
+          created_at
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, NOW())
+        RETURNING
+          leg_order,
+          underlying,
+          to_char(expiry, 'YYYY-MM-DD') as expiry,
+          strike,
+          option_type,
+          side,
+          lots,
+          lot_size,
+          premium`,
+        [
+          postId,
+          leg.leg_order,
+          leg.underlying,
+          leg.expiry,
+          leg.strike,
+          leg.option_type,
+          leg.side,
+          leg.lots,
+          leg.lot_size,
+          leg.premium
+        ]
+      );
+      created.push(result.rows[0]);
+    }
+
+    return created;
+  } catch (error) {
+    console.error('Error creating post legs:', error);
+    throw new AppError('Failed to save option legs', 500);
+  }
+};
+
+/**
+ * Get legs for many posts at once
+ *
+ * @param {Array<string>} postIds - Post UUIDs
+ * @returns {Promise<Object>} - Map of postId -> legs
+ */
+const getLegsByPostIds = async (postIds) => {
+  try {
+    const legsByPost = {};
+    if (!postIds || postIds.length === 0) {
+      return legsByPost;
+    }
+
+    const result = await query(
+      `SELECT
+        post_id,
+        leg_order,
+        underlying,
+        to_char(expiry, 'YYYY-MM-DD') as expiry,
+        strike,
+        option_type,
+        side,
+        lots,
+        lot_size,
+        premium
+      FROM post_legs
+      WHERE post_id = ANY($1)
+      ORDER BY post_id, leg_order ASC`,
+      [postIds]
+    );
+
+    result.rows.forEach(({ post_id, ...leg }) => {
+      if (!legsByPost[post_id]) {
+        legsByPost[post_id] = [];
+      }
+      legsByPost[post_id].push(leg);
+    });
+
+    return legsByPost;
+  } catch (error) {
+    console.error('Error getting legs for posts:', error);
+    throw new AppError('Failed to fetch option legs', 500);
+  }
+};
+
+module.exports = {
+  createLegs,
+  getLegsByPostIds
+};
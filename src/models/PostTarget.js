@@ -0,0 +1,213 @@
+/**
+ * Post Target Model
+ *
+ * Database operations for post_targets table
+ * Stores staged targets (T1/T2/T3) for multi-target calls
+ *
+ * FEATURES:
+ * - Ordered targets with allocation percentage per target
+ * - Per-target outcome (hit, stopped, closed) with exit price and realized %
+ * - Batch loading for feeds
+ *
+ * TARGET STATUS:
+ * - open: Not reached yet
+ * - hit: Target reached, allocation booked at exit_price
+ * - stopped: Remaining allocation exited at stop loss
+ * - closed: Remaining allocation exited on manual close / expiry
+ */
+
+const { query } = require('../config/database');
+const { AppError } = require('../middleware/errorHandler');
+
+/**
+ * Insert targets for a post
+ *
+ * @param {string} postId - Post UUID
+ * @param {Array<Object>} targets - Normalized targets [{ target_order, target_price, allocation_percent }]
+ * @param {Object} client - Optional transaction client
+ * @returns {Promise<Array>} - Created targets
+ */
+const createTargets = async (postId, targets, client = null) => {
+  try {
+    const db = client || { query };
+    const created = [];
+
+    for (const target of targets) {
+      const result = await db.query(
+        `INSERT INTO post_targets (
+          post_id,
+          target_order,
+          target_price,
+          allocation_percent,
+          status,
+          created_at,
+          updated_at
+        ) VALUES ($1, $2, $3, $4, 'open', NOW(), NOW())
+        RETURNING
+          target_order,
+          target_price,
+          allocation_percent,
+          status,
+          exit_price,
+          realized_percent,
+          hit_at`,
+        [postId, target.target_order, target.target_price, target.allocation_percent]
+      );
+      created.push(result.rows[0]);
+    }
+
+    return created;
+  } catch (error) {
+    console.error('Error creating post targets:', error);
+    throw new AppError('Failed to save call targets', 500);
+  }
+};
+
+/**
+ * Get targets for a post (ordered T1, T2, ...)
+ *
+ * @param {string} postId - Post UUID
+ * @param {Object} client - Optional transaction client
+ * @returns {Promise<Array>} - Targets
+ */
+const getTargetsByPostId = async (postId, client = null) => {
+  try {
+    const db = client || { query };
+    const result = await db.query(
+      `SELECT
+        target_order,
+        target_price,
+        allocation_percent,
+        status,
+        exit_price,
+        realized_percent,
+        hit_at
+      FROM post_targets
+      WHERE post_id = $1
+      ORDER BY target_order ASC`,
+      [postId]
+    );
+
+    return result.rows;
+  } catch (error) {
+    console.error('Error getting post targets:', error);
+    throw new AppError('Failed to fetch call targets', 500);
+  }
+};
+
+/**
+ * Get targets for many posts at once
+ *
+ * @param {Array<string>} postIds - Post UUIDs
+ * @returns {Promise<Object>} - Map of postId -> targets
+ */
+const getTargetsByPostIds = async (postIds) => {
+  try {
+    const targetsByPost = {};
+    if (!postIds || postIds.length === 0) {
+      return targetsByPost;
+    }
+
+    const result = await query(
+      `SELECT
+        post_id,
+        target_order,
+        target_price,
+        allocation_percent,
+        status,
+        exit_price,
+        realized_percent,
+        hit_at
+      FROM post_targets
+      WHERE post_id = ANY($1)
+      ORDER BY post_id, target_order ASC`,
+      [postIds]
+    );
+
+    result.rows.forEach(({ post_id, ...target }) => {
+      if (!targetsByPost[post_id]) {
+        targetsByPost[post_id] = [];
+      }
+      targetsByPost[post_id].push(target);
+    });
+
+    return targetsByPost;
+  } catch (error) {
+    console.error('Error getting targets for posts:', error);
+    throw new AppError('Failed to fetch call targets', 500);
+  }
+};
+
+/**
+ * Record a target as hit
+ *
+ * @param {string} postId - Post UUID
+ * @param {number} targetOrder - 1 for T1, 2 for T2, ...
+ * @param {number} exitPrice - Price the allocation was booked at
+ * @param {number} realizedPercent - Profit percent for this allocation
+ * @param {Object} client - Optional transaction client
+ * @returns {Promise<Object|null>} - Updated target or null if not open
+ */
+const markTargetHit = async (postId, targetOrder, exitPrice, realizedPercent, client = null) => {
+  try {
+    const db = client || { query };
+    const result = await db.query(
+      `UPDATE post_targets
+       SET status = 'hit',
+           exit_price = $1,
+           realized_percent = $2,
+           hit_at = NOW(),
+           updated_at = NOW()
+       WHERE post_id = $3
+       AND target_order = $4
+       AND status = 'open'
+       RETURNING target_order, target_price, allocation_percent, status, exit_price, realized_percent, hit_at`,
+      [exitPrice, realizedPercent, postId, targetOrder]
+    );
+
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Error marking target hit:', error);
+    throw new AppError('Failed to record target outcome', 500);
+  }
+};
+
+/**
+ * Exit every open target of a post at one price (stop loss, manual close, expiry)
+ *
+ * @param {string} postId - Post UUID
+ * @param {string} status - 'stopped' or 'closed'
+ * @param {number|null} exitPrice - Exit price
+ * @param {number|null} realizedPercent - Profit percent at exit price
+ * @param {Object} client - Optional transaction client
+ * @returns {Promise<Array>} - Updated targets
+ */
+const closeOpenTargets = async (postId, status, exitPrice, realizedPercent, client = null) => {
+  try {
+    const db = client || { query };
+    const result = await db.query(
+      `UPDATE post_targets
+       SET status = $1,
+           exit_price = $2,
+           realized_percent = $3,
+           updated_at = NOW()
+       WHERE post_id = $4
+       AND status = 'open'
+       RETURNING target_order, target_price, allocation_percent, status, exit_price, realized_percent, hit_at`,
+      [status, exitPrice, realizedPercent, postId]
+    );
+
+    return result.rows;
+  } catch (error) {
+    console.error('Error closing open targets:', error);
+    throw new AppError('Failed to record target outcome', 500);
+  }
+};
+
+module.exports = {
+  createTargets,
+  getTargetsByPostId,
+  getTargetsByPostIds,
+  markTargetHit,
+  closeOpenTargets
+};
@@ -0,0 +1,296 @@
+/**
+ * Post Version Model
+ *
+ * Database operations for post_versions table
+ * Append-only, hash-chained revision history for posts
+ *
+ * TAMPER EVIDENCE:
+ * - Every publish and every edit appends a version with a full snapshot
+ * - content_hash = SHA-256 of (post_id, version_number, snapshot, previous_hash, created_at)
+ * - previous_hash links each version to the one before it (version 1 links to null)
+ * - Rewriting any historic row breaks every hash after it, which verifyChain() detects
+ * - Rows are never updated or deleted by the application
+ */
+
+const crypto = require('crypto');
+const { query } = require('../config/database');
+const { AppError } = require('../middleware/errorHandler');
+
+/**
+ * Fields captured in each version snapshot
+ */
+const VERSIONED_FIELDS = [
+  'title',
+  'content',
+  'content_formatted',
+  'post_type',
+  'strategy_type',
+  'audience',
+  'stock_symbol',
+  'action',
+  'entry_price',
+  'target_price',
+  'stop_loss',
+  'risk_reward_ratio',
+  'confidence_level',
+  'targets'
+];
+
+const PRICE_FIELDS = ['entry_price', 'target_price', 'stop_loss'];
+
+/**
+ * Serialize a value with object keys sorted, so equal data always hashes equally
+ *
+ * @param {*} value - Any JSON-compatible value
+ * @returns {string} - Canonical JSON
+ */
+const canonicalStringify = (value) => {
+  if (value === null || value === undefined) {
+    return 'null';
+  }
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalStringify).join(',')}]`;
+  }
+  if (value instanceof Date) {
+    return JSON.stringify(value.toISOString());
+  }
+  if (typeof value === 'object') {
+    const keys = Object.keys(value).filter(key => value[key] !== undefined).sort();
+    return `{${keys.map(key => `${JSON.stringify(key)}:${canonicalStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+};
+
+/**
+ * Build a version snapshot from a post row
+ * Prices are normalized to numbers (pg returns DECIMAL as string)
+ *
+ * @param {Object} post - Post row (with optional `targets`)
+ * @returns {Object} - Snapshot
+ */
+const buildSnapshot = (post) => {
+  const snapshot = {};
+
+  VERSIONED_FIELDS.forEach((field) => {
+    let value = post[field] === undefined ? null : post[field];
+
+    if (PRICE_FIELDS.includes(field) && value !== null) {
+      value = parseFloat(value);
+    }
+    if (field === 'content_formatted' && typeof value === 'string') {
+      value = JSON.parse(value);
+    }
+    if (field === 'targets') {
+      value = (value || []).map(target => ({
+        target_order: target.target_order,
+        target_price: parseFloat(target.target_price),
+        allocation_percent: parseFloat(target.allocation_percent)
+      }));
+    }
+
+    snapshot[field] = value;
+  });
+
+  return snapshot;
+};
+
+/**
+ * Compute the hash of a version
+ *
+ * @param {Object} version - { post_id, version_number, snapshot, previous_hash, created_at }
+ * @returns {string} - Hex SHA-256
+ */
+const computeVersionHash = ({ post_id, version_number, snapshot, previous_hash, created_at }) => {
+  const payload = canonicalStringify({
+    post_id,
+    version_number,
+    snapshot,
+    previous_hash: previous_hash || null,
+    created_at: new Date(created_at).toISOString()
+  });
+
+  return crypto.createHash('sha256').update(payload).digest('hex');
+};
+
+/**
+ * Get the latest version of a post
+ *
+ * @param {string} postId - Post UUID
+ * @param {Object} client - Optional transaction client
+ * @returns {Promise<Object|null>} - Latest version or null
+ */
+const getLatestVersion = async (postId, client = null) => {
+  try {
+    const db = client || { query };
+    const result = await db.query(
+      `SELECT *
+       FROM post_versions
+       WHERE post_id = $1
+       ORDER BY version_number DESC
+       LIMIT 1`,
+      [postId]
+    );
+
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Error getting latest post version:', error);
+    throw new AppError('Failed to fetch post version', 500);
+  }
+};
+
+/**
+ * Append a version to a post's chain
+ * Skips the append if the snapshot is identical to the latest version.
+ *
+ * @param {string} postId - Post UUID
+ * @param {Object} snapshot - buildSnapshot() output
+ * @param {string} editedBy - User UUID who published/edited
+ * @param {Object} client - Optional transaction client (recommended)
+ * @returns {Promise<Object|null>} - Created version, or null if nothing changed
+ */
+const appendVersion = async (postId, snapshot, editedBy, client = null) => {
+  try {
+    const db = client || { query };
+
+    // Lock the post row so concurrent edits get sequential version numbers
+    await db.query(`SELECT id FROM posts WHERE id = $1 FOR UPDATE`, [postId]);
+
+    const latest = await getLatestVersion(postId, client);
+    if (latest && canonicalStringify(latest.snapshot) === canonicalStringify(snapshot)) {
+      return null;
+    }
+
+    const version = {
+      post_id: postId,
+      version_number: latest ? latest.version_number + 1 : 1,
+      snapshot,
+      previous_hash: latest ? latest.content_hash : null,
+      created_at: new Date().toISOString()
+    };
+    const contentHash = computeVersionHash(version);
+
+    const result = await db.query(
+      `INSERT INTO post_versions (
+        post_id,
+        version_number,
+        snapshot,
+        content_hash,
+        previous_hash,
+        edited_by,
+        created_at
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7)
+      RETURNING *`,
+      [
+        postId,
+        version.version_number,
+        JSON.stringify(snapshot),
+        contentHash,
+        version.previous_hash,
+        editedBy,
+        version.created_at
+      ]
+    );
+
+    return result.rows[0];
+  } catch (error) {
+    console.error('Error appending post version:', error);
+    throw new AppError('Failed to record post version', 500);
+  }
+};
+
+/**
+ * Get full version history of a post (oldest first)
+ *
+ * @param {string} postId - Post UUID
+ * @returns {Promise<Array>} - Versions
+ */
+const getVersionHistory = async (postId) => {
+  try {
+    const result = await query(
+      `SELECT
+        pv.id,
+        pv.post_id,
+        pv.version_number,
+        pv.snapshot,
+        pv.content_hash,
+        pv.previous_hash,
+        pv.edited_by,
+        pv.created_at
+      FROM post_versions pv
+      WHERE pv.post_id = $1
+      ORDER BY pv.version_number ASC`,
+      [postId]
+    );
+
+    return result.rows.map((version) => {
+      if (typeof version.snapshot === 'string') {
+        version.snapshot = JSON.parse(version.snapshot);
+      }
+      return version;
+    });
+  } catch (error) {
+    console.error('Error getting post version history:', error);
+    throw new AppError('Failed to fetch post history', 500);
+  }
+};
+
+/**
+ * Verify a version chain
+ *
+ * @param {Array<Object>} versions - Versions ordered oldest first
+ * @returns {Object} - { valid: boolean, broken_at: number|null, reason: string|null }
+ */
+const verifyChain = (versions) => {
+  let previousHash = null;
+
+  for (let i = 0; i < versions.length; i++) {
+    const version = versions[i];
+
+    if (version.version_number !== i + 1) {
+      return { valid: false, broken_at: version.version_number, reason: 'Missing version in chain' };
+    }
+    if ((version.previous_hash || null) !== previousHash) {
+      return { valid: false, broken_at: version.version_number, reason: 'Previous hash mismatch' };
+    }
+    if (computeVersionHash(version) !== version.content_hash) {
+      return { valid: false, broken_at: version.version_number, reason: 'Content hash mismatch' };
+    }
+
+    previousHash = version.content_hash;
+  }
+
+  return { valid: true, broken_at: null, reason: null };
+};
+
+/**
+ * Diff two snapshots field by field
+ *
+ * @param {Object|null} previous - Previous snapshot
+ * @param {Object} current - Current snapshot
+ * @returns {Object} - { field: { from, to } } for changed fields
+ */
+const diffSnapshots = (previous, current) => {
+  const changes = {};
+
+  VERSIONED_FIELDS.forEach((field) => {
+    const from = previous ? (previous[field] ?? null) : null;
+    const to = current[field] ?? null;
+
+    if (canonicalStringify(from) !== canonicalStringify(to)) {
+      changes[field] = { from, to };
+    }
+  });
+
+  return changes;
+};
+
+module.exports = {
+  VERSIONED_FIELDS,
+  buildSnapshot,
+  computeVersionHash,
+  getLatestVersion,
+  appendVersion,
+  getVersionHistory,
+  verifyChain,
+  diffSnapshots
+};
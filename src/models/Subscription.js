@@ -217,6 +217,26 @@ const findActiveByUserAndAnalyst = async (userId, analystId) => {
   return result.rows.length > 0 ? result.rows[0] : null;
 };
 
+/**
+ * Gets the analysts a user has an active subscription with
+ *
+ * @param {string} userId - User ID
+ * @returns {Promise<Array<string>>} - Analyst user IDs
+ */
+const findActiveAnalystIds = async (userId) => {
+  const result = await query(
+    `SELECT DISTINCT analyst_id
+     FROM subscriptions
+     WHERE user_id = $1
+     AND status = 'active'
+     AND deleted_at IS NULL
+     AND expires_at > NOW()`,
+    [userId]
+  );
+
+  return result.rows.map(row => row.analyst_id);
+};
+
 /**
  * Updates subscription status
  *
@@ -579,6 +599,7 @@ module.exports = {
   findByUserId,
   findByAnalystId,
   findActiveByUserAndAnalyst,
+  findActiveAnalystIds,
   updateStatus,
   updateExpiryDates,
   incrementRetryCount,
@@ -0,0 +1,185 @@
+/**
+ * Teaser Event Model
+ *
+ * Database operations for teaser_events table
+ * Impressions and unlock clicks on paid-post teasers (utils/postTeaser)
+ *
+ * FEATURES:
+ * - One event per user, post, type and day (repeat feed loads are not counted twice)
+ * - Conversions are not stored: a subscription counts as a teaser conversion when
+ *   the subscriber saw or clicked a teaser of that analyst within
+ *   TEASER_SETTINGS.ATTRIBUTION_DAYS before subscribing (last touch wins)
+ */
+
+const { query } = require('../config/database');
+const { AppError } = require('../middleware/errorHandler');
+const { TEASER_SETTINGS } = require('../utils/constants');
+
+const EVENT_TYPES = ['impression', 'click'];
+
+/**
+ * Record teaser events for a user
+ *
+ * @param {string} userId - Viewer UUID
+ * @param {Array<Object>} teasers - Teasers (id, analyst_id)
+ * @param {string} eventType - 'impression' or 'click'
+ * @param {string} source - Where the teaser was shown ('feed', 'analyst_page', 'post')
+ * @returns {Promise<number>} - Number of new events
+ */
+const recordEvents = async (userId, teasers, eventType, source) => {
+  try {
+    if (!userId || !teasers || teasers.length === 0) {
+      return 0;
+    }
+
+    if (!EVENT_TYPES.includes(eventType)) {
+      throw new AppError(`Invalid teaser event type: ${eventType}`, 400);
+    }
+
+    const result = await query(
+      `INSERT INTO teaser_events (
+        post_id,
+        analyst_id,
+        user_id,
+        event_type,
+        source,
+        event_date,
+        created_at
+      )
+      SELECT teaser.post_id, teaser.analyst_id, $3, $4, $5, CURRENT_DATE, NOW()
+      FROM UNNEST($1::uuid[], $2::uuid[]) as teaser(post_id, analyst_id)
+      ON CONFLICT (post_id, user_id, event_type, event_date) DO NOTHING`,
+      [
+        teasers.map(teaser => teaser.id),
+        teasers.map(teaser => teaser.analyst_id),
+        userId,
+        eventType,
+        source
+      ]
+    );
+
+    return result.rowCount;
+  } catch (error) {
+    if (error instanceof AppError) {
+      throw error;
+    }
+    console.error('Error recording teaser events:', error);
+    throw new AppError('Failed to record teaser events', 500);
+  }
+};
+
+/**
+ * Teaser funnel of an analyst: impressions -> clicks -> subscriptions
+ *
+ * @param {string} analystId - Analyst UUID
+ * @param {number} days - Look-back window
+ * @returns {Promise<Object>} - { funnel, top_teasers }
+ */
+const getConversionStats = async (analystId, days = 30) => {
+  try {
+    const funnelResult = await query(
+      `SELECT
+        COUNT(*) FILTER (WHERE event_type = 'impression') as impressions,
+        COUNT(DISTINCT user_id) FILTER (WHERE event_type = 'impression') as unique_viewers,
+        COUNT(*) FILTER (WHERE event_type = 'click') as clicks,
+        COUNT(DISTINCT user_id) FILTER (WHERE event_type = 'click') as unique_clickers
+      FROM teaser_events
+      WHERE analyst_id = $1
+      AND created_at >= NOW() - make_interval(days => $2::int)`,
+      [analystId, days]
+    );
+
+    // Subscriptions in the window with a teaser touch in the attribution window before them
+    const conversionsResult = await query(
+      `WITH conversions AS (
+        SELECT
+          s.id as subscription_id,
+          s.final_price,
+          touch.post_id
+        FROM subscriptions s
+        CROSS JOIN LATERAL (
+          SELECT e.post_id
+          FROM teaser_events e
+          WHERE e.user_id = s.user_id
+          AND e.analyst_id = s.analyst_id
+          AND e.created_at <= s.created_at
+          AND e.created_at >= s.created_at - make_interval(days => $3::int)
+          ORDER BY e.created_at DESC
+          LIMIT 1
+        ) touch
+        WHERE s.analyst_id = $1
+        AND s.created_at >= NOW() - make_interval(days => $2::int)
+        AND s.status != 'pending_payment'
+        AND s.deleted_at IS NULL
+      )
+      SELECT
+        post_id,
+        COUNT(*) as conversions,
+        COALESCE(SUM(final_price), 0) as revenue_paise
+      FROM conversions
+      GROUP BY ROLLUP (post_id)`,
+      [analystId, days, TEASER_SETTINGS.ATTRIBUTION_DAYS]
+    );
+
+    const totals = conversionsResult.rows.find(row => row.post_id === null) || { conversions: 0, revenue_paise: 0 };
+    const byPost = conversionsResult.rows.filter(row => row.post_id !== null);
+
+    const topResult = await query(
+      `SELECT
+        p.id as post_id,
+        p.stock_symbol,
+        p.action,
+        p.strategy_type,
+        p.published_at,
+        COUNT(*) FILTER (WHERE e.event_type = 'impression') as impressions,
+        COUNT(*) FILTER (WHERE e.event_type = 'click') as clicks
+      FROM teaser_events e
+      INNER JOIN posts p ON e.post_id = p.id
+      WHERE e.analyst_id = $1
+      AND e.created_at >= NOW() - make_interval(days => $2::int)
+      GROUP BY p.id
+      ORDER BY impressions DESC
+      LIMIT 10`,
+      [analystId, days]
+    );
+
+    const funnel = funnelResult.rows[0];
+    const impressions = parseInt(funnel.impressions);
+    const uniqueViewers = parseInt(funnel.unique_viewers);
+    const conversions = parseInt(totals.conversions);
+    const rate = (part, whole) => (whole > 0 ? Math.round((part / whole) * 10000) / 100 : 0);
+
+    const conversionsByPost = byPost.reduce((map, row) => {
+      map[row.post_id] = parseInt(row.conversions);
+      return map;
+    }, {});
+
+    return {
+      funnel: {
+        impressions,
+        unique_viewers: uniqueViewers,
+        clicks: parseInt(funnel.clicks),
+        unique_clickers: parseInt(funnel.unique_clickers),
+        conversions,
+        revenue_inr: Math.round(parseFloat(totals.revenue_paise)) / 100,
+        click_through_rate_percent: rate(parseInt(funnel.clicks), impressions),
+        conversion_rate_percent: rate(conversions, uniqueViewers)
+      },
+      top_teasers: topResult.rows.map(row => ({
+        ...row,
+        impressions: parseInt(row.impressions),
+        clicks: parseInt(row.clicks),
+        conversions: conversionsByPost[row.post_id] || 0
+      })),
+      attribution_days: TEASER_SETTINGS.ATTRIBUTION_DAYS
+    };
+  } catch (error) {
+    console.error('Error getting teaser conversion stats:', error);
+    throw new AppError('Failed to fetch teaser analytics', 500);
+  }
+};
+
+module.exports = {
+  recordEvents,
+  getConversionStats
+};
@@ -0,0 +1,240 @@
+/**
+ * Watchlist Model
+ *
+ * Database operations for watchlist_items table
+ * Stock symbols a trader follows, independent of analysts
+ *
+ * FEATURES:
+ * - One watchlist per trader (WATCHLIST_SETTINGS.MAX_SYMBOLS symbols)
+ * - Symbols are stored normalized (stockSymbolMapper.normalizeStockSymbol)
+ * - Per-symbol call alerts (alerts_enabled)
+ * - Feed filter (Post.getFeedForUser watchlist_only) and call alerts
+ *   (postNotificationService.notifyWatchlistCall)
+ */
+
+const { query } = require('../config/database');
+const { AppError } = require('../middleware/errorHandler');
+const { WATCHLIST_SETTINGS } = require('../utils/constants');
+
+const WATCHLIST_COLUMNS = `
+  id,
+  user_id,
+  stock_symbol,
+  notes,
+  alerts_enabled,
+  created_at,
+  updated_at`;
+
+/**
+ * Get a trader's watchlist
+ *
+ * @param {string} userId - User UUID
+ * @returns {Promise<Array>} - Watchlist items (alphabetical), with open call counts
+ */
+const getUserWatchlist = async (userId) => {
+  try {
+    const result = await query(
+      `SELECT
+        w.id,
+        w.stock_symbol,
+        w.notes,
+        w.alerts_enabled,
+        w.created_at,
+        w.updated_at,
+        (
+          SELECT COUNT(*)
+          FROM posts p
+          WHERE p.stock_symbol = w.stock_symbol
+          AND p.post_type = 'call'
+          AND p.call_status = 'open'
+          AND p.published_at IS NOT NULL
+          AND p.deleted_at IS NULL
+        )::INTEGER as open_calls_count
+      FROM watchlist_items w
+      WHERE w.user_id = $1
+      ORDER BY w.stock_symbol ASC`,
+      [userId]
+    );
+
+    return result.rows;
+  } catch (error) {
+    console.error('Error getting watchlist:', error);
+    throw new AppError('Failed to fetch watchlist', 500);
+  }
+};
+
+/**
+ * Add a symbol to a trader's watchlist
+ *
+ * @param {string} userId - User UUID
+ * @param {string} stockSymbol - Normalized symbol
+ * @param {Object} options - { notes, alerts_enabled }
+ * @returns {Promise<Object>} - Created item
+ */
+const addSymbol = async (userId, stockSymbol, options = {}) => {
+  try {
+    const { notes = null, alerts_enabled = true } = options;
+
+    const countResult = await query(
+      `SELECT COUNT(*) as total FROM watchlist_items WHERE user_id = $1`,
+      [userId]
+    );
+
+    if (parseInt(countResult.rows[0].total) >= WATCHLIST_SETTINGS.MAX_SYMBOLS) {
+      throw new AppError(`A watchlist can have at most ${WATCHLIST_SETTINGS.MAX_SYMBOLS} symbols`, 400);
+    }
+
+    const result = await query(
+      `INSERT INTO watchlist_items (
+        user_id,
+        stock_symbol,
+        notes,
+        alerts_enabled,
+        created_at,
+        updated_at
+      ) VALUES ($1, $2, $3, $4, NOW(), NOW())
+      ON CONFLICT (user_id, stock_symbol) DO NOTHING
+      RETURNING ${WATCHLIST_COLUMNS}`,
+      [userId, stockSymbol, notes, alerts_enabled]
+    );
+
+    if (result.rows.length === 0) {
+      throw new AppError(`${stockSymbol} is already in your watchlist`, 409);
+    }
+
+    return result.rows[0];
+  } catch (error) {
+    if (error instanceof AppError) {
+      throw error;
+    }
+    console.error('Error adding watchlist symbol:', error);
+    throw new AppError('Failed to add symbol to watchlist', 500);
+  }
+};
+
+/**
+ * Update a watchlist item
+ *
+ * @param {string} userId - User UUID
+ * @param {string} stockSymbol - Normalized symbol
+ * @param {Object} updates - { notes, alerts_enabled }
+ * @returns {Promise<Object>} - Updated item
+ */
+const updateSymbol = async (userId, stockSymbol, updates) => {
+  try {
+    const fields = [];
+    const params = [userId, stockSymbol];
+
+    ['notes', 'alerts_enabled'].forEach((field) => {
+      if (updates[field] !== undefined) {
+        params.push(updates[field]);
+        fields.push(`${field} = $${params.length}`);
+      }
+    });
+
+    if (fields.length === 0) {
+      throw new AppError('No valid fields provided for update', 400);
+    }
+
+    const result = await query(
+      `UPDATE watchlist_items
+       SET ${fields.join(', ')}, updated_at = NOW()
+       WHERE user_id = $1 AND stock_symbol = $2
+       RETURNING ${WATCHLIST_COLUMNS}`,
+      params
+    );
+
+    if (result.rows.length === 0) {
+      throw new AppError(`${stockSymbol} is not in your watchlist`, 404);
+    }
+
+    return result.rows[0];
+  } catch (error) {
+    if (error instanceof AppError) {
+      throw error;
+    }
+    console.error('Error updating watchlist symbol:', error);
+    throw new AppError('Failed to update watchlist', 500);
+  }
+};
+
+/**
+ * Remove a symbol from a trader's watchlist
+ *
+ * @param {string} userId - User UUID
+ * @param {string} stockSymbol - Normalized symbol
+ * @returns {Promise<boolean>} - True if removed
+ */
+const removeSymbol = async (userId, stockSymbol) => {
+  try {
+    const result = await query(
+      `DELETE FROM watchlist_items
+       WHERE user_id = $1 AND stock_symbol = $2
+       RETURNING id`,
+      [userId, stockSymbol]
+    );
+
+    if (result.rows.length === 0) {
+      throw new AppError(`${stockSymbol} is not in your watchlist`, 404);
+    }
+
+    return true;
+  } catch (error) {
+    if (error instanceof AppError) {
+      throw error;
+    }
+    console.error('Error removing watchlist symbol:', error);
+    throw new AppError('Failed to remove symbol from watchlist', 500);
+  }
+};
+
+/**
+ * Get traders to alert about a call on a watched symbol
+ * Only traders who can read the call: everyone for free/both posts,
+ * active subscribers of the analyst for paid posts. The analyst is excluded.
+ *
+ * @param {Object} post - Published call (analyst_id, stock_symbol, audience)
+ * @returns {Promise<Array>} - [{ id, email, name, is_subscriber }]
+ */
+const getWatchersForCall = async (post) => {
+  try {
+    const result = await query(
+      `SELECT
+        u.id,
+        u.email,
+        u.full_name as name,
+        EXISTS(
+          SELECT 1 FROM subscriptions s
+          WHERE s.user_id = u.id
+          AND s.analyst_id = $2
+          AND s.status = 'active'
+          AND s.expires_at > NOW()
+          AND s.deleted_at IS NULL
+        ) as is_subscriber
+      FROM watchlist_items w
+      INNER JOIN users u ON w.user_id = u.id
+      WHERE w.stock_symbol = $1
+      AND w.alerts_enabled = true
+      AND w.user_id != $2
+      AND u.deleted_at IS NULL`,
+      [post.stock_symbol, post.analyst_id]
+    );
+
+    if (post.audience === 'paid') {
+      return result.rows.filter(watcher => watcher.is_subscriber);
+    }
+
+    return result.rows;
+  } catch (error) {
+    console.error('Error getting watchlist watchers:', error);
+    throw new AppError('Failed to fetch watchlist watchers', 500);
+  }
+};
+
+module.exports = {
+  getUserWatchlist,
+  addSymbol,
+  updateSymbol,
+  removeSymbol,
+  getWatchersForCall
+};
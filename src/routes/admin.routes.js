@@ -10,6 +10,8 @@
  * - POST /api/admin/analysts/:id/reject - Reject analyst verification
  * - PUT /api/admin/analysts/:id/status - Update analyst status (in_review)
  * - GET /api/admin/analytics - Get platform analytics
+ * - GET /api/admin/call-conflicts - Contradictory call (hedge) report
+ * - PUT /api/admin/call-conflicts/:id - Review a flagged conflict
  */
 
 const express = require('express');
@@ -18,7 +20,7 @@ const router = express.Router();
 // Import middleware
 const { verifyToken, requireAdmin } = require('../middleware/auth');
 const { adminLimiter, standardLimiter } = require('../middleware/rateLimiter');
-const { validateId, validatePagination } = require('../middleware/validation');
+const { validateId, validateUUID, validatePagination } = require('../middleware/validation');
 
 // Import controller
 const adminController = require('../controllers/adminController');
@@ -101,6 +103,44 @@ router.get(
   adminController.getAnalytics
 );
 
+/**
+ * @route   GET /api/admin/call-conflicts
+ * @desc    Hedged calls: opposite BUY/SELL calls by one analyst on the same symbol
+ *          that were open at the same time, with both calls and their outcomes
+ * @access  Private (Admin only)
+ *
+ * Query:
+ * - status: pending (default), dismissed, actioned, all
+ * - analyst_id: UUID (optional)
+ * - page, limit
+ */
+router.get(
+  '/call-conflicts',
+  verifyToken,
+  requireAdmin,
+  standardLimiter,
+  validatePagination(),
+  adminController.getCallConflicts
+);
+
+/**
+ * @route   PUT /api/admin/call-conflicts/:id
+ * @desc    Review a flagged conflict
+ * @access  Private (Admin only)
+ *
+ * Body:
+ * - status: 'dismissed' (legitimate hedge) or 'actioned'
+ * - admin_notes: string (optional)
+ */
+router.put(
+  '/call-conflicts/:id',
+  verifyToken,
+  requireAdmin,
+  adminLimiter,
+  validateUUID('id'),
+  adminController.reviewCallConflict
+);
+
 /**
  * Legacy routes (kept for backward compatibility)
  */
@@ -13,6 +13,9 @@
  * - POST /api/analysts/profile/setup - Complete profile setup wizard
  * - GET /api/analysts/dashboard - Get private dashboard
  * - GET /api/analysts/discovery - Discovery page with filters
+ * - GET /api/analysts/:id/feed.rss | feed.atom | feed.json - Public feed of an analyst's posts
+ * - GET /api/analysts/:id/performance - Verified track record (by period, strategy, month)
+ * - GET /api/analysts/:id - Public analyst profile with track record summary
  */
 
 const express = require('express');
@@ -133,6 +136,9 @@ router.get(
  * @route   GET /api/analysts/discovery
  * @desc    Get analysts for discovery page (with filters)
  * @access  Public
+ *
+ * Query params include `sector` (key from GET /api/posts/sectors) to browse
+ * analysts by the sectors they post on; each analyst carries `top_sectors`.
  */
 router.get(
   '/discovery',
@@ -140,6 +146,63 @@ router.get(
   analystController.getDiscoveryList
 );
 
+/**
+ * @route   GET /api/analysts/:id/feed.rss, /:id/feed.atom, /:id/feed.json
+ * @desc    Public RSS 2.0 / Atom / JSON Feed of an analyst's posts (id = analyst profile ID)
+ * @access  Public
+ *
+ * Free and `both` posts in full with their call fields; paid posts only as
+ * teasers (no price levels, subscribe link). Supports ETag / Last-Modified
+ * (304 Not Modified) and RFC 5005 paging links.
+ *
+ * Query params:
+ * - page: number (default: 1)
+ * - limit: number (default: 20, max: 50)
+ */
+router.get(
+  '/:id/feed.:format',
+  validateUUID('id'),
+  standardLimiter,
+  analystController.getFeed
+);
+
+/**
+ * @route   GET /api/analysts/:id/performance
+ * @desc    Verified track record of an analyst (id = analyst profile ID)
+ * @access  Public
+ *
+ * Win rate, average return, average R-multiple, max drawdown, expectancy,
+ * average holding time and risk-adjusted score over closed calls (self-reported
+ * imports excluded; analyst-entered exits count, tallied in unverified_calls_count):
+ * `summary` for all time and rolling 30d / 90d / 365d,
+ * `by_strategy` and `monthly` (IST calendar months, newest first).
+ *
+ * Query params:
+ * - strategy: intraday | swing | positional | long_term | options
+ * - months: number (default: 12, max: 36)
+ */
+router.get(
+  '/:id/performance',
+  validateUUID('id'),
+  standardLimiter,
+  analystController.getPerformance
+);
+
+/**
+ * @route   GET /api/analysts/:id
+ * @desc    Get public analyst profile with its track record summary (id = analyst profile ID)
+ * @access  Public
+ *
+ * Same as GET /api/analysts/profile/:id. Static paths (/discovery, /dashboard)
+ * are registered above, so they never reach this route.
+ */
+router.get(
+  '/:id',
+  optionalAuth,
+  validateUUID('id'),
+  analystController.getPublicProfile
+);
+
 /**
  * Legacy routes (kept for backward compatibility)
  * TODO: Update frontend to use new routes, then remove these
@@ -157,21 +220,6 @@ router.get('/', searchLimiter, (req, res) => {
   analystController.getDiscoveryList(req, res);
 });
 
-/**
- * @route   GET /api/analysts/:id
- * @desc    Get analyst profile by ID - DEPRECATED
- * @access  Public
- * @deprecated Use GET /api/analysts/profile/:id instead
- */
-router.get('/:id', optionalAuth, validateUUID('id'), (req, res) => {
-  // This conflicts with /discovery, so it's disabled
-  // Frontend should use /api/analysts/profile/:id instead
-  res.status(400).json({
-    success: false,
-    message: 'Please use /api/analysts/profile/:id to fetch analyst profiles'
-  });
-});
-
 /**
  * Future endpoints (to be implemented)
  */
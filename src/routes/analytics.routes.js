@@ -175,4 +175,19 @@ router.get('/churn', verifyToken, requireAnalyst, standardLimiter, analyticsCont
  */
 router.get('/calls', verifyToken, requireAnalyst, standardLimiter, analyticsController.getCallAnalytics);
 
+/**
+ * @route   GET /api/analytics/teasers
+ * @desc    Get teaser-to-subscription conversion analytics
+ * @access  Private (Analyst only)
+ *
+ * Query params:
+ * - date_range: Number of days to look back (default: 30, max: 365)
+ *
+ * Returns:
+ * - Funnel: impressions, unique viewers, unlock clicks, conversions, revenue
+ * - Click-through and conversion rates
+ * - Top teasers with their conversions
+ */
+router.get('/teasers', verifyToken, requireAnalyst, standardLimiter, analyticsController.getTeaserAnalytics);
+
 module.exports = router;
@@ -0,0 +1,68 @@
+/**
+ * Card Routes
+ *
+ * Shareable performance cards and their public verification
+ * Routes: call card, track record card, verify
+ */
+
+const express = require('express');
+const router = express.Router();
+
+// Import middleware
+const { verifyToken, requireAnalyst } = require('../middleware/auth');
+const { standardLimiter } = require('../middleware/rateLimiter');
+const { validateUUID } = require('../middleware/validation');
+
+// Import controller
+const cardController = require('../controllers/cardController');
+
+/**
+ * @route   GET /api/cards/calls/:postId
+ * @desc    Branded SVG card of a closed call (symbol, entry, exit, return,
+ *          holding time, verification QR code)
+ * @access  Private (Analyst only, own calls)
+ *
+ * Query:
+ * - format: 'svg' (default, image/svg+xml) or 'json' ({ card, token, verification_url, svg })
+ */
+router.get(
+  '/calls/:postId',
+  verifyToken,
+  requireAnalyst,
+  standardLimiter,
+  validateUUID('postId'),
+  cardController.getCallCard
+);
+
+/**
+ * @route   GET /api/cards/track-record
+ * @desc    Branded SVG card of the analyst's calls closed in a period
+ * @access  Private (Analyst only)
+ *
+ * Query:
+ * - period: 30 | 90 | 180 | 365 days (default 90)
+ * - format: 'svg' (default) or 'json'
+ */
+router.get(
+  '/track-record',
+  verifyToken,
+  requireAnalyst,
+  standardLimiter,
+  cardController.getTrackRecordCard
+);
+
+/**
+ * @route   GET /api/cards/verify/:token
+ * @desc    Verify a shared card: checks the signature and compares the signed
+ *          numbers with current platform records
+ * @access  Public
+ *
+ * Returns: { verified, kind, issued_at, issued, current, mismatches, analyst, reason }
+ */
+router.get(
+  '/verify/:token',
+  standardLimiter,
+  cardController.verifyCard
+);
+
+module.exports = router;
@@ -45,6 +45,7 @@ router.get('/community/:channelId', verifyToken, chatController.getCommunityChan
  * @route   GET /api/chat/community/:channelId/messages
  * @desc    Get message history for a community channel
  * @access  Private (authenticated users only)
+ * Query: limit, cursor (from pagination.next_cursor / prev_cursor)
  */
 router.get('/community/:channelId/messages', verifyToken, chatController.getCommunityChannelMessages);
 
@@ -127,6 +128,7 @@ router.get('/messages/pinned/:channelId', verifyToken, chatController.getPinnedM
  * @route   GET /api/chat/messages/:channelId
  * @desc    Get message history for a channel (paginated)
  * @access  Private (requires channel access)
+ * Query: limit, cursor (from pagination.next_cursor / prev_cursor)
  */
 router.get('/messages/:channelId', verifyToken, chatController.getChannelMessages);
 
@@ -6,18 +6,46 @@
  *
  * ROUTES:
  * - POST   /api/posts/create - Create post with AI formatting
+ * - POST   /api/posts/import - Import historical calls (CSV/JSON) as self-reported
  * - POST   /api/posts/:id/format-ai - Re-format with AI
- * - GET    /api/posts/feed - User's personalized feed
- * - GET    /api/posts/:id - Get single post
+ * - POST   /api/posts/drafts - Create draft
+ * - GET    /api/posts/drafts - Analyst's drafts
+ * - GET    /api/posts/drafts/:draftId - Get draft
+ * - PATCH  /api/posts/drafts/:draftId - Autosave draft
+ * - DELETE /api/posts/drafts/:draftId - Delete draft
+ * - POST   /api/posts/drafts/:draftId/promote - Publish (or schedule) a draft as a post
+ * - GET    /api/posts/feed - User's personalized feed (paged, cursor paginated with pagination=cursor, or ranked with sort=ranked)
+ * - GET    /api/posts/feed/new-count - Number of feed posts newer than a cursor
+ * - GET    /api/posts/:id - Get single post (teaser for paid posts without subscription)
+ * - POST   /api/posts/:id/teaser-click - Record a teaser unlock click
+ * - GET    /api/posts/:id/history - Edit history with diffs
  * - PUT    /api/posts/:id - Update post
  * - DELETE /api/posts/:id - Delete post (soft delete)
- * - POST   /api/posts/:id/bookmark - Bookmark post
+ * - GET    /api/posts/scheduled - Analyst's scheduled posts
+ * - PUT    /api/posts/:id/schedule - Reschedule a scheduled post
+ * - DELETE /api/posts/:id/schedule - Cancel a scheduled post
+ * - POST   /api/posts/:id/bookmark - Bookmark post (optionally into a collection, with tags)
+ * - PATCH  /api/posts/:id/bookmark - Update bookmark notes, collection or tags
  * - DELETE /api/posts/:id/bookmark - Remove bookmark
- * - GET    /api/posts/bookmarks - User's bookmarks
+ * - GET    /api/posts/bookmarks - User's bookmarks (filter by collection, tag, call status, notes)
+ * - GET    /api/posts/bookmarks/tags - Tags used on the user's bookmarks
+ * - GET    /api/posts/bookmarks/collections - User's bookmark collections
+ * - POST   /api/posts/bookmarks/collections - Create collection
+ * - PATCH  /api/posts/bookmarks/collections/:collectionId - Rename collection
+ * - DELETE /api/posts/bookmarks/collections/:collectionId - Delete collection (bookmarks kept)
+ * - GET    /api/posts/bookmarks/collections/:collectionId/export - CSV/JSON export with levels and outcomes
+ * - GET    /api/posts/:id/comments - Threaded comments
+ * - POST   /api/posts/:id/comments - Comment or reply
+ * - DELETE /api/posts/:id/comments/:commentId - Delete comment
+ * - PUT    /api/posts/:id/comments/:commentId/pin - Pin comment (post analyst)
+ * - DELETE /api/posts/:id/comments/:commentId/pin - Unpin comment (post analyst)
  * - POST   /api/posts/:id/mark-outcome - Mark call outcome (analyst only)
+ * - POST   /api/posts/:id/updates - Post a structured call update (analyst only)
  * - GET    /api/posts/analytics/:id - Post analytics (analyst only)
  * - GET    /api/posts/analyst/:analystId - Analyst's posts (public sample)
- * - GET    /api/posts/stock/:symbol - Posts by stock symbol
+ * - GET    /api/posts/stock/:symbol - Posts by stock symbol (or its sector with scope=sector)
+ * - GET    /api/posts/sectors - Sector taxonomy for the sector filters
+ * - GET    /api/posts/search - Full-text search (ranked, highlighted)
  */
 
 const express = require('express');
@@ -25,12 +53,27 @@ const router = express.Router();
 
 // Import middleware
 const { verifyToken, requireAnalyst, optionalAuth } = require('../middleware/auth');
-const { standardLimiter, uploadLimiter } = require('../middleware/rateLimiter');
-const { validateId, validatePagination } = require('../middleware/validation');
+const { standardLimiter, uploadLimiter, searchLimiter, autosaveLimiter } = require('../middleware/rateLimiter');
+const { validateId, validateUUID, validatePagination } = require('../middleware/validation');
+const { uploadPostAttachments, uploadCallImport, parseMultipartFields } = require('../middleware/upload');
 
 // Import controllers
 const postController = require('../controllers/postController');
 
+// Multipart form fields that carry JSON (arrays/objects) or booleans
+const parsePostFields = parseMultipartFields(
+  'targets',
+  'legs',
+  'content_formatted',
+  'remove_attachment_ids',
+  'is_urgent',
+  'is_pinned',
+  'is_hedge',
+  'free_after',
+  'disclosure',
+  'use_ai'
+);
+
 // ============================================
 // POST CREATION & MANAGEMENT
 // ============================================
@@ -47,12 +90,30 @@ const postController = require('../controllers/postController');
  * - audience: string (required) - 'free', 'paid', 'both'
  * - is_urgent: boolean (optional)
  * - use_ai: boolean (optional, default: true)
+ * - targets: array (optional) - [{ price, allocation_percent }] staged targets T1..Tn
+ * - legs: array (optional) - Options strategy legs (max 6)
+ *   [{ underlying, expiry, strike, option_type: CE|PE, side: BUY|SELL, lots, lot_size, premium }]
+ *   action/entry_price are not required for multi-leg calls; max profit, max loss and
+ *   breakevens are returned in `payoff`
+ * - publish_at: ISO datetime (optional) - Schedule the post (e.g. 9:00 IST next day);
+ *   a time in the past is rejected (400)
+ * - is_hedge: boolean (optional) - Required to post a BUY/SELL call while an opposite
+ *   call on the same symbol is open (409 otherwise); hedges go to the admin conflict report
+ * - free_after: object (optional) - { on_close: boolean, after_hours: number } make a paid
+ *   post free once the call closes and/or N hours after it goes live (default: analyst preference)
+ * - disclosure: object (required for calls) - { holds_position: boolean, position_details,
+ *   financial_interest, received_compensation, conflict_details }; calls without it are
+ *   rejected (400) and get a SEBI disclaimer block (`disclosure`) in responses, emails and feeds
+ * - attachments: files (optional, multipart/form-data) - Chart images (JPG/PNG/WebP, max 5)
+ *   and/or one PDF research note, 10MB each; JSON fields are sent as JSON strings
  */
 router.post(
   '/create',
   verifyToken,
   requireAnalyst,
   standardLimiter,
+  uploadPostAttachments,
+  parsePostFields,
   postController.createPost
 );
 
@@ -66,9 +127,37 @@ router.post(
   verifyToken,
   requireAnalyst,
   standardLimiter,
+  uploadPostAttachments,
+  parsePostFields,
   postController.createPost
 );
 
+/**
+ * @route   POST /api/posts/import
+ * @desc    Import historical calls from a CSV or JSON file
+ * @access  Private (Analyst only)
+ *
+ * Body (multipart/form-data or JSON):
+ * - file: CSV or JSON file (max 2MB, 1000 rows) - Columns: symbol, action (BUY/SELL), entry,
+ *   targets ("2500|2550"), stop_loss, call_type, posted_at, exit, exited_at (ISO 8601), notes
+ * - calls: array (JSON body, instead of a file)
+ * - default_call_type: string (optional) - For rows without call_type
+ * - audience: string (optional, default: 'free')
+ * - dry_run: boolean (optional) - Validate and preview only
+ *
+ * Imported calls are labelled "Self-reported, unverified" (is_self_reported) and are
+ * excluded from verified performance metrics. Returns a row-level error report.
+ */
+router.post(
+  '/import',
+  verifyToken,
+  requireAnalyst,
+  uploadLimiter,
+  uploadCallImport,
+  parseMultipartFields('dry_run'),
+  postController.importCalls
+);
+
 /**
  * @route   POST /api/posts/:id/format-ai
  * @desc    Re-format existing post with AI
@@ -95,6 +184,7 @@ router.post(
  * - raw_input: string (required) - Raw text/voice input
  * - call_type: string (optional) - Suggested call type (longterm, positional, swing, intraday, overnight, quant)
  * - stock_symbol: string (optional) - Stock symbol hint
+ * - draft_id: UUID (optional) - Save the result on this draft
  *
  * Response:
  * {
@@ -107,6 +197,10 @@ router.post(
  *     "action": "BUY",
  *     "entry_price": 19500,
  *     "target_price": 19600,
+ *     "targets": [{ "target_order": 1, "target_price": 19600, "allocation_percent": 100 }],
+ *     "legs": [],
+ *     "payoff": null,
+ *     "leg_warnings": [],
  *     "stop_loss": 19450,
  *     "quantity_suggestion": null,
  *     "strategy": "Intraday momentum trade",
@@ -127,6 +221,110 @@ router.post(
   postController.formatCallWithAI
 );
 
+// ============================================
+// DRAFTS (ANALYST ONLY)
+// NOTE: Must come before /:id routes
+// ============================================
+
+/**
+ * @route   POST /api/posts/drafts
+ * @desc    Create a draft
+ * @access  Private (Analyst only)
+ *
+ * Body (all optional):
+ * - raw_content, language, post_type, audience, is_urgent, title, stock_symbol, action,
+ *   entry_price, target_price, stop_loss, strategy_type, targets, legs, publish_at
+ * - ai_result: object - Last /format-call result
+ */
+router.post(
+  '/drafts',
+  verifyToken,
+  requireAnalyst,
+  standardLimiter,
+  postController.createDraft
+);
+
+/**
+ * @route   GET /api/posts/drafts
+ * @desc    Get analyst's drafts
+ * @access  Private (Analyst only)
+ *
+ * Query params:
+ * - include_promoted: boolean (default: false)
+ */
+router.get(
+  '/drafts',
+  verifyToken,
+  requireAnalyst,
+  postController.getDrafts
+);
+
+/**
+ * @route   GET /api/posts/drafts/:draftId
+ * @desc    Get a draft
+ * @access  Private (Analyst only - own drafts)
+ */
+router.get(
+  '/drafts/:draftId',
+  verifyToken,
+  requireAnalyst,
+  validateUUID('draftId'),
+  postController.getDraftById
+);
+
+/**
+ * @route   PATCH /api/posts/drafts/:draftId
+ * @desc    Autosave a draft (partial update)
+ * @access  Private (Analyst only - own drafts)
+ *
+ * Body:
+ * - Any draft field (see POST /api/posts/drafts)
+ * - version: number (optional) - Version being edited (409 if it changed elsewhere)
+ */
+router.patch(
+  '/drafts/:draftId',
+  verifyToken,
+  requireAnalyst,
+  validateUUID('draftId'),
+  autosaveLimiter,
+  postController.autosaveDraft
+);
+
+/**
+ * @route   DELETE /api/posts/drafts/:draftId
+ * @desc    Delete a draft
+ * @access  Private (Analyst only - own drafts)
+ */
+router.delete(
+  '/drafts/:draftId',
+  verifyToken,
+  requireAnalyst,
+  validateUUID('draftId'),
+  standardLimiter,
+  postController.deleteDraft
+);
+
+/**
+ * @route   POST /api/posts/drafts/:draftId/promote
+ * @desc    Publish (or schedule, if the draft has publish_at) a draft as a post
+ * @access  Private (Analyst only - own drafts)
+ *
+ * Same validation as POST /api/posts/create; the draft keeps a link to the post.
+ *
+ * Body:
+ * - is_hedge: boolean (optional) - See POST /api/posts/create
+ * - free_after: object (optional) - See POST /api/posts/create
+ * - disclosure: object (required for calls) - See POST /api/posts/create
+ */
+router.post(
+  '/drafts/:draftId/promote',
+  verifyToken,
+  requireAnalyst,
+  validateUUID('draftId'),
+  standardLimiter,
+  postController.promoteDraft
+);
+
 /**
  * @route   PUT /api/posts/:id
  * @desc    Update post
@@ -139,6 +337,12 @@ router.post(
  * - audience: string (optional)
  * - is_urgent: boolean (optional)
  * - is_pinned: boolean (optional)
+ * - free_after: object|null (optional) - Free release policy; null = analyst default
+ * - attachments: files (optional, multipart/form-data) - Additional chart images / PDF note
+ * - remove_attachment_ids: array (optional) - Attachment IDs to delete
+ *
+ * Every content/level change is recorded as a new version (see /:id/history).
+ * Staged targets and option legs cannot be changed after publishing.
  */
 router.put(
   '/:id',
@@ -146,6 +350,8 @@ router.put(
   requireAnalyst,
   validateId('id'),
   standardLimiter,
+  uploadPostAttachments,
+  parsePostFields,
   postController.updatePost
 );
 
@@ -163,6 +369,37 @@ router.delete(
   postController.deletePost
 );
 
+/**
+ * @route   PUT /api/posts/:id/schedule
+ * @desc    Reschedule a post that has not been published yet
+ * @access  Private (Analyst only - own posts)
+ *
+ * Body:
+ * - publish_at: ISO datetime (required, in the future)
+ */
+router.put(
+  '/:id/schedule',
+  verifyToken,
+  requireAnalyst,
+  validateId('id'),
+  standardLimiter,
+  postController.reschedulePost
+);
+
+/**
+ * @route   DELETE /api/posts/:id/schedule
+ * @desc    Cancel a scheduled post before it goes live
+ * @access  Private (Analyst only - own posts)
+ */
+router.delete(
+  '/:id/schedule',
+  verifyToken,
+  requireAnalyst,
+  validateId('id'),
+  standardLimiter,
+  postController.cancelScheduledPost
+);
+
 // ============================================
 // FEED & DISCOVERY
 // NOTE: Specific routes MUST come before parameterized routes
@@ -174,12 +411,21 @@ router.delete(
  * @access  Private
  *
  * Query params:
- * - page: number (default: 1)
+ * - sort: string (chronological, ranked) (default: chronological)
+ *   ranked: "For you" order with `ranking: { score, reasons }` per post, paged with `page`
+ * - page: number (default: 1) - Urgent and pinned posts first
+ * - pagination: string (offset, cursor) (default: offset)
+ * - cursor: string (optional) - next_cursor (older) / prev_cursor (newer) from the last
+ *   response; implies pagination=cursor
  * - limit: number (default: 20, max: 100)
  * - date_filter: string (all, today, this_week, this_month)
  * - urgency_filter: string (all, urgent_only)
  * - strategy_filter: string (all, intraday, swing, positional, long_term, options)
+ * - sector: string (optional) - Sector key from GET /api/posts/sectors
  * - analyst_id: UUID (optional)
+ * - watchlist_only: boolean (default: false) - Only symbols in the user's watchlist
+ * - include_teasers: boolean (default: false) - Also return unsubscribed analysts' paid posts
+ *   as teasers (levels redacted, `is_teaser`, `unlock` CTA)
  */
 router.get(
   '/feed',
@@ -189,6 +435,35 @@ router.get(
   postController.getUserFeed
 );
 
+/**
+ * @route   GET /api/posts/feed/new-count
+ * @desc    Count feed posts newer than a cursor ("N new posts")
+ * @access  Private
+ *
+ * Query params:
+ * - cursor: string (required) - prev_cursor of the first feed page
+ * - date_filter, urgency_filter, strategy_filter, sector, analyst_id, watchlist_only, include_teasers: same as /feed
+ */
+router.get(
+  '/feed/new-count',
+  verifyToken,
+  standardLimiter,
+  postController.getNewFeedPostsCount
+);
+
+/**
+ * @route   GET /api/posts/scheduled
+ * @desc    Get analyst's scheduled (not yet published) posts
+ * @access  Private (Analyst only)
+ */
+router.get(
+  '/scheduled',
+  verifyToken,
+  requireAnalyst,
+  standardLimiter,
+  postController.getScheduledPosts
+);
+
 /**
  * @route   GET /api/posts/bookmarks
  * @desc    Get user's bookmarked posts
@@ -196,7 +471,14 @@ router.get(
  *
  * Query params:
  * - page: number (default: 1)
+ * - pagination: string (offset, cursor) (default: offset)
+ * - cursor: string (optional) - next_cursor / prev_cursor from the last response;
+ *   implies pagination=cursor
  * - limit: number (default: 20)
+ * - collection_id: UUID | 'none' (optional) - One collection, or uncategorized bookmarks
+ * - tag: string (optional)
+ * - call_status: string (optional)
+ * - q: string (optional) - Search the bookmark notes
  */
 router.get(
   '/bookmarks',
@@ -206,6 +488,91 @@ router.get(
   postController.getUserBookmarks
 );
 
+/**
+ * @route   GET /api/posts/bookmarks/tags
+ * @desc    Tags used on the user's bookmarks, most used first
+ * @access  Private
+ */
+router.get(
+  '/bookmarks/tags',
+  verifyToken,
+  standardLimiter,
+  postController.getBookmarkTags
+);
+
+/**
+ * @route   GET /api/posts/bookmarks/collections
+ * @desc    User's bookmark collections with bookmark counts
+ * @access  Private
+ */
+router.get(
+  '/bookmarks/collections',
+  verifyToken,
+  standardLimiter,
+  postController.getBookmarkCollections
+);
+
+/**
+ * @route   POST /api/posts/bookmarks/collections
+ * @desc    Create a bookmark collection
+ * @access  Private
+ *
+ * Body:
+ * - name: string (required, unique per user)
+ * - description: string (optional)
+ */
+router.post(
+  '/bookmarks/collections',
+  verifyToken,
+  standardLimiter,
+  postController.createBookmarkCollection
+);
+
+/**
+ * @route   PATCH /api/posts/bookmarks/collections/:collectionId
+ * @desc    Rename a collection or change its description
+ * @access  Private (own collections)
+ */
+router.patch(
+  '/bookmarks/collections/:collectionId',
+  verifyToken,
+  validateUUID('collectionId'),
+  standardLimiter,
+  postController.updateBookmarkCollection
+);
+
+/**
+ * @route   DELETE /api/posts/bookmarks/collections/:collectionId
+ * @desc    Delete a collection (its bookmarks become uncategorized)
+ * @access  Private (own collections)
+ */
+router.delete(
+  '/bookmarks/collections/:collectionId',
+  verifyToken,
+  validateUUID('collectionId'),
+  standardLimiter,
+  postController.deleteBookmarkCollection
+);
+
+/**
+ * @route   GET /api/posts/bookmarks/collections/:collectionId/export
+ * @desc    Download bookmarks with call levels and outcomes
+ * @access  Private (own collections)
+ *
+ * Params:
+ * - collectionId: UUID, 'none' (uncategorized) or 'all'
+ *
+ * Query params:
+ * - format: 'csv' (default) or 'json'
+ * - tag, call_status, q: Same filters as GET /api/posts/bookmarks
+ */
+router.get(
+  '/bookmarks/collections/:collectionId/export',
+  verifyToken,
+  standardLimiter,
+  postController.exportBookmarkCollection
+);
+
 /**
  * @route   GET /api/posts/analyst/:analystId
  * @desc    Get analyst's posts (public sample or full for subscribers)
@@ -213,8 +580,12 @@ router.get(
  *
  * Query params:
  * - page: number (default: 1)
+ * - pagination: string (offset, cursor) (default: offset)
+ * - cursor: string (optional) - next_cursor / prev_cursor from the last response;
+ *   implies pagination=cursor
  * - limit: number (default: 20)
  * - sample_only: boolean (default: false) - Get only 3 most recent posts
+ * - include_teasers: boolean (default: false) - Non-subscribers also get paid posts as teasers
  */
 router.get(
   '/analyst/:analystId',
@@ -227,12 +598,13 @@ router.get(
 
 /**
  * @route   GET /api/posts/stock/:symbol
- * @desc    Get posts by stock symbol
+ * @desc    Get posts by stock symbol (response includes the symbol's sector)
  * @access  Public (with optional auth)
  *
  * Query params:
  * - page: number (default: 1)
  * - limit: number (default: 20)
+ * - scope: string (symbol, sector) (default: symbol) - sector lists posts across the stock's sector
  */
 router.get(
   '/stock/:symbol',
@@ -242,6 +614,41 @@ router.get(
   postController.getPostsByStock
 );
 
+/**
+ * @route   GET /api/posts/sectors
+ * @desc    Sector taxonomy (sector keys, industries and symbols)
+ * @access  Public
+ */
+router.get(
+  '/sectors',
+  standardLimiter,
+  postController.getSectorList
+);
+
+/**
+ * @route   GET /api/posts/search
+ * @desc    Full-text search over titles, content and formatted call data
+ * @access  Public (with optional auth; paid posts only for subscribers)
+ *
+ * Query params:
+ * - q: string (required) - Search text, supports "exact phrase" and -exclude
+ * - analyst_id: UUID (optional, 400 if not a UUID)
+ * - strategy_type: string (optional)
+ * - call_status: string (optional) - open, target_hit, stop_loss_hit, closed, expired
+ * - from / to: YYYY-MM-DD (optional) - Date range
+ * - page: number (default: 1)
+ * - limit: number (default: 20)
+ *
+ * Results are ranked and carry `title_highlight` / `content_highlight` with <mark> tags.
+ */
+router.get(
+  '/search',
+  optionalAuth,
+  validatePagination(),
+  searchLimiter,
+  postController.searchPosts
+);
+
 /**
  * @route   GET /api/posts
  * @desc    Get all posts with filters (public discovery)
@@ -277,6 +684,37 @@ router.get(
   postController.getPostById
 );
 
+/**
+ * @route   GET /api/posts/:id/history
+ * @desc    Get post edit history (hash-chained versions with field diffs)
+ * @access  Public (with optional auth; full access or post author required)
+ */
+router.get(
+  '/:id/history',
+  optionalAuth,
+  validateId('id'),
+  standardLimiter,
+  postController.getPostHistory
+);
+
+/**
+ * @route   POST /api/posts/:id/teaser-click
+ * @desc    Record a "subscribe to unlock" click on a paid-post teaser
+ * @access  Private (users without access to the post)
+ *
+ * Body:
+ * - source: string (optional) - 'feed', 'analyst_page', 'post' (default; also used for unknown values)
+ *
+ * Returns the teaser's `unlock` CTA (analyst's tiers and subscribe URL).
+ */
+router.post(
+  '/:id/teaser-click',
+  verifyToken,
+  validateId('id'),
+  standardLimiter,
+  postController.recordTeaserClick
+);
+
 // ============================================
 // BOOKMARKS
 // ============================================
@@ -288,6 +726,8 @@ router.get(
  *
  * Body:
  * - notes: string (optional)
+ * - collection_id: UUID (optional)
+ * - tags: string[] (optional)
  */
 router.post(
   '/:id/bookmark',
@@ -297,6 +737,24 @@ router.post(
   postController.bookmarkPost
 );
 
+/**
+ * @route   PATCH /api/posts/:id/bookmark
+ * @desc    Update bookmark notes, collection or tags
+ * @access  Private
+ *
+ * Body (all optional):
+ * - notes: string | null
+ * - collection_id: UUID | null (null = uncategorized)
+ * - tags: string[] (replaces the bookmark's tags)
+ */
+router.patch(
+  '/:id/bookmark',
+  verifyToken,
+  validateId('id'),
+  standardLimiter,
+  postController.updateBookmark
+);
+
 /**
  * @route   DELETE /api/posts/:id/bookmark
  * @desc    Remove bookmark
@@ -310,6 +768,87 @@ router.delete(
   postController.removeBookmark
 );
 
+// ============================================
+// COMMENTS
+// ============================================
+
+/**
+ * @route   GET /api/posts/:id/comments
+ * @desc    Threaded comments (pinned first, analyst replies flagged)
+ * @access  Public for free posts; subscribers and the author for paid posts
+ *
+ * Query:
+ * - page, limit: pagination of top-level comments
+ */
+router.get(
+  '/:id/comments',
+  optionalAuth,
+  validateId('id'),
+  validatePagination(),
+  postController.getPostComments
+);
+
+/**
+ * @route   POST /api/posts/:id/comments
+ * @desc    Comment on a post or reply to a comment
+ * @access  Private (same access as the post)
+ *
+ * Body:
+ * - content: string (required, max 1000 chars)
+ * - parent_comment_id: UUID (optional) - Reply to this comment
+ */
+router.post(
+  '/:id/comments',
+  verifyToken,
+  validateId('id'),
+  standardLimiter,
+  postController.addPostComment
+);
+
+/**
+ * @route   DELETE /api/posts/:id/comments/:commentId
+ * @desc    Delete a comment
+ * @access  Private (comment author, post analyst, admin)
+ */
+router.delete(
+  '/:id/comments/:commentId',
+  verifyToken,
+  validateId('id'),
+  validateUUID('commentId'),
+  standardLimiter,
+  postController.deletePostComment
+);
+
+/**
+ * @route   PUT /api/posts/:id/comments/:commentId/pin
+ * @desc    Pin a top-level comment (replaces the current pin)
+ * @access  Private (Analyst only - own posts)
+ */
+router.put(
+  '/:id/comments/:commentId/pin',
+  verifyToken,
+  requireAnalyst,
+  validateId('id'),
+  validateUUID('commentId'),
+  standardLimiter,
+  postController.pinPostComment
+);
+
+/**
+ * @route   DELETE /api/posts/:id/comments/:commentId/pin
+ * @desc    Unpin a comment
+ * @access  Private (Analyst only - own posts)
+ */
+router.delete(
+  '/:id/comments/:commentId/pin',
+  verifyToken,
+  requireAnalyst,
+  validateId('id'),
+  validateUUID('commentId'),
+  standardLimiter,
+  postController.unpinPostComment
+);
+
 // ============================================
 // ANALYTICS & OUTCOMES (ANALYST ONLY)
 // ============================================
@@ -322,7 +861,8 @@ router.delete(
  * Body:
  * - call_status: string (required) - 'target_hit', 'stop_loss_hit', 'closed', 'expired'
  * - actual_exit_price: number (optional)
- * - actual_profit_percent: number (optional)
+ * - actual_profit_percent: number (optional) - Defaults to blended return for multi-target calls
+ * - target_outcomes: array (optional) - [{ target_order, exit_price }] targets booked
  */
 router.post(
   '/:id/mark-outcome',
@@ -333,6 +873,28 @@ router.post(
   postController.markCallOutcome
 );
 
+/**
+ * @route   POST /api/posts/:id/updates
+ * @desc    Post a structured follow-up on an open call (shown as a timeline on GET /:id)
+ * @access  Private (Analyst only - own posts)
+ *
+ * Body:
+ * - update_type: string (required) - 'trail_stop_loss', 'revise_target', 'partial_book', 'full_exit', 'add_more'
+ * - new_stop_loss: number (trail_stop_loss)
+ * - new_target_price: number (revise_target)
+ * - price: number (partial_book, add_more; optional for full_exit)
+ * - quantity_percent: number (partial_book, add_more)
+ * - note: string (optional)
+ */
+router.post(
+  '/:id/updates',
+  verifyToken,
+  requireAnalyst,
+  validateId('id'),
+  standardLimiter,
+  postController.createCallUpdate
+);
+
 /**
  * @route   GET /api/posts/analytics/:id
  * @desc    Get post analytics (analyst only)
@@ -181,6 +181,8 @@ router.get(
  * - sms_notifications: boolean (optional)
  * - marketing_emails: boolean (optional)
  * - privacy_settings: object (optional)
+ * - free_after: object|null (optional) - Default release of paid posts to the free audience
+ *   { on_close: boolean, after_hours: number }; null = never. Posts can override it.
  */
 router.put(
   '/preferences',
@@ -8,6 +8,10 @@
  * - GET /api/traders/profile/me - Get own profile (private)
  * - PUT /api/traders/profile - Update own profile
  * - GET /api/traders/dashboard - Get trader dashboard
+ * - GET /api/traders/watchlist - Get own watchlist
+ * - POST /api/traders/watchlist - Add a symbol to the watchlist
+ * - PUT /api/traders/watchlist/:symbol - Update a watchlist symbol (notes, alerts)
+ * - DELETE /api/traders/watchlist/:symbol - Remove a symbol from the watchlist
  */
 
 const express = require('express');
@@ -70,4 +74,68 @@ router.get(
   traderController.getDashboard
 );
 
+// ============================================
+// WATCHLIST
+// ============================================
+
+/**
+ * @route   GET /api/traders/watchlist
+ * @desc    Get own watchlist
+ * @access  Private (Traders only)
+ */
+router.get(
+  '/watchlist',
+  verifyToken,
+  requireTrader,
+  traderController.getWatchlist
+);
+
+/**
+ * @route   POST /api/traders/watchlist
+ * @desc    Add a symbol to the watchlist
+ * @access  Private (Traders only)
+ *
+ * Body:
+ * - symbol: string (required) - NSE symbol or stock name
+ * - notes: string (optional)
+ * - alerts_enabled: boolean (optional, default: true) - Socket + email alert on new calls
+ */
+router.post(
+  '/watchlist',
+  verifyToken,
+  requireTrader,
+  standardLimiter,
+  traderController.addWatchlistSymbol
+);
+
+/**
+ * @route   PUT /api/traders/watchlist/:symbol
+ * @desc    Update a watchlist symbol
+ * @access  Private (Traders only)
+ *
+ * Body:
+ * - notes: string (optional)
+ * - alerts_enabled: boolean (optional)
+ */
+router.put(
+  '/watchlist/:symbol',
+  verifyToken,
+  requireTrader,
+  standardLimiter,
+  traderController.updateWatchlistSymbol
+);
+
+/**
+ * @route   DELETE /api/traders/watchlist/:symbol
+ * @desc    Remove a symbol from the watchlist
+ * @access  Private (Traders only)
+ */
+router.delete(
+  '/watchlist/:symbol',
+  verifyToken,
+  requireTrader,
+  standardLimiter,
+  traderController.removeWatchlistSymbol
+);
+
 module.exports = router;
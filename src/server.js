@@ -35,10 +35,18 @@ const analyticsRoutes = require('./routes/analytics.routes');
 const aiRoutes = require('./routes/ai.routes');
 const streamRoutes = require('./routes/stream.routes');
 const settingsRoutes = require('./routes/settings.routes');
+const cardRoutes = require('./routes/card.routes');
 
 // Import Socket.io handler
 const initializeChatSocket = require('./socket/chatSocket');
 
+// Import scheduled jobs
+const { scheduleCallOutcomeEvaluator } = require('./services/callOutcomeService');
+const { schedulePostPublisher } = require('./services/postPublisherService');
+const { scheduleCallExpiry } = require('./services/callExpiryService');
+const { scheduleTrackRecordRefresh } = require('./services/trackRecordService');
+const { setSocketServer } = require('./services/notificationService');
+
 // Initialize Express app
 const app = express();
 
@@ -169,6 +177,7 @@ app.use('/api/analytics', analyticsRoutes);
 app.use('/api/ai', aiRoutes);
 app.use('/api/stream', streamRoutes);
 app.use('/api/settings', settingsRoutes);
+app.use('/api/cards', cardRoutes);
 
 // Root endpoint
 app.get('/', (req, res) => {
@@ -191,7 +200,8 @@ app.get('/', (req, res) => {
       analytics: '/api/analytics',
       ai: '/api/ai',
       stream: '/api/stream',
-      settings: '/api/settings'
+      settings: '/api/settings',
+      cards: '/api/cards'
     }
   });
 });
@@ -213,6 +223,27 @@ app.use(errorHandler);
 // Initialize Socket.io chat server
 initializeChatSocket(io);
 
+// Let background jobs push in-app notifications
+setSocketServer(io);
+
+// ============================================
+// CRON JOBS
+// ============================================
+
+if (config.cron.enabled) {
+  // Auto-close open calls on target/stop loss from the price feed
+  scheduleCallOutcomeEvaluator();
+
+  // Release scheduled posts when their publish_at time arrives
+  schedulePostPublisher();
+
+  // Expire intraday/swing calls at the end of their holding period
+  scheduleCallExpiry();
+
+  // Rebuild analyst track records (rolling periods, edited calls)
+  scheduleTrackRecordRefresh();
+}
+
 // ============================================
 // SERVER STARTUP
 // ============================================
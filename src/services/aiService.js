@@ -15,6 +15,8 @@
 
 const Anthropic = require('@anthropic-ai/sdk');
 const config = require('../config/env');
+const { normalizeTargets } = require('../utils/callTargets');
+const { normalizeLegs, calculatePayoff } = require('../utils/optionsStrategy');
 
 // Initialize Anthropic client
 let anthropic = null;
@@ -609,6 +611,8 @@ OUTPUT FORMAT (JSON ONLY):
   "action": "BUY|SELL or null",
   "entry_price": number or null,
   "target_price": number or null,
+  "targets": [{ "price": number, "allocation_percent": number or null }],
+  "legs": [{ "underlying": "TICKER", "expiry": "YYYY-MM-DD or null", "strike": number, "option_type": "CE|PE", "side": "BUY|SELL", "lots": number or null, "lot_size": number or null, "premium": number or null }],
   "stop_loss": number or null,
   "quantity_suggestion": number or null,
   "strategy": "Brief strategy description or null",
@@ -623,8 +627,27 @@ PRICE EXTRACTION:
 - For ranges: "2450-2460" → use midpoint 2455
 - If unclear or not stated, return null
 
+MULTIPLE TARGETS:
+- Analysts often give staged targets: "target 2480/2520/2560", "T1 2480 T2 2520", "tgt 2480, 2520"
+- List EVERY stated target in "targets", nearest to entry first
+- "allocation_percent" is the share of the position booked at that target ("book 50% at T1")
+- If no allocation is stated, use null (the platform splits equally)
+- "target_price" is always the FIRST target (T1), or null if no target
+- If only one target is stated, "targets" has one entry; if none, return []
+
+OPTIONS STRATEGIES (MULTI-LEG):
+- Derivatives calls often have several legs: "buy 22500 CE sell 22700 CE", "sell 22500 straddle", "iron condor 22000/22200/22800/23000 PE/CE"
+- Put EVERY leg in "legs" in the order stated; "stock_symbol" is the underlying (NIFTY, BANKNIFTY, ...)
+- "CE"/"call" → "CE", "PE"/"put" → "PE"; "buy"/"long" → "BUY", "sell"/"short"/"write" → "SELL"
+- A straddle is a CE and a PE at the same strike; a strangle uses two strikes
+- "premium" is the stated price of that leg ("buy 22500 CE @ 120"), otherwise null
+- "expiry", "lots" and "lot_size" only if stated, otherwise null (NEVER guess lot sizes or expiry dates)
+- For multi-leg calls set "action", "entry_price", "target_price" and "stop_loss" to null unless stated for the whole position, and "targets" to []
+- For single-instrument calls, "legs" is []
+
 RISK-REWARD CALCULATION:
 - Only calculate if entry, target, and stop loss are provided
+- Use T1 (target_price) for the ratio
 - For BUY: Risk = entry - stop_loss, Reward = target - entry
 - For SELL: Risk = stop_loss - entry, Reward = entry - target
 - Format: "1:X" where X = Reward/Risk (round to 1 decimal)
@@ -637,7 +660,7 @@ Create a professional display format like:
 📊 Stock: [SYMBOL]
 📈 Action: [BUY/SELL]
 💰 Entry: ₹[PRICE]
-🎯 Target: ₹[PRICE]
+🎯 Target: ₹[PRICE] (one line per target as "🎯 T1: ₹[PRICE]" when there are several)
 🛡️ Stop Loss: ₹[PRICE]
 ⚖️ Risk:Reward = [RATIO]
 
@@ -659,6 +682,8 @@ Output:
   "action": "BUY",
   "entry_price": 19500,
   "target_price": 19600,
+  "targets": [{ "price": 19600, "allocation_percent": null }],
+  "legs": [],
   "stop_loss": 19450,
   "quantity_suggestion": null,
   "strategy": "Intraday momentum trade",
@@ -676,6 +701,8 @@ Output:
   "action": "BUY",
   "entry_price": 2450,
   "target_price": 2550,
+  "targets": [{ "price": 2550, "allocation_percent": null }],
+  "legs": [],
   "stop_loss": 2400,
   "quantity_suggestion": null,
   "strategy": "Swing trade setup",
@@ -693,6 +720,8 @@ Output:
   "action": "BUY",
   "entry_price": 3500,
   "target_price": null,
+  "targets": [],
+  "legs": [],
   "stop_loss": null,
   "quantity_suggestion": null,
   "strategy": "Long-term investment",
@@ -702,6 +731,51 @@ Output:
   "formatted_text": "🎯 **LONG-TERM CALL**\\n\\n📊 Stock: TCS\\n📈 Action: BUY\\n💰 Entry: ₹3,500\\n\\n📝 Strategy: Long-term investment\\n💡 Reasoning: Good setup"
 }
 
+Input: "HDFCBANK buy 1650 sl 1620 targets 1680/1710/1750, book 50% at first target, positional"
+Output:
+{
+  "call_type": "positional",
+  "stock_symbol": "HDFCBANK",
+  "action": "BUY",
+  "entry_price": 1650,
+  "target_price": 1680,
+  "targets": [
+    { "price": 1680, "allocation_percent": 50 },
+    { "price": 1710, "allocation_percent": null },
+    { "price": 1750, "allocation_percent": null }
+  ],
+  "legs": [],
+  "stop_loss": 1620,
+  "quantity_suggestion": null,
+  "strategy": "Positional trade with staged targets",
+  "risk_reward_ratio": "1:1.0",
+  "time_frame": "Positional (days to weeks)",
+  "reasoning": null,
+  "formatted_text": "🎯 **POSITIONAL CALL**\\n\\n📊 Stock: HDFCBANK\\n📈 Action: BUY\\n💰 Entry: ₹1,650\\n🎯 T1: ₹1,680 (book 50%)\\n🎯 T2: ₹1,710\\n🎯 T3: ₹1,750\\n🛡️ Stop Loss: ₹1,620\\n⚖️ Risk:Reward = 1:1.0\\n\\n📝 Strategy: Positional trade with staged targets"
+}
+
+Input: "NIFTY bull call spread for 29 Oct expiry: buy 22500 CE @ 120, sell 22700 CE @ 45, 1 lot each"
+Output:
+{
+  "call_type": "quant",
+  "stock_symbol": "NIFTY",
+  "action": null,
+  "entry_price": null,
+  "target_price": null,
+  "targets": [],
+  "legs": [
+    { "underlying": "NIFTY", "expiry": "2026-10-29", "strike": 22500, "option_type": "CE", "side": "BUY", "lots": 1, "lot_size": null, "premium": 120 },
+    { "underlying": "NIFTY", "expiry": "2026-10-29", "strike": 22700, "option_type": "CE", "side": "SELL", "lots": 1, "lot_size": null, "premium": 45 }
+  ],
+  "stop_loss": null,
+  "quantity_suggestion": null,
+  "strategy": "Bull call spread",
+  "risk_reward_ratio": null,
+  "time_frame": "Till 29 Oct expiry",
+  "reasoning": null,
+  "formatted_text": "🎯 **OPTIONS STRATEGY**\\n\\n📊 Underlying: NIFTY\\n📅 Expiry: 29 Oct\\n🟢 BUY 22500 CE @ ₹120\\n🔴 SELL 22700 CE @ ₹45\\n\\n📝 Strategy: Bull call spread"
+}
+
 RETURN ONLY THE JSON. No markdown code blocks, no explanations, no extra text.`;
 
 /**
@@ -823,6 +897,41 @@ const formatTradingCall = async (rawInput, callType = null, stockSymbol = null)
       };
     }
 
+    // Normalize staged targets (T1/T2/T3); T1 is the primary target_price
+    const rawTargets = Array.isArray(formattedCall.targets) && formattedCall.targets.length > 0
+      ? formattedCall.targets
+      : (formattedCall.target_price ? [formattedCall.target_price] : []);
+    const targetCheck = normalizeTargets(rawTargets, formattedCall.action);
+
+    if (targetCheck.valid) {
+      formattedCall.targets = targetCheck.targets;
+      if (formattedCall.targets.length > 0) {
+        formattedCall.target_price = formattedCall.targets[0].target_price;
+      }
+    } else {
+      console.warn('AI returned invalid targets:', targetCheck.errors);
+      formattedCall.targets = formattedCall.target_price
+        ? normalizeTargets([formattedCall.target_price], formattedCall.action).targets
+        : [];
+    }
+
+    // Normalize option legs; incomplete legs (e.g. no lot size stated) are kept
+    // for the analyst to complete, but no payoff can be computed for them
+    formattedCall.legs = Array.isArray(formattedCall.legs) ? formattedCall.legs : [];
+    formattedCall.payoff = null;
+
+    if (formattedCall.legs.length > 0) {
+      const legCheck = normalizeLegs(formattedCall.legs);
+
+      if (legCheck.valid) {
+        formattedCall.legs = legCheck.legs;
+        formattedCall.payoff = calculatePayoff(legCheck.legs);
+      } else {
+        console.warn('AI returned incomplete option legs:', legCheck.errors);
+        formattedCall.leg_warnings = legCheck.errors;
+      }
+    }
+
     // Calculate risk:reward if not provided and all prices available
     if (!formattedCall.risk_reward_ratio &&
         formattedCall.entry_price &&
@@ -0,0 +1,121 @@
+/**
+ * Analyst Feed Service
+ *
+ * Public RSS / Atom / JSON feeds of an analyst's posts for feed readers and
+ * aggregators (utils/analystFeed renders the documents)
+ *
+ * CONTENT:
+ * - Free and `both` posts, and paid posts released to the free audience
+ *   (free_after), in full
+ * - Other paid posts as teasers only (utils/postTeaser: no price levels,
+ *   "subscribe to unlock" link)
+ * - Readers are anonymous, so a subscription never unlocks more here
+ *
+ * CACHING:
+ * - ETag: hash of the format, page, profile and posts (id, updated_at, status)
+ * - Last-Modified: newest post change on the page
+ * Controllers answer conditional requests with 304 (req.fresh).
+ */
+
+const crypto = require('crypto');
+const config = require('../config/env');
+const { AppError } = require('../middleware/errorHandler');
+const PostModel = require('../models/Post');
+const AnalystProfile = require('../models/AnalystProfile');
+const { buildEntry, renderRss, renderAtom, renderJsonFeed } = require('../utils/analystFeed');
+const { ANALYST_FEEDS } = require('../utils/constants');
+
+const CONTENT_TYPES = {
+  rss: 'application/rss+xml; charset=utf-8',
+  atom: 'application/atom+xml; charset=utf-8',
+  json: 'application/feed+json; charset=utf-8'
+};
+
+const RENDERERS = {
+  rss: renderRss,
+  atom: renderAtom,
+  json: feed => JSON.stringify(renderJsonFeed(feed))
+};
+
+/**
+ * Build an analyst's feed page
+ *
+ * @param {string} profileId - Analyst profile UUID
+ * @param {Object} options - { format, page, limit, feedUrl }
+ *   feedUrl: absolute URL of the feed without query string (for self/paging links)
+ * @returns {Promise<Object>} - { body, contentType, etag, lastModified, links }
+ */
+const getAnalystFeed = async (profileId, options = {}) => {
+  const { format, feedUrl } = options;
+  const page = Math.max(parseInt(options.page) || 1, 1);
+  const limit = Math.min(parseInt(options.limit) || ANALYST_FEEDS.DEFAULT_LIMIT, ANALYST_FEEDS.MAX_LIMIT);
+
+  if (!ANALYST_FEEDS.FORMATS.includes(format)) {
+    throw new AppError(`Feed format must be one of: ${ANALYST_FEEDS.FORMATS.join(', ')}`, 400);
+  }
+
+  const profile = await AnalystProfile.findById(profileId);
+  if (!profile || profile.verification_status !== 'approved') {
+    throw new AppError('Analyst not found', 404);
+  }
+
+  // Anonymous viewer: free posts in full, paid posts as teasers
+  const result = await PostModel.getAnalystPosts(profile.user_id, null, {
+    page,
+    limit,
+    includeTeasers: true
+  });
+
+  const homePageUrl = `${config.frontend.url}/analyst/${profile.id}`;
+  const pageUrl = number => (number === 1 ? feedUrl : `${feedUrl}?page=${number}`);
+  const limitSuffix = limit === ANALYST_FEEDS.DEFAULT_LIMIT ? '' : `limit=${limit}`;
+  const withLimit = url => (limitSuffix ? `${url}${url.includes('?') ? '&' : '?'}${limitSuffix}` : url);
+
+  const links = {
+    self: withLimit(pageUrl(page)),
+    first: withLimit(pageUrl(1)),
+    next: page < result.totalPages ? withLimit(pageUrl(page + 1)) : null,
+    previous: page > 1 ? withLimit(pageUrl(page - 1)) : null
+  };
+
+  const entries = result.posts.map(post => buildEntry(post, {
+    postUrl: id => `${config.frontend.url}/post/${id}`
+  }));
+
+  const updated = entries.reduce(
+    (latest, entry) => (entry.updated > latest ? entry.updated : latest),
+    new Date(profile.updated_at || profile.created_at)
+  );
+
+  const feed = {
+    title: `${profile.display_name} - Trading calls`,
+    description: profile.bio || `Free calls and market updates from ${profile.display_name}`,
+    home_page_url: homePageUrl,
+    feed_url: links.self,
+    links,
+    author: { name: profile.display_name, avatar: profile.photo_url || null },
+    updated,
+    entries
+  };
+
+  const fingerprint = [
+    format,
+    page,
+    limit,
+    result.total,
+    profile.updated_at ? new Date(profile.updated_at).getTime() : '',
+    ...entries.map(entry => `${entry.id}:${entry.updated.getTime()}:${entry.is_teaser}:${entry.call ? entry.call.call_status : ''}`)
+  ].join('|');
+
+  return {
+    body: RENDERERS[format](feed),
+    contentType: CONTENT_TYPES[format],
+    etag: `"${crypto.createHash('sha1').update(fingerprint).digest('hex')}"`,
+    lastModified: updated.toUTCString(),
+    links
+  };
+};
+
+module.exports = {
+  getAnalystFeed
+};
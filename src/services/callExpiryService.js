@@ -0,0 +1,101 @@
+/**
+ * Call Expiry Service
+ *
+ * Expires open calls whose holding period is over
+ *
+ * RULES (callTypeValidator.CALL_TYPES.expirySessions):
+ * - intraday: expires at market close (15:30 IST) of the session it was published in
+ * - swing / overnight: expire at the close of their Nth trading session (configurable)
+ * - positional, long_term, options: never auto-expire
+ * expires_at is fixed when the call goes live, so later edits cannot extend it.
+ *
+ * FLOW:
+ * 1. Load open calls with expires_at <= NOW()
+ * 2. Close each as 'expired' at the last traded price seen by the price feed
+ *    (outcome_source = 'expiry'); remaining targets exit at the same price
+ * 3. Refresh the analyst's call stats and notify the analyst and subscribers
+ *
+ * Calls without any known price expire without a return and are left out of
+ * performance stats.
+ *
+ * SCHEDULING:
+ * - Runs on config.cron.callExpiry (default: every 5 minutes)
+ * - Overlapping runs are skipped
+ */
+
+const cron = require('node-cron');
+const config = require('../config/env');
+const PostModel = require('../models/Post');
+const { closeCall } = require('./callOutcomeService');
+const { notifyCallExpired } = require('./postNotificationService');
+
+let isExpiring = false;
+
+/**
+ * Expire every open call that is past its expiry time
+ *
+ * @returns {Promise<Object>} - { due, expired } run summary
+ */
+const expireDueCalls = async () => {
+  if (isExpiring) {
+    console.log('[CallExpiry] Previous run still in progress, skipping');
+    return { due: 0, expired: 0, skipped: true };
+  }
+
+  isExpiring = true;
+
+  try {
+    const calls = await PostModel.getExpiredOpenCalls();
+    let expired = 0;
+
+    for (const call of calls) {
+      try {
+        const exitPrice = call.last_price !== null ? parseFloat(call.last_price) : null;
+        const closed = await closeCall(call, {
+          call_status: 'expired',
+          exit_price: exitPrice,
+          outcome_source: 'expiry'
+        });
+
+        if (!closed) continue;
+        expired++;
+
+        await notifyCallExpired(call, {
+          exit_price: closed.actual_exit_price,
+          profit_percent: closed.actual_profit_percent
+        });
+      } catch (error) {
+        console.error(`[CallExpiry] Failed to expire call ${call.id}:`, error.message);
+      }
+    }
+
+    return { due: calls.length, expired };
+  } catch (error) {
+    console.error('[CallExpiry] Expiry run failed:', error);
+    return { due: 0, expired: 0, error: error.message };
+  } finally {
+    isExpiring = false;
+  }
+};
+
+/**
+ * Schedule the call expiry job
+ *
+ * @returns {Object} - node-cron scheduled task
+ */
+const scheduleCallExpiry = () => {
+  const task = cron.schedule(config.cron.callExpiry, async () => {
+    const summary = await expireDueCalls();
+    if (summary.expired > 0) {
+      console.log(`[CallExpiry] Run complete: ${summary.expired}/${summary.due} calls expired`);
+    }
+  });
+
+  console.log(`[CallExpiry] Expiry scheduled (${config.cron.callExpiry})`);
+  return task;
+};
+
+module.exports = {
+  expireDueCalls,
+  scheduleCallExpiry
+};
@@ -0,0 +1,313 @@
+/**
+ * Call Outcome Service
+ *
+ * Automatically closes open calls when the market reaches their levels
+ *
+ * FLOW:
+ * 1. Load open calls (BUY/SELL with target(s) and/or stop loss)
+ * 2. Pull new ticks for their symbols from the configured price feed
+ * 3. Walk ticks in time order (ticks from before the call went live are ignored):
+ *    - BUY:  price >= next target -> target hit, price <= stop loss -> stop_loss_hit
+ *    - SELL: price <= next target -> target hit, price >= stop loss -> stop_loss_hit
+ *    - Multi-target calls book each target's allocation as it is reached;
+ *      the call closes as target_hit once the last target is booked
+ *    - A stop loss exits the remaining allocation
+ * 4. Persist per-target outcomes, exit price, blended realized % (including
+ *    partial bookings from call updates) and closed_at (the triggering tick's time)
+ *    (outcome_source = 'price_feed'), then refresh the analyst's call stats and track record
+ * 5. Store the last traded price on calls that are still open
+ *
+ * SCHEDULING:
+ * - Runs on config.cron.callOutcome (default: every minute)
+ * - Overlapping runs are skipped
+ */
+
+const cron = require('node-cron');
+const config = require('../config/env');
+const PostModel = require('../models/Post');
+const PostTargetModel = require('../models/PostTarget');
+const AnalystProfile = require('../models/AnalystProfile');
+const { getPriceFeed } = require('./priceFeedService');
+const CallUpdateModel = require('../models/CallUpdate');
+const { publishPostEvent } = require('./postEventService');
+const { recordClosedCall } = require('./trackRecordService');
+const { SOCKET_EVENTS } = require('../utils/constants');
+const {
+  calculateProfitPercent,
+  calculateBlendedReturn,
+  withRemainingExit
+} = require('../utils/callTargets');
+
+let isEvaluating = false;
+
+/**
+ * Check whether a price reaches a level in the call's favour
+ *
+ * @param {string} action - BUY or SELL
+ * @param {number} price - Traded price
+ * @param {number} target - Target price
+ * @returns {boolean}
+ */
+const reachesTarget = (action, price, target) => (
+  action === 'BUY' ? price >= target : price <= target
+);
+
+/**
+ * Check whether a price breaches the stop loss
+ *
+ * @param {string} action - BUY or SELL
+ * @param {number} price - Traded price
+ * @param {number} stopLoss - Stop loss price
+ * @returns {boolean}
+ */
+const breachesStopLoss = (action, price, stopLoss) => (
+  action === 'BUY' ? price <= stopLoss : price >= stopLoss
+);
+
+/**
+ * Get the staged targets of a call
+ * Single-target calls are treated as one target with 100% allocation
+ *
+ * @param {Object} call - Open call with `targets` from getOpenCallsForTracking
+ * @returns {Array<Object>} - [{ target_order, target_price, allocation_percent, status, exit_price, staged }]
+ */
+const getCallTargets = (call) => {
+  if (Array.isArray(call.targets) && call.targets.length > 0) {
+    return call.targets.map(target => ({ ...target, staged: true }));
+  }
+
+  if (call.target_price === null || call.target_price === undefined) {
+    return [];
+  }
+
+  return [{
+    target_order: 1,
+    target_price: call.target_price,
+    allocation_percent: 100,
+    status: 'open',
+    exit_price: null,
+    staged: false
+  }];
+};
+
+/**
+ * Replay ticks against a call (pure, no database access)
+ *
+ * @param {Object} call - Open call (with published_at)
+ * @param {Array<Object>} ticks - Ticks for the call's symbol, oldest first
+ * @returns {Object} - { hits: [{ target_order, exit_price, staged }], exit: { call_status, exit_price, closed_at } | null }
+ */
+const evaluateTicks = (call, ticks) => {
+  const targets = getCallTargets(call).map(target => ({ ...target }));
+  const stopLoss = call.stop_loss !== null ? parseFloat(call.stop_loss) : null;
+  const publishedAt = call.published_at ? new Date(call.published_at) : null;
+  const hits = [];
+
+  for (const tick of ticks) {
+    // A price printed before the call went live cannot close it
+    if (publishedAt && tick.timestamp && new Date(tick.timestamp) < publishedAt) continue;
+
+    const price = parseFloat(tick.price);
+    const closedAt = tick.timestamp || null;
+
+    if (stopLoss !== null && breachesStopLoss(call.action, price, stopLoss)) {
+      return { hits, exit: { call_status: 'stop_loss_hit', exit_price: price, closed_at: closedAt } };
+    }
+
+    for (const target of targets) {
+      if (target.status !== 'open') continue;
+      if (!reachesTarget(call.action, price, parseFloat(target.target_price))) break;
+
+      target.status = 'hit';
+      target.exit_price = price;
+      hits.push({ target_order: target.target_order, exit_price: price, staged: target.staged });
+    }
+
+    if (targets.length > 0 && targets.every(target => target.status === 'hit')) {
+      return { hits, exit: { call_status: 'target_hit', exit_price: price, closed_at: closedAt } };
+    }
+  }
+
+  return { hits, exit: null };
+};
+
+/**
+ * Close an open call at an exit price (system outcome)
+ * Remaining staged targets exit at the same price, the return is blended
+ * across targets and the analyst's call stats and track record are refreshed.
+ *
+ * @param {Object} call - Open call (published levels, with `targets`)
+ * @param {Object} exit - { call_status, exit_price, outcome_source, closed_at (default: now) }
+ * @returns {Promise<Object|null>} - Closed post, or null if the call was no longer open
+ */
+const closeCall = async (call, { call_status, exit_price, outcome_source, closed_at = null }) => {
+  let profitPercent = calculateProfitPercent(call.action, call.entry_price, exit_price);
+
+  if (Array.isArray(call.targets) && call.targets.length > 0) {
+    await PostTargetModel.closeOpenTargets(
+      call.id,
+      call_status === 'stop_loss_hit' ? 'stopped' : 'closed',
+      exit_price,
+      profitPercent
+    );
+    const targets = await PostTargetModel.getTargetsByPostId(call.id);
+    profitPercent = calculateBlendedReturn(call.action, call.entry_price, targets);
+  } else {
+    // Blend in partial bookings posted as call updates
+    const bookings = await CallUpdateModel.getPartialBookings(call.id);
+    if (bookings.length > 0) {
+      profitPercent = calculateBlendedReturn(
+        call.action,
+        call.entry_price,
+        withRemainingExit(bookings, exit_price)
+      );
+    }
+  }
+
+  const updated = await PostModel.recordAutomaticOutcome(call.id, {
+    call_status,
+    actual_exit_price: exit_price,
+    actual_profit_percent: profitPercent,
+    outcome_source,
+    closed_at
+  });
+
+  if (!updated) {
+    return null;
+  }
+
+  console.log(`[CallOutcome] ${call.stock_symbol} call ${call.id} closed: ${call_status} @ ${exit_price} (${profitPercent}%)`);
+
+  AnalystProfile.recalculateCallStats(call.analyst_id).catch((error) => {
+    console.error('[CallOutcome] Failed to refresh analyst stats:', error.message);
+  });
+  recordClosedCall(call.analyst_id, { ...call, closed_at: updated.closed_at });
+
+  // Live push to the analyst's room (non-blocking)
+  publishPostEvent(SOCKET_EVENTS.CALL_STATUS_CHANGED, call.id, {
+    previous_status: 'open',
+    call_status,
+    outcome_source
+  });
+
+  return updated;
+};
+
+/**
+ * Persist the outcome of a tick replay for one call
+ *
+ * @param {Object} call - Open call
+ * @param {Object} result - evaluateTicks() result
+ * @returns {Promise<boolean>} - True if the call was closed
+ */
+const applyOutcome = async (call, result) => {
+  for (const hit of result.hits) {
+    if (!hit.staged) continue;
+    await PostTargetModel.markTargetHit(
+      call.id,
+      hit.target_order,
+      hit.exit_price,
+      calculateProfitPercent(call.action, call.entry_price, hit.exit_price)
+    );
+  }
+
+  if (!result.exit) {
+    return false;
+  }
+
+  const closed = await closeCall(call, { ...result.exit, outcome_source: 'price_feed' });
+  return closed !== null;
+};
+
+/**
+ * Evaluate all open calls against new price ticks
+ *
+ * @returns {Promise<Object>} - { evaluated, closed, ticks } run summary
+ */
+const evaluateOpenCalls = async () => {
+  if (isEvaluating) {
+    console.log('[CallOutcome] Previous run still in progress, skipping');
+    return { evaluated: 0, closed: 0, ticks: 0, skipped: true };
+  }
+
+  isEvaluating = true;
+
+  try {
+    const feed = getPriceFeed();
+    if (!feed) {
+      return { evaluated: 0, closed: 0, ticks: 0, skipped: true };
+    }
+
+    const openCalls = await PostModel.getOpenCallsForTracking();
+    if (openCalls.length === 0) {
+      return { evaluated: 0, closed: 0, ticks: 0 };
+    }
+
+    const symbols = [...new Set(openCalls.map(call => call.stock_symbol.toUpperCase()))];
+    const ticks = await feed.getTicks(symbols);
+
+    // Group ticks by symbol (feed returns them oldest first)
+    const ticksBySymbol = {};
+    ticks.forEach((tick) => {
+      const symbol = tick.symbol.toUpperCase();
+      if (!ticksBySymbol[symbol]) {
+        ticksBySymbol[symbol] = [];
+      }
+      ticksBySymbol[symbol].push(tick);
+    });
+
+    let closed = 0;
+
+    for (const call of openCalls) {
+      const symbolTicks = ticksBySymbol[call.stock_symbol.toUpperCase()] || [];
+      if (symbolTicks.length === 0) continue;
+
+      try {
+        const result = evaluateTicks(call, symbolTicks);
+        if (await applyOutcome(call, result)) {
+          closed++;
+        }
+      } catch (error) {
+        console.error(`[CallOutcome] Failed to apply outcome for call ${call.id}:`, error.message);
+      }
+    }
+
+    // Remember the latest price per symbol for calls that stay open
+    const lastQuotes = Object.keys(ticksBySymbol).map((symbol) => {
+      const symbolTicks = ticksBySymbol[symbol];
+      return symbolTicks[symbolTicks.length - 1];
+    });
+    await PostModel.updateLastTradedPrices(lastQuotes);
+
+    return { evaluated: openCalls.length, closed, ticks: ticks.length };
+  } catch (error) {
+    console.error('[CallOutcome] Evaluation failed:', error);
+    return { evaluated: 0, closed: 0, ticks: 0, error: error.message };
+  } finally {
+    isEvaluating = false;
+  }
+};
+
+/**
+ * Schedule the call outcome evaluator
+ *
+ * @returns {Object} - node-cron scheduled task
+ */
+const scheduleCallOutcomeEvaluator = () => {
+  const task = cron.schedule(config.cron.callOutcome, async () => {
+    const summary = await evaluateOpenCalls();
+    if (summary.closed > 0) {
+      console.log(`[CallOutcome] Run complete: ${summary.closed}/${summary.evaluated} calls closed from ${summary.ticks} ticks`);
+    }
+  });
+
+  console.log(`[CallOutcome] Evaluator scheduled (${config.cron.callOutcome})`);
+  return task;
+};
+
+module.exports = {
+  evaluateTicks,
+  closeCall,
+  evaluateOpenCalls,
+  scheduleCallOutcomeEvaluator
+};
@@ -0,0 +1,266 @@
+/**
+ * Call Update Service
+ *
+ * Applies structured follow-ups (call updates) to a live call
+ *
+ * FLOW:
+ * 1. Validate the update against the open call (ownership, direction, levels)
+ * 2. Record the update with the levels before the change
+ * 3. Change the live levels on the parent call (new version, not an edit)
+ *    - trail_stop_loss -> stop_loss
+ *    - revise_target   -> target_price (single-target calls only)
+ *    - add_more        -> entry_price averaged by position size
+ *    - partial_book    -> no level change, books part of the position
+ *    - full_exit       -> closes the call at price (blended with partial bookings)
+ * 4. Push the update to subscribers in real time
+ *
+ * TRACK RECORD:
+ * - Returns are always measured from the published entry (add_more does not move it)
+ * - The price feed evaluator follows trailed stop losses and revised targets
+ * - partial_book and full_exit with a price are exits at analyst-entered prices:
+ *   the call is flagged (posts.analyst_priced_exits) and left out of verified metrics
+ * - The update row and the call change are written in one transaction, with the
+ *   call row locked and the history read inside it, so concurrent partial
+ *   bookings cannot book more than 100% of the position
+ */
+
+const { getClient } = require('../config/database');
+const { AppError } = require('../middleware/errorHandler');
+const PostModel = require('../models/Post');
+const CallUpdateModel = require('../models/CallUpdate');
+const AnalystProfile = require('../models/AnalystProfile');
+const { calculateProfitPercent } = require('../utils/callTargets');
+const { notifyCallUpdate } = require('./postNotificationService');
+const { publishPostEvent } = require('./postEventService');
+const { recordClosedCall } = require('./trackRecordService');
+const { SOCKET_EVENTS } = require('../utils/constants');
+
+/**
+ * Parse a positive price-like number
+ *
+ * @param {*} value - Raw value
+ * @param {string} field - Field name for the error message
+ * @returns {number}
+ */
+const requirePositive = (value, field) => {
+  const number = parseFloat(value);
+  if (!Number.isFinite(number) || number <= 0) {
+    throw new AppError(`${field} must be a positive number`, 400);
+  }
+  return number;
+};
+
+/**
+ * Build the update row and the live level changes for an update type
+ *
+ * @param {Object} call - Open call (findPostById row)
+ * @param {Array<Object>} history - Previous updates of the call
+ * @param {Object} data - Request data
+ * @returns {Object} - { update, levels }
+ */
+const prepareUpdate = (call, history, data) => {
+  const { update_type } = data;
+  const isBuy = call.action === 'BUY';
+  const publishedEntry = call.published_entry_price ?? call.entry_price;
+  const hasStagedTargets = Array.isArray(call.targets) && call.targets.length > 0;
+  const bookedPercent = history
+    .filter(update => update.update_type === 'partial_book')
+    .reduce((sum, update) => sum + parseFloat(update.quantity_percent), 0);
+
+  const update = {
+    previous_stop_loss: call.stop_loss,
+    previous_target_price: call.target_price,
+    previous_entry_price: call.entry_price
+  };
+  const levels = {};
+
+  switch (update_type) {
+    case 'trail_stop_loss': {
+      const newStopLoss = requirePositive(data.new_stop_loss, 'new_stop_loss');
+      const current = call.stop_loss !== null ? parseFloat(call.stop_loss) : null;
+
+      if (current !== null && (isBuy ? newStopLoss <= current : newStopLoss >= current)) {
+        throw new AppError(`A trailed stop loss must be ${isBuy ? 'above' : 'below'} the current stop loss (${current})`, 400);
+      }
+
+      update.new_stop_loss = newStopLoss;
+      levels.stop_loss = newStopLoss;
+      break;
+    }
+
+    case 'revise_target': {
+      if (hasStagedTargets) {
+        throw new AppError('Staged targets cannot be revised; use partial_book or full_exit', 400);
+      }
+
+      const newTarget = requirePositive(data.new_target_price, 'new_target_price');
+      const entry = parseFloat(call.entry_price);
+
+      if (isBuy ? newTarget <= entry : newTarget >= entry) {
+        throw new AppError(`Target must be ${isBuy ? 'above' : 'below'} the entry price (${entry})`, 400);
+      }
+
+      update.new_target_price = newTarget;
+      levels.target_price = newTarget;
+      break;
+    }
+
+    case 'partial_book': {
+      if (hasStagedTargets) {
+        throw new AppError('Calls with staged targets book partial exits at their targets', 400);
+      }
+
+      const price = requirePositive(data.price, 'price');
+      const quantity = requirePositive(data.quantity_percent, 'quantity_percent');
+
+      if (bookedPercent + quantity >= 100) {
+        throw new AppError(`Only ${100 - bookedPercent}% of the position is left; use full_exit to close it`, 400);
+      }
+
+      update.price = price;
+      update.quantity_percent = quantity;
+      update.realized_percent = calculateProfitPercent(call.action, publishedEntry, price);
+      break;
+    }
+
+    case 'full_exit': {
+      const rawPrice = data.price ?? call.last_price;
+      if (rawPrice === null || rawPrice === undefined) {
+        throw new AppError('price is required (no last traded price is known for this call)', 400);
+      }
+
+      const price = requirePositive(rawPrice, 'price');
+      update.price = price;
+      update.quantity_percent = 100 - bookedPercent;
+      update.realized_percent = calculateProfitPercent(call.action, publishedEntry, price);
+      break;
+    }
+
+    case 'add_more': {
+      const price = requirePositive(data.price, 'price');
+      const quantity = requirePositive(data.quantity_percent, 'quantity_percent');
+
+      // Position size in % of the original position, before this addition
+      const positionSize = 100 + history
+        .filter(previous => previous.update_type === 'add_more')
+        .reduce((sum, previous) => sum + parseFloat(previous.quantity_percent), 0);
+      const averagedEntry = (parseFloat(call.entry_price) * positionSize + price * quantity) / (positionSize + quantity);
+
+      update.price = price;
+      update.quantity_percent = quantity;
+      levels.entry_price = Math.round(averagedEntry * 100) / 100;
+      break;
+    }
+
+    default:
+      throw new AppError(`Invalid update_type. Must be one of: ${CallUpdateModel.UPDATE_TYPES.join(', ')}`, 400);
+  }
+
+  return { update, levels };
+};
+
+/**
+ * Post a structured update on an open call
+ *
+ * @param {string} postId - Parent post UUID
+ * @param {string} analystId - Analyst UUID (must own the call)
+ * @param {Object} data - { update_type, price, quantity_percent, new_stop_loss, new_target_price, note }
+ * @returns {Promise<Object>} - { update, post }
+ */
+const postCallUpdate = async (postId, analystId, data) => {
+  const call = await PostModel.findPostById(postId);
+
+  if (!call || call.analyst_id !== analystId) {
+    throw new AppError('Post not found or you do not have permission to update it', 404);
+  }
+  if (call.post_type !== 'call' || !['BUY', 'SELL'].includes(call.action)) {
+    throw new AppError('Updates can only be posted on BUY/SELL calls', 400);
+  }
+  if (!call.published_at || call.call_status !== 'open') {
+    throw new AppError('Updates can only be posted on live, open calls', 400);
+  }
+
+  // Exits at a price the analyst typed (not the last traded price) are flagged on the call
+  const analystPriced = data.update_type === 'partial_book' ||
+    (data.update_type === 'full_exit' && data.price !== undefined && data.price !== null);
+
+  let created;
+  let post;
+  let client = null;
+
+  try {
+    client = await getClient();
+    await client.query('BEGIN');
+
+    // Validate against the locked row: another update may have landed meanwhile
+    const current = await PostModel.lockCallForUpdate(postId, client);
+    if (!current || current.call_status !== 'open') {
+      throw new AppError('Updates can only be posted on live, open calls', 400);
+    }
+
+    const history = await CallUpdateModel.getUpdatesByPostId(postId, client);
+    const { update, levels } = prepareUpdate({ ...call, ...current }, history, data);
+
+    const updateData = {
+      ...update,
+      post_id: postId,
+      analyst_id: analystId,
+      update_type: data.update_type,
+      note: data.note ? String(data.note).trim().substring(0, 1000) : null
+    };
+
+    if (analystPriced) {
+      await PostModel.markAnalystPricedExit(postId, client);
+    }
+
+    created = await CallUpdateModel.createUpdate(updateData, client);
+
+    if (data.update_type === 'full_exit') {
+      // Closing goes through the normal outcome path (targets, blended return)
+      post = await PostModel.markCallOutcome(postId, analystId, {
+        call_status: 'closed',
+        actual_exit_price: update.price
+      }, { client });
+    } else {
+      post = Object.keys(levels).length > 0
+        ? await PostModel.updateLiveLevels(postId, levels, analystId, client)
+        : call;
+    }
+
+    await client.query('COMMIT');
+  } catch (error) {
+    if (client) {
+      await client.query('ROLLBACK');
+    }
+    throw error;
+  } finally {
+    if (client) {
+      client.release();
+    }
+  }
+
+  if (data.update_type === 'full_exit') {
+    AnalystProfile.recalculateCallStats(analystId).catch((error) => {
+      console.error('Failed to refresh analyst call stats:', error);
+    });
+    recordClosedCall(analystId, post);
+  }
+
+  // Real-time push to subscribers (non-blocking)
+  notifyCallUpdate(call, created);
+  if (data.update_type === 'full_exit') {
+    publishPostEvent(SOCKET_EVENTS.CALL_STATUS_CHANGED, postId, {
+      previous_status: 'open',
+      call_status: 'closed',
+      outcome_source: 'analyst'
+    });
+  } else {
+    publishPostEvent(SOCKET_EVENTS.POST_UPDATED, postId, { update_type: data.update_type });
+  }
+
+  return { update: created, post };
+};
+
+module.exports = {
+  postCallUpdate
+};
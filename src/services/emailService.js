@@ -15,7 +15,8 @@
 
 const { Resend } = require('resend');
 const config = require('../config/env');
-const { formatDate, formatTime, maskEmail } = require('../utils/helpers');
+const { formatDate, formatTime, maskEmail, escapeXml } = require('../utils/helpers');
+const { formatDisclosureLines } = require('../utils/disclosureBlock');
 
 // Initialize Resend client
 let resend = null;
@@ -197,6 +198,25 @@ const getEmailTemplate = (title, content, footerText = null) => {
   `.trim();
 };
 
+/**
+ * SEBI disclosure block of a call (posts.disclosure, utils/disclosureBlock)
+ *
+ * @param {Object|null} disclosure - Stored block
+ * @returns {string} - HTML ('' for posts without a block)
+ */
+const getDisclosureHtml = (disclosure) => {
+  if (!disclosure) {
+    return '';
+  }
+
+  return `
+    <div style="margin-top: 20px; padding: 12px 15px; border-top: 1px solid #dee2e6; font-size: 12px; color: #6c757d;">
+      <strong>Disclosure</strong><br>
+      ${formatDisclosureLines(disclosure).map(line => escapeXml(line)).join('<br>')}
+    </div>
+  `;
+};
+
 /**
  * Check email rate limit
  *
@@ -552,6 +572,7 @@ const sendDailyDigest = async (user, posts) => {
               <em>${post.reasoning}</em>
             </p>
           ` : ''}
+          ${getDisclosureHtml(post.disclosure)}
         </div>
       `;
     });
@@ -616,7 +637,12 @@ const sendUrgentCallNotification = async (user, analyst, call) => {
           <strong style="color: #667eea;">₹${call.entry_price}</strong>
         </div>
       ` : ''}
-      ${call.target_price ? `
+      ${call.targets && call.targets.length > 1 ? call.targets.map(target => `
+        <div class="price-row" style="font-size: 16px;">
+          <span>Target ${target.target_order} (${parseFloat(target.allocation_percent)}%):</span>
+          <strong style="color: #28a745;">₹${target.target_price}</strong>
+        </div>
+      `).join('') : call.target_price ? `
         <div class="price-row" style="font-size: 16px;">
           <span>Target:</span>
           <strong style="color: #28a745;">₹${call.target_price}</strong>
@@ -644,6 +670,7 @@ const sendUrgentCallNotification = async (user, analyst, call) => {
     <p style="margin-top: 20px; font-size: 13px; color: #6c757d;">
       ⚠️ Trading involves risk. Past performance does not guarantee future results. This is not personalized advice. You are responsible for your own trading decisions.
     </p>
+    ${getDisclosureHtml(call.disclosure)}
   `;
 
   const footerText = `
@@ -661,6 +688,68 @@ const sendUrgentCallNotification = async (user, analyst, call) => {
   });
 };
 
+/**
+ * Send watchlist call alert
+ * A call was posted on a symbol in the trader's watchlist
+ *
+ * @param {Object} user - Trader object (name, email)
+ * @param {Object} analyst - Analyst object (name)
+ * @param {Object} call - Call details (id, stock, action, strategy_type, entry_price, target_price, stop_loss, disclosure)
+ * @returns {Promise<Object>} - Send result
+ */
+const sendWatchlistCallAlert = async (user, analyst, call) => {
+  const actionClass = call.action === 'BUY' ? 'action-buy' : 'action-sell';
+
+  const content = `
+    <h2>👀 New call on ${call.stock}</h2>
+    <p>Hi ${user.name},</p>
+    <p><strong>${analyst.name}</strong> just posted a call on <strong>${call.stock}</strong>, which is in your watchlist:</p>
+    <div class="call-card">
+      <h3 style="margin: 0 0 15px 0;">
+        ${call.stock}
+        ${call.action ? `<span class="${actionClass}"> • ${call.action}</span>` : ''}
+      </h3>
+      ${call.strategy_type ? `<p style="margin: 10px 0;"><strong>Strategy:</strong> ${call.strategy_type}</p>` : ''}
+      ${call.entry_price ? `
+        <div class="price-row">
+          <span>Entry Price:</span>
+          <strong>₹${call.entry_price}</strong>
+        </div>
+      ` : ''}
+      ${call.target_price ? `
+        <div class="price-row">
+          <span>Target:</span>
+          <strong style="color: #28a745;">₹${call.target_price}</strong>
+        </div>
+      ` : ''}
+      ${call.stop_loss ? `
+        <div class="price-row">
+          <span>Stop Loss:</span>
+          <strong style="color: #dc3545;">₹${call.stop_loss}</strong>
+        </div>
+      ` : ''}
+    </div>
+    <a href="${config.frontend.url}/post/${call.id}" class="button">View Call</a>
+    <p style="margin-top: 20px; font-size: 13px; color: #6c757d;">
+      ⚠️ Trading involves risk. Past performance does not guarantee future results. This is not personalized advice.
+    </p>
+    ${getDisclosureHtml(call.disclosure)}
+  `;
+
+  const footerText = `
+    You are receiving this alert because ${call.stock} is in your watchlist.<br>
+    <a href="${config.frontend.url}/watchlist" style="color: #667eea;">Manage watchlist alerts</a>
+  `;
+
+  const html = getEmailTemplate(`New call on ${call.stock}`, content, footerText);
+
+  return sendEmail({
+    to: user.email,
+    subject: `👀 ${analyst.name} posted a ${call.stock} call`,
+    html: html
+  });
+};
+
 /**
  * Send analyst new subscriber notification
  *
@@ -844,6 +933,7 @@ module.exports = {
   sendPasswordReset,
   sendDailyDigest,
   sendUrgentCallNotification,
+  sendWatchlistCallAlert,
   sendNewSubscriberNotification,
   sendPayoutProcessed,
   sendNewReviewNotification,
@@ -0,0 +1,196 @@
+/**
+ * Feed Ranking Service
+ *
+ * Ranked ("For you") feed mode, scored from the trader's onboarding profile
+ * (traderController.completeOnboarding -> trader_profiles)
+ *
+ * SIGNALS (points, see FEED_RANKING.WEIGHTS):
+ * - style_match: strategy type matches the declared trading style
+ * - risk_fit: strategy risk (intraday/options high, swing medium,
+ *   positional/long_term low) against risk tolerance; can be negative
+ * - interest_match: options strategies for traders interested in options,
+ *   stock calls for traders interested in stocks
+ * - urgent: urgent posts (calls only while still open)
+ * - recency: decays by half every FEED_RANKING.RECENCY_HALF_LIFE_HOURS
+ * - track_record: analyst win rate over closed calls of the last
+ *   FEED_RANKING.TRACK_RECORD_DAYS days (50% = 0 points; can be negative)
+ *
+ * Traders without a profile (and other roles) are ranked on urgency,
+ * recency and track record only.
+ *
+ * Every post carries `ranking: { score, reasons }` so the app can explain
+ * "why am I seeing this". Chronological order stays the feed default.
+ */
+
+const { query } = require('../config/database');
+const PostModel = require('../models/Post');
+const { FEED_RANKING } = require('../utils/constants');
+
+const { WEIGHTS } = FEED_RANKING;
+
+// trader_profiles.trading_style -> posts.strategy_type
+const STYLE_STRATEGIES = {
+  intraday: ['intraday'],
+  swing: ['swing'],
+  positional: ['positional'],
+  longterm: ['long_term']
+};
+
+const STYLE_LABELS = {
+  intraday: 'intraday',
+  swing: 'swing',
+  positional: 'positional',
+  longterm: 'long-term'
+};
+
+const STRATEGY_RISK = {
+  intraday: 'high',
+  options: 'high',
+  swing: 'medium',
+  positional: 'low',
+  long_term: 'low'
+};
+
+// Multiplier of WEIGHTS.RISK_FIT by risk tolerance and strategy risk
+const RISK_FIT = {
+  conservative: { low: 1, medium: 0, high: -1 },
+  moderate: { low: 0, medium: 1, high: 0 },
+  aggressive: { low: -0.5, medium: 0, high: 1 }
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Get the ranking profile of a trader
+ *
+ * @param {string} userId - User UUID
+ * @returns {Promise<Object|null>} - { trading_style, risk_tolerance, interests } or null
+ */
+const getRankingProfile = async (userId) => {
+  const result = await query(
+    `SELECT trading_style, risk_tolerance, interests
+     FROM trader_profiles
+     WHERE user_id = $1 AND deleted_at IS NULL`,
+    [userId]
+  );
+
+  return result.rows[0] || null;
+};
+
+/**
+ * Score one post for a trader
+ *
+ * @param {Object} post - Feed post
+ * @param {Object|null} profile - Ranking profile
+ * @param {Object|undefined} trackRecord - { closed_calls, win_rate_percent } of the analyst
+ * @param {Date} now - Reference time
+ * @returns {Object} - { score, reasons: [{ factor, points, label }] } (reasons by weight)
+ */
+const scorePost = (post, profile, trackRecord, now = new Date()) => {
+  const reasons = [];
+  const add = (factor, points, label) => {
+    if (Math.abs(points) >= 0.5) {
+      reasons.push({ factor, points: round(points), label });
+    }
+  };
+
+  if (profile) {
+    const styleStrategies = STYLE_STRATEGIES[profile.trading_style];
+    if (styleStrategies && styleStrategies.includes(post.strategy_type)) {
+      add('style_match', WEIGHTS.STYLE_MATCH, `Matches your ${STYLE_LABELS[profile.trading_style]} trading style`);
+    }
+
+    const strategyRisk = STRATEGY_RISK[post.strategy_type];
+    const fit = RISK_FIT[profile.risk_tolerance]?.[strategyRisk] || 0;
+    if (fit > 0) {
+      add('risk_fit', WEIGHTS.RISK_FIT * fit, `Fits your ${profile.risk_tolerance} risk appetite`);
+    } else if (fit < 0) {
+      add('risk_fit', WEIGHTS.RISK_FIT * fit, `Riskier than your ${profile.risk_tolerance} risk appetite`);
+    }
+
+    const interests = profile.interests || [];
+    if (post.strategy_type === 'options' && interests.includes('options')) {
+      add('interest_match', WEIGHTS.INTEREST_MATCH, 'You are interested in options');
+    } else if (post.strategy_type !== 'options' && post.stock_symbol && interests.includes('stocks')) {
+      add('interest_match', WEIGHTS.INTEREST_MATCH, 'You are interested in stocks');
+    }
+  }
+
+  if (post.is_urgent && (post.post_type !== 'call' || post.call_status === 'open')) {
+    add('urgent', WEIGHTS.URGENT, 'Urgent call from the analyst');
+  }
+
+  const ageHours = Math.max(0, (now - new Date(post.created_at)) / (60 * 60 * 1000));
+  const recency = WEIGHTS.RECENCY * Math.pow(0.5, ageHours / FEED_RANKING.RECENCY_HALF_LIFE_HOURS);
+  add('recency', recency, ageHours < 1 ? 'Posted in the last hour' : `Posted ${Math.round(ageHours)}h ago`);
+
+  if (trackRecord && trackRecord.closed_calls >= FEED_RANKING.TRACK_RECORD_MIN_CALLS) {
+    const edge = (trackRecord.win_rate_percent - 50) / 50;
+    add(
+      'track_record',
+      WEIGHTS.TRACK_RECORD * edge,
+      `${post.analyst_name || 'Analyst'} hit targets on ${trackRecord.win_rate_percent}% of ` +
+        `${trackRecord.closed_calls} calls in the last ${FEED_RANKING.TRACK_RECORD_DAYS} days`
+    );
+  }
+
+  reasons.sort((a, b) => b.points - a.points);
+
+  return {
+    score: round(reasons.reduce((sum, reason) => sum + reason.points, 0)),
+    reasons
+  };
+};
+
+/**
+ * Get the ranked feed of a user
+ * Ranks recent candidates (FEED_RANKING.CANDIDATE_DAYS / MAX_CANDIDATES),
+ * then pages through the ranked list.
+ *
+ * @param {string} userId - User UUID
+ * @param {Object} filters - Feed filters (+ page, limit)
+ * @returns {Promise<Object>} - { posts (with `ranking`), total, page, limit, totalPages, hasMore, sort, personalized }
+ */
+const getRankedFeed = async (userId, filters = {}) => {
+  const page = filters.page || 1;
+  const limit = filters.limit || 20;
+
+  const [profile, candidates] = await Promise.all([
+    getRankingProfile(userId),
+    PostModel.getFeedCandidates(userId, filters, {
+      days: FEED_RANKING.CANDIDATE_DAYS,
+      max: FEED_RANKING.MAX_CANDIDATES
+    })
+  ]);
+
+  const analystIds = [...new Set(candidates.map(post => post.analyst_id))];
+  const trackRecords = await PostModel.getAnalystTrackRecords(analystIds, FEED_RANKING.TRACK_RECORD_DAYS);
+
+  const now = new Date();
+  candidates.forEach((post) => {
+    post.ranking = scorePost(post, profile, trackRecords[post.analyst_id], now);
+  });
+
+  candidates.sort((a, b) =>
+    b.ranking.score - a.ranking.score || new Date(b.created_at) - new Date(a.created_at)
+  );
+
+  const offset = (page - 1) * limit;
+  const posts = candidates.slice(offset, offset + limit);
+
+  return {
+    posts,
+    total: candidates.length,
+    page: parseInt(page),
+    limit: parseInt(limit),
+    totalPages: Math.ceil(candidates.length / limit),
+    hasMore: offset + posts.length < candidates.length,
+    sort: 'ranked',
+    personalized: Boolean(profile)
+  };
+};
+
+module.exports = {
+  scorePost,
+  getRankedFeed
+};
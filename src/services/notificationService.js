@@ -0,0 +1,127 @@
+/**
+ * Notification Service
+ *
+ * In-app notifications for background jobs (cron) that have no request context
+ *
+ * DELIVERY:
+ * - Persisted to the notifications table (status 'sent', send_in_app)
+ * - Pushed live over Socket.io to every open socket of the user (`user_<id>` room)
+ *
+ * The Socket.io server is registered once at startup with setSocketServer(io);
+ * until then notifications are only persisted. Other live pushes
+ * (services/postEventService) reach it through getSocketServer().
+ */
+
+const { query } = require('../config/database');
+const { sendNotificationToUser } = require('../socket/chatSocket');
+
+let socketServer = null;
+
+/**
+ * Register the Socket.io server used for live pushes
+ *
+ * @param {Object} io - Socket.io server instance
+ */
+const setSocketServer = (io) => {
+  socketServer = io;
+};
+
+/**
+ * Registered Socket.io server
+ *
+ * @returns {Object|null} - Socket.io server instance, null before startup
+ */
+const getSocketServer = () => socketServer;
+
+/**
+ * Get active subscriber user IDs of an analyst
+ *
+ * @param {string} analystId - Analyst UUID
+ * @returns {Promise<Array<string>>} - User UUIDs
+ */
+const getActiveSubscriberIds = async (analystId) => {
+  const result = await query(
+    `SELECT DISTINCT user_id
+     FROM subscriptions
+     WHERE analyst_id = $1
+     AND status = 'active'
+     AND expires_at > NOW()
+     AND deleted_at IS NULL`,
+    [analystId]
+  );
+
+  return result.rows.map(row => row.user_id);
+};
+
+/**
+ * Create an in-app notification for many users and push it live
+ * Never throws - notifications are best-effort
+ *
+ * @param {Array<string>} userIds - Recipient user UUIDs
+ * @param {Object} notification - { notification_type, title, message, action_url, related_entity_type, related_entity_id, priority }
+ * @returns {Promise<number>} - Number of notifications created
+ */
+const notifyUsers = async (userIds, notification) => {
+  if (!userIds || userIds.length === 0) {
+    return 0;
+  }
+
+  try {
+    const {
+      notification_type,
+      title,
+      message,
+      action_url = null,
+      related_entity_type = null,
+      related_entity_id = null,
+      priority = 'medium'
+    } = notification;
+
+    const result = await query(
+      `INSERT INTO notifications (
+        user_id,
+        notification_type,
+        title,
+        message,
+        action_url,
+        related_entity_type,
+        related_entity_id,
+        send_email,
+        send_push,
+        send_in_app,
+        status,
+        priority,
+        sent_at,
+        created_at,
+        updated_at
+      )
+      SELECT
+        recipient,
+        $2, $3, $4, $5, $6, $7,
+        false, false, true,
+        'sent', $8, NOW(), NOW(), NOW()
+      FROM UNNEST($1::uuid[]) as recipient
+      RETURNING id, user_id, notification_type, title, message, action_url,
+                related_entity_type, related_entity_id, priority, created_at`,
+      [userIds, notification_type, title, message, action_url, related_entity_type, related_entity_id, priority]
+    );
+
+    if (socketServer) {
+      result.rows.forEach((row) => {
+        sendNotificationToUser(socketServer, row.user_id, row);
+      });
+    }
+
+    return result.rows.length;
+  } catch (error) {
+    console.error('Error creating notifications:', error);
+    return 0;
+  }
+};
+
+module.exports = {
+  setSocketServer,
+  getSocketServer,
+  getActiveSubscriberIds,
+  notifyUsers
+};
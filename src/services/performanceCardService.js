@@ -0,0 +1,289 @@
+/**
+ * Performance Card Service
+ *
+ * Shareable, verifiable performance cards (utils/performanceCard renders the SVG)
+ *
+ * FLOW:
+ * - An analyst requests a card for one of their closed calls, or for their
+ *   track record over PERFORMANCE_CARDS.PERIODS days
+ * - The figures on the card are signed into a token (HS256 JWT, audience
+ *   'performance-card', config.performanceCards.secret, no expiry)
+ * - The card links (URL + QR code) to the public verification page,
+ *   `${FRONTEND_URL}/verify/<token>`, which calls GET /api/cards/verify/:token
+ * - Verification checks the signature, recomputes the figures from the
+ *   database and lists any field that no longer matches (e.g. the call was
+ *   re-marked after the card was shared)
+ *
+ * Call cards are only issued for outcomes the platform recorded (price feed,
+ * expiry). Track record cards count every closed call, including those the
+ * analyst closed with a typed exit (mark-outcome, full_exit, priced partial
+ * bookings), so losing calls cannot be left out; the card shows how many of
+ * them there are (unverified_calls).
+ *
+ * Screenshots cannot be checked; a card is only as good as its QR code.
+ */
+
+const jwt = require('jsonwebtoken');
+const QRCode = require('qrcode');
+const config = require('../config/env');
+const { AppError } = require('../middleware/errorHandler');
+const PostModel = require('../models/Post');
+const AnalystProfile = require('../models/AnalystProfile');
+const { renderCallCard, renderTrackRecordCard } = require('../utils/performanceCard');
+const { PERFORMANCE_CARDS } = require('../utils/constants');
+
+const TOKEN_OPTIONS = {
+  algorithm: 'HS256',
+  issuer: 'analyst-marketplace',
+  audience: 'performance-card'
+};
+
+// Figures signed into each kind of card (and compared on verification)
+const SIGNED_FIELDS = {
+  call: [
+    'post_id',
+    'analyst_id',
+    'stock_symbol',
+    'action',
+    'call_status',
+    'entry_price',
+    'exit_price',
+    'return_percent',
+    'closed_at'
+  ],
+  track_record: [
+    'analyst_id',
+    'period_days',
+    'period_start',
+    'period_end',
+    'closed_calls',
+    'wins',
+    'losses',
+    'unverified_calls',
+    'win_rate_percent',
+    'average_return_percent',
+    'best_return_percent'
+  ]
+};
+
+const PLATFORM_OUTCOME_SOURCES = ['price_feed', 'expiry'];
+
+/**
+ * Whether the exit and return of a call were recorded by the platform
+ *
+ * @param {Object} call - Row from Post.getCallForCard
+ * @returns {boolean}
+ */
+const isPlatformOutcome = (call) =>
+  PLATFORM_OUTCOME_SOURCES.includes(call.outcome_source) && !call.analyst_priced_exits;
+
+const toAmount = (value) => (value === null || value === undefined ? null : Math.round(parseFloat(value) * 100) / 100);
+
+const pick = (source, fields) => fields.reduce((picked, field) => {
+  picked[field] = source[field] ?? null;
+  return picked;
+}, {});
+
+/**
+ * Card figures of a call
+ *
+ * @param {Object} call - Row from Post.getCallForCard
+ * @returns {Object} - Card data
+ */
+const toCallCard = (call) => ({
+  post_id: call.id,
+  analyst_id: call.analyst_id,
+  stock_symbol: call.stock_symbol,
+  action: call.action,
+  strategy_type: call.strategy_type,
+  call_status: call.call_status,
+  entry_price: toAmount(call.entry_price),
+  exit_price: toAmount(call.actual_exit_price),
+  return_percent: toAmount(call.actual_profit_percent),
+  published_at: call.published_at ? new Date(call.published_at).toISOString() : null,
+  closed_at: call.closed_at ? new Date(call.closed_at).toISOString() : null,
+  holding_minutes: call.published_at && call.closed_at
+    ? Math.max(0, Math.round((new Date(call.closed_at) - new Date(call.published_at)) / 60000))
+    : null,
+  outcome_source: call.outcome_source,
+  analyst_name: call.analyst_name,
+  sebi_registration_number: call.sebi_registration_number
+});
+
+/**
+ * Card figures of a track record period
+ *
+ * @param {string} analystId - Analyst UUID
+ * @param {number} periodDays - Period length
+ * @param {string} periodStart - ISO timestamp (inclusive)
+ * @param {string} periodEnd - ISO timestamp (exclusive)
+ * @returns {Promise<Object>} - Card data
+ */
+const buildTrackRecord = async (analystId, periodDays, periodStart, periodEnd) => {
+  const [summary, profile] = await Promise.all([
+    PostModel.getTrackRecordSummary(analystId, periodStart, periodEnd),
+    AnalystProfile.findByUserId(analystId)
+  ]);
+
+  return {
+    analyst_id: analystId,
+    period_days: periodDays,
+    period_start: periodStart,
+    period_end: periodEnd,
+    ...summary,
+    analyst_name: profile?.display_name || null,
+    sebi_registration_number: profile?.sebi_number || null
+  };
+};
+
+/**
+ * Sign a card and render it with its verification QR code
+ *
+ * @param {string} kind - 'call' or 'track_record'
+ * @param {Object} card - Card data
+ * @returns {Promise<Object>} - { card, token, verification_url, svg }
+ */
+const issueCard = async (kind, card) => {
+  const token = jwt.sign(
+    { kind, ...pick(card, SIGNED_FIELDS[kind]) },
+    config.performanceCards.secret,
+    TOKEN_OPTIONS
+  );
+
+  const verificationUrl = `${config.frontend.url}/verify/${token}`;
+  const qrSvg = await QRCode.toString(verificationUrl, { type: 'svg', margin: 0, errorCorrectionLevel: 'M' });
+
+  const render = kind === 'call' ? renderCallCard : renderTrackRecordCard;
+
+  return {
+    card,
+    token,
+    verification_url: verificationUrl,
+    svg: render(card, { url: verificationUrl, qrSvg })
+  };
+};
+
+/**
+ * Create the performance card of a closed call
+ *
+ * @param {string} postId - Post UUID
+ * @param {string} analystId - Requesting analyst (must own the call)
+ * @returns {Promise<Object>} - { card, token, verification_url, svg }
+ */
+const createCallCard = async (postId, analystId) => {
+  const call = await PostModel.getCallForCard(postId);
+
+  if (!call || call.analyst_id !== analystId) {
+    throw new AppError('Call not found', 404);
+  }
+
+  if (call.post_type !== 'call') {
+    throw new AppError('Performance cards are only available for calls', 400);
+  }
+
+  if (call.call_status === 'open' || !call.closed_at) {
+    throw new AppError('Only closed calls can be shared as performance cards', 400);
+  }
+
+  if (call.is_self_reported) {
+    throw new AppError('Self-reported (imported) calls cannot be shared as verified performance cards', 400);
+  }
+
+  if (!isPlatformOutcome(call)) {
+    throw new AppError('Calls closed with an analyst-reported exit cannot be shared as verified performance cards', 400);
+  }
+
+  return issueCard('call', toCallCard(call));
+};
+
+/**
+ * Create the track record card of an analyst
+ *
+ * @param {string} analystId - Analyst UUID
+ * @param {number} periodDays - One of PERFORMANCE_CARDS.PERIODS
+ * @returns {Promise<Object>} - { card, token, verification_url, svg }
+ */
+const createTrackRecordCard = async (analystId, periodDays = PERFORMANCE_CARDS.DEFAULT_PERIOD) => {
+  if (!PERFORMANCE_CARDS.PERIODS.includes(periodDays)) {
+    throw new AppError(`period must be one of: ${PERFORMANCE_CARDS.PERIODS.join(', ')} (days)`, 400);
+  }
+
+  const periodEnd = new Date();
+  const periodStart = new Date(periodEnd.getTime() - periodDays * 24 * 60 * 60 * 1000);
+
+  const card = await buildTrackRecord(analystId, periodDays, periodStart.toISOString(), periodEnd.toISOString());
+
+  if (card.closed_calls === 0) {
+    throw new AppError(`No calls were closed in the last ${periodDays} days`, 400);
+  }
+
+  return issueCard('track_record', card);
+};
+
+/**
+ * Verify a card token against the platform's current records
+ *
+ * @param {string} token - Card token
+ * @returns {Promise<Object>} - { verified, kind, issued_at, issued, current, mismatches, analyst }
+ */
+const verifyCard = async (token) => {
+  let claims;
+  try {
+    claims = jwt.verify(token, config.performanceCards.secret, {
+      algorithms: [TOKEN_OPTIONS.algorithm],
+      issuer: TOKEN_OPTIONS.issuer,
+      audience: TOKEN_OPTIONS.audience
+    });
+  } catch (error) {
+    throw new AppError('This card could not be verified. It was altered or not issued by this platform.', 400);
+  }
+
+  const fields = SIGNED_FIELDS[claims.kind];
+  if (!fields) {
+    throw new AppError('This card could not be verified. It was altered or not issued by this platform.', 400);
+  }
+
+  const issued = pick(claims, fields);
+  let current = null;
+  let analyst;
+  let reason = null;
+
+  if (claims.kind === 'call') {
+    const call = await PostModel.getCallForCard(claims.post_id);
+    if (call) {
+      const card = toCallCard(call);
+      current = pick(card, fields);
+      analyst = { id: card.analyst_id, name: card.analyst_name, sebi_registration_number: card.sebi_registration_number };
+      if (!isPlatformOutcome(call)) {
+        reason = 'The exit of this call was reported by the analyst, not recorded by the platform';
+      }
+    } else {
+      reason = 'The call has been removed from the platform';
+    }
+  } else {
+    const card = await buildTrackRecord(claims.analyst_id, claims.period_days, claims.period_start, claims.period_end);
+    current = pick(card, fields);
+    analyst = { id: card.analyst_id, name: card.analyst_name, sebi_registration_number: card.sebi_registration_number };
+  }
+
+  const mismatches = current
+    ? fields.filter(field => issued[field] !== current[field])
+    : fields;
+
+  return {
+    verified: Boolean(current) && mismatches.length === 0 && !reason,
+    kind: claims.kind,
+    issued_at: new Date(claims.iat * 1000).toISOString(),
+    issued,
+    current,
+    mismatches,
+    analyst: analyst || null,
+    reason
+  };
+};
+
+module.exports = {
+  createCallCard,
+  createTrackRecordCard,
+  verifyCard
+};
@@ -0,0 +1,132 @@
+/**
+ * Post Event Service
+ *
+ * Real-time pushes of new posts, edits and call status changes to the
+ * analyst's Socket.io room (socket/chatSocket)
+ *
+ * EVENTS:
+ * - post_created: a post went live (created, promoted from a draft, or
+ *   released by the scheduler)
+ * - post_updated: a live post was edited (incl. AI re-format, call updates)
+ * - call_status_changed: a call closed (analyst, call update, price feed,
+ *   expiry); carries previous_status and call_status
+ *
+ * ACCESS: every recipient gets what checkPostAccess would give them
+ * (PostModel.resolvePostAccess): the full post for free posts, the author,
+ * active subscribers and posts released by free_after; a teaser otherwise.
+ *
+ * REPLAY: events are logged in post_events; reconnecting sockets get the
+ * ones they missed (getMissedEvents), rebuilt from the current post.
+ *
+ * Publishing never throws: a failed push must not fail the request or job.
+ */
+
+const PostModel = require('../models/Post');
+const PostEventModel = require('../models/PostEvent');
+const SubscriptionModel = require('../models/Subscription');
+const { emitToAnalystRoom } = require('../socket/chatSocket');
+const { getSocketServer, getActiveSubscriberIds } = require('./notificationService');
+
+/**
+ * Client payload of an event for one recipient
+ *
+ * @param {Object} event - Logged event (id, analyst_id, post_id, event_type, data, created_at)
+ * @param {Object} post - Post from PostModel.findPostsForBroadcast
+ * @param {string|null} userId - Recipient
+ * @param {boolean} hasSubscription - Recipient has an active subscription with the analyst
+ * @returns {Object} - { event_id, event_type, analyst_id, post_id, ...data, post, is_teaser, created_at }
+ */
+const buildEventPayload = (event, post, userId, hasSubscription) => {
+  const access = PostModel.resolvePostAccess({ ...post, has_subscription: hasSubscription }, userId);
+
+  return {
+    event_id: Number(event.id),
+    event_type: event.event_type,
+    analyst_id: event.analyst_id,
+    post_id: event.post_id,
+    ...event.data,
+    post: access.post,
+    is_teaser: !access.showFullContent,
+    created_at: event.created_at
+  };
+};
+
+/**
+ * Log a post event and push it to the analyst's room
+ *
+ * @param {string} eventType - post_created, post_updated or call_status_changed
+ * @param {string} postId - Post UUID
+ * @param {Object} data - Event details (e.g. { previous_status, call_status })
+ * @returns {Promise<Object|null>} - Logged event, or null (unpublished post, failure)
+ */
+const publishPostEvent = async (eventType, postId, data = {}) => {
+  try {
+    // Scheduled (unpublished) and deleted posts are not pushed
+    const [post] = await PostModel.findPostsForBroadcast([postId]);
+    if (!post) {
+      return null;
+    }
+
+    const event = await PostEventModel.recordEvent({
+      analystId: post.analyst_id,
+      postId,
+      eventType,
+      data
+    });
+
+    PostEventModel.pruneEvents().catch((error) => {
+      console.error('Failed to prune post events:', error.message);
+    });
+
+    const io = getSocketServer();
+    if (io) {
+      const subscriberIds = new Set(await getActiveSubscriberIds(post.analyst_id));
+      await emitToAnalystRoom(io, post.analyst_id, eventType, userId =>
+        buildEventPayload(event, post, userId, subscriberIds.has(userId))
+      );
+    }
+
+    return event;
+  } catch (error) {
+    console.error(`Error publishing ${eventType} for post ${postId}:`, error);
+    return null;
+  }
+};
+
+/**
+ * Events a user missed in some analyst rooms, redacted for the user
+ * Events of posts deleted since are skipped.
+ *
+ * @param {string} userId - Recipient
+ * @param {Array<string>} analystIds - Analysts whose rooms the socket is in
+ * @param {number} sinceEventId - Last event ID the client received
+ * @returns {Promise<Object>} - { events, last_event_id, truncated }
+ */
+const getMissedEvents = async (userId, analystIds, sinceEventId) => {
+  const { events, truncated } = await PostEventModel.getEventsSince(analystIds, sinceEventId);
+  if (events.length === 0) {
+    return { events: [], last_event_id: sinceEventId, truncated: false };
+  }
+
+  const posts = await PostModel.findPostsForBroadcast([...new Set(events.map(event => event.post_id))]);
+  const postsById = new Map(posts.map(post => [post.id, post]));
+  const subscribedTo = new Set(await SubscriptionModel.findActiveAnalystIds(userId));
+
+  return {
+    events: events
+      .filter(event => postsById.has(event.post_id))
+      .map(event => buildEventPayload(
+        event,
+        postsById.get(event.post_id),
+        userId,
+        subscribedTo.has(event.analyst_id)
+      )),
+    last_event_id: Number(events[events.length - 1].id),
+    truncated
+  };
+};
+
+module.exports = {
+  publishPostEvent,
+  getMissedEvents
+};
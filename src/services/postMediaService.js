@@ -0,0 +1,231 @@
+/**
+ * Post Media Service
+ *
+ * Chart images and PDF research notes attached to posts
+ *
+ * STORAGE:
+ * - Files are uploaded by multer to /tmp (removed by middleware/upload once the
+ *   response is sent), then to Cloudinary as 'authenticated' assets that are
+ *   never reachable through a plain URL
+ * - post_attachments keeps the public IDs (models/PostAttachment)
+ *
+ * ACCESS (same rules as Post.checkPostAccess):
+ * - Full access (author, free/both posts, active subscribers): private download
+ *   URLs valid for FILE_LIMITS.ATTACHMENT_URL_TTL_SECONDS (url_expires_at), so a
+ *   shared link stops working after a subscription ends. Images: the original
+ *   (also used as thumbnail); PDFs: the file plus its first page as a JPG thumbnail
+ * - Everyone else: blurred, downsized preview only (PDFs: blurred first page)
+ *   The signature covers the blur, so it cannot be removed by editing the URL.
+ *
+ * CLEANUP:
+ * - Deleting a post (or cancelling a scheduled one) deletes its files through
+ *   deleteMultipleFiles
+ */
+
+const { query } = require('../config/database');
+const { AppError } = require('../middleware/errorHandler');
+const PostAttachmentModel = require('../models/PostAttachment');
+const {
+  uploadPostAttachment,
+  getSignedUrl,
+  getPrivateDownloadUrl,
+  deleteMultipleFiles
+} = require('../config/cloudinary');
+const { FILE_LIMITS } = require('../utils/constants');
+
+const PREVIEW_TRANSFORMATION = [
+  { width: 600, crop: 'limit' },
+  { effect: 'blur:2000' },
+  { quality: 'auto' }
+];
+
+/**
+ * Attachment kind from a multer file
+ *
+ * @param {Object} file - Multer file
+ * @returns {string} - 'pdf' or 'image'
+ */
+const getAttachmentKind = (file) => (file.mimetype === 'application/pdf' ? 'pdf' : 'image');
+
+/**
+ * Delete attachment files from Cloudinary (never throws)
+ *
+ * @param {Array<Object>} attachments - Attachments with public_id
+ * @returns {Promise<void>}
+ */
+const removeAttachmentFiles = async (attachments = []) => {
+  const publicIds = attachments.map(attachment => attachment.public_id).filter(Boolean);
+  if (publicIds.length === 0) {
+    return;
+  }
+
+  try {
+    await deleteMultipleFiles(publicIds, 'image', 'authenticated');
+  } catch (error) {
+    console.error('Failed to delete post attachments from Cloudinary:', error.message);
+  }
+};
+
+/**
+ * Upload attachment files to Cloudinary
+ * Enforces the per-post image/PDF limits together with existing attachments.
+ * On failure, files uploaded so far are deleted again.
+ *
+ * @param {string} analystId - Analyst UUID (folder)
+ * @param {Array<Object>} files - Multer files
+ * @param {Array<Object>} existing - Attachments the post already has
+ * @returns {Promise<Array<Object>>} - Rows for PostAttachment.createAttachments
+ */
+const uploadAttachments = async (analystId, files = [], existing = []) => {
+  if (files.length === 0) {
+    return [];
+  }
+
+  const uploaded = [];
+
+  try {
+    const countKind = (list, kind, getKind) => list.filter(item => getKind(item) === kind).length;
+    const images = countKind(existing, 'image', item => item.kind) + countKind(files, 'image', getAttachmentKind);
+    const pdfs = countKind(existing, 'pdf', item => item.kind) + countKind(files, 'pdf', getAttachmentKind);
+
+    if (images > FILE_LIMITS.MAX_POST_IMAGES) {
+      throw new AppError(`A post can have at most ${FILE_LIMITS.MAX_POST_IMAGES} images`, 400);
+    }
+    if (pdfs > FILE_LIMITS.MAX_POST_PDFS) {
+      throw new AppError(`A post can have at most ${FILE_LIMITS.MAX_POST_PDFS} PDF research note`, 400);
+    }
+
+    for (const file of files) {
+      const result = await uploadPostAttachment(file.path, analystId);
+      uploaded.push({
+        kind: getAttachmentKind(file),
+        public_id: result.publicId,
+        format: result.format,
+        original_name: file.originalname,
+        size_bytes: result.size || file.size,
+        width: result.width || null,
+        height: result.height || null
+      });
+    }
+
+    return uploaded;
+  } catch (error) {
+    await removeAttachmentFiles(uploaded);
+    if (error instanceof AppError) {
+      throw error;
+    }
+    console.error('Post attachment upload failed:', error.message);
+    throw new AppError('Failed to upload attachments. Please try again.', 500);
+  }
+};
+
+/**
+ * Build the client view of an attachment
+ *
+ * @param {Object} attachment - post_attachments row
+ * @param {boolean} fullAccess - Whether the viewer can see the original
+ * @returns {Object} - { id, kind, format, original_name, width, height, url, thumbnail_url, url_expires_at, is_preview }
+ */
+const signAttachment = (attachment, fullAccess) => {
+  const isPdf = attachment.kind === 'pdf';
+  const view = {
+    id: attachment.id,
+    kind: attachment.kind,
+    format: attachment.format,
+    original_name: fullAccess ? attachment.original_name : null,
+    width: attachment.width,
+    height: attachment.height,
+    is_preview: !fullAccess
+  };
+
+  if (!fullAccess) {
+    view.url = getSignedUrl(attachment.public_id, {
+      transformation: PREVIEW_TRANSFORMATION,
+      ...(isPdf && { page: 1, format: 'jpg' })
+    });
+    view.thumbnail_url = view.url;
+    view.url_expires_at = null;
+    return view;
+  }
+
+  const ttl = FILE_LIMITS.ATTACHMENT_URL_TTL_SECONDS;
+
+  if (isPdf) {
+    view.url = getPrivateDownloadUrl(attachment.public_id, 'pdf', ttl);
+    // Converting a PDF to an image format delivers its first page
+    view.thumbnail_url = getPrivateDownloadUrl(attachment.public_id, 'jpg', ttl);
+  } else {
+    view.url = getPrivateDownloadUrl(attachment.public_id, attachment.format, ttl);
+    view.thumbnail_url = view.url;
+  }
+  view.url_expires_at = new Date(Date.now() + ttl * 1000).toISOString();
+
+  return view;
+};
+
+/**
+ * Attach signed attachment URLs to posts for a viewer
+ *
+ * @param {Array<Object>} posts - Posts (id, analyst_id, audience, is_free_released)
+ * @param {string|null} userId - Viewer (optional)
+ * @returns {Promise<Array<Object>>} - Same posts with `attachments`
+ */
+const attachMedia = async (posts, userId = null) => {
+  if (!posts || posts.length === 0) {
+    return posts;
+  }
+
+  const attachmentsByPost = await PostAttachmentModel.getAttachmentsByPostIds(posts.map(post => post.id));
+
+  let subscribedAnalystIds = new Set();
+  const needsSubscriptionCheck = userId && posts.some(post => post.audience === 'paid' && !post.is_free_released && post.analyst_id !== userId);
+
+  if (needsSubscriptionCheck) {
+    const result = await query(
+      `SELECT DISTINCT analyst_id
+       FROM subscriptions
+       WHERE user_id = $1
+       AND status = 'active'
+       AND expires_at > NOW()
+       AND deleted_at IS NULL`,
+      [userId]
+    );
+    subscribedAnalystIds = new Set(result.rows.map(row => row.analyst_id));
+  }
+
+  posts.forEach((post) => {
+    const fullAccess = post.audience !== 'paid' ||
+      post.is_free_released ||
+      (userId && post.analyst_id === userId) ||
+      subscribedAnalystIds.has(post.analyst_id);
+
+    post.attachments = (attachmentsByPost[post.id] || []).map(attachment => signAttachment(attachment, fullAccess));
+  });
+
+  return posts;
+};
+
+/**
+ * Delete every attachment of a post (rows and files)
+ * Never throws - cleanup must not fail post deletion
+ *
+ * @param {string} postId - Post UUID
+ * @returns {Promise<number>} - Number of attachments removed
+ */
+const removePostAttachments = async (postId) => {
+  try {
+    const removed = await PostAttachmentModel.deleteAttachments(postId);
+    await removeAttachmentFiles(removed);
+    return removed.length;
+  } catch (error) {
+    console.error('Failed to clean up post attachments:', error);
+    return 0;
+  }
+};
+
+module.exports = {
+  uploadAttachments,
+  removeAttachmentFiles,
+  attachMedia,
+  removePostAttachments
+};
@@ -0,0 +1,276 @@
+/**
+ * Post Notification Service
+ *
+ * Notifies subscribers about post lifecycle events (going live, expiring)
+ * Shared by postController and the background jobs
+ *
+ * CURRENT NOTIFICATIONS:
+ * - Urgent paid/both posts: email every active subscriber of the analyst
+ * - Expired calls: in-app notification to the analyst and active subscribers
+ * - Call updates (trail SL, book partial, exit now, ...): in-app + live push to subscribers
+ * - New comments and replies: in-app + live push to the post author
+ * - Calls on watched symbols: in-app + live push + email to traders watching
+ *   the symbol who can read the call (subscribers already emailed about an
+ *   urgent call get no second email)
+ */
+
+const { query } = require('../config/database');
+const { sendUrgentCallNotification, sendWatchlistCallAlert } = require('./emailService');
+const { getActiveSubscriberIds, notifyUsers } = require('./notificationService');
+const WatchlistModel = require('../models/Watchlist');
+const { NOTIFICATION_TYPES } = require('../utils/constants');
+
+/**
+ * Send urgent call emails for a post that just went live
+ * Never throws - a failed notification must not fail publishing
+ *
+ * @param {Object} post - Published post (with `targets`)
+ * @returns {Promise<number>} - Number of subscribers notified
+ */
+const notifyUrgentPost = async (post) => {
+  if (!post.is_urgent || !['paid', 'both'].includes(post.audience)) {
+    return 0;
+  }
+
+  try {
+    // Get all active paid subscribers
+    const subscribers = await query(
+      `SELECT
+        u.id,
+        u.email,
+        u.full_name as name
+       FROM subscriptions s
+       INNER JOIN users u ON s.user_id = u.id
+       WHERE s.analyst_id = $1
+       AND s.status = 'active'
+       AND s.expires_at > NOW()
+       AND s.deleted_at IS NULL`,
+      [post.analyst_id]
+    );
+
+    // Get analyst info
+    const analystInfo = await query(
+      `SELECT full_name as name, email
+       FROM users
+       WHERE id = $1`,
+      [post.analyst_id]
+    );
+
+    const analyst = analystInfo.rows[0];
+    const formatted = typeof post.content_formatted === 'string'
+      ? JSON.parse(post.content_formatted)
+      : post.content_formatted;
+
+    // Send email to each subscriber (non-blocking)
+    subscribers.rows.forEach(subscriber => {
+      sendUrgentCallNotification(subscriber, analyst, {
+        id: post.id,
+        stock: post.stock_symbol,
+        action: post.action,
+        strategy_type: post.strategy_type,
+        entry_price: post.entry_price,
+        target_price: post.target_price,
+        targets: post.targets,
+        stop_loss: post.stop_loss,
+        risk_reward_ratio: post.risk_reward_ratio,
+        reasoning: formatted?.reasoning || post.content.substring(0, 200),
+        disclosure: post.disclosure || null
+      }).catch(error => {
+        console.error(`Failed to send urgent notification to ${subscriber.email}:`, error);
+      });
+    });
+
+    console.log(`Urgent post notifications sent to ${subscribers.rows.length} subscribers`);
+    return subscribers.rows.length;
+  } catch (error) {
+    console.error('Error sending urgent notifications:', error);
+    return 0;
+  }
+};
+
+/**
+ * Notify the analyst and subscribers that a call expired
+ * Never throws
+ *
+ * @param {Object} call - Expired call (stock_symbol, action, analyst_id)
+ * @param {Object} outcome - { exit_price, profit_percent }
+ * @returns {Promise<number>} - Number of notifications created
+ */
+const notifyCallExpired = async (call, { exit_price, profit_percent }) => {
+  try {
+    const subscriberIds = await getActiveSubscriberIds(call.analyst_id);
+    const exitText = exit_price !== null && exit_price !== undefined
+      ? ` at ${exit_price}${profit_percent !== null && profit_percent !== undefined ? ` (${profit_percent}%)` : ''}`
+      : '';
+
+    return await notifyUsers([call.analyst_id, ...subscriberIds], {
+      notification_type: NOTIFICATION_TYPES.CALL_EXPIRED,
+      title: `${call.stock_symbol} ${call.action} call expired`,
+      message: `The ${call.stock_symbol} ${call.action} call expired${exitText} without reaching its target or stop loss.`,
+      action_url: `/posts/${call.id}`,
+      related_entity_type: 'post',
+      related_entity_id: call.id
+    });
+  } catch (error) {
+    console.error('Error sending call expiry notifications:', error);
+    return 0;
+  }
+};
+
+/**
+ * Describe a call update in one line for notifications
+ *
+ * @param {Object} update - Call update row
+ * @returns {string}
+ */
+const describeCallUpdate = (update) => {
+  switch (update.update_type) {
+    case 'trail_stop_loss':
+      return `Stop loss trailed to ${update.new_stop_loss} (was ${update.previous_stop_loss ?? 'not set'})`;
+    case 'revise_target':
+      return `Target revised to ${update.new_target_price} (was ${update.previous_target_price ?? 'not set'})`;
+    case 'partial_book':
+      return `Book ${update.quantity_percent}% at ${update.price}`;
+    case 'full_exit':
+      return `Exit now at ${update.price}`;
+    case 'add_more':
+      return `Add ${update.quantity_percent}% more at ${update.price}`;
+    default:
+      return 'Call updated';
+  }
+};
+
+/**
+ * Push a call update to the analyst's active subscribers
+ * Never throws
+ *
+ * @param {Object} call - Parent call (id, analyst_id, stock_symbol, action)
+ * @param {Object} update - Call update row
+ * @returns {Promise<number>} - Number of notifications created
+ */
+const notifyCallUpdate = async (call, update) => {
+  try {
+    const subscriberIds = await getActiveSubscriberIds(call.analyst_id);
+    const summary = describeCallUpdate(update);
+    const note = update.note ? ` - ${update.note}` : '';
+
+    return await notifyUsers(subscriberIds, {
+      notification_type: NOTIFICATION_TYPES.CALL_UPDATE,
+      title: `${call.stock_symbol} ${call.action}: ${summary}`,
+      message: `${summary}${note}`,
+      action_url: `/posts/${call.id}`,
+      related_entity_type: 'post',
+      related_entity_id: call.id,
+      priority: update.update_type === 'full_exit' ? 'urgent' : 'high'
+    });
+  } catch (error) {
+    console.error('Error sending call update notifications:', error);
+    return 0;
+  }
+};
+
+/**
+ * Tell the post author about a new comment on their post
+ * Never throws; the author's own comments are not notified
+ *
+ * @param {Object} post - Commented post (id, analyst_id, title, stock_symbol)
+ * @param {Object} comment - Created comment (with author_name)
+ * @returns {Promise<number>} - Number of notifications created
+ */
+const notifyNewComment = async (post, comment) => {
+  if (comment.user_id === post.analyst_id) {
+    return 0;
+  }
+
+  try {
+    const subject = post.title || post.stock_symbol || 'your post';
+    const preview = comment.content.length > 140
+      ? `${comment.content.substring(0, 140)}...`
+      : comment.content;
+
+    return await notifyUsers([post.analyst_id], {
+      notification_type: NOTIFICATION_TYPES.NEW_COMMENT,
+      title: `${comment.author_name || 'Someone'} ${comment.parent_comment_id ? 'replied' : 'commented'} on ${subject}`,
+      message: preview,
+      action_url: `/posts/${post.id}#comment-${comment.id}`,
+      related_entity_type: 'post',
+      related_entity_id: post.id
+    });
+  } catch (error) {
+    console.error('Error sending comment notification:', error);
+    return 0;
+  }
+};
+
+/**
+ * Alert traders watching the symbol of a call that just went live
+ * Never throws - a failed notification must not fail publishing
+ *
+ * @param {Object} post - Published post (id, analyst_id, post_type, stock_symbol, audience, ...)
+ * @returns {Promise<number>} - Number of traders alerted
+ */
+const notifyWatchlistCall = async (post) => {
+  if (post.post_type !== 'call' || !post.stock_symbol) {
+    return 0;
+  }
+
+  try {
+    const watchers = await WatchlistModel.getWatchersForCall(post);
+    if (watchers.length === 0) {
+      return 0;
+    }
+
+    const analystInfo = await query(
+      `SELECT COALESCE(ap.display_name, u.full_name) as name
+       FROM users u
+       LEFT JOIN analyst_profiles ap ON u.id = ap.user_id
+       WHERE u.id = $1`,
+      [post.analyst_id]
+    );
+    const analyst = analystInfo.rows[0] || { name: 'An analyst' };
+    const actionText = post.action ? ` ${post.action}` : '';
+
+    await notifyUsers(watchers.map(watcher => watcher.id), {
+      notification_type: NOTIFICATION_TYPES.WATCHLIST_CALL,
+      title: `New ${post.stock_symbol}${actionText} call`,
+      message: `${analyst.name} posted a${actionText} call on ${post.stock_symbol} from your watchlist.`,
+      action_url: `/posts/${post.id}`,
+      related_entity_type: 'post',
+      related_entity_id: post.id,
+      priority: post.is_urgent ? 'high' : 'medium'
+    });
+
+    // Subscribers already got the urgent call email (notifyUrgentPost)
+    const alreadyEmailed = post.is_urgent && ['paid', 'both'].includes(post.audience);
+
+    watchers
+      .filter(watcher => !(alreadyEmailed && watcher.is_subscriber))
+      .forEach(watcher => {
+        sendWatchlistCallAlert(watcher, analyst, {
+          id: post.id,
+          stock: post.stock_symbol,
+          action: post.action,
+          strategy_type: post.strategy_type,
+          entry_price: post.entry_price,
+          target_price: post.target_price,
+          stop_loss: post.stop_loss,
+          disclosure: post.disclosure || null
+        }).catch(error => {
+          console.error('Failed to send watchlist alert email:', error);
+        });
+      });
+
+    return watchers.length;
+  } catch (error) {
+    console.error('Error sending watchlist call alerts:', error);
+    return 0;
+  }
+};
+
+module.exports = {
+  notifyUrgentPost,
+  notifyWatchlistCall,
+  notifyCallExpired,
+  notifyCallUpdate,
+  notifyNewComment
+};
@@ -0,0 +1,82 @@
+/**
+ * Post Publisher Service
+ *
+ * Releases scheduled posts (publish_at) when their time comes
+ *
+ * FLOW:
+ * 1. Release due posts in one transaction (Post.publishDuePosts: published_at and
+ *    created_at = release time, levels frozen, expiry set, conflict re-check)
+ * 2. Send the usual urgent-call and watchlist notifications for each released post;
+ *    a failing notification does not hold back the others
+ *
+ * SCHEDULING:
+ * - Runs on config.cron.postPublisher (default: every minute)
+ * - Overlapping runs are skipped
+ */
+
+const cron = require('node-cron');
+const config = require('../config/env');
+const PostModel = require('../models/Post');
+const { notifyUrgentPost, notifyWatchlistCall } = require('./postNotificationService');
+const { publishPostEvent } = require('./postEventService');
+const { SOCKET_EVENTS } = require('../utils/constants');
+
+let isPublishing = false;
+
+/**
+ * Publish every scheduled post that is due
+ *
+ * @returns {Promise<Object>} - { published } run summary
+ */
+const publishScheduledPosts = async () => {
+  if (isPublishing) {
+    console.log('[PostPublisher] Previous run still in progress, skipping');
+    return { published: 0, skipped: true };
+  }
+
+  isPublishing = true;
+
+  try {
+    const posts = await PostModel.publishDuePosts();
+
+    for (const post of posts) {
+      console.log(`[PostPublisher] Published post ${post.id} (scheduled for ${post.publish_at.toISOString()})`);
+      try {
+        await notifyUrgentPost(post);
+        await notifyWatchlistCall(post);
+        await publishPostEvent(SOCKET_EVENTS.POST_CREATED, post.id);
+      } catch (error) {
+        console.error(`[PostPublisher] Failed to notify for post ${post.id}:`, error.message);
+      }
+    }
+
+    return { published: posts.length };
+  } catch (error) {
+    console.error('[PostPublisher] Publishing failed:', error);
+    return { published: 0, error: error.message };
+  } finally {
+    isPublishing = false;
+  }
+};
+
+/**
+ * Schedule the post publisher
+ *
+ * @returns {Object} - node-cron scheduled task
+ */
+const schedulePostPublisher = () => {
+  const task = cron.schedule(config.cron.postPublisher, async () => {
+    const summary = await publishScheduledPosts();
+    if (summary.published > 0) {
+      console.log(`[PostPublisher] Run complete: ${summary.published} posts published`);
+    }
+  });
+
+  console.log(`[PostPublisher] Publisher scheduled (${config.cron.postPublisher})`);
+  return task;
+};
+
+module.exports = {
+  publishScheduledPosts,
+  schedulePostPublisher
+};
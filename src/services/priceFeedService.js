@@ -0,0 +1,178 @@
+/**
+ * Price Feed Service
+ *
+ * Pluggable market price feed used for automatic call outcome tracking
+ *
+ * ADAPTER CONTRACT:
+ * A price feed adapter is a plain object:
+ * {
+ *   name: 'csv_replay',
+ *   getTicks: async (symbols) => [{ symbol, price, timestamp }, ...]
+ * }
+ * - getTicks() returns every tick received since the previous call, oldest first
+ * - Symbols are uppercase NSE/BSE symbols (same as posts.stock_symbol)
+ * - Adapters must never throw for an unknown symbol, just return no ticks for it
+ *
+ * BUILT-IN ADAPTERS:
+ * - csv_replay: Replays a local CSV file (timestamp,symbol,price) in batches.
+ *   Useful for development, demos and back-testing the evaluator.
+ *
+ * Additional adapters (broker websocket, vendor REST API) are added with
+ * registerPriceFeedAdapter(name, factory) and selected via PRICE_FEED_PROVIDER.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('../config/env');
+const { parseCsv } = require('../utils/csvParser');
+
+// Registered adapter factories: name -> (options) => adapter
+const adapterFactories = {};
+
+// Active adapter instance (singleton)
+let activeFeed = null;
+
+/**
+ * @typedef {Object} PriceTick
+ * @property {string} symbol - Stock symbol (uppercase)
+ * @property {number} price - Last traded price
+ * @property {Date} timestamp - Tick time
+ */
+
+/**
+ * Create CSV replay price feed
+ *
+ * Expected columns (header row required, order does not matter):
+ * - timestamp (ISO 8601) - optional, defaults to replay time
+ * - symbol
+ * - price (aliases: ltp, close)
+ *
+ * Each getTicks() call emits the next `batchSize` rows, so one cron run
+ * replays one "step" of the market.
+ *
+ * @param {Object} options - { filePath, batchSize, loop }
+ * @returns {Object} - Price feed adapter
+ */
+const createCsvReplayFeed = ({ filePath, batchSize = 50, loop = false } = {}) => {
+  if (!filePath) {
+    throw new Error('CSV replay price feed requires PRICE_FEED_CSV_PATH');
+  }
+
+  const resolvedPath = path.resolve(filePath);
+  let ticks = null;
+  let cursor = 0;
+
+  const loadTicks = () => {
+    const records = parseCsv(fs.readFileSync(resolvedPath, 'utf8'));
+
+    return records
+      .map((record) => {
+        const price = parseFloat(record.price || record.ltp || record.close);
+        const timestamp = record.timestamp ? new Date(record.timestamp) : null;
+
+        return {
+          symbol: (record.symbol || '').toUpperCase(),
+          price,
+          timestamp: timestamp && !isNaN(timestamp.getTime()) ? timestamp : null
+        };
+      })
+      .filter(tick => tick.symbol && Number.isFinite(tick.price) && tick.price > 0)
+      .sort((a, b) => {
+        if (!a.timestamp || !b.timestamp) return 0;
+        return a.timestamp - b.timestamp;
+      });
+  };
+
+  return {
+    name: 'csv_replay',
+
+    getTicks: async (symbols = []) => {
+      if (!ticks) {
+        ticks = loadTicks();
+        console.log(`[PriceFeed] Loaded ${ticks.length} ticks from ${resolvedPath}`);
+      }
+
+      if (cursor >= ticks.length) {
+        if (!loop || ticks.length === 0) {
+          return [];
+        }
+        cursor = 0;
+      }
+
+      const batch = ticks.slice(cursor, cursor + batchSize);
+      cursor += batch.length;
+
+      const wanted = new Set(symbols.map(symbol => symbol.toUpperCase()));
+
+      return batch
+        .filter(tick => wanted.size === 0 || wanted.has(tick.symbol))
+        .map(tick => ({
+          ...tick,
+          timestamp: tick.timestamp || new Date()
+        }));
+    }
+  };
+};
+
+/**
+ * Register a price feed adapter factory
+ *
+ * @param {string} name - Provider name (matches PRICE_FEED_PROVIDER)
+ * @param {Function} factory - (options) => adapter
+ */
+const registerPriceFeedAdapter = (name, factory) => {
+  if (typeof factory !== 'function') {
+    throw new Error(`Price feed adapter "${name}" must be a factory function`);
+  }
+  adapterFactories[name] = factory;
+};
+
+/**
+ * Get the configured price feed
+ * Returns null if the feed is not configured (evaluator skips the run)
+ *
+ * @returns {Object|null} - Price feed adapter
+ */
+const getPriceFeed = () => {
+  if (activeFeed) {
+    return activeFeed;
+  }
+
+  const { provider, ...options } = config.priceFeed;
+  const factory = adapterFactories[provider];
+
+  if (!factory) {
+    console.error(`[PriceFeed] Unknown provider "${provider}"`);
+    return null;
+  }
+
+  try {
+    activeFeed = factory(options);
+    console.log(`[PriceFeed] Using provider: ${activeFeed.name}`);
+    return activeFeed;
+  } catch (error) {
+    console.error('[PriceFeed] Failed to initialize provider:', error.message);
+    return null;
+  }
+};
+
+/**
+ * Replace the active price feed (e.g. a broker adapter created at startup)
+ *
+ * @param {Object|null} feed - Price feed adapter
+ */
+const setPriceFeed = (feed) => {
+  if (feed && typeof feed.getTicks !== 'function') {
+    throw new Error('Price feed adapter must implement getTicks(symbols)');
+  }
+  activeFeed = feed;
+};
+
+registerPriceFeedAdapter('csv_replay', createCsvReplayFeed);
+
+module.exports = {
+  createCsvReplayFeed,
+  registerPriceFeedAdapter,
+  getPriceFeed,
+  setPriceFeed
+};
@@ -0,0 +1,219 @@
+/**
+ * Track Record Service
+ *
+ * Keeps the persisted analyst track record (models/AnalystPerformance) up to
+ * date and shapes it for the API
+ *
+ * FLOW:
+ * - A call closes (price-feed target / stop loss, expiry, or the analyst's
+ *   mark-outcome / full_exit): recordClosedCall rewrites only the slices the call
+ *   falls in ('all' and its strategy x all-time, the rolling periods and its IST
+ *   month). Each slice is recomputed from the analyst's closed calls, not patched
+ *   in place: drawdown, deviation and rolling periods need the whole series.
+ *   Analyst-entered exits count too (unverified_calls_count), so a losing call
+ *   cannot be dropped by closing it by hand.
+ * - Nightly refresh (config.cron.trackRecord, default 00:30): rebuilds every
+ *   analyst, so rolling periods move on and deleted calls drop out
+ * - scripts/backfill_track_records.js runs the same rebuild once
+ *
+ * Metric definitions: utils/trackRecord.
+ */
+
+const cron = require('node-cron');
+const config = require('../config/env');
+const AnalystPerformanceModel = require('../models/AnalystPerformance');
+const { TRACK_RECORD } = require('../utils/constants');
+const {
+  ALL_STRATEGIES,
+  ALL_TIME,
+  getMonthKey,
+  getSliceKeys,
+  computeSlices
+} = require('../utils/trackRecord');
+
+const SUMMARY_PERIODS = [ALL_TIME, ...Object.keys(TRACK_RECORD.ROLLING_PERIODS)];
+
+let isRefreshing = false;
+
+/**
+ * Rewrite the slices a closed call falls in
+ * Never throws: the caller's close must not fail on stats.
+ *
+ * @param {string} analystId - Analyst user UUID
+ * @param {Object} call - Closed call (strategy_type, closed_at)
+ * @returns {Promise<number>} - Number of slices stored
+ */
+const recordClosedCall = async (analystId, call) => {
+  try {
+    const calls = await AnalystPerformanceModel.getTrackedClosedCalls(analystId);
+    const strategies = [ALL_STRATEGIES, ...(call.strategy_type ? [call.strategy_type] : [])];
+    const periods = [...SUMMARY_PERIODS, getMonthKey(call.closed_at || new Date())];
+
+    return await AnalystPerformanceModel.saveSlices(
+      analystId,
+      computeSlices(calls, strategies, periods)
+    );
+  } catch (error) {
+    console.error(`[TrackRecord] Failed to record closed call for analyst ${analystId}:`, error.message);
+    return 0;
+  }
+};
+
+/**
+ * Recompute every slice of an analyst
+ *
+ * @param {string} analystId - Analyst user UUID
+ * @returns {Promise<number>} - Number of slices stored
+ */
+const rebuildAnalyst = async (analystId) => {
+  const calls = await AnalystPerformanceModel.getTrackedClosedCalls(analystId);
+  const { strategies, periods } = getSliceKeys(calls);
+
+  return AnalystPerformanceModel.saveSlices(
+    analystId,
+    computeSlices(calls, strategies, periods),
+    { replaceAll: true }
+  );
+};
+
+/**
+ * Rebuild the track record of every analyst
+ *
+ * @returns {Promise<Object>} - { analysts, rebuilt } run summary
+ */
+const refreshTrackRecords = async () => {
+  if (isRefreshing) {
+    console.log('[TrackRecord] Previous run still in progress, skipping');
+    return { analysts: 0, rebuilt: 0, skipped: true };
+  }
+
+  isRefreshing = true;
+
+  try {
+    const analystIds = await AnalystPerformanceModel.getAnalystIdsToRefresh();
+    let rebuilt = 0;
+
+    for (const analystId of analystIds) {
+      try {
+        await rebuildAnalyst(analystId);
+        rebuilt++;
+      } catch (error) {
+        console.error(`[TrackRecord] Failed to rebuild analyst ${analystId}:`, error.message);
+      }
+    }
+
+    return { analysts: analystIds.length, rebuilt };
+  } catch (error) {
+    console.error('[TrackRecord] Refresh run failed:', error);
+    return { analysts: 0, rebuilt: 0, error: error.message };
+  } finally {
+    isRefreshing = false;
+  }
+};
+
+/**
+ * Strip the slice keys from a stored row
+ *
+ * @param {Object} row - analyst_performance row
+ * @returns {Object} - Metrics
+ */
+const toMetrics = (row) => {
+  const { strategy_type, period, ...metrics } = row;
+  return metrics;
+};
+
+/**
+ * Headline numbers for the analyst profile ('all' strategies)
+ *
+ * @param {string} analystId - Analyst user UUID
+ * @returns {Promise<Object>} - { all_time, '30d', '90d', '365d' } (null when no closed calls)
+ */
+const getPerformanceSummary = async (analystId) => {
+  const rows = await AnalystPerformanceModel.getPerformance(analystId, {
+    strategyType: ALL_STRATEGIES,
+    periods: SUMMARY_PERIODS
+  });
+
+  const summary = {};
+  SUMMARY_PERIODS.forEach((period) => {
+    const row = rows.find(item => item.period === period);
+    summary[period] = row ? toMetrics(row) : null;
+  });
+  return summary;
+};
+
+/**
+ * Full track record of an analyst
+ *
+ * @param {string} analystId - Analyst user UUID
+ * @param {Object} options - { strategy: one strategy instead of all, months: monthly rows (newest first) }
+ * @returns {Promise<Object>} - { strategy, summary, by_strategy, monthly, computed_at }
+ */
+const getAnalystPerformance = async (analystId, options = {}) => {
+  const strategy = options.strategy || ALL_STRATEGIES;
+  const months = options.months || TRACK_RECORD.DEFAULT_MONTHS;
+
+  const rows = await AnalystPerformanceModel.getPerformance(
+    analystId,
+    strategy === ALL_STRATEGIES ? {} : { strategyType: strategy }
+  );
+
+  const summary = {};
+  SUMMARY_PERIODS.forEach((period) => {
+    const row = rows.find(item => item.strategy_type === strategy && item.period === period);
+    summary[period] = row ? toMetrics(row) : null;
+  });
+
+  const byStrategy = {};
+  if (strategy === ALL_STRATEGIES) {
+    rows
+      .filter(row => row.strategy_type !== ALL_STRATEGIES && SUMMARY_PERIODS.includes(row.period))
+      .forEach((row) => {
+        byStrategy[row.strategy_type] = byStrategy[row.strategy_type] || {};
+        byStrategy[row.strategy_type][row.period] = toMetrics(row);
+      });
+  }
+
+  const monthly = rows
+    .filter(row => row.strategy_type === strategy && !SUMMARY_PERIODS.includes(row.period))
+    .sort((a, b) => b.period.localeCompare(a.period))
+    .slice(0, months)
+    .map(row => ({ month: row.period, ...toMetrics(row) }));
+
+  const computedAt = rows.reduce(
+    (latest, row) => (!latest || row.computed_at > latest ? row.computed_at : latest),
+    null
+  );
+
+  return {
+    strategy,
+    summary,
+    by_strategy: byStrategy,
+    monthly,
+    computed_at: computedAt
+  };
+};
+
+/**
+ * Schedule the nightly track record refresh
+ *
+ * @returns {Object} - node-cron scheduled task
+ */
+const scheduleTrackRecordRefresh = () => {
+  const task = cron.schedule(config.cron.trackRecord, async () => {
+    const summary = await refreshTrackRecords();
+    console.log(`[TrackRecord] Refresh complete: ${summary.rebuilt}/${summary.analysts} analysts rebuilt`);
+  });
+
+  console.log(`[TrackRecord] Refresh scheduled (${config.cron.trackRecord})`);
+  return task;
+};
+
+module.exports = {
+  recordClosedCall,
+  rebuildAnalyst,
+  refreshTrackRecords,
+  getPerformanceSummary,
+  getAnalystPerformance,
+  scheduleTrackRecordRefresh
+};
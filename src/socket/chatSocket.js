@@ -10,6 +10,19 @@
  * - Moderation (mute/ban)
  * - Free tier read-only access
  * - Paid tier full access
+ * - Live post pushes (post_created, post_updated, call_status_changed)
+ *
+ * POST PUSHES:
+ * - Every socket joins `user_<userId>` (notifications) and, after
+ *   authenticating, `analyst_<analystId>` for each analyst the user has an
+ *   active subscription with (analysts also join their own room)
+ * - follow_analyst / unfollow_analyst: follow any analyst's room for free
+ *   posts and teasers of paid ones
+ * - Payloads are redacted per recipient with the checkPostAccess rules
+ *   (services/postEventService)
+ * - Missed events: connect with auth `{ lastEventId }` or emit
+ *   replay_post_events `{ since_event_id }`; events come back in order,
+ *   then post_events_replayed
  */
 
 const jwt = require('jsonwebtoken');
@@ -17,6 +30,7 @@ const config = require('../config/env');
 const { SOCKET_EVENTS } = require('../utils/constants');
 const ChatChannel = require('../models/ChatChannel');
 const ChatMessage = require('../models/ChatMessage');
+const SubscriptionModel = require('../models/Subscription');
 
 // In-memory stores (use Redis in production for multi-server support)
 const connectedUsers = new Map(); // userId -> { socketId, channels: Set, connectedAt, role }
@@ -26,6 +40,57 @@ const typingUsers = new Map(); // channelId -> Set of userIds
 const mutedUsers = new Map(); // channelId -> Map(userId -> muteUntil)
 const bannedUsers = new Map(); // channelId -> Set of userIds
 
+/**
+ * Room of an analyst's post pushes
+ * @param {string} analystId - Analyst user ID
+ * @returns {string}
+ */
+const analystRoom = (analystId) => `analyst_${analystId}`;
+
+/**
+ * Join the analyst rooms a user is entitled to (active subscriptions, own room)
+ * @param {Object} socket - Authenticated socket
+ * @returns {Promise<Array<string>>} - Joined analyst IDs
+ */
+const joinAnalystRooms = async (socket) => {
+  const analystIds = await SubscriptionModel.findActiveAnalystIds(socket.userId);
+  if (socket.userRole === 'analyst') {
+    analystIds.push(socket.userId);
+  }
+
+  analystIds.forEach(analystId => socket.join(analystRoom(analystId)));
+  return analystIds;
+};
+
+/**
+ * Analyst IDs whose rooms a socket is in
+ * @param {Object} socket - Socket
+ * @returns {Array<string>}
+ */
+const getJoinedAnalystIds = (socket) => Array.from(socket.rooms)
+  .filter(room => room.startsWith('analyst_'))
+  .map(room => room.slice('analyst_'.length));
+
+/**
+ * Send the post events a socket missed, oldest first
+ * @param {Object} socket - Socket
+ * @param {number} sinceEventId - Last event ID the client received
+ */
+const replayPostEvents = async (socket, sinceEventId) => {
+  // Required lazily: the service pushes through this module
+  const { getMissedEvents } = require('../services/postEventService');
+
+  const replay = await getMissedEvents(socket.userId, getJoinedAnalystIds(socket), sinceEventId);
+
+  replay.events.forEach(event => socket.emit(event.event_type, event));
+  socket.emit(SOCKET_EVENTS.POST_EVENTS_REPLAYED, {
+    count: replay.events.length,
+    last_event_id: replay.last_event_id,
+    truncated: replay.truncated,
+    timestamp: new Date()
+  });
+};
+
 /**
  * Initialize Socket.io chat server
  * @param {Object} io - Socket.io server instance
@@ -60,6 +125,7 @@ const initializeChatSocket = (io) => {
 
       // Attach user info to socket
       socket.userId = decoded.user_id;
+      socket.data.userId = decoded.user_id;
       socket.userRole = decoded.role;
       socket.userEmail = decoded.email;
       socket.userName = decoded.email || 'User';
@@ -87,6 +153,22 @@ const initializeChatSocket = (io) => {
     // Store socket reference
     userSockets.set(socket.userId, socket);
 
+    // Personal room (notifications reach every open tab)
+    socket.join(`user_${socket.userId}`);
+
+    // Analyst rooms for live post pushes, then anything missed while offline
+    joinAnalystRooms(socket)
+      .then(() => {
+        const lastEventId = parseInt(socket.handshake.auth?.lastEventId, 10);
+        if (lastEventId > 0) {
+          return replayPostEvents(socket, lastEventId);
+        }
+        return null;
+      })
+      .catch((error) => {
+        console.error('Error joining analyst rooms:', error);
+      });
+
     // Notify user is online (broadcast to all)
     socket.broadcast.emit(SOCKET_EVENTS.USER_ONLINE, {
       userId: socket.userId,
@@ -718,6 +800,61 @@ const initializeChatSocket = (io) => {
       }
     });
 
+    /**
+     * FOLLOW_ANALYST - Receive an analyst's post pushes (free posts, teasers of paid ones)
+     */
+    socket.on(SOCKET_EVENTS.FOLLOW_ANALYST, (data) => {
+      const { analystId } = data || {};
+
+      if (!analystId || typeof analystId !== 'string') {
+        socket.emit(SOCKET_EVENTS.ERROR, {
+          event: SOCKET_EVENTS.FOLLOW_ANALYST,
+          message: 'Analyst ID is required'
+        });
+        return;
+      }
+
+      socket.join(analystRoom(analystId));
+      socket.emit('analyst_followed', { analystId, timestamp: new Date() });
+    });
+
+    /**
+     * UNFOLLOW_ANALYST - Stop an analyst's post pushes
+     */
+    socket.on(SOCKET_EVENTS.UNFOLLOW_ANALYST, (data) => {
+      const { analystId } = data || {};
+
+      if (analystId) {
+        socket.leave(analystRoom(analystId));
+      }
+      socket.emit('analyst_unfollowed', { analystId, timestamp: new Date() });
+    });
+
+    /**
+     * REPLAY_POST_EVENTS - Resend post events after the client's last one
+     */
+    socket.on(SOCKET_EVENTS.REPLAY_POST_EVENTS, async (data) => {
+      try {
+        const sinceEventId = parseInt(data?.since_event_id, 10);
+
+        if (!(sinceEventId >= 0)) {
+          socket.emit(SOCKET_EVENTS.ERROR, {
+            event: SOCKET_EVENTS.REPLAY_POST_EVENTS,
+            message: 'since_event_id is required'
+          });
+          return;
+        }
+
+        await replayPostEvents(socket, sinceEventId);
+      } catch (error) {
+        console.error('Error replaying post events:', error);
+        socket.emit(SOCKET_EVENTS.ERROR, {
+          event: SOCKET_EVENTS.REPLAY_POST_EVENTS,
+          message: 'Failed to replay post events'
+        });
+      }
+    });
+
     /**
      * DISCONNECT - Handle user disconnect
      */
@@ -813,11 +950,30 @@ const getChannelOnlineUsers = (channelId) => {
  * @param {Object} notification - Notification data
  */
 const sendNotificationToUser = (io, userId, notification) => {
-  const userSocket = userSockets.get(userId);
+  io.to(`user_${userId}`).emit(SOCKET_EVENTS.NEW_NOTIFICATION, notification);
+};
 
-  if (userSocket) {
-    userSocket.emit(SOCKET_EVENTS.NEW_NOTIFICATION, notification);
-  }
+/**
+ * Push an event to an analyst's room, built per recipient
+ * @param {Object} io - Socket.io server instance
+ * @param {string} analystId - Analyst user ID
+ * @param {string} event - Event name
+ * @param {Function} buildPayload - (userId) => payload, or null to skip the recipient
+ * @returns {Promise<number>} - Number of sockets reached
+ */
+const emitToAnalystRoom = async (io, analystId, event, buildPayload) => {
+  const sockets = await io.in(analystRoom(analystId)).fetchSockets();
+  let sent = 0;
+
+  sockets.forEach((recipient) => {
+    const payload = buildPayload(recipient.data.userId);
+    if (payload) {
+      recipient.emit(event, payload);
+      sent++;
+    }
+  });
+
+  return sent;
 };
 
 /**
@@ -855,4 +1011,5 @@ module.exports.isUserOnline = isUserOnline;
 module.exports.getChannelOnlineUsers = getChannelOnlineUsers;
 module.exports.sendNotificationToUser = sendNotificationToUser;
 module.exports.broadcastToChannel = broadcastToChannel;
+module.exports.emitToAnalystRoom = emitToAnalystRoom;
 module.exports.getChatStats = getChatStats;
@@ -0,0 +1,258 @@
+/**
+ * Analyst Feed Renderer
+ *
+ * RSS 2.0, Atom 1.0 and JSON Feed 1.1 documents of an analyst's posts
+ * (GET /api/analysts/:id/feed.rss | .atom | .json)
+ *
+ * Every entry carries the call fields (symbol, direction, strategy, sector,
+ * entry, targets, stop loss, status). Teasers of paid posts (utils/postTeaser)
+ * keep their levels redacted and link to the analyst's tiers instead of the
+ * content. Pagination uses RFC 5005 links (first / next / previous).
+ * Calls end with their SEBI disclosure block (utils/disclosureBlock), teasers
+ * included.
+ *
+ * Loading, access and caching live in services/analystFeedService; the
+ * renderers are pure.
+ */
+
+const { escapeXml } = require('./helpers');
+const { formatDisclosureText } = require('./disclosureBlock');
+
+const JSON_FEED_VERSION = 'https://jsonfeed.org/version/1.1';
+
+/**
+ * @param {*} value - Decimal column (string or number)
+ * @returns {number|null}
+ */
+const toPrice = (value) => {
+  if (value === null || value === undefined || isNaN(parseFloat(value))) {
+    return null;
+  }
+  return parseFloat(value);
+};
+
+/**
+ * @param {Date|string|null} value
+ * @returns {Date|null}
+ */
+const toDate = (value) => (value ? new Date(value) : null);
+
+/**
+ * Call fields of a post (levels are null on teasers)
+ *
+ * @param {Object} post - Post or teaser
+ * @returns {Object|null} - Call fields, null for non-call posts
+ */
+const buildCallFields = (post) => {
+  if (post.post_type !== 'call') {
+    return null;
+  }
+
+  const formatted = post.content_formatted || {};
+  const targets = Array.isArray(post.targets) && post.targets.length > 0
+    ? post.targets.map(target => toPrice(target.target_price))
+    : [toPrice(post.target_price)].filter(price => price !== null);
+
+  return {
+    stock_symbol: post.stock_symbol || null,
+    action: post.action || null,
+    strategy_type: post.strategy_type || null,
+    sector: post.sector || null,
+    entry_price: toPrice(post.entry_price),
+    targets,
+    stop_loss: toPrice(post.stop_loss),
+    risk_reward_ratio: post.risk_reward_ratio || formatted.risk_reward_ratio || null,
+    time_horizon: formatted.time_horizon || null,
+    call_status: post.call_status || null,
+    legs: Array.isArray(post.legs) && post.legs.length > 0 ? post.legs : null
+  };
+};
+
+/**
+ * Plain-text summary of a call (one line per field)
+ *
+ * @param {Object} call - Call fields
+ * @returns {string}
+ */
+const describeCall = (call) => {
+  const lines = [[call.stock_symbol, call.action].filter(Boolean).join(' ')];
+
+  if (call.strategy_type) {
+    lines.push(`Strategy: ${call.strategy_type}`);
+  }
+  if (call.entry_price !== null) {
+    lines.push(`Entry: ${call.entry_price}`);
+  }
+  if (call.targets.length > 0) {
+    lines.push(`Targets: ${call.targets.join(' / ')}`);
+  }
+  if (call.stop_loss !== null) {
+    lines.push(`Stop loss: ${call.stop_loss}`);
+  }
+  if (call.time_horizon) {
+    lines.push(`Horizon: ${call.time_horizon}`);
+  }
+  if (call.call_status) {
+    lines.push(`Status: ${call.call_status}`);
+  }
+
+  return lines.filter(Boolean).join('\n');
+};
+
+/**
+ * Feed entry of a post
+ *
+ * @param {Object} post - Post or teaser (with is_teaser / unlock)
+ * @param {Object} links - { postUrl: (id) => string }
+ * @returns {Object} - { id, url, title, text, call, disclosure, is_teaser, unlock_url, published, updated, tags }
+ */
+const buildEntry = (post, links) => {
+  const call = buildCallFields(post);
+  const direction = call ? [call.stock_symbol, call.action].filter(Boolean).join(' ') : '';
+  const title = post.title || (direction ? `${direction} Call` : 'Market update');
+
+  let text;
+  if (post.is_teaser) {
+    text = [
+      call ? describeCall(call) : null,
+      'Paid post: entry, targets and stop loss are visible to subscribers.',
+      `${post.unlock.label}: ${post.unlock.subscribe_url}`
+    ].filter(Boolean).join('\n\n');
+  } else {
+    text = [post.content, call ? describeCall(call) : null].filter(Boolean).join('\n\n');
+  }
+
+  if (post.disclosure) {
+    text = `${text}\n\n${formatDisclosureText(post.disclosure)}`;
+  }
+
+  return {
+    id: post.id,
+    url: links.postUrl(post.id),
+    title,
+    text,
+    call,
+    disclosure: post.disclosure || null,
+    is_teaser: Boolean(post.is_teaser),
+    unlock_url: post.is_teaser ? post.unlock.subscribe_url : null,
+    published: toDate(post.published_at || post.created_at),
+    updated: toDate(post.updated_at || post.published_at || post.created_at),
+    tags: [post.strategy_type, post.sector, post.stock_symbol].filter(Boolean)
+  };
+};
+
+/**
+ * RSS 2.0 document
+ *
+ * @param {Object} feed - { title, description, home_page_url, feed_url, links, author, updated, entries }
+ * @returns {string}
+ */
+const renderRss = (feed) => {
+  const items = feed.entries.map(entry => [
+    '    <item>',
+    `      <title>${escapeXml(entry.title)}</title>`,
+    `      <link>${escapeXml(entry.url)}</link>`,
+    `      <guid isPermaLink="false">${escapeXml(entry.id)}</guid>`,
+    `      <pubDate>${entry.published.toUTCString()}</pubDate>`,
+    `      <description>${escapeXml(entry.text)}</description>`,
+    ...entry.tags.map(tag => `      <category>${escapeXml(tag)}</category>`),
+    '    </item>'
+  ].join('\n'));
+
+  const pageLinks = ['first', 'next', 'previous']
+    .filter(rel => feed.links[rel])
+    .map(rel => `    <atom:link rel="${rel}" href="${escapeXml(feed.links[rel])}"/>`);
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">',
+    '  <channel>',
+    `    <title>${escapeXml(feed.title)}</title>`,
+    `    <link>${escapeXml(feed.home_page_url)}</link>`,
+    `    <description>${escapeXml(feed.description)}</description>`,
+    `    <atom:link rel="self" type="application/rss+xml" href="${escapeXml(feed.feed_url)}"/>`,
+    ...pageLinks,
+    `    <lastBuildDate>${feed.updated.toUTCString()}</lastBuildDate>`,
+    ...items,
+    '  </channel>',
+    '</rss>',
+    ''
+  ].join('\n');
+};
+
+/**
+ * Atom 1.0 document
+ *
+ * @param {Object} feed - See renderRss
+ * @returns {string}
+ */
+const renderAtom = (feed) => {
+  const entries = feed.entries.map(entry => [
+    '  <entry>',
+    `    <id>urn:uuid:${escapeXml(entry.id)}</id>`,
+    `    <title>${escapeXml(entry.title)}</title>`,
+    `    <link rel="alternate" href="${escapeXml(entry.url)}"/>`,
+    `    <published>${entry.published.toISOString()}</published>`,
+    `    <updated>${entry.updated.toISOString()}</updated>`,
+    ...entry.tags.map(tag => `    <category term="${escapeXml(tag)}"/>`),
+    `    <content type="text">${escapeXml(entry.text)}</content>`,
+    '  </entry>'
+  ].join('\n'));
+
+  const pageLinks = ['first', 'next', 'previous']
+    .filter(rel => feed.links[rel])
+    .map(rel => `  <link rel="${rel}" href="${escapeXml(feed.links[rel])}"/>`);
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom">',
+    `  <id>${escapeXml(feed.home_page_url)}</id>`,
+    `  <title>${escapeXml(feed.title)}</title>`,
+    `  <subtitle>${escapeXml(feed.description)}</subtitle>`,
+    `  <updated>${feed.updated.toISOString()}</updated>`,
+    `  <author><name>${escapeXml(feed.author.name)}</name><uri>${escapeXml(feed.home_page_url)}</uri></author>`,
+    `  <link rel="alternate" href="${escapeXml(feed.home_page_url)}"/>`,
+    `  <link rel="self" type="application/atom+xml" href="${escapeXml(feed.feed_url)}"/>`,
+    ...pageLinks,
+    ...entries,
+    '</feed>',
+    ''
+  ].join('\n');
+};
+
+/**
+ * JSON Feed 1.1 document (call fields under the `_call` extension, the
+ * disclosure block under `_disclosure`)
+ *
+ * @param {Object} feed - See renderRss
+ * @returns {Object}
+ */
+const renderJsonFeed = (feed) => ({
+  version: JSON_FEED_VERSION,
+  title: feed.title,
+  description: feed.description,
+  home_page_url: feed.home_page_url,
+  feed_url: feed.feed_url,
+  ...(feed.links.next ? { next_url: feed.links.next } : {}),
+  icon: feed.author.avatar || undefined,
+  authors: [{ name: feed.author.name, url: feed.home_page_url, avatar: feed.author.avatar || undefined }],
+  items: feed.entries.map(entry => ({
+    id: entry.id,
+    url: entry.url,
+    title: entry.title,
+    content_text: entry.text,
+    date_published: entry.published.toISOString(),
+    date_modified: entry.updated.toISOString(),
+    tags: entry.tags,
+    ...(entry.unlock_url ? { external_url: entry.unlock_url } : {}),
+    _call: entry.call ? { ...entry.call, is_teaser: entry.is_teaser } : undefined,
+    _disclosure: entry.disclosure || undefined
+  }))
+});
+
+module.exports = {
+  buildEntry,
+  renderRss,
+  renderAtom,
+  renderJsonFeed
+};
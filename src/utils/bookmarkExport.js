@@ -0,0 +1,191 @@
+/**
+ * Bookmark Export Renderer
+ *
+ * CSV and JSON exports of a trader's bookmarks
+ * (GET /api/posts/bookmarks/collections/:collectionId/export)
+ *
+ * One row per bookmarked post with the trader's notes and tags, the call
+ * levels (entry, staged targets, stop loss) and the outcome (status, exit,
+ * return, who closed it). Self-reported calls are flagged; paid posts the
+ * trader cannot read in full come without levels (call.levels_redacted).
+ *
+ * Loading lives in models/Bookmark (getBookmarksForExport); the renderers
+ * are pure.
+ */
+
+const CSV_COLUMNS = [
+  'bookmarked_at',
+  'collection',
+  'tags',
+  'notes',
+  'analyst',
+  'sebi_registration_number',
+  'post_url',
+  'title',
+  'post_type',
+  'stock_symbol',
+  'action',
+  'strategy_type',
+  'sector',
+  'entry_price',
+  'targets',
+  'stop_loss',
+  'levels_redacted',
+  'posted_at',
+  'call_status',
+  'exit_price',
+  'profit_percent',
+  'closed_at',
+  'outcome_source',
+  'is_self_reported'
+];
+
+/**
+ * @param {*} value - Decimal column (string or number)
+ * @returns {number|null}
+ */
+const toNumber = (value) => {
+  if (value === null || value === undefined || isNaN(parseFloat(value))) {
+    return null;
+  }
+  return parseFloat(value);
+};
+
+/**
+ * @param {Date|string|null} value
+ * @returns {string|null} - ISO timestamp
+ */
+const toIso = (value) => (value ? new Date(value).toISOString() : null);
+
+/**
+ * Export record of a bookmark
+ *
+ * @param {Object} bookmark - Row from Bookmark.getBookmarksForExport (with `targets`)
+ * @param {Object} links - { postUrl: (id) => string }
+ * @returns {Object}
+ */
+const buildExportRecord = (bookmark, links) => {
+  const targets = bookmark.targets.length > 0
+    ? bookmark.targets.map(target => ({
+      target_order: target.target_order,
+      target_price: toNumber(target.target_price),
+      allocation_percent: toNumber(target.allocation_percent),
+      status: target.status,
+      exit_price: toNumber(target.exit_price),
+      realized_percent: toNumber(target.realized_percent)
+    }))
+    : [toNumber(bookmark.target_price)]
+      .filter(price => price !== null)
+      .map(price => ({ target_order: 1, target_price: price }));
+
+  return {
+    bookmark_id: bookmark.bookmark_id,
+    bookmarked_at: toIso(bookmark.bookmarked_at),
+    collection: bookmark.collection_name || null,
+    tags: bookmark.tags || [],
+    notes: bookmark.notes || null,
+    post_id: bookmark.post_id,
+    post_url: links.postUrl(bookmark.post_id),
+    analyst: {
+      name: bookmark.analyst_name,
+      sebi_registration_number: bookmark.sebi_registration_number || null
+    },
+    title: bookmark.title || null,
+    post_type: bookmark.post_type,
+    call: {
+      stock_symbol: bookmark.stock_symbol || null,
+      action: bookmark.action || null,
+      strategy_type: bookmark.strategy_type || null,
+      sector: bookmark.sector || null,
+      entry_price: toNumber(bookmark.entry_price),
+      targets,
+      stop_loss: toNumber(bookmark.stop_loss),
+      posted_at: toIso(bookmark.published_at),
+      levels_redacted: Boolean(bookmark.levels_redacted)
+    },
+    outcome: {
+      call_status: bookmark.call_status || null,
+      exit_price: toNumber(bookmark.actual_exit_price),
+      profit_percent: toNumber(bookmark.actual_profit_percent),
+      closed_at: toIso(bookmark.closed_at),
+      outcome_source: bookmark.outcome_source || null,
+      is_self_reported: Boolean(bookmark.is_self_reported)
+    }
+  };
+};
+
+/**
+ * Escape a CSV field
+ * Text starting with =, +, -, @ is prefixed with ' so spreadsheets do not
+ * run it as a formula (notes and titles are user input).
+ *
+ * @param {*} value
+ * @returns {string}
+ */
+const csvField = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  if (typeof value === 'number' || typeof value === 'boolean') {
+    return String(value);
+  }
+
+  let text = String(value);
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * CSV document (header row + one row per bookmark, staged targets joined with " / ")
+ *
+ * @param {Array<Object>} records - From buildExportRecord
+ * @returns {string}
+ */
+const renderCsv = (records) => {
+  const rows = records.map((record) => {
+    const values = {
+      bookmarked_at: record.bookmarked_at,
+      collection: record.collection,
+      tags: record.tags.join(', '),
+      notes: record.notes,
+      analyst: record.analyst.name,
+      sebi_registration_number: record.analyst.sebi_registration_number,
+      post_url: record.post_url,
+      title: record.title,
+      post_type: record.post_type,
+      ...record.call,
+      targets: record.call.targets
+        .map(target => target.target_price)
+        .filter(price => price !== null)
+        .join(' / '),
+      ...record.outcome
+    };
+    return CSV_COLUMNS.map(column => csvField(values[column])).join(',');
+  });
+
+  return [CSV_COLUMNS.join(','), ...rows].join('\r\n') + '\r\n';
+};
+
+/**
+ * JSON document
+ *
+ * @param {Array<Object>} records - From buildExportRecord
+ * @param {Object} meta - { collection: { id, name } | null, exported_at, truncated }
+ * @returns {Object}
+ */
+const renderJson = (records, meta) => ({
+  collection: meta.collection,
+  exported_at: meta.exported_at,
+  count: records.length,
+  truncated: meta.truncated,
+  bookmarks: records
+});
+
+module.exports = {
+  CSV_COLUMNS,
+  buildExportRecord,
+  renderCsv,
+  renderJson
+};
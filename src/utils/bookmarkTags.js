@@ -0,0 +1,76 @@
+/**
+ * Bookmark Tag Utility
+ *
+ * Normalizes the free-form tags traders put on bookmarks ("breakout",
+ * "earnings-play", "review later") so filters match regardless of case
+ * and spacing.
+ *
+ * Tags are lowercased, trimmed, inner whitespace collapsed, deduplicated
+ * (order kept). Letters, digits, spaces, "-" and "_" only.
+ */
+
+const { BOOKMARK_SETTINGS } = require('./constants');
+
+const TAG_PATTERN = /^[a-z0-9][a-z0-9 _-]*$/;
+
+/**
+ * Normalize a single tag
+ *
+ * @param {*} tag - Raw tag
+ * @returns {string} - Normalized tag ('' for non-strings)
+ */
+const normalizeTag = (tag) => {
+  if (typeof tag !== 'string') {
+    return '';
+  }
+  return tag.trim().toLowerCase().replace(/\s+/g, ' ');
+};
+
+/**
+ * Validate and normalize a bookmark's tags
+ *
+ * @param {*} tags - Array of strings, or a comma-separated string
+ * @returns {Object} - { valid, errors, tags }
+ */
+const normalizeTags = (tags) => {
+  const errors = [];
+
+  if (tags === null || tags === undefined || tags === '') {
+    return { valid: true, errors, tags: [] };
+  }
+
+  const rawTags = typeof tags === 'string' ? tags.split(',') : tags;
+  if (!Array.isArray(rawTags)) {
+    return { valid: false, errors: ['tags must be an array of strings'], tags: [] };
+  }
+
+  const normalized = [];
+  rawTags.forEach((rawTag) => {
+    const tag = normalizeTag(rawTag);
+    if (!tag) {
+      return;
+    }
+    if (tag.length > BOOKMARK_SETTINGS.MAX_TAG_LENGTH) {
+      errors.push(`Tag "${tag}" is longer than ${BOOKMARK_SETTINGS.MAX_TAG_LENGTH} characters`);
+    } else if (!TAG_PATTERN.test(tag)) {
+      errors.push(`Tag "${tag}" may only contain letters, digits, spaces, "-" and "_"`);
+    } else if (!normalized.includes(tag)) {
+      normalized.push(tag);
+    }
+  });
+
+  if (normalized.length > BOOKMARK_SETTINGS.MAX_TAGS) {
+    errors.push(`A bookmark can have at most ${BOOKMARK_SETTINGS.MAX_TAGS} tags`);
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors,
+    tags: normalized
+  };
+};
+
+module.exports = {
+  normalizeTag,
+  normalizeTags
+};
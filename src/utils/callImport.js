@@ -0,0 +1,291 @@
+/**
+ * Call Import Utility
+ *
+ * Parses and validates historical calls that analysts bring from other
+ * channels (Telegram, spreadsheets) as CSV or JSON
+ *
+ * COLUMNS (case-insensitive; aliases in brackets):
+ * - symbol [stock_symbol, stock] - required
+ * - action - BUY or SELL, required
+ * - entry [entry_price] - required
+ * - targets [target, target_price] - One or more prices, separated by "|" or ";" in CSV
+ * - stop_loss [sl, stoploss]
+ * - call_type - longterm, positional, swing, intraday, overnight, quant
+ *   (defaults to the request's default_call_type)
+ * - posted_at [date, timestamp] - When the call was made (ISO 8601), required
+ * - exit [exit_price] - required
+ * - exited_at [exit_at, closed_at] - When the call was exited (ISO 8601), required
+ * - notes [content] - Optional text shown as the post content
+ *
+ * Every row is checked with callTypeValidator.validateTradingCall plus the
+ * import rules (past timestamps, exit after entry). Invalid rows are reported
+ * with their row number and never stop the valid ones.
+ */
+
+const { parseCsv } = require('./csvParser');
+const { validateTradingCall, mapToDbStrategyType } = require('./callTypeValidator');
+const { normalizeTargets, calculateProfitPercent } = require('./callTargets');
+const { normalizeStockSymbol, isValidSymbol } = require('./stockSymbolMapper');
+
+const COLUMN_ALIASES = {
+  symbol: ['symbol', 'stock_symbol', 'stock'],
+  action: ['action'],
+  entry: ['entry', 'entry_price'],
+  targets: ['targets', 'target', 'target_price'],
+  stop_loss: ['stop_loss', 'sl', 'stoploss'],
+  call_type: ['call_type'],
+  posted_at: ['posted_at', 'date', 'timestamp'],
+  exit: ['exit', 'exit_price'],
+  exited_at: ['exited_at', 'exit_at', 'closed_at'],
+  notes: ['notes', 'content']
+};
+
+/**
+ * Read a column from a record through its aliases
+ *
+ * @param {Object} record - Record keyed by lowercase column name
+ * @param {string} column - Canonical column
+ * @returns {*} - Value, or null when missing/blank
+ */
+const readColumn = (record, column) => {
+  for (const alias of COLUMN_ALIASES[column]) {
+    const value = record[alias];
+    if (value !== undefined && value !== null && value !== '') {
+      return value;
+    }
+  }
+  return null;
+};
+
+/**
+ * Parse a number that may come from CSV text ("2,450.50")
+ *
+ * @param {*} value - Raw value
+ * @returns {number|null} - Number, NaN when unparseable, null when missing
+ */
+const toNumber = (value) => {
+  if (value === null) {
+    return null;
+  }
+  if (typeof value === 'number') {
+    return value;
+  }
+  const cleaned = String(value).replace(/,/g, '').trim();
+  return cleaned === '' ? null : Number(cleaned);
+};
+
+/**
+ * Parse a timestamp
+ *
+ * @param {*} value - Raw value
+ * @returns {Date|null} - Date (Invalid Date when unparseable), null when missing
+ */
+const toDate = (value) => (value === null ? null : new Date(value));
+
+/**
+ * Read an import into raw records
+ *
+ * @param {string|Array|Object} input - File contents, or an already-parsed JSON body
+ * @param {string} format - 'csv' or 'json'
+ * @returns {Object} - { valid, errors, records, firstRow } (firstRow = number of the first data row)
+ */
+const parseImportFile = (input, format) => {
+  if (format === 'json') {
+    let parsed = input;
+    if (typeof input === 'string') {
+      try {
+        parsed = JSON.parse(input);
+      } catch (error) {
+        return { valid: false, errors: ['File is not valid JSON'], records: [], firstRow: 1 };
+      }
+    }
+
+    const calls = Array.isArray(parsed) ? parsed : parsed?.calls;
+    if (!Array.isArray(calls)) {
+      return {
+        valid: false,
+        errors: ['JSON imports must be an array of calls (or { "calls": [...] })'],
+        records: [],
+        firstRow: 1
+      };
+    }
+
+    return { valid: true, errors: [], records: calls.map(lowercaseKeys), firstRow: 1 };
+  }
+
+  // CSV: row 1 is the header
+  return { valid: true, errors: [], records: parseCsv(String(input || '')), firstRow: 2 };
+};
+
+/**
+ * Lowercase the keys of a JSON record (CSV headers are already lowercased)
+ *
+ * @param {Object} record - Raw record
+ * @returns {Object}
+ */
+const lowercaseKeys = (record) => {
+  if (!record || typeof record !== 'object' || Array.isArray(record)) {
+    return {};
+  }
+
+  return Object.keys(record).reduce((lowered, key) => {
+    lowered[key.trim().toLowerCase()] = record[key];
+    return lowered;
+  }, {});
+};
+
+/**
+ * Outcome of a historical call from its exit price
+ * T1 reached -> target_hit, stop loss reached -> stop_loss_hit, otherwise closed
+ *
+ * @param {Object} call - { action, stop_loss, targets, exit_price }
+ * @returns {string} - call_status
+ */
+const deriveCallStatus = (call) => {
+  const firstTarget = call.targets.length > 0 ? call.targets[0].target_price : null;
+  const isBuy = call.action === 'BUY';
+
+  if (call.stop_loss !== null && (isBuy ? call.exit_price <= call.stop_loss : call.exit_price >= call.stop_loss)) {
+    return 'stop_loss_hit';
+  }
+  if (firstTarget !== null && (isBuy ? call.exit_price >= firstTarget : call.exit_price <= firstTarget)) {
+    return 'target_hit';
+  }
+  return 'closed';
+};
+
+/**
+ * Normalize and validate one import record
+ *
+ * @param {Object} record - Raw record
+ * @param {Object} options - { defaultCallType, now }
+ * @returns {Object} - { errors: Array<string>, call: Object|null }
+ */
+const normalizeImportRow = (record, options = {}) => {
+  const { defaultCallType = null, now = new Date() } = options;
+  const errors = [];
+
+  const rawSymbol = readColumn(record, 'symbol');
+  const symbol = rawSymbol ? normalizeStockSymbol(String(rawSymbol)) : null;
+  const action = readColumn(record, 'action') ? String(readColumn(record, 'action')).trim().toUpperCase() : null;
+  const callType = readColumn(record, 'call_type')
+    ? String(readColumn(record, 'call_type')).trim().toLowerCase()
+    : defaultCallType;
+  const entryPrice = toNumber(readColumn(record, 'entry'));
+  const stopLoss = toNumber(readColumn(record, 'stop_loss'));
+  const exitPrice = toNumber(readColumn(record, 'exit'));
+  const postedAt = toDate(readColumn(record, 'posted_at'));
+  const exitedAt = toDate(readColumn(record, 'exited_at'));
+  const notes = readColumn(record, 'notes');
+
+  const rawTargets = readColumn(record, 'targets');
+  const targetList = rawTargets === null
+    ? []
+    : (Array.isArray(rawTargets) ? rawTargets : String(rawTargets).split(/[|;]/)).map(toNumber);
+
+  if (!symbol || !isValidSymbol(symbol)) {
+    errors.push(rawSymbol ? `Unknown symbol: ${rawSymbol}` : 'symbol is required');
+  }
+  if (!action) {
+    errors.push('action is required');
+  } else if (action === 'HOLD') {
+    errors.push('Imported calls must be BUY or SELL');
+  }
+  if (entryPrice === null) {
+    errors.push('entry is required');
+  } else if (!Number.isFinite(entryPrice) || entryPrice <= 0) {
+    errors.push('entry must be a positive number');
+  }
+  if (stopLoss !== null && (!Number.isFinite(stopLoss) || stopLoss <= 0)) {
+    errors.push('stop_loss must be a positive number');
+  }
+  if (exitPrice === null) {
+    errors.push('exit is required');
+  } else if (!Number.isFinite(exitPrice) || exitPrice <= 0) {
+    errors.push('exit must be a positive number');
+  }
+  if (!postedAt) {
+    errors.push('posted_at is required');
+  } else if (isNaN(postedAt.getTime())) {
+    errors.push('posted_at must be a valid date (ISO 8601)');
+  } else if (postedAt > now) {
+    errors.push('posted_at cannot be in the future');
+  }
+  if (!exitedAt) {
+    errors.push('exited_at is required');
+  } else if (isNaN(exitedAt.getTime())) {
+    errors.push('exited_at must be a valid date (ISO 8601)');
+  } else if (exitedAt > now) {
+    errors.push('exited_at cannot be in the future');
+  } else if (postedAt && !isNaN(postedAt.getTime()) && exitedAt < postedAt) {
+    errors.push('exited_at must be after posted_at');
+  }
+
+  const targetCheck = normalizeTargets(targetList, action);
+
+  // Prices already reported above are left out so each problem is listed once
+  const isPrice = value => Number.isFinite(value) && value > 0;
+  const validation = validateTradingCall({
+    call_type: callType,
+    action,
+    entry_price: isPrice(entryPrice) ? entryPrice : null,
+    target_price: targetCheck.targets.length > 0 ? targetCheck.targets[0].target_price : null,
+    stop_loss: isPrice(stopLoss) ? stopLoss : null,
+    targets: targetList.length > 0 ? targetList : null
+  });
+  errors.push(...validation.errors);
+
+  if (errors.length > 0) {
+    return { errors, call: null };
+  }
+
+  const call = {
+    stock_symbol: symbol,
+    action,
+    strategy_type: mapToDbStrategyType(callType),
+    entry_price: entryPrice,
+    stop_loss: stopLoss,
+    targets: targetCheck.targets,
+    exit_price: exitPrice,
+    posted_at: postedAt,
+    exited_at: exitedAt,
+    notes: notes ? String(notes).trim() : null
+  };
+
+  call.call_status = deriveCallStatus(call);
+  call.profit_percent = calculateProfitPercent(action, entryPrice, exitPrice);
+
+  return { errors, call };
+};
+
+/**
+ * Validate every record of an import
+ *
+ * @param {Array<Object>} records - Raw records
+ * @param {Object} options - { firstRow, defaultCallType, now }
+ * @returns {Object} - { calls: Array<Object> (with row), errors: Array<{ row, symbol, errors }> }
+ */
+const validateImportRows = (records, options = {}) => {
+  const { firstRow = 1 } = options;
+  const calls = [];
+  const errors = [];
+
+  records.forEach((record, index) => {
+    const row = firstRow + index;
+    const result = normalizeImportRow(record, options);
+
+    if (result.call) {
+      calls.push({ row, ...result.call });
+    } else {
+      errors.push({ row, symbol: readColumn(record, 'symbol'), errors: result.errors });
+    }
+  });
+
+  return { calls, errors };
+};
+
+module.exports = {
+  parseImportFile,
+  normalizeImportRow,
+  validateImportRows
+};
@@ -0,0 +1,213 @@
+/**
+ * Call Targets Utility
+ *
+ * Helpers for multi-target calls (T1/T2/T3) with partial exits
+ *
+ * RULES:
+ * - Up to MAX_TARGETS targets per call, ordered nearest to farthest from entry
+ *   (ascending for BUY, descending for SELL)
+ * - Each target books allocation_percent of the position; allocations sum to 100
+ * - Missing allocations are split equally across the remaining percentage
+ * - Blended return = allocation-weighted average of every partial exit
+ * - Partial bookings on single-target calls (call updates) blend the same way,
+ *   with the rest of the position exiting at the final exit price
+ */
+
+const MAX_TARGETS = 5;
+
+/**
+ * Round to 2 decimals
+ * @param {number} value
+ * @returns {number}
+ */
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Calculate profit percent for a single exit
+ *
+ * @param {string} action - BUY or SELL
+ * @param {number} entryPrice - Entry price
+ * @param {number} exitPrice - Exit price
+ * @returns {number|null} - Profit percent rounded to 2 decimals
+ */
+const calculateProfitPercent = (action, entryPrice, exitPrice) => {
+  const entry = parseFloat(entryPrice);
+  const exit = parseFloat(exitPrice);
+
+  if (!entry || !Number.isFinite(exit)) {
+    return null;
+  }
+
+  const change = action === 'SELL'
+    ? (entry - exit) / entry
+    : (exit - entry) / entry;
+
+  return round2(change * 100);
+};
+
+/**
+ * Normalize a list of targets into the stored structure
+ *
+ * Accepts numbers (19600) or objects ({ price, allocation_percent }).
+ * With an entry price, targets must be above it for BUY and below it for SELL.
+ *
+ * @param {Array} targets - Raw targets
+ * @param {string} action - BUY or SELL (used for ordering)
+ * @param {number} entryPrice - Entry price (optional)
+ * @returns {Object} - { valid: boolean, errors: Array<string>, targets: Array<Object> }
+ *
+ * @example
+ * normalizeTargets([19600, { price: 19700, allocation_percent: 30 }], 'BUY')
+ * // => targets: [{ target_order: 1, target_price: 19600, allocation_percent: 70 },
+ * //              { target_order: 2, target_price: 19700, allocation_percent: 30 }]
+ */
+const normalizeTargets = (targets, action = null, entryPrice = null) => {
+  const errors = [];
+
+  if (!Array.isArray(targets) || targets.length === 0) {
+    return { valid: true, errors, targets: [] };
+  }
+
+  if (targets.length > MAX_TARGETS) {
+    errors.push(`A call can have at most ${MAX_TARGETS} targets`);
+  }
+
+  const parsed = targets.map((target, index) => {
+    const raw = typeof target === 'object' && target !== null
+      ? (target.price ?? target.target_price)
+      : target;
+    const allocationRaw = typeof target === 'object' && target !== null
+      ? (target.allocation_percent ?? target.allocation)
+      : undefined;
+
+    const price = parseFloat(raw);
+    const allocation = allocationRaw === undefined || allocationRaw === null
+      ? null
+      : parseFloat(allocationRaw);
+
+    if (!Number.isFinite(price) || price <= 0) {
+      errors.push(`Target ${index + 1}: price must be a positive number`);
+    }
+    if (allocation !== null && (!Number.isFinite(allocation) || allocation <= 0 || allocation > 100)) {
+      errors.push(`Target ${index + 1}: allocation_percent must be between 0 and 100`);
+    }
+
+    return { price, allocation };
+  });
+
+  const entry = parseFloat(entryPrice);
+  if (errors.length === 0 && Number.isFinite(entry) && entry > 0 && (action === 'BUY' || action === 'SELL')) {
+    parsed.forEach((target, index) => {
+      if (action === 'BUY' ? target.price <= entry : target.price >= entry) {
+        errors.push(`Target ${index + 1}: must be ${action === 'BUY' ? 'above' : 'below'} the entry price (${entry}) for a ${action} call`);
+      }
+    });
+  }
+
+  if (errors.length > 0) {
+    return { valid: false, errors, targets: [] };
+  }
+
+  // Order nearest to farthest from entry
+  if (action === 'BUY') {
+    parsed.sort((a, b) => a.price - b.price);
+  } else if (action === 'SELL') {
+    parsed.sort((a, b) => b.price - a.price);
+  }
+
+  const prices = parsed.map(target => target.price);
+  if (new Set(prices).size !== prices.length) {
+    errors.push('Targets must have distinct prices');
+  }
+
+  // Split unallocated percentage equally, remainder to the last unallocated target
+  const assigned = parsed.reduce((sum, target) => sum + (target.allocation || 0), 0);
+  const unallocated = parsed.filter(target => target.allocation === null);
+
+  if (unallocated.length > 0) {
+    const remaining = 100 - assigned;
+    if (remaining <= 0) {
+      errors.push('Target allocations leave no room for targets without an allocation');
+    } else {
+      const share = round2(remaining / unallocated.length);
+      unallocated.forEach((target, index) => {
+        target.allocation = index === unallocated.length - 1
+          ? round2(remaining - share * (unallocated.length - 1))
+          : share;
+      });
+    }
+  }
+
+  const total = round2(parsed.reduce((sum, target) => sum + (target.allocation || 0), 0));
+  if (errors.length === 0 && Math.abs(total - 100) > 0.01) {
+    errors.push(`Target allocations must add up to 100% (got ${total}%)`);
+  }
+
+  if (errors.length > 0) {
+    return { valid: false, errors, targets: [] };
+  }
+
+  return {
+    valid: true,
+    errors,
+    targets: parsed.map((target, index) => ({
+      target_order: index + 1,
+      target_price: target.price,
+      allocation_percent: target.allocation
+    }))
+  };
+};
+
+/**
+ * Calculate blended return across partial exits
+ *
+ * @param {string} action - BUY or SELL
+ * @param {number} entryPrice - Entry price
+ * @param {Array<Object>} exits - [{ allocation_percent, exit_price }]
+ * @returns {number|null} - Allocation-weighted profit percent
+ */
+const calculateBlendedReturn = (action, entryPrice, exits) => {
+  const valid = (exits || []).filter(exit =>
+    exit.exit_price !== null && exit.exit_price !== undefined
+  );
+
+  if (valid.length === 0) {
+    return null;
+  }
+
+  const totalAllocation = valid.reduce((sum, exit) => sum + parseFloat(exit.allocation_percent), 0);
+  if (!totalAllocation) {
+    return null;
+  }
+
+  const weighted = valid.reduce((sum, exit) => {
+    const profit = calculateProfitPercent(action, entryPrice, exit.exit_price);
+    return sum + (profit || 0) * parseFloat(exit.allocation_percent);
+  }, 0);
+
+  return round2(weighted / totalAllocation);
+};
+
+/**
+ * Add the remaining position's exit to a list of partial bookings
+ *
+ * @param {Array<Object>} bookings - [{ allocation_percent, exit_price }]
+ * @param {number|null} exitPrice - Exit price of the remaining position
+ * @returns {Array<Object>} - Bookings plus the remaining exit (if any is left)
+ */
+const withRemainingExit = (bookings, exitPrice) => {
+  const booked = (bookings || []).reduce((sum, booking) => sum + parseFloat(booking.allocation_percent), 0);
+  const remaining = round2(100 - booked);
+
+  return remaining > 0
+    ? [...bookings, { allocation_percent: remaining, exit_price: exitPrice }]
+    : [...bookings];
+};
+
+module.exports = {
+  MAX_TARGETS,
+  calculateProfitPercent,
+  normalizeTargets,
+  calculateBlendedReturn,
+  withRemainingExit
+};
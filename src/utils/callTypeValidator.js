@@ -18,8 +18,17 @@
  * - swing: Swing trading
  * - intraday: Intraday trading
  * - options: Options trading / Algorithmic strategies
+ *
+ * EXPIRY:
+ * - expirySessions: open calls expire at the close of their Nth trading session
+ *   (intraday = same-day close). null = never auto-expires.
  */
 
+const config = require('../config/env');
+const { normalizeTargets } = require('./callTargets');
+const { getSessionCloseAfter } = require('./marketHours');
+const { normalizeLegs } = require('./optionsStrategy');
+
 /**
  * Supported call types for the API
  */
@@ -28,37 +37,43 @@ const CALL_TYPES = {
     label: 'Long-term',
     description: 'Long-term investments (weeks to months)',
     dbMapping: 'long_term',
-    keywords: ['long term', 'investment', 'accumulate', 'hold for months', 'long-term']
+    keywords: ['long term', 'investment', 'accumulate', 'hold for months', 'long-term'],
+    expirySessions: null
   },
   positional: {
     label: 'Positional',
     description: 'Position trading (days to weeks)',
     dbMapping: 'positional',
-    keywords: ['positional', 'swing positional', 'few weeks', 'position trade']
+    keywords: ['positional', 'swing positional', 'few weeks', 'position trade'],
+    expirySessions: null
   },
   swing: {
     label: 'Swing',
     description: 'Swing trading (2-10 days)',
     dbMapping: 'swing',
-    keywords: ['swing', 'few days', 'short term', '2-10 days', 'swing trade']
+    keywords: ['swing', 'few days', 'short term', '2-10 days', 'swing trade'],
+    expirySessions: config.market.swingExpirySessions
   },
   intraday: {
     label: 'Intraday',
     description: 'Intraday trading (same day)',
     dbMapping: 'intraday',
-    keywords: ['intraday', 'today', 'aaj', 'day trade', 'same day', 'scalp']
+    keywords: ['intraday', 'today', 'aaj', 'day trade', 'same day', 'scalp'],
+    expirySessions: 1
   },
   overnight: {
     label: 'Overnight',
     description: 'Overnight positions (1-2 days)',
     dbMapping: 'swing', // Map to swing as closest database match
-    keywords: ['overnight', 'tomorrow', '1-2 days', 'next day', 'kal']
+    keywords: ['overnight', 'tomorrow', '1-2 days', 'next day', 'kal'],
+    expirySessions: config.market.overnightExpirySessions
   },
   quant: {
     label: 'Quant',
     description: 'Quantitative/algorithmic strategies',
     dbMapping: 'options', // Map to options as algorithmic category
-    keywords: ['algo', 'quant', 'systematic', 'algorithm', 'strategy', 'quantitative']
+    keywords: ['algo', 'quant', 'systematic', 'algorithm', 'strategy', 'quantitative'],
+    expirySessions: null
   }
 };
 
@@ -146,10 +161,38 @@ const getAllCallTypes = () => {
     type: key,
     label: metadata.label,
     description: metadata.description,
-    dbMapping: metadata.dbMapping
+    dbMapping: metadata.dbMapping,
+    expirySessions: metadata.expirySessions
   }));
 };
 
+/**
+ * Get the number of trading sessions after which an open call expires
+ * The original call type wins over the DB strategy type, since several call
+ * types share one strategy type (overnight is stored as swing)
+ *
+ * @param {string} dbStrategyType - Database strategy type (posts.strategy_type)
+ * @param {string} callType - Original call type (posts.call_type, optional)
+ * @returns {number|null} - Sessions, or null if calls of this type never auto-expire
+ */
+const getExpirySessions = (dbStrategyType, callType = null) => {
+  const metadata = getCallTypeMetadata(callType) || getCallTypeMetadata(mapFromDbStrategyType(dbStrategyType));
+  return metadata ? metadata.expirySessions : null;
+};
+
+/**
+ * Get the expiry time of a call published at a given instant
+ *
+ * @param {string} dbStrategyType - Database strategy type (posts.strategy_type)
+ * @param {Date|string} publishedAt - When the call went live
+ * @param {string} callType - Original call type (posts.call_type, optional)
+ * @returns {Date|null} - Expiry instant, or null if the call never auto-expires
+ */
+const getCallExpiry = (dbStrategyType, publishedAt, callType = null) => {
+  const sessions = getExpirySessions(dbStrategyType, callType);
+  return sessions ? getSessionCloseAfter(publishedAt, sessions) : null;
+};
+
 /**
  * Detect call type from text content (keyword matching)
  *
@@ -247,6 +290,18 @@ const validateTradingCall = (call) => {
     }
   }
 
+  // Multi-target validation (T1/T2/T3)
+  if (call.targets !== null && call.targets !== undefined) {
+    const targetCheck = normalizeTargets(call.targets, call.action, call.entry_price);
+    errors.push(...targetCheck.errors);
+  }
+
+  // Multi-leg options validation (spreads, straddles, ...)
+  if (call.legs !== null && call.legs !== undefined) {
+    const legCheck = normalizeLegs(call.legs);
+    errors.push(...legCheck.errors);
+  }
+
   return {
     valid: errors.length === 0,
     errors: errors
@@ -272,6 +327,8 @@ module.exports = {
   mapToDbStrategyType,
   mapFromDbStrategyType,
   getAllCallTypes,
+  getExpirySessions,
+  getCallExpiry,
   detectCallTypeFromText,
   isValidDbStrategyType,
   validateTradingCall,
@@ -96,7 +96,11 @@ const NOTIFICATION_TYPES = {
   PAYMENT_SUCCESS: 'payment_success',
   PAYMENT_FAILED: 'payment_failed',
   VERIFICATION_APPROVED: 'verification_approved',
-  VERIFICATION_REJECTED: 'verification_rejected'
+  VERIFICATION_REJECTED: 'verification_rejected',
+  CALL_EXPIRED: 'call_expired',
+  CALL_UPDATE: 'call_update',
+  NEW_COMMENT: 'new_comment',
+  WATCHLIST_CALL: 'watchlist_call'
 };
 
 // File upload limits
@@ -105,7 +109,10 @@ const FILE_LIMITS = {
   MAX_PROFILE_IMAGE_SIZE: 5 * 1024 * 1024, // 5MB
   MAX_DOCUMENT_SIZE: 10 * 1024 * 1024, // 10MB
   ALLOWED_IMAGE_TYPES: ['image/jpeg', 'image/jpg', 'image/png', 'image/webp'],
-  ALLOWED_DOCUMENT_TYPES: ['application/pdf', 'image/jpeg', 'image/jpg', 'image/png']
+  ALLOWED_DOCUMENT_TYPES: ['application/pdf', 'image/jpeg', 'image/jpg', 'image/png'],
+  MAX_POST_IMAGES: 5, // Chart images per post
+  MAX_POST_PDFS: 1, // Research notes per post
+  ATTACHMENT_URL_TTL_SECONDS: 60 * 60 // Signed attachment URLs expire after 1 hour
 };
 
 // Pagination defaults
@@ -137,6 +144,116 @@ const REVIEW_SETTINGS = {
   MAX_COMMENT_LENGTH: 500
 };
 
+// Post comment settings
+const COMMENT_SETTINGS = {
+  MAX_LENGTH: 1000,
+  MAX_DEPTH: 3, // Replies nest at most 3 levels below a top-level comment
+  THREADS_PER_PAGE: 20
+};
+
+// Post drafts
+const DRAFT_SETTINGS = {
+  MAX_DRAFTS: 50, // Open (not promoted) drafts per analyst
+  MAX_CONTENT_LENGTH: 10000,
+  MAX_PRICE: 99999999.99 // post_drafts price columns are DECIMAL(10,2)
+};
+
+// Scheduled posts (models/Post)
+const SCHEDULED_POSTS = {
+  CLOCK_SKEW_SECONDS: 60 // A publish_at this far in the past publishes now (client clock drift)
+};
+
+// Trader watchlists
+const WATCHLIST_SETTINGS = {
+  MAX_SYMBOLS: 50,
+  MAX_NOTES_LENGTH: 200
+};
+
+// Bookmark collections, tags and export (models/Bookmark, models/BookmarkCollection)
+const BOOKMARK_SETTINGS = {
+  MAX_COLLECTIONS: 50,
+  MAX_COLLECTION_NAME_LENGTH: 60,
+  MAX_TAGS: 10, // Tags per bookmark
+  MAX_TAG_LENGTH: 30,
+  MAX_NOTES_LENGTH: 1000,
+  EXPORT_FORMATS: ['csv', 'json'],
+  EXPORT_MAX_ROWS: 5000
+};
+
+// Ranked feed (services/feedRankingService)
+const FEED_RANKING = {
+  CANDIDATE_DAYS: 14, // Only posts from the last 14 days are ranked
+  MAX_CANDIDATES: 300,
+  RECENCY_HALF_LIFE_HOURS: 24,
+  TRACK_RECORD_DAYS: 90,
+  TRACK_RECORD_MIN_CALLS: 5, // Fewer closed calls = no track record signal
+  WEIGHTS: {
+    STYLE_MATCH: 30,
+    RISK_FIT: 15,
+    INTEREST_MATCH: 10,
+    URGENT: 20,
+    RECENCY: 40,
+    TRACK_RECORD: 25
+  }
+};
+
+// Verified analyst track record (utils/trackRecord, services/trackRecordService)
+const TRACK_RECORD = {
+  ROLLING_PERIODS: { '30d': 30, '90d': 90, '365d': 365 }, // Calls closed in the last N days
+  MIN_CALLS_FOR_SCORE: 5, // Fewer closed calls = no risk-adjusted score
+  DEFAULT_MONTHS: 12, // Monthly history returned by GET /api/analysts/:id/performance
+  MAX_MONTHS: 36
+};
+
+// Paid-post teasers (utils/postTeaser, models/TeaserEvent)
+const TEASER_SETTINGS = {
+  ATTRIBUTION_DAYS: 7 // A subscription within 7 days of a teaser view/click counts as a conversion
+};
+
+// Where a teaser was shown (teaser_events.source)
+const TEASER_SOURCES = ['feed', 'analyst_page', 'post'];
+
+// Historical call import (utils/callImport)
+const CALL_IMPORT = {
+  MAX_ROWS: 1000, // Rows per import
+  MAX_FILE_SIZE: 2 * 1024 * 1024, // 2MB
+  LABEL: 'Self-reported, unverified'
+};
+
+// Time-delayed release of paid posts to the free audience (utils/freeAfterPolicy)
+const FREE_AFTER = {
+  MIN_HOURS: 1,
+  MAX_HOURS: 24 * 365
+};
+
+// SEBI disclaimer and disclosures on calls (utils/disclosureBlock)
+const DISCLOSURES = {
+  MAX_DETAILS_LENGTH: 500
+};
+
+// Real-time post events (socket/chatSocket, services/postEventService)
+const POST_EVENTS = {
+  REPLAY_LIMIT: 200, // Events sent per replay request
+  RETENTION_HOURS: 24 // Missed events older than this are not replayed
+};
+
+// Public RSS / Atom / JSON feeds of analysts (services/analystFeedService)
+const ANALYST_FEEDS = {
+  FORMATS: ['rss', 'atom', 'json'],
+  DEFAULT_LIMIT: 20, // Entries per feed page
+  MAX_LIMIT: 50,
+  CACHE_MAX_AGE: 300 // Seconds feed readers may reuse a response
+};
+
+// Shareable performance cards (services/performanceCardService)
+const PERFORMANCE_CARDS = {
+  WIDTH: 1200, // Social preview size (1200x630)
+  HEIGHT: 630,
+  BRAND_NAME: 'Analyst Marketplace',
+  PERIODS: [30, 90, 180, 365], // Track record card periods (days)
+  DEFAULT_PERIOD: 90
+};
+
 // Rate limiting windows
 const RATE_LIMITS = {
   STANDARD: {
@@ -260,7 +377,16 @@ const SOCKET_EVENTS = {
   USER_OFFLINE: 'user_offline',
 
   // Notifications
-  NEW_NOTIFICATION: 'new_notification'
+  NEW_NOTIFICATION: 'new_notification',
+
+  // Analyst post push (per-analyst rooms)
+  POST_CREATED: 'post_created',
+  POST_UPDATED: 'post_updated',
+  CALL_STATUS_CHANGED: 'call_status_changed',
+  FOLLOW_ANALYST: 'follow_analyst',
+  UNFOLLOW_ANALYST: 'unfollow_analyst',
+  REPLAY_POST_EVENTS: 'replay_post_events',
+  POST_EVENTS_REPLAYED: 'post_events_replayed'
 };
 
 // Database table names
@@ -294,6 +420,21 @@ module.exports = {
   OTP_SETTINGS,
   CHAT_SETTINGS,
   REVIEW_SETTINGS,
+  COMMENT_SETTINGS,
+  DRAFT_SETTINGS,
+  SCHEDULED_POSTS,
+  WATCHLIST_SETTINGS,
+  BOOKMARK_SETTINGS,
+  FEED_RANKING,
+  TRACK_RECORD,
+  TEASER_SETTINGS,
+  TEASER_SOURCES,
+  CALL_IMPORT,
+  FREE_AFTER,
+  DISCLOSURES,
+  POST_EVENTS,
+  ANALYST_FEEDS,
+  PERFORMANCE_CARDS,
   RATE_LIMITS,
   HTTP_STATUS,
   MESSAGES,
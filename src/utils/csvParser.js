@@ -0,0 +1,107 @@
+/**
+ * CSV Parser Utility
+ *
+ * Minimal RFC 4180 style CSV parser used for file based inputs
+ * (price feed replays, historical imports)
+ *
+ * Supports:
+ * - Quoted fields with embedded commas, quotes ("") and newlines
+ * - CRLF and LF line endings
+ * - Header row mapping to lowercase, trimmed keys
+ */
+
+/**
+ * Split CSV text into rows of raw field values
+ *
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>} - Rows of fields
+ */
+const parseCsvRows = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  // Strip UTF-8 BOM (Excel exports)
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"') {
+        if (input[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  // Last line without trailing newline
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Drop blank lines
+  return rows.filter(r => !(r.length === 1 && r[0].trim() === ''));
+};
+
+/**
+ * Parse CSV text with a header row into objects
+ *
+ * @param {string} text - CSV text (first row is the header)
+ * @returns {Array<Object>} - One object per data row, keyed by lowercase header
+ *
+ * @example
+ * parseCsv('symbol,price\nRELIANCE,2450.5')
+ * // => [{ symbol: 'RELIANCE', price: '2450.5' }]
+ */
+const parseCsv = (text) => {
+  if (!text || typeof text !== 'string') {
+    return [];
+  }
+
+  const rows = parseCsvRows(text);
+  if (rows.length === 0) {
+    return [];
+  }
+
+  const headers = rows[0].map(header => header.trim().toLowerCase());
+
+  return rows.slice(1).map((fields) => {
+    const record = {};
+    headers.forEach((header, index) => {
+      record[header] = fields[index] !== undefined ? fields[index].trim() : '';
+    });
+    return record;
+  });
+};
+
+module.exports = {
+  parseCsv,
+  parseCsvRows
+};
@@ -0,0 +1,142 @@
+/**
+ * Cursor Pagination Utility
+ *
+ * Opaque keyset cursors for feeds and histories, keyed on (created_at, id)
+ *
+ * WHY:
+ * - OFFSET pages shift when new rows arrive between requests (duplicates / missed calls)
+ * - OFFSET cost grows with depth; keyset pages use the (created_at, id) index
+ *
+ * CURSOR FORMAT:
+ * - base64url JSON { t: created_at (full microsecond precision), id (UUID), d: 'next' | 'prev' }
+ * - 'next' walks to older rows, 'prev' to newer rows
+ * - Clients must treat cursors as opaque strings
+ *
+ * USAGE (model):
+ *   const keyset = keysetClause(decodeCursor(cursor), 'p.created_at', 'p.id', params.length + 1);
+ *   if (keyset.condition) { conditions.push(keyset.condition); params.push(...keyset.params); }
+ *   SELECT ..., p.created_at::text as cursor_created_at, p.id as cursor_id ... ORDER BY ${keyset.orderBy} LIMIT limit + 1
+ *   return buildCursorPage(result.rows, limit, decoded);
+ */
+
+const { AppError } = require('../middleware/errorHandler');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Encode a cursor
+ *
+ * @param {string} createdAt - created_at as text (from ::text, keeps microseconds)
+ * @param {string} id - Row ID (tie-breaker)
+ * @param {string} direction - 'next' (older) or 'prev' (newer)
+ * @returns {string} - Opaque cursor
+ */
+const encodeCursor = (createdAt, id, direction = 'next') => {
+  return Buffer.from(JSON.stringify({ t: createdAt, id, d: direction })).toString('base64url');
+};
+
+/**
+ * Decode a cursor
+ *
+ * @param {string|null} cursor - Opaque cursor
+ * @returns {Object|null} - { createdAt, id, direction } or null when no cursor is given
+ * @throws {AppError} - 400 for malformed cursors
+ */
+const decodeCursor = (cursor) => {
+  if (!cursor) {
+    return null;
+  }
+
+  try {
+    const { t, id, d } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+
+    if (!t || !UUID_PATTERN.test(String(id)) || isNaN(new Date(t).getTime()) || !['next', 'prev'].includes(d)) {
+      throw new Error('Malformed cursor');
+    }
+
+    return { createdAt: t, id: String(id), direction: d };
+  } catch (error) {
+    throw new AppError('Invalid cursor', 400);
+  }
+};
+
+/**
+ * Build the keyset WHERE condition and ORDER BY for a decoded cursor
+ *
+ * @param {Object|null} decoded - Decoded cursor
+ * @param {string} createdAtColumn - e.g. 'p.created_at'
+ * @param {string} idColumn - e.g. 'p.id'
+ * @param {number} paramIndex - Index of the first placeholder to use
+ * @returns {Object} - { condition: string|null, params: Array, orderBy: string }
+ */
+const keysetClause = (decoded, createdAtColumn, idColumn, paramIndex) => {
+  const descending = `${createdAtColumn} DESC, ${idColumn} DESC`;
+
+  if (!decoded) {
+    return { condition: null, params: [], orderBy: descending };
+  }
+
+  const isPrev = decoded.direction === 'prev';
+  const operator = isPrev ? '>' : '<';
+
+  return {
+    condition: `(${createdAtColumn}, ${idColumn}) ${operator} ($${paramIndex}::timestamptz, $${paramIndex + 1})`,
+    params: [decoded.createdAt, decoded.id],
+    orderBy: isPrev ? `${createdAtColumn} ASC, ${idColumn} ASC` : descending
+  };
+};
+
+/**
+ * Turn rows fetched with LIMIT limit + 1 into a cursor page
+ * Rows must carry `cursor_created_at` (created_at::text) and `cursor_id`;
+ * both are stripped from the returned items.
+ *
+ * @param {Array<Object>} rows - Query rows (limit + 1 at most)
+ * @param {number} limit - Page size
+ * @param {Object|null} decoded - Decoded request cursor
+ * @returns {Object} - { items (newest first), next_cursor, prev_cursor, has_more }
+ */
+const buildCursorPage = (rows, limit, decoded) => {
+  const isPrev = decoded?.direction === 'prev';
+  const hasMore = rows.length > limit;
+  const page = rows.slice(0, limit);
+
+  if (isPrev) {
+    page.reverse();
+  }
+
+  const first = page[0];
+  const last = page[page.length - 1];
+
+  // Older rows: only known to exist when walking backwards or when an extra row came back
+  let nextCursor = null;
+  if (last && (isPrev || hasMore)) {
+    nextCursor = encodeCursor(last.cursor_created_at, last.cursor_id, 'next');
+  } else if (!last && isPrev) {
+    nextCursor = encodeCursor(decoded.createdAt, decoded.id, 'next');
+  }
+
+  // Newer rows: always returned so clients can poll for new items
+  let prevCursor = null;
+  if (first) {
+    prevCursor = encodeCursor(first.cursor_created_at, first.cursor_id, 'prev');
+  } else if (decoded) {
+    prevCursor = encodeCursor(decoded.createdAt, decoded.id, 'prev');
+  }
+
+  const items = page.map(({ cursor_created_at, cursor_id, ...item }) => item);
+
+  return {
+    items,
+    next_cursor: nextCursor,
+    prev_cursor: prevCursor,
+    has_more: hasMore
+  };
+};
+
+module.exports = {
+  encodeCursor,
+  decodeCursor,
+  keysetClause,
+  buildCursorPage
+};
@@ -0,0 +1,206 @@
+/**
+ * Disclosure Block Utility
+ *
+ * SEBI disclaimer and disclosure block attached to every call
+ * (Post.createPost stores it in posts.disclosure)
+ *
+ * BLOCK:
+ * - Analyst: name, registration type and number from the analyst profile
+ *   (type from the SEBI number prefix: INH research analyst, INA investment
+ *   adviser, INP portfolio manager, INM merchant banker; RIA number = SEC RIA)
+ * - Per-call disclosures from the analyst: position held in the security,
+ *   financial interest in / compensation from the subject company
+ * - Risk disclaimer, versioned (DISCLAIMER_VERSIONS): the block stores its
+ *   version and text, so later wording changes never rewrite past calls
+ *
+ * `holds_position` is mandatory on every call; details are mandatory when a
+ * position or conflict is declared. Calls without them are rejected.
+ */
+
+const { DISCLOSURES } = require('./constants');
+
+// Risk disclaimer wording; add a version instead of editing a published one
+const DISCLAIMER_VERSIONS = {
+  1: 'Investments in securities market are subject to market risks. Read all the related documents ' +
+    'carefully before investing. Registration granted by SEBI and certification from NISM in no way ' +
+    'guarantee performance of the intermediary or provide any assurance of returns to investors. ' +
+    'This is not personalised investment advice. Past performance is not indicative of future returns.'
+};
+
+const CURRENT_DISCLAIMER_VERSION = 1;
+
+const SEBI_REGISTRATION_TYPES = {
+  INH: { type: 'research_analyst', label: 'SEBI Registered Research Analyst' },
+  INA: { type: 'investment_adviser', label: 'SEBI Registered Investment Adviser' },
+  INP: { type: 'portfolio_manager', label: 'SEBI Registered Portfolio Manager' },
+  INM: { type: 'merchant_banker', label: 'SEBI Registered Merchant Banker' }
+};
+
+/**
+ * Registration shown in the block
+ *
+ * @param {Object|null} profile - Analyst profile (sebi_number, ria_number)
+ * @returns {Object|null} - { type, label, number }, null without a registration number
+ */
+const getRegistration = (profile) => {
+  if (profile && profile.sebi_number) {
+    const number = profile.sebi_number.toUpperCase();
+    const known = SEBI_REGISTRATION_TYPES[number.slice(0, 3)];
+    return {
+      type: known ? known.type : 'sebi_registered',
+      label: known ? known.label : 'SEBI Registered Intermediary',
+      number
+    };
+  }
+
+  if (profile && profile.ria_number) {
+    return {
+      type: 'sec_ria',
+      label: 'SEC Registered Investment Adviser',
+      number: profile.ria_number.toUpperCase()
+    };
+  }
+
+  return null;
+};
+
+/**
+ * Validate the analyst's per-call disclosures
+ *
+ * @param {Object} input - { holds_position, position_details, financial_interest,
+ *   received_compensation, conflict_details }
+ * @returns {Object} - { valid, errors, disclosure }
+ */
+const normalizeCallDisclosure = (input) => {
+  const errors = [];
+
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return {
+      valid: false,
+      errors: ['disclosure is required for calls (holds_position: true/false)'],
+      disclosure: null
+    };
+  }
+
+  const text = (value) => (typeof value === 'string' ? value.trim() : '');
+  const flag = (field, required) => {
+    if (input[field] === undefined || input[field] === null) {
+      if (required) {
+        errors.push(`${field} is required (true or false)`);
+      }
+      return false;
+    }
+    if (typeof input[field] !== 'boolean') {
+      errors.push(`${field} must be a boolean`);
+      return false;
+    }
+    return input[field];
+  };
+
+  const disclosure = {
+    holds_position: flag('holds_position', true),
+    position_details: text(input.position_details) || null,
+    financial_interest: flag('financial_interest', false),
+    received_compensation: flag('received_compensation', false),
+    conflict_details: text(input.conflict_details) || null
+  };
+
+  if (disclosure.holds_position && !disclosure.position_details) {
+    errors.push('position_details is required when holds_position is true (e.g. "Long 500 shares")');
+  }
+  if ((disclosure.financial_interest || disclosure.received_compensation) && !disclosure.conflict_details) {
+    errors.push('conflict_details is required when financial_interest or received_compensation is true');
+  }
+
+  ['position_details', 'conflict_details'].forEach((field) => {
+    if (disclosure[field] && disclosure[field].length > DISCLOSURES.MAX_DETAILS_LENGTH) {
+      errors.push(`${field} must be at most ${DISCLOSURES.MAX_DETAILS_LENGTH} characters`);
+    }
+  });
+
+  if (!disclosure.holds_position) {
+    disclosure.position_details = null;
+  }
+  if (!disclosure.financial_interest && !disclosure.received_compensation) {
+    disclosure.conflict_details = null;
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors,
+    disclosure
+  };
+};
+
+/**
+ * Build the block stored on a call
+ *
+ * @param {Object} profile - Analyst profile (display_name, sebi_number, ria_number)
+ * @param {Object} disclosure - From normalizeCallDisclosure
+ * @param {Date} now - Generation time (default: now)
+ * @returns {Object} - { version, analyst, holdings, conflicts, disclaimer, generated_at }
+ */
+const buildDisclosureBlock = (profile, disclosure, now = new Date()) => {
+  const registration = getRegistration(profile);
+
+  return {
+    version: CURRENT_DISCLAIMER_VERSION,
+    analyst: {
+      name: profile.display_name,
+      registration_type: registration.type,
+      registration_label: registration.label,
+      registration_number: registration.number
+    },
+    holdings: {
+      holds_position: disclosure.holds_position,
+      position_details: disclosure.position_details
+    },
+    conflicts: {
+      financial_interest: disclosure.financial_interest,
+      received_compensation: disclosure.received_compensation,
+      details: disclosure.conflict_details
+    },
+    disclaimer: DISCLAIMER_VERSIONS[CURRENT_DISCLAIMER_VERSION],
+    generated_at: now.toISOString()
+  };
+};
+
+/**
+ * Plain-text lines of a block (emails, feeds)
+ *
+ * @param {Object} block - Stored block
+ * @returns {Array<string>}
+ */
+const formatDisclosureLines = (block) => {
+  const { analyst, holdings, conflicts } = block;
+  const yesNo = value => (value ? 'Yes' : 'No');
+
+  return [
+    `${analyst.name}, ${analyst.registration_label}, Reg. No. ${analyst.registration_number}`,
+    holdings.holds_position
+      ? `Position in this security: Yes (${holdings.position_details})`
+      : 'Position in this security: No',
+    `Financial interest in the subject company: ${yesNo(conflicts.financial_interest)}`,
+    `Compensation from the subject company in the past 12 months: ${yesNo(conflicts.received_compensation)}`,
+    ...(conflicts.details ? [`Conflict details: ${conflicts.details}`] : []),
+    block.disclaimer
+  ];
+};
+
+/**
+ * Plain-text block
+ *
+ * @param {Object} block - Stored block
+ * @returns {string}
+ */
+const formatDisclosureText = (block) => `Disclosure:\n${formatDisclosureLines(block).join('\n')}`;
+
+module.exports = {
+  DISCLAIMER_VERSIONS,
+  CURRENT_DISCLAIMER_VERSION,
+  getRegistration,
+  normalizeCallDisclosure,
+  buildDisclosureBlock,
+  formatDisclosureLines,
+  formatDisclosureText
+};
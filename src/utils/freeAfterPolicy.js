@@ -0,0 +1,73 @@
+/**
+ * Free-After Policy Utility
+ *
+ * Time-delayed release of paid posts to the free audience, so analysts can
+ * prove their track record without giving live calls away
+ *
+ * POLICY: { on_close: boolean, after_hours: number|null }
+ * - on_close: the call becomes free once it is closed (target hit, stop loss
+ *   hit, closed or expired); ignored for non-call posts
+ * - after_hours: the post becomes free this many hours after it went live
+ * - Either condition releases the post; { on_close: false, after_hours: null }
+ *   never releases it
+ *
+ * WHERE IT IS STORED:
+ * - analyst_profiles.free_after - The analyst's default (NULL = never)
+ * - posts.free_after - Per-post override (NULL = use the analyst's default)
+ *
+ * The release itself is evaluated in SQL (Post.FREE_RELEASE_CONDITION) so
+ * feeds, search and checkPostAccess agree on it.
+ */
+
+const { FREE_AFTER } = require('./constants');
+
+/**
+ * Normalize a free_after policy from a request body
+ *
+ * @param {Object|null} input - { on_close, after_hours }, or null
+ * @returns {Object} - { valid: boolean, errors: Array<string>, policy: Object|null }
+ *
+ * @example
+ * normalizeFreeAfter({ after_hours: 48 })
+ * // => policy: { on_close: false, after_hours: 48 }
+ */
+const normalizeFreeAfter = (input) => {
+  const errors = [];
+
+  if (input === null) {
+    return { valid: true, errors, policy: null };
+  }
+
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    errors.push('free_after must be an object: { on_close, after_hours }');
+    return { valid: false, errors, policy: null };
+  }
+
+  const { on_close: onClose = false, after_hours: afterHours = null } = input;
+
+  if (typeof onClose !== 'boolean') {
+    errors.push('free_after.on_close must be a boolean');
+  }
+
+  if (afterHours !== null && (
+    !Number.isInteger(afterHours) ||
+    afterHours < FREE_AFTER.MIN_HOURS ||
+    afterHours > FREE_AFTER.MAX_HOURS
+  )) {
+    errors.push(`free_after.after_hours must be a whole number between ${FREE_AFTER.MIN_HOURS} and ${FREE_AFTER.MAX_HOURS}`);
+  }
+
+  if (errors.length > 0) {
+    return { valid: false, errors, policy: null };
+  }
+
+  return {
+    valid: true,
+    errors,
+    policy: { on_close: onClose, after_hours: afterHours }
+  };
+};
+
+module.exports = {
+  normalizeFreeAfter
+};
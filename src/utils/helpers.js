@@ -114,6 +114,18 @@ const sanitizeInput = (input) => {
     .trim();
 };
 
+/**
+ * Escape text for XML / HTML content and attributes (SVG cards, feeds, emails)
+ * @param {*} value - Text
+ * @returns {string} - Escaped text ('' for null/undefined)
+ */
+const escapeXml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
 /**
  * Pagination helper
  * @param {number} page - Current page number
@@ -395,6 +407,7 @@ module.exports = {
   generateRandomString,
   formatPhoneNumber,
   sanitizeInput,
+  escapeXml,
   getPagination,
   getTotalPages,
   formatPaginationResponse,
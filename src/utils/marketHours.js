@@ -0,0 +1,134 @@
+/**
+ * Market Hours Utility
+ *
+ * Trading session helpers for NSE/BSE (IST, UTC+05:30, no DST)
+ *
+ * SESSIONS:
+ * - A trading day is Monday-Friday that is not listed in MARKET_HOLIDAYS
+ * - Each trading day has one session closing at MARKET_CLOSE_TIME (default 15:30 IST)
+ * - A call posted before today's close counts today as its first session;
+ *   posted after close (or on a holiday/weekend) it starts on the next trading day
+ */
+
+const config = require('../config/env');
+
+const IST_OFFSET_MINUTES = 330;
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Parse "HH:MM" into minutes after midnight
+ *
+ * @param {string} time - Time of day
+ * @returns {number} - Minutes
+ */
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(part => parseInt(part, 10));
+  return hours * 60 + (minutes || 0);
+};
+
+/**
+ * Get the IST calendar day of an instant as a UTC-midnight Date
+ *
+ * @param {Date} date - Instant
+ * @returns {Date} - IST calendar day (time 00:00 UTC)
+ */
+const getIstDay = (date) => {
+  const ist = new Date(date.getTime() + IST_OFFSET_MINUTES * 60 * 1000);
+  return new Date(Date.UTC(ist.getUTCFullYear(), ist.getUTCMonth(), ist.getUTCDate()));
+};
+
+/**
+ * Format an IST calendar day as YYYY-MM-DD
+ *
+ * @param {Date} day - getIstDay() result
+ * @returns {string}
+ */
+const formatDay = (day) => day.toISOString().slice(0, 10);
+
+/**
+ * Check whether an IST calendar day is a trading day
+ *
+ * @param {Date} day - getIstDay() result
+ * @returns {boolean}
+ */
+const isTradingDay = (day) => {
+  const weekday = day.getUTCDay();
+  if (weekday === 0 || weekday === 6) {
+    return false;
+  }
+  return !config.market.holidays.includes(formatDay(day));
+};
+
+/**
+ * Get the session close instant of an IST calendar day
+ *
+ * @param {Date} day - getIstDay() result
+ * @returns {Date} - Close time as an absolute instant
+ */
+const getSessionClose = (day) => new Date(
+  day.getTime() + (toMinutes(config.market.closeTime) - IST_OFFSET_MINUTES) * 60 * 1000
+);
+
+/**
+ * Get the first trading day on or after an IST calendar day
+ *
+ * @param {Date} day - getIstDay() result
+ * @returns {Date} - Trading day
+ */
+const nextTradingDay = (day) => {
+  let current = day;
+  while (!isTradingDay(current)) {
+    current = new Date(current.getTime() + MS_PER_DAY);
+  }
+  return current;
+};
+
+/**
+ * Get the close of the Nth trading session starting from an instant
+ *
+ * @param {Date|string} from - Start instant (e.g. call published_at)
+ * @param {number} sessions - Number of sessions (1 = close of the first session)
+ * @returns {Date} - Session close instant
+ *
+ * @example
+ * // Posted Friday 10:00 IST, 1 session -> Friday 15:30 IST
+ * // Posted Friday 16:00 IST, 1 session -> Monday 15:30 IST
+ */
+const getSessionCloseAfter = (from, sessions = 1) => {
+  const start = new Date(from);
+  let day = getIstDay(start);
+
+  if (!isTradingDay(day) || start >= getSessionClose(day)) {
+    day = new Date(day.getTime() + MS_PER_DAY);
+  }
+  day = nextTradingDay(day);
+
+  for (let session = 1; session < sessions; session++) {
+    day = nextTradingDay(new Date(day.getTime() + MS_PER_DAY));
+  }
+
+  return getSessionClose(day);
+};
+
+/**
+ * Check whether the market is open at an instant
+ *
+ * @param {Date} date - Instant (default: now)
+ * @returns {boolean}
+ */
+const isMarketOpen = (date = new Date()) => {
+  const day = getIstDay(date);
+  if (!isTradingDay(day)) {
+    return false;
+  }
+
+  const minutes = Math.floor((date.getTime() - day.getTime()) / 60000) + IST_OFFSET_MINUTES;
+  return minutes >= toMinutes(config.market.openTime) && minutes < toMinutes(config.market.closeTime);
+};
+
+module.exports = {
+  getIstDay,
+  formatDay,
+  getSessionCloseAfter,
+  isMarketOpen
+};
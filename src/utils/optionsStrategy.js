@@ -0,0 +1,213 @@
+/**
+ * Options Strategy Utility
+ *
+ * Helpers for multi-leg options calls (spreads, straddles, strangles, iron condors)
+ *
+ * LEG STRUCTURE:
+ * { leg_order, underlying, expiry, strike, option_type: 'CE'|'PE', side: 'BUY'|'SELL',
+ *   lots, lot_size, premium }
+ * - premium is per unit; quantity = lots * lot_size
+ *
+ * PAYOFF (at expiry, in rupees for the whole position):
+ * - Piecewise linear in the underlying price with kinks at the strikes
+ * - net_premium > 0 is a credit received, < 0 a debit paid
+ * - max_profit / max_loss are null when unlimited (max_loss is reported as a positive amount)
+ * - Calendar/diagonal spreads (mixed expiries) have no single expiry payoff -> payoff is null
+ */
+
+const MAX_LEGS = 6;
+
+const OPTION_TYPE_ALIASES = {
+  CE: 'CE', CALL: 'CE', C: 'CE',
+  PE: 'PE', PUT: 'PE', P: 'PE'
+};
+
+const SIDE_ALIASES = {
+  BUY: 'BUY', B: 'BUY', LONG: 'BUY',
+  SELL: 'SELL', S: 'SELL', SHORT: 'SELL', WRITE: 'SELL'
+};
+
+/**
+ * Round to 2 decimals
+ * @param {number} value
+ * @returns {number}
+ */
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Normalize and validate option legs
+ *
+ * @param {Array<Object>} legs - Raw legs
+ * @returns {Object} - { valid: boolean, errors: Array<string>, legs: Array<Object> }
+ *
+ * @example
+ * normalizeLegs([
+ *   { underlying: 'NIFTY', expiry: '2026-10-29', strike: 22500, option_type: 'CE', side: 'BUY', lot_size: 75, premium: 120 },
+ *   { underlying: 'NIFTY', expiry: '2026-10-29', strike: 22700, option_type: 'CE', side: 'SELL', lot_size: 75, premium: 45 }
+ * ])
+ */
+const normalizeLegs = (legs) => {
+  const errors = [];
+
+  if (!Array.isArray(legs) || legs.length === 0) {
+    return { valid: true, errors, legs: [] };
+  }
+
+  if (legs.length > MAX_LEGS) {
+    errors.push(`An options call can have at most ${MAX_LEGS} legs`);
+  }
+
+  const normalized = legs.map((leg, index) => {
+    const label = `Leg ${index + 1}`;
+    const underlying = leg.underlying ? String(leg.underlying).trim().toUpperCase() : null;
+    const optionType = OPTION_TYPE_ALIASES[String(leg.option_type || '').trim().toUpperCase()] || null;
+    const side = SIDE_ALIASES[String(leg.side || '').trim().toUpperCase()] || null;
+    const strike = parseFloat(leg.strike);
+    const premium = parseFloat(leg.premium);
+    const lots = leg.lots === undefined || leg.lots === null ? 1 : parseInt(leg.lots, 10);
+    const lotSize = parseInt(leg.lot_size, 10);
+    const expiry = leg.expiry ? new Date(leg.expiry) : null;
+
+    if (!underlying) {
+      errors.push(`${label}: underlying is required`);
+    }
+    if (!expiry || isNaN(expiry.getTime())) {
+      errors.push(`${label}: expiry must be a valid date (YYYY-MM-DD)`);
+    }
+    if (!Number.isFinite(strike) || strike <= 0) {
+      errors.push(`${label}: strike must be a positive number`);
+    }
+    if (!optionType) {
+      errors.push(`${label}: option_type must be CE or PE`);
+    }
+    if (!side) {
+      errors.push(`${label}: side must be BUY or SELL`);
+    }
+    if (!Number.isInteger(lots) || lots < 1) {
+      errors.push(`${label}: lots must be a positive integer`);
+    }
+    if (!Number.isInteger(lotSize) || lotSize < 1) {
+      errors.push(`${label}: lot_size must be a positive integer`);
+    }
+    if (!Number.isFinite(premium) || premium < 0) {
+      errors.push(`${label}: premium must be zero or a positive number`);
+    }
+
+    return {
+      leg_order: index + 1,
+      underlying,
+      expiry: expiry && !isNaN(expiry.getTime()) ? expiry.toISOString().slice(0, 10) : null,
+      strike,
+      option_type: optionType,
+      side,
+      lots,
+      lot_size: lotSize,
+      premium
+    };
+  });
+
+  if (errors.length === 0 && new Set(normalized.map(leg => leg.underlying)).size > 1) {
+    errors.push('All legs must be on the same underlying');
+  }
+
+  if (errors.length > 0) {
+    return { valid: false, errors, legs: [] };
+  }
+
+  return { valid: true, errors, legs: normalized };
+};
+
+/**
+ * Position P&L of all legs at an underlying price at expiry
+ *
+ * @param {Array<Object>} legs - Normalized legs
+ * @param {number} price - Underlying price at expiry
+ * @returns {number} - P&L in rupees
+ */
+const payoffAt = (legs, price) => legs.reduce((total, leg) => {
+  const quantity = leg.lots * leg.lot_size;
+  const intrinsic = leg.option_type === 'CE'
+    ? Math.max(price - leg.strike, 0)
+    : Math.max(leg.strike - price, 0);
+  const direction = leg.side === 'BUY' ? 1 : -1;
+
+  return total + direction * quantity * (intrinsic - leg.premium);
+}, 0);
+
+/**
+ * Calculate expiry payoff metrics for a set of legs
+ *
+ * @param {Array<Object>} rawLegs - Legs (normalized or as stored; numeric strings are fine)
+ * @returns {Object|null} - { net_premium, max_profit, max_loss, breakevens, unlimited_profit, unlimited_loss }
+ *                          or null for mixed expiries / no legs
+ */
+const calculatePayoff = (rawLegs) => {
+  if (!Array.isArray(rawLegs) || rawLegs.length === 0) {
+    return null;
+  }
+
+  const legs = rawLegs.map(leg => ({
+    ...leg,
+    strike: parseFloat(leg.strike),
+    premium: parseFloat(leg.premium),
+    lots: parseInt(leg.lots, 10),
+    lot_size: parseInt(leg.lot_size, 10)
+  }));
+
+  const expiries = new Set(legs.map(leg => String(leg.expiry instanceof Date ? leg.expiry.toISOString().slice(0, 10) : leg.expiry)));
+  if (expiries.size > 1) {
+    return null;
+  }
+
+  const netPremium = legs.reduce((total, leg) => {
+    const direction = leg.side === 'SELL' ? 1 : -1;
+    return total + direction * leg.premium * leg.lots * leg.lot_size;
+  }, 0);
+
+  // Evaluate at 0 and every strike; payoff is linear in between
+  const strikes = [...new Set(legs.map(leg => leg.strike))].sort((a, b) => a - b);
+  const points = [0, ...strikes].map(price => ({ price, pnl: payoffAt(legs, price) }));
+
+  // Slope above the highest strike: only calls are in the money there
+  const rightSlope = legs.reduce((slope, leg) => {
+    if (leg.option_type !== 'CE') return slope;
+    return slope + (leg.side === 'BUY' ? 1 : -1) * leg.lots * leg.lot_size;
+  }, 0);
+
+  const pnls = points.map(point => point.pnl);
+  const unlimitedProfit = rightSlope > 0;
+  const unlimitedLoss = rightSlope < 0;
+
+  // Breakevens: zero crossings between evaluated points, then beyond the highest strike
+  const breakevens = [];
+  for (let i = 0; i < points.length - 1; i++) {
+    const a = points[i];
+    const b = points[i + 1];
+    if (a.pnl === 0 && i > 0) {
+      breakevens.push(a.price);
+    } else if ((a.pnl < 0 && b.pnl > 0) || (a.pnl > 0 && b.pnl < 0)) {
+      breakevens.push(a.price + (0 - a.pnl) * (b.price - a.price) / (b.pnl - a.pnl));
+    }
+  }
+  const last = points[points.length - 1];
+  if (last.pnl === 0 && rightSlope !== 0) {
+    breakevens.push(last.price);
+  } else if (rightSlope !== 0 && Math.sign(last.pnl) === -Math.sign(rightSlope)) {
+    breakevens.push(last.price - last.pnl / rightSlope);
+  }
+
+  return {
+    net_premium: round2(netPremium),
+    max_profit: unlimitedProfit ? null : round2(Math.max(...pnls)),
+    max_loss: unlimitedLoss ? null : round2(Math.max(0, -Math.min(...pnls))),
+    breakevens: breakevens.map(round2),
+    unlimited_profit: unlimitedProfit,
+    unlimited_loss: unlimitedLoss
+  };
+};
+
+module.exports = {
+  MAX_LEGS,
+  normalizeLegs,
+  calculatePayoff
+};
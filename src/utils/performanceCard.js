@@ -0,0 +1,231 @@
+/**
+ * Performance Card Renderer
+ *
+ * Branded SVG cards analysts share on social media
+ * (PERFORMANCE_CARDS.WIDTH x HEIGHT, the usual link preview size)
+ *
+ * CARDS:
+ * - Call card: symbol, action, entry, exit, return, holding time, outcome
+ * - Track record card: win rate and returns of calls closed in a period
+ *
+ * Both carry the verification QR code and URL; numbers and signing live in
+ * services/performanceCardService. Renderers are pure so they stay cheap to test.
+ */
+
+const { PERFORMANCE_CARDS } = require('./constants');
+const { escapeXml } = require('./helpers');
+
+const { WIDTH, HEIGHT, BRAND_NAME } = PERFORMANCE_CARDS;
+
+const COLORS = {
+  background: '#0f172a',
+  text: '#f8fafc',
+  muted: '#94a3b8',
+  accent: '#38bdf8',
+  positive: '#22c55e',
+  negative: '#ef4444',
+  neutral: '#e2e8f0'
+};
+
+const FONT = "'Inter', 'Segoe UI', Arial, sans-serif";
+
+const OUTCOME_LABELS = {
+  target_hit: 'Target hit',
+  stop_loss_hit: 'Stop loss hit',
+  closed: 'Closed by analyst',
+  expired: 'Expired'
+};
+
+/**
+ * @param {number|string|null} price
+ * @returns {string} - e.g. "₹1,234.50" or "—"
+ */
+const formatPrice = (price) => {
+  if (price === null || price === undefined || isNaN(parseFloat(price))) {
+    return '—';
+  }
+  return `₹${parseFloat(price).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+};
+
+/**
+ * @param {number|string|null} percent
+ * @returns {string} - e.g. "+12.40%" or "—"
+ */
+const formatPercent = (percent) => {
+  if (percent === null || percent === undefined || isNaN(parseFloat(percent))) {
+    return '—';
+  }
+  const value = parseFloat(percent);
+  return `${value > 0 ? '+' : ''}${value.toFixed(2)}%`;
+};
+
+/**
+ * @param {number|null} minutes - Holding time in minutes
+ * @returns {string} - e.g. "45m", "3h 20m", "12d 4h"
+ */
+const formatDuration = (minutes) => {
+  if (minutes === null || minutes === undefined || minutes < 0) {
+    return '—';
+  }
+
+  const days = Math.floor(minutes / (24 * 60));
+  const hours = Math.floor((minutes % (24 * 60)) / 60);
+  const mins = Math.round(minutes % 60);
+
+  if (days > 0) {
+    return hours > 0 ? `${days}d ${hours}h` : `${days}d`;
+  }
+  if (hours > 0) {
+    return mins > 0 ? `${hours}h ${mins}m` : `${hours}h`;
+  }
+  return `${mins}m`;
+};
+
+/**
+ * @param {Date|string} date
+ * @returns {string} - e.g. "05 Mar 2026" (IST)
+ */
+const formatDate = (date) => new Date(date).toLocaleDateString('en-IN', {
+  day: '2-digit',
+  month: 'short',
+  year: 'numeric',
+  timeZone: 'Asia/Kolkata'
+});
+
+const returnColor = (percent) => {
+  const value = parseFloat(percent);
+  if (isNaN(value) || value === 0) {
+    return COLORS.neutral;
+  }
+  return value > 0 ? COLORS.positive : COLORS.negative;
+};
+
+/**
+ * Place a standalone SVG (the QR code) inside the card
+ *
+ * @param {string} svg - Standalone <svg> document
+ * @param {number} x
+ * @param {number} y
+ * @param {number} size
+ * @returns {string}
+ */
+const embedSvg = (svg, x, y, size) => svg
+  .replace(/<\?xml[^>]*\?>/, '')
+  .trim()
+  .replace(/^<svg\b/, `<svg x="${x}" y="${y}" width="${size}" height="${size}"`);
+
+const text = (x, y, content, { size = 24, color = COLORS.text, weight = 400, anchor = 'start' } = {}) =>
+  `<text x="${x}" y="${y}" font-family="${FONT}" font-size="${size}" font-weight="${weight}" ` +
+  `fill="${color}" text-anchor="${anchor}">${escapeXml(content)}</text>`;
+
+const stat = (x, y, label, value, color = COLORS.text) => [
+  text(x, y, label.toUpperCase(), { size: 18, color: COLORS.muted, weight: 600 }),
+  text(x, y + 40, value, { size: 34, color, weight: 700 })
+].join('\n  ');
+
+/**
+ * Shared frame: background, brand, analyst, QR panel and disclaimer
+ *
+ * @param {Object} options - { badge, analystName, sebiNumber, verificationUrl, qrSvg, body }
+ * @returns {string} - SVG document
+ */
+const renderFrame = ({ badge, analystName, sebiNumber, verificationUrl, qrSvg, body }) => {
+  const qrSize = 240;
+  const qrX = WIDTH - qrSize - 80;
+  const qrY = 150;
+  const shortUrl = verificationUrl.replace(/^https?:\/\//, '');
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${WIDTH}" height="${HEIGHT}" viewBox="0 0 ${WIDTH} ${HEIGHT}">
+  <rect width="${WIDTH}" height="${HEIGHT}" fill="${COLORS.background}"/>
+  <rect x="0" y="0" width="${WIDTH}" height="8" fill="${COLORS.accent}"/>
+  ${text(60, 70, BRAND_NAME, { size: 26, color: COLORS.accent, weight: 700 })}
+  ${text(WIDTH - 60, 70, badge, { size: 22, color: COLORS.muted, weight: 600, anchor: 'end' })}
+  ${text(60, 130, analystName || 'Analyst', { size: 30, weight: 600 })}
+  ${sebiNumber ? text(60, 162, `SEBI Reg. ${sebiNumber}`, { size: 20, color: COLORS.muted }) : ''}
+  ${body}
+  <rect x="${qrX - 20}" y="${qrY - 20}" width="${qrSize + 40}" height="${qrSize + 40}" rx="16" fill="#ffffff"/>
+  ${embedSvg(qrSvg, qrX, qrY, qrSize)}
+  ${text(qrX + qrSize / 2, qrY + qrSize + 60, 'Scan to verify', { size: 22, weight: 600, anchor: 'middle' })}
+  ${text(qrX + qrSize / 2, qrY + qrSize + 90, shortUrl.length > 34 ? `${shortUrl.slice(0, 33)}…` : shortUrl, { size: 14, color: COLORS.muted, anchor: 'middle' })}
+  ${text(60, HEIGHT - 40, 'Numbers recorded by the platform. Past performance does not guarantee future returns.', { size: 16, color: COLORS.muted })}
+</svg>`;
+};
+
+/**
+ * Render the card of a closed call
+ *
+ * @param {Object} card - { stock_symbol, action, strategy_type, call_status, entry_price, exit_price,
+ *   return_percent, holding_minutes, closed_at, analyst_name, sebi_registration_number }
+ * @param {Object} verification - { url, qrSvg }
+ * @returns {string} - SVG document
+ */
+const renderCallCard = (card, verification) => {
+  const action = (card.action || '').toUpperCase();
+  const actionColor = card.action === 'SELL' ? COLORS.negative : COLORS.positive;
+
+  const body = [
+    text(60, 270, card.stock_symbol, { size: 72, weight: 800 }),
+    `<rect x="60" y="295" width="110" height="40" rx="8" fill="${actionColor}"/>`,
+    text(115, 324, action, { size: 22, weight: 700, anchor: 'middle' }),
+    card.strategy_type ? text(190, 324, card.strategy_type.replace('_', ' ').toUpperCase(), { size: 20, color: COLORS.muted, weight: 600 }) : '',
+    text(760, 270, formatPercent(card.return_percent), { size: 72, color: returnColor(card.return_percent), weight: 800, anchor: 'end' }),
+    text(760, 320, OUTCOME_LABELS[card.call_status] || card.call_status, { size: 22, color: COLORS.muted, anchor: 'end' }),
+    stat(60, 420, 'Entry', formatPrice(card.entry_price)),
+    stat(300, 420, 'Exit', formatPrice(card.exit_price)),
+    stat(540, 420, 'Held for', formatDuration(card.holding_minutes)),
+    text(60, 530, `Closed ${formatDate(card.closed_at)}`, { size: 20, color: COLORS.muted })
+  ].join('\n  ');
+
+  return renderFrame({
+    badge: 'Verified call',
+    analystName: card.analyst_name,
+    sebiNumber: card.sebi_registration_number,
+    verificationUrl: verification.url,
+    qrSvg: verification.qrSvg,
+    body
+  });
+};
+
+/**
+ * Render the track record card of an analyst
+ *
+ * @param {Object} card - { period_days, period_start, period_end, closed_calls, wins, losses,
+ *   unverified_calls, win_rate_percent, average_return_percent, best_return_percent, best_call_symbol,
+ *   analyst_name, sebi_registration_number }
+ * @param {Object} verification - { url, qrSvg }
+ * @returns {string} - SVG document
+ */
+const renderTrackRecordCard = (card, verification) => {
+  const best = card.best_call_symbol
+    ? `${card.best_call_symbol} ${formatPercent(card.best_return_percent)}`
+    : '—';
+
+  const body = [
+    text(60, 240, `Last ${card.period_days} days`, { size: 26, color: COLORS.muted, weight: 600 }),
+    text(60, 272, `${formatDate(card.period_start)} – ${formatDate(card.period_end)}`, { size: 20, color: COLORS.muted }),
+    text(60, 370, `${card.win_rate_percent}%`, { size: 88, color: COLORS.positive, weight: 800 }),
+    text(60, 405, 'of closed calls hit target', { size: 22, color: COLORS.muted }),
+    stat(440, 330, 'Closed calls', String(card.closed_calls)),
+    stat(660, 330, 'Won / Lost', `${card.wins} / ${card.losses}`),
+    card.unverified_calls > 0
+      ? text(440, 405, `incl. ${card.unverified_calls} analyst-reported exit${card.unverified_calls === 1 ? '' : 's'}`, { size: 18, color: COLORS.muted })
+      : '',
+    stat(60, 470, 'Avg return', formatPercent(card.average_return_percent), returnColor(card.average_return_percent)),
+    stat(440, 470, 'Best call', best)
+  ].join('\n  ');
+
+  return renderFrame({
+    badge: 'Verified track record',
+    analystName: card.analyst_name,
+    sebiNumber: card.sebi_registration_number,
+    verificationUrl: verification.url,
+    qrSvg: verification.qrSvg,
+    body
+  });
+};
+
+module.exports = {
+  formatDuration,
+  renderCallCard,
+  renderTrackRecordCard
+};
@@ -0,0 +1,120 @@
+/**
+ * Post Teaser Utility
+ *
+ * Redacted previews of paid posts for viewers without a subscription
+ *
+ * A teaser keeps what a prospect needs to judge the analyst (symbol,
+ * direction, strategy, status, timestamps, engagement) and drops everything
+ * that would give the call away: content, AI-formatted data, entry / target /
+ * stop loss levels (live and published), staged targets, option legs, payoff,
+ * outcome prices and the analyst-written title. Fields are whitelisted, so
+ * columns added to posts later stay hidden until listed here.
+ *
+ * Every teaser carries an `unlock` call to action linking to the analyst's
+ * subscription tiers. Attachments are added afterwards by
+ * postMediaService.attachMedia, which already serves blurred previews.
+ */
+
+const config = require('../config/env');
+
+const TEASER_FIELDS = [
+  'id',
+  'analyst_id',
+  'post_type',
+  'strategy_type',
+  'audience',
+  'stock_symbol',
+  'sector',
+  'industry',
+  'action',
+  'call_status',
+  'is_urgent',
+  'is_pinned',
+  'is_hedge',
+  'is_self_reported',
+  'expires_at',
+  'published_at',
+  'created_at',
+  'views_count',
+  'bookmarks_count',
+  'comments_count',
+  'analyst_name',
+  'analyst_photo',
+  'sebi_registration_number',
+  'disclosure',
+  'is_bookmarked',
+  'has_subscription'
+];
+
+/**
+ * Whether a post must be shown to a viewer as a teaser
+ *
+ * @param {Object} post - Post (audience, analyst_id, has_subscription, is_free_released)
+ * @param {string|null} userId - Viewer
+ * @returns {boolean}
+ */
+const needsTeaser = (post, userId) => post.audience === 'paid' &&
+  !post.has_subscription &&
+  !post.is_free_released &&
+  post.analyst_id !== userId;
+
+/**
+ * "Subscribe to unlock" call to action
+ *
+ * @param {string} analystId - Analyst UUID
+ * @param {string} postId - Teased post UUID (conversion attribution)
+ * @returns {Object} - { label, analyst_id, tiers_url, subscribe_url }
+ */
+const buildUnlockCta = (analystId, postId) => ({
+  label: 'Subscribe to unlock',
+  analyst_id: analystId,
+  tiers_url: `/api/subscriptions/tiers/${analystId}`,
+  subscribe_url: `${config.frontend.url}/analysts/${analystId}/subscribe?teaser=${postId}`
+});
+
+/**
+ * Redact a paid post into a teaser
+ *
+ * @param {Object} post - Full post
+ * @returns {Object} - Teaser (is_teaser: true, unlock CTA)
+ */
+const toTeaser = (post) => {
+  const teaser = TEASER_FIELDS.reduce((fields, field) => {
+    if (post[field] !== undefined) {
+      fields[field] = post[field];
+    }
+    return fields;
+  }, {});
+
+  const direction = [post.stock_symbol, post.action].filter(Boolean).join(' ');
+
+  return {
+    ...teaser,
+    title: post.post_type === 'call' && direction ? `${direction} Call` : null,
+    content: null,
+    content_formatted: null,
+    entry_price: null,
+    target_price: null,
+    stop_loss: null,
+    targets: null,
+    legs: null,
+    payoff: null,
+    is_teaser: true,
+    unlock: buildUnlockCta(post.analyst_id, post.id)
+  };
+};
+
+/**
+ * Replace the posts a viewer cannot read with teasers
+ *
+ * @param {Array<Object>} posts - Posts (with has_subscription)
+ * @param {string|null} userId - Viewer
+ * @returns {Array<Object>} - Posts, teasers in place
+ */
+const applyTeasers = (posts, userId) => posts.map(post => (needsTeaser(post, userId) ? toTeaser(post) : post));
+
+module.exports = {
+  needsTeaser,
+  toTeaser,
+  applyTeasers
+};
@@ -0,0 +1,238 @@
+/**
+ * Sector Master
+ *
+ * Symbol -> sector / industry taxonomy for the symbols the platform knows
+ * (see stockSymbolMapper). Posts store the sector and industry of their
+ * symbol at creation, so feeds, stock pages and analyst discovery can filter
+ * by sector without joining a market data source.
+ *
+ * USAGE:
+ * const { getSectorForSymbol } = require('./sectorMaster');
+ *
+ * getSectorForSymbol('HDFCBANK');
+ * // => { sector: 'banking', sector_name: 'Banking', industry: 'Private Sector Bank' }
+ *
+ * Symbols missing here get a NULL sector; add them to SYMBOL_SECTORS.
+ */
+
+/**
+ * Sectors (key -> display name)
+ */
+const SECTORS = {
+  banking: 'Banking',
+  financial_services: 'Financial Services',
+  insurance: 'Insurance',
+  it: 'Information Technology',
+  pharma: 'Pharma & Healthcare',
+  auto: 'Automobile',
+  fmcg: 'FMCG',
+  energy: 'Energy & Power',
+  metals: 'Metals & Mining',
+  cement: 'Cement',
+  realty: 'Realty',
+  telecom: 'Telecom',
+  capital_goods: 'Capital Goods',
+  consumer_durables: 'Consumer Durables',
+  chemicals: 'Chemicals',
+  infrastructure: 'Infrastructure',
+  diversified: 'Diversified',
+  index: 'Index'
+};
+
+/**
+ * Symbol -> [sector, industry]
+ */
+const SYMBOL_SECTORS = {
+  // Banking
+  HDFCBANK: ['banking', 'Private Sector Bank'],
+  ICICIBANK: ['banking', 'Private Sector Bank'],
+  AXISBANK: ['banking', 'Private Sector Bank'],
+  KOTAKBANK: ['banking', 'Private Sector Bank'],
+  INDUSINDBK: ['banking', 'Private Sector Bank'],
+  YESBANK: ['banking', 'Private Sector Bank'],
+  BANDHANBNK: ['banking', 'Private Sector Bank'],
+  FEDERALBNK: ['banking', 'Private Sector Bank'],
+  IDFCFIRSTB: ['banking', 'Private Sector Bank'],
+  SBIN: ['banking', 'Public Sector Bank'],
+  PNB: ['banking', 'Public Sector Bank'],
+  BANKBARODA: ['banking', 'Public Sector Bank'],
+
+  // Financial Services & Insurance
+  BAJFINANCE: ['financial_services', 'NBFC'],
+  BAJAJFINSV: ['financial_services', 'Financial Holding Company'],
+  HDFCLIFE: ['insurance', 'Life Insurance'],
+  SBILIFE: ['insurance', 'Life Insurance'],
+  ICICIPRULI: ['insurance', 'Life Insurance'],
+  LICI: ['insurance', 'Life Insurance'],
+  ICICIGI: ['insurance', 'General Insurance'],
+
+  // IT
+  TCS: ['it', 'IT Services'],
+  INFY: ['it', 'IT Services'],
+  WIPRO: ['it', 'IT Services'],
+  HCLTECH: ['it', 'IT Services'],
+  TECHM: ['it', 'IT Services'],
+  LTIM: ['it', 'IT Services'],
+  COFORGE: ['it', 'IT Services'],
+  MPHASIS: ['it', 'IT Services'],
+  PERSISTENT: ['it', 'IT Services'],
+
+  // Pharma
+  SUNPHARMA: ['pharma', 'Pharmaceuticals'],
+  CIPLA: ['pharma', 'Pharmaceuticals'],
+  DRREDDY: ['pharma', 'Pharmaceuticals'],
+  DIVISLAB: ['pharma', 'Pharmaceuticals'],
+  LUPIN: ['pharma', 'Pharmaceuticals'],
+  TORNTPHARM: ['pharma', 'Pharmaceuticals'],
+  AUROPHARMA: ['pharma', 'Pharmaceuticals'],
+  BIOCON: ['pharma', 'Biotechnology'],
+
+  // Auto
+  MARUTI: ['auto', 'Passenger Vehicles'],
+  TATAMOTORS: ['auto', 'Passenger & Commercial Vehicles'],
+  'M&M': ['auto', 'Passenger Vehicles & Tractors'],
+  'BAJAJ-AUTO': ['auto', 'Two & Three Wheelers'],
+  HEROMOTOCO: ['auto', 'Two Wheelers'],
+  TVSMOTOR: ['auto', 'Two Wheelers'],
+  EICHERMOT: ['auto', 'Two Wheelers & Commercial Vehicles'],
+
+  // FMCG
+  HINDUNILVR: ['fmcg', 'Personal & Household Products'],
+  ITC: ['fmcg', 'Cigarettes & Diversified FMCG'],
+  BRITANNIA: ['fmcg', 'Packaged Foods'],
+  NESTLEIND: ['fmcg', 'Packaged Foods'],
+  TATACONSUM: ['fmcg', 'Tea, Coffee & Packaged Foods'],
+  DABUR: ['fmcg', 'Personal Care'],
+  MARICO: ['fmcg', 'Personal Care'],
+  GODREJCP: ['fmcg', 'Personal & Household Products'],
+  COLPAL: ['fmcg', 'Personal Care'],
+
+  // Energy & Power
+  RELIANCE: ['energy', 'Refineries & Petrochemicals'],
+  ONGC: ['energy', 'Oil Exploration & Production'],
+  BPCL: ['energy', 'Refining & Marketing'],
+  IOC: ['energy', 'Refining & Marketing'],
+  GAIL: ['energy', 'Gas Transmission'],
+  ATGL: ['energy', 'Gas Distribution'],
+  NTPC: ['energy', 'Power Generation'],
+  TATAPOWER: ['energy', 'Power Generation & Distribution'],
+  ADANIPOWER: ['energy', 'Power Generation'],
+  ADANIGREEN: ['energy', 'Renewable Power'],
+  POWERGRID: ['energy', 'Power Transmission'],
+  ADANITRANS: ['energy', 'Power Transmission'],
+
+  // Metals & Mining
+  TATASTEEL: ['metals', 'Steel'],
+  JSWSTEEL: ['metals', 'Steel'],
+  JINDALSTEL: ['metals', 'Steel'],
+  HINDALCO: ['metals', 'Aluminium'],
+  VEDL: ['metals', 'Diversified Metals'],
+  COALINDIA: ['metals', 'Coal Mining'],
+  NMDC: ['metals', 'Iron Ore Mining'],
+
+  // Cement
+  ULTRACEMCO: ['cement', 'Cement'],
+  SHREECEM: ['cement', 'Cement'],
+  AMBUJACEM: ['cement', 'Cement'],
+  ACC: ['cement', 'Cement'],
+  GRASIM: ['cement', 'Cement & Fibres'],
+
+  // Realty
+  DLF: ['realty', 'Residential & Commercial Real Estate'],
+  GODREJPROP: ['realty', 'Residential Real Estate'],
+  OBEROIRLTY: ['realty', 'Residential Real Estate'],
+  PHOENIXLTD: ['realty', 'Retail Real Estate'],
+
+  // Telecom
+  BHARTIARTL: ['telecom', 'Telecom Services'],
+  IDEA: ['telecom', 'Telecom Services'],
+
+  // Capital Goods & Infrastructure
+  LT: ['capital_goods', 'Construction & Engineering'],
+  SIEMENS: ['capital_goods', 'Electrical Equipment'],
+  ABB: ['capital_goods', 'Electrical Equipment'],
+  ADANIPORTS: ['infrastructure', 'Ports & Logistics'],
+
+  // Consumer Durables
+  HAVELLS: ['consumer_durables', 'Electricals & Appliances'],
+  VOLTAS: ['consumer_durables', 'Air Conditioning'],
+  ASIANPAINT: ['consumer_durables', 'Paints'],
+  BERGEPAINT: ['consumer_durables', 'Paints'],
+
+  // Chemicals
+  PIDILITIND: ['chemicals', 'Specialty Chemicals'],
+  SRF: ['chemicals', 'Specialty Chemicals'],
+  TATACHEM: ['chemicals', 'Commodity Chemicals'],
+  UPL: ['chemicals', 'Agrochemicals'],
+
+  // Diversified
+  ADANIENT: ['diversified', 'Diversified'],
+
+  // Indices
+  NIFTY: ['index', 'Broad Market Index'],
+  SENSEX: ['index', 'Broad Market Index'],
+  NIFTYMIDCAP: ['index', 'Broad Market Index'],
+  BANKNIFTY: ['index', 'Sectoral Index'],
+  FINNIFTY: ['index', 'Sectoral Index'],
+  NIFTYIT: ['index', 'Sectoral Index']
+};
+
+/**
+ * Sector and industry of a symbol
+ *
+ * @param {string} symbol - NSE symbol (case-insensitive)
+ * @returns {Object|null} - { sector, sector_name, industry } or null if unknown
+ */
+const getSectorForSymbol = (symbol) => {
+  if (!symbol || typeof symbol !== 'string') {
+    return null;
+  }
+
+  const entry = SYMBOL_SECTORS[symbol.trim().toUpperCase()];
+  if (!entry) {
+    return null;
+  }
+
+  const [sector, industry] = entry;
+  return { sector, sector_name: SECTORS[sector], industry };
+};
+
+/**
+ * Check if a sector key exists
+ *
+ * @param {string} sector - Sector key (e.g. 'banking')
+ * @returns {boolean}
+ */
+const isValidSector = (sector) => typeof sector === 'string' && Object.prototype.hasOwnProperty.call(SECTORS, sector);
+
+/**
+ * Symbols of a sector
+ *
+ * @param {string} sector - Sector key
+ * @returns {Array<string>} - NSE symbols
+ */
+const getSymbolsInSector = (sector) => Object.keys(SYMBOL_SECTORS)
+  .filter(symbol => SYMBOL_SECTORS[symbol][0] === sector);
+
+/**
+ * Full taxonomy for filter UIs
+ *
+ * @returns {Array<Object>} - [{ sector, name, industries, symbols }]
+ */
+const getSectors = () => Object.keys(SECTORS).map((sector) => {
+  const symbols = getSymbolsInSector(sector);
+  return {
+    sector,
+    name: SECTORS[sector],
+    industries: [...new Set(symbols.map(symbol => SYMBOL_SECTORS[symbol][1]))],
+    symbols
+  };
+});
+
+module.exports = {
+  SECTORS,
+  getSectorForSymbol,
+  isValidSector,
+  getSymbolsInSector,
+  getSectors
+};
@@ -18,6 +18,8 @@
  * - Validates symbol format
  */
 
+const { getSectorForSymbol } = require('./sectorMaster');
+
 /**
  * Comprehensive mapping of stock names to NSE symbols
  * Includes multiple variations for voice recognition
@@ -332,22 +334,12 @@ const getAllSymbols = () => {
  * Check if stock is in a specific sector
  *
  * @param {string} symbol - Stock symbol
- * @param {string} sector - Sector name (banking, it, pharma, auto, etc.)
+ * @param {string} sector - Sector key (banking, it, pharma, auto, etc.; see sectorMaster.SECTORS)
  * @returns {boolean} - True if stock belongs to sector
  */
 const isInSector = (symbol, sector) => {
-  const sectorMapping = {
-    banking: ['HDFCBANK', 'ICICIBANK', 'SBIN', 'AXISBANK', 'KOTAKBANK', 'INDUSINDBK', 'YESBANK', 'BANDHANBNK', 'FEDERALBNK', 'IDFCFIRSTB', 'PNB', 'BANKBARODA'],
-    it: ['TCS', 'INFY', 'WIPRO', 'HCLTECH', 'TECHM', 'LTIM', 'COFORGE', 'MPHASIS', 'PERSISTENT'],
-    pharma: ['SUNPHARMA', 'CIPLA', 'DRREDDY', 'DIVISLAB', 'BIOCON', 'LUPIN', 'TORNTPHARM', 'AUROPHARMA'],
-    auto: ['MARUTI', 'M&M', 'BAJAJ-AUTO', 'HEROMOTOCO', 'EICHERMOT', 'TVSMOTOR', 'TATAMOTORS'],
-    fmcg: ['HINDUNILVR', 'ITC', 'BRITANNIA', 'NESTLEIND', 'DABUR', 'MARICO', 'GODREJCP', 'COLPAL'],
-    energy: ['NTPC', 'POWERGRID', 'ONGC', 'BPCL', 'IOC', 'GAIL', 'RELIANCE'],
-    metals: ['TATASTEEL', 'JSWSTEEL', 'HINDALCO', 'VEDL', 'COALINDIA', 'NMDC', 'JINDALSTEL'],
-  };
-
-  const sectorSymbols = sectorMapping[sector.toLowerCase()];
-  return sectorSymbols ? sectorSymbols.includes(symbol) : false;
+  const info = getSectorForSymbol(symbol);
+  return Boolean(info && sector && info.sector === sector.toLowerCase());
 };
 
 module.exports = {
@@ -0,0 +1,202 @@
+/**
+ * Track Record Utility
+ *
+ * Performance metrics over an analyst's closed calls (self-reported imports are
+ * left out by the caller, models/AnalystPerformance). Calls closed with an
+ * analyst-entered exit count like any other and are tallied in
+ * unverified_calls_count.
+ *
+ * METRICS (per call return = actual_profit_percent, blended for multi-target calls):
+ * - win_rate: % of calls with a positive return
+ * - avg_return_percent, avg_win_percent, avg_loss_percent, total_return_percent
+ * - expectancy_percent: win rate x average win + loss rate x average loss
+ * - avg_r_multiple: return / initial risk, risk = |entry - stop loss| / entry
+ *   with the published (never edited) levels; calls without a stop loss are skipped
+ * - max_drawdown_percent: largest peak-to-trough fall of the cumulative return
+ *   (sum of call returns in closing order), in percentage points
+ * - avg_holding_hours: published_at to closed_at
+ * - risk_adjusted_score: mean return / standard deviation x sqrt(calls)
+ *   (t-statistic of the mean return: consistent small wins beat a few lucky
+ *   ones); null below TRACK_RECORD.MIN_CALLS_FOR_SCORE calls
+ * - unverified_calls_count: calls whose exit the analyst entered (is_verified false)
+ *
+ * SLICES: strategy_type ('all' or one strategy) x period ('all_time', rolling
+ * TRACK_RECORD.ROLLING_PERIODS, or an IST calendar month 'YYYY-MM').
+ */
+
+const { TRACK_RECORD } = require('./constants');
+const { getIstDay, formatDay } = require('./marketHours');
+
+const ALL_STRATEGIES = 'all';
+const ALL_TIME = 'all_time';
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * @param {number|null} value
+ * @returns {number|null} - Rounded to 2 decimals
+ */
+const round = (value) => (value === null || !isFinite(value) ? null : Math.round(value * 100) / 100);
+
+/**
+ * @param {Array<number>} values
+ * @returns {number|null}
+ */
+const mean = (values) => (values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null);
+
+/**
+ * IST calendar month of an instant
+ *
+ * @param {Date|string} date
+ * @returns {string} - 'YYYY-MM'
+ */
+const getMonthKey = (date) => formatDay(getIstDay(new Date(date))).slice(0, 7);
+
+/**
+ * R-multiple of a call
+ *
+ * @param {Object} call - { return_percent, entry_price, stop_loss }
+ * @returns {number|null} - null without a usable stop loss
+ */
+const getRMultiple = (call) => {
+  const entry = parseFloat(call.entry_price);
+  const stop = parseFloat(call.stop_loss);
+  if (!entry || isNaN(stop) || entry === stop) {
+    return null;
+  }
+
+  const riskPercent = (Math.abs(entry - stop) / entry) * 100;
+  return call.return_percent / riskPercent;
+};
+
+/**
+ * Compute the metrics of a set of closed calls
+ *
+ * @param {Array<Object>} calls - Closed calls in closing order
+ *   { actual_profit_percent, entry_price, stop_loss, published_at, closed_at, is_verified }
+ * @returns {Object} - Metrics (see header)
+ */
+const computeMetrics = (calls) => {
+  const returns = calls.map(call => parseFloat(call.actual_profit_percent));
+  const count = returns.length;
+  const wins = returns.filter(value => value > 0);
+  const losses = returns.filter(value => value < 0);
+
+  const rMultiples = calls
+    .map((call, index) => getRMultiple({ ...call, return_percent: returns[index] }))
+    .filter(value => value !== null);
+
+  let cumulative = 0;
+  let peak = 0;
+  let maxDrawdown = 0;
+  returns.forEach((value) => {
+    cumulative += value;
+    peak = Math.max(peak, cumulative);
+    maxDrawdown = Math.max(maxDrawdown, peak - cumulative);
+  });
+
+  const holdingHours = calls
+    .filter(call => call.published_at && call.closed_at)
+    .map(call => (new Date(call.closed_at) - new Date(call.published_at)) / 3600000);
+
+  const avgReturn = mean(returns);
+  const stddev = count > 1
+    ? Math.sqrt(returns.reduce((sum, value) => sum + (value - avgReturn) ** 2, 0) / (count - 1))
+    : null;
+  const avgWin = mean(wins);
+  const avgLoss = mean(losses);
+
+  return {
+    calls_count: count,
+    wins: wins.length,
+    losses: losses.length,
+    win_rate: count > 0 ? round((wins.length / count) * 100) : null,
+    avg_return_percent: round(avgReturn),
+    avg_win_percent: round(avgWin),
+    avg_loss_percent: round(avgLoss),
+    expectancy_percent: count > 0
+      ? round((wins.length / count) * (avgWin || 0) + (losses.length / count) * (avgLoss || 0))
+      : null,
+    total_return_percent: round(returns.reduce((sum, value) => sum + value, 0)),
+    avg_r_multiple: round(mean(rMultiples)),
+    r_calls_count: rMultiples.length,
+    max_drawdown_percent: round(maxDrawdown),
+    avg_holding_hours: round(mean(holdingHours)),
+    return_stddev: round(stddev),
+    risk_adjusted_score: count >= TRACK_RECORD.MIN_CALLS_FOR_SCORE && stddev > 0
+      ? round((avgReturn / stddev) * Math.sqrt(count))
+      : null,
+    unverified_calls_count: calls.filter(call => call.is_verified === false).length,
+    last_closed_at: count > 0 ? calls[count - 1].closed_at : null
+  };
+};
+
+/**
+ * Calls of one slice
+ *
+ * @param {Array<Object>} calls - All closed calls (with strategy_type, closed_at)
+ * @param {string} strategyType - 'all' or a strategy
+ * @param {string} period - 'all_time', a rolling period or 'YYYY-MM'
+ * @param {Date} now - Reference time for rolling periods
+ * @returns {Array<Object>}
+ */
+const filterSlice = (calls, strategyType, period, now) => {
+  const rollingDays = TRACK_RECORD.ROLLING_PERIODS[period];
+  const since = rollingDays ? now.getTime() - rollingDays * MS_PER_DAY : null;
+
+  return calls.filter((call) => {
+    if (strategyType !== ALL_STRATEGIES && call.strategy_type !== strategyType) {
+      return false;
+    }
+    if (period === ALL_TIME) {
+      return true;
+    }
+    if (since !== null) {
+      return new Date(call.closed_at).getTime() >= since;
+    }
+    return getMonthKey(call.closed_at) === period;
+  });
+};
+
+/**
+ * Every slice key of a set of calls
+ *
+ * @param {Array<Object>} calls - Closed calls
+ * @returns {Object} - { strategies, periods }
+ */
+const getSliceKeys = (calls) => ({
+  strategies: [ALL_STRATEGIES, ...new Set(calls.map(call => call.strategy_type).filter(Boolean))],
+  periods: [ALL_TIME, ...Object.keys(TRACK_RECORD.ROLLING_PERIODS), ...new Set(calls.map(call => getMonthKey(call.closed_at)))]
+});
+
+/**
+ * Compute slices
+ *
+ * @param {Array<Object>} calls - All closed calls of the analyst, in closing order
+ * @param {Array<string>} strategies - Strategy keys
+ * @param {Array<string>} periods - Period keys
+ * @param {Date} now - Reference time for rolling periods (default: now)
+ * @returns {Array<Object>} - [{ strategy_type, period, ...metrics }] (empty slices included, calls_count 0)
+ */
+const computeSlices = (calls, strategies, periods, now = new Date()) => {
+  const slices = [];
+  strategies.forEach((strategyType) => {
+    periods.forEach((period) => {
+      slices.push({
+        strategy_type: strategyType,
+        period,
+        ...computeMetrics(filterSlice(calls, strategyType, period, now))
+      });
+    });
+  });
+  return slices;
+};
+
+module.exports = {
+  ALL_STRATEGIES,
+  ALL_TIME,
+  getMonthKey,
+  getRMultiple,
+  computeMetrics,
+  getSliceKeys,
+  computeSlices
+};